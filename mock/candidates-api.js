@@ -0,0 +1,278 @@
+/**
+ * Mock 1KV candidates API server for development and tests.
+ * Serves `/candidate/:stash` and `/candidates` like the W3F service does, from the
+ * candidate fixture files in a directory (one `<stash>.json` file per candidate).
+ * Candidates can be changed between polls, either programmatically or through the
+ * `/__mock` admin endpoints when the server runs as a separate process:
+ *
+ * - `PUT /__mock/candidate/:stash` replaces (or adds) the candidate with the request body
+ * - `PATCH /__mock/candidate/:stash` merges the request body into the candidate
+ * - `DELETE /__mock/candidate/:stash` removes the candidate
+ * - `POST /__mock/candidate/:stash/validity` sets a validity item, body `{ type, valid, details }`
+ * - `POST /__mock/candidate/:stash/updates` queues changes applied one per poll, body `[{...}, ...]`
+ * - `POST /__mock/candidate/:stash/status` forces a response status, body `{ status }` (`null` clears)
+ * - `POST /__mock/reset` reloads the fixtures and clears everything else
+ *
+ * Run standalone with `node mock/candidates-api.js --port=3300 [--fixtures=/path/to/dir]`,
+ * then point the network profile's `w3fBaseURL` to `http://127.0.0.1:3300`.
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('../modules/logging');
+
+const defaultFixtureDir = path.join(__dirname, 'fixtures', 'candidates');
+
+function loadFixtures(fixtureDir) {
+    const candidates = {};
+    for (let fileName of fs.readdirSync(fixtureDir)) {
+        if (path.extname(fileName).toLowerCase() != '.json') {
+            continue;
+        }
+        const candidate = JSON.parse(fs.readFileSync(path.join(fixtureDir, fileName), 'utf8'));
+        candidates[candidate.stash] = candidate;
+    }
+    return candidates;
+}
+
+/**
+ * Recomputes the invalidity reasons text from the validity items, as the W3F service does.
+ */
+function updateInvalidityReasons(candidate) {
+    candidate.invalidityReasons = (candidate.invalidity || [])
+        .filter(item => !item.valid)
+        .map(item => item.details)
+        .join(', ');
+}
+
+function readJSONBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            if (body.length == 0) {
+                resolve(undefined);
+                return;
+            }
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function sendJSON(response, status, body) {
+    if (status == 204) {
+        response.writeHead(status);
+        response.end();
+        return;
+    }
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(typeof body === 'undefined' ? '' : JSON.stringify(body));
+}
+
+function createCandidatesAPIServer(options) {
+    options = options || {};
+    const fixtureDir = options.fixtureDir || defaultFixtureDir;
+    let candidates = {};
+    // stash -> list of change sets, the first one gets applied on each poll
+    let queuedUpdates = {};
+    // stash -> forced response status
+    let forcedStatuses = {};
+    // served candidate API requests, e.g. { method: 'GET', path: '/candidate/...' }
+    let requests = [];
+    let baseURL = null;
+
+    const getCandidate = (stash) => candidates[stash];
+
+    const setCandidate = (candidate) => {
+        candidates[candidate.stash] = candidate;
+        return candidate;
+    };
+
+    const updateCandidate = (stash, changes) => {
+        const candidate = candidates[stash];
+        if (!candidate) {
+            throw new Error(`Mock candidate ${stash} not found.`);
+        }
+        Object.assign(candidate, changes);
+        if (changes.invalidity) {
+            updateInvalidityReasons(candidate);
+        }
+        return candidate;
+    };
+
+    const removeCandidate = (stash) => {
+        delete candidates[stash];
+    };
+
+    const setValidity = (stash, type, valid, details) => {
+        const candidate = candidates[stash];
+        if (!candidate) {
+            throw new Error(`Mock candidate ${stash} not found.`);
+        }
+        candidate.invalidity = candidate.invalidity || [];
+        let item = candidate.invalidity.find(item => item.type == type);
+        if (!item) {
+            item = { type: type };
+            candidate.invalidity.push(item);
+        }
+        item.valid = valid;
+        item.details = valid ? '' : (details || `${type} is invalid`);
+        updateInvalidityReasons(candidate);
+        return candidate;
+    };
+
+    const queueUpdates = (stash, changeSets) => {
+        queuedUpdates[stash] = (queuedUpdates[stash] || []).concat(changeSets);
+    };
+
+    const setStatus = (stash, status) => {
+        if (status) {
+            forcedStatuses[stash] = status;
+        } else {
+            delete forcedStatuses[stash];
+        }
+    };
+
+    const reset = () => {
+        candidates = loadFixtures(fixtureDir);
+        queuedUpdates = {};
+        forcedStatuses = {};
+        requests = [];
+    };
+
+    async function handleAdminRequest(request, response, urlPath) {
+        if (request.method == 'POST' && urlPath == '/__mock/reset') {
+            reset();
+            sendJSON(response, 200, { ok: true });
+            return;
+        }
+        const match = urlPath.match(/^\/__mock\/candidate\/([^/]+)(\/(validity|updates|status))?$/);
+        if (!match) {
+            sendJSON(response, 404, { error: 'Unknown mock endpoint.' });
+            return;
+        }
+        const stash = decodeURIComponent(match[1]);
+        const action = match[3];
+        const body = await readJSONBody(request);
+        if (!action && request.method == 'PUT') {
+            sendJSON(response, 200, setCandidate(Object.assign({}, body, { stash: stash })));
+        } else if (!action && request.method == 'PATCH') {
+            sendJSON(response, 200, updateCandidate(stash, body || {}));
+        } else if (!action && request.method == 'DELETE') {
+            removeCandidate(stash);
+            sendJSON(response, 200, { ok: true });
+        } else if (action == 'validity' && request.method == 'POST') {
+            sendJSON(response, 200, setValidity(stash, body.type, body.valid, body.details));
+        } else if (action == 'updates' && request.method == 'POST') {
+            queueUpdates(stash, Array.isArray(body) ? body : [body]);
+            sendJSON(response, 200, { ok: true });
+        } else if (action == 'status' && request.method == 'POST') {
+            setStatus(stash, body ? body.status : null);
+            sendJSON(response, 200, { ok: true });
+        } else {
+            sendJSON(response, 405, { error: 'Method not allowed.' });
+        }
+    }
+
+    function handleCandidateRequest(request, response, urlPath) {
+        requests.push({ method: request.method, path: urlPath });
+        if (urlPath == '/candidates') {
+            const list = Object.values(candidates).sort((a, b) => b.rank - a.rank);
+            sendJSON(response, 200, list);
+            return;
+        }
+        const match = urlPath.match(/^\/candidate\/([^/]+)$/);
+        if (!match) {
+            sendJSON(response, 404, { error: 'Not found.' });
+            return;
+        }
+        const stash = decodeURIComponent(match[1]);
+        if (forcedStatuses[stash]) {
+            sendJSON(response, forcedStatuses[stash], { error: 'Forced mock status.' });
+            return;
+        }
+        if (queuedUpdates[stash] && queuedUpdates[stash].length > 0 && candidates[stash]) {
+            updateCandidate(stash, queuedUpdates[stash].shift());
+        }
+        const candidate = candidates[stash];
+        if (!candidate) {
+            sendJSON(response, 404, { error: 'Candidate not found.' });
+            return;
+        }
+        sendJSON(response, 200, candidate);
+    }
+
+    const server = http.createServer(async (request, response) => {
+        const urlPath = new URL(request.url, 'http://localhost').pathname;
+        try {
+            if (urlPath.startsWith('/__mock/')) {
+                await handleAdminRequest(request, response, urlPath);
+            } else if (request.method == 'GET') {
+                handleCandidateRequest(request, response, urlPath);
+            } else {
+                sendJSON(response, 405, { error: 'Method not allowed.' });
+            }
+        } catch (error) {
+            logger.error(`Mock candidates API error: ${error.message}`);
+            sendJSON(response, 400, { error: error.message });
+        }
+    });
+
+    /**
+     * Starts listening, on a random free port if none is given. Resolves to the base URL.
+     */
+    const start = (port, host) => {
+        host = host || '127.0.0.1';
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port || 0, host, () => {
+                baseURL = `http://${host}:${server.address().port}`;
+                resolve(baseURL);
+            });
+        });
+    };
+
+    const stop = () => {
+        return new Promise(resolve => server.close(() => resolve()));
+    };
+
+    reset();
+    return {
+        start: start,
+        stop: stop,
+        getBaseURL: () => baseURL,
+        getCandidate: getCandidate,
+        setCandidate: setCandidate,
+        updateCandidate: updateCandidate,
+        removeCandidate: removeCandidate,
+        setValidity: setValidity,
+        queueUpdates: queueUpdates,
+        setStatus: setStatus,
+        getRequests: () => requests,
+        reset: reset
+    };
+}
+
+if (require.main === module) {
+    const args = require('yargs').argv;
+    const mockServer = createCandidatesAPIServer({ fixtureDir: args.fixtures });
+    mockServer.start(args.port || 3300, args.host).then((baseURL) => {
+        logger.info(`Mock 1KV candidates API is listening at ${baseURL}.`);
+    });
+    const stop = async () => {
+        await mockServer.stop();
+        process.exit();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
+
+module.exports = {
+    createCandidatesAPIServer: createCandidatesAPIServer
+};
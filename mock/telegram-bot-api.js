@@ -0,0 +1,480 @@
+/**
+ * Fake Telegram Bot API server for replaying conversations in tests.
+ * Point the bot to it with `TELEGRAM_BOT_API_BASE_URL`. It serves `/bot<token>/<method>`,
+ * queues `getUpdates` results, records every method call with its parameters, keeps the
+ * messages sent to each chat, and can simulate failures:
+ *
+ * - 403, the bot was blocked by the user, for a chat with `blockChat(chatId)`
+ * - 429, rate limit with `retry_after`, with `failNext(method, { status: 429, retryAfter })`
+ * - 502, bad gateway, with `failNext(method, { status: 502 })`
+ *
+ * Example session:
+ *
+ *     const telegram = createTelegramBotAPIServer({ token: 'test-token' });
+ *     await telegram.start();
+ *     telegram.sendText(chatId, '/add');
+ *     const call = await telegram.waitForCall('sendMessage', call => call.params.chat_id == chatId);
+ */
+const http = require('http');
+const querystring = require('querystring');
+
+const logger = require('../modules/logging');
+
+const defaultLongPollMillis = 500;
+const defaultWaitTimeoutMillis = 5000;
+
+/**
+ * Extracts the fields of a `multipart/form-data` body. File fields are recorded
+ * as `{ fileName, contentType, size }`, the rest as strings.
+ */
+function parseMultipartBody(body, contentType) {
+    const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/);
+    if (!boundaryMatch) {
+        return {};
+    }
+    const boundary = '--' + (boundaryMatch[1] || boundaryMatch[2]);
+    const fields = {};
+    const parts = body.toString('latin1').split(boundary).slice(1, -1);
+    for (let part of parts) {
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd < 0) {
+            continue;
+        }
+        const headers = part.substring(0, headerEnd);
+        // strip the leading header and the trailing line breaks
+        const value = part.substring(headerEnd + 4, part.length - 2);
+        const nameMatch = headers.match(/name="([^"]*)"/);
+        if (!nameMatch) {
+            continue;
+        }
+        const fileNameMatch = headers.match(/filename="([^"]*)"/);
+        if (fileNameMatch) {
+            const contentTypeMatch = headers.match(/Content-Type:\s*([^\r\n]+)/i);
+            fields[nameMatch[1]] = {
+                fileName: fileNameMatch[1],
+                contentType: contentTypeMatch ? contentTypeMatch[1] : null,
+                size: Buffer.byteLength(value, 'latin1')
+            };
+        } else {
+            fields[nameMatch[1]] = Buffer.from(value, 'latin1').toString('utf8');
+        }
+    }
+    return fields;
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => resolve(Buffer.concat(chunks)));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Parses the method parameters from the query string and the JSON, form or multipart
+ * body. Serialized JSON fields such as a multipart `reply_markup` are parsed too.
+ */
+async function parseParams(request, url) {
+    const params = Object.assign({}, querystring.parse(url.search.substring(1)));
+    const body = await readBody(request);
+    const contentType = request.headers['content-type'] || '';
+    if (body.length > 0) {
+        if (contentType.startsWith('application/json')) {
+            Object.assign(params, JSON.parse(body.toString('utf8')));
+        } else if (contentType.startsWith('application/x-www-form-urlencoded')) {
+            Object.assign(params, querystring.parse(body.toString('utf8')));
+        } else if (contentType.startsWith('multipart/form-data')) {
+            Object.assign(params, parseMultipartBody(body, contentType));
+        }
+    }
+    for (let key of ['reply_markup', 'allowed_updates']) {
+        if (typeof params[key] === 'string') {
+            try {
+                params[key] = JSON.parse(params[key]);
+            } catch (error) {
+                // leave as is
+            }
+        }
+    }
+    return params;
+}
+
+function sendJSON(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+function createTelegramBotAPIServer(options) {
+    options = options || {};
+    const token = options.token || 'test-token';
+    const longPollMillis = (typeof options.longPollMillis !== 'undefined')
+        ? options.longPollMillis
+        : defaultLongPollMillis;
+    const botUser = {
+        id: 1000,
+        is_bot: true,
+        first_name: 'Test Bot',
+        username: options.username || 'test_bot'
+    };
+    let updates;
+    let nextUpdateId;
+    let nextMessageId;
+    // every method call, e.g. { method: 'sendMessage', params: {...}, status: 200 }
+    let calls;
+    // chat id -> messages sent or edited by the bot, in order
+    let chatMessages;
+    let blockedChatIds;
+    // method -> list of pending failures
+    let failures;
+    // pending getUpdates requests and waitForCall promises
+    let updateWaiters = [];
+    let callWaiters = [];
+    let baseURL = null;
+    let webhook = null;
+
+    const reset = () => {
+        updates = [];
+        nextUpdateId = 1;
+        nextMessageId = 1;
+        calls = [];
+        chatMessages = {};
+        blockedChatIds = new Set();
+        failures = {};
+        webhook = null;
+    };
+
+    const notifyUpdateWaiters = () => {
+        const waiters = updateWaiters;
+        updateWaiters = [];
+        waiters.forEach(waiter => waiter());
+    };
+
+    const queueUpdate = (update) => {
+        if (typeof update.update_id === 'undefined') {
+            update.update_id = nextUpdateId;
+        }
+        nextUpdateId = Math.max(nextUpdateId, update.update_id + 1);
+        updates.push(update);
+        notifyUpdateWaiters();
+        return update;
+    };
+
+    const createChat = chatId => {
+        return { id: chatId, type: chatId < 0 ? 'group' : 'private' };
+    };
+
+    /**
+     * Queues a text message from the user, e.g. a command.
+     */
+    const sendText = (chatId, text) => {
+        const messageId = nextMessageId++;
+        return queueUpdate({
+            message: {
+                message_id: messageId,
+                from: { id: chatId, is_bot: false, first_name: 'Test User' },
+                chat: createChat(chatId),
+                date: Math.floor(Date.now() / 1000),
+                text: text
+            }
+        });
+    };
+
+    /**
+     * Queues an inline keyboard button press on one of the bot's messages.
+     */
+    const pressButton = (chatId, messageId, callbackData) => {
+        const message = (chatMessages[chatId] || []).find(message => message.message_id == messageId);
+        return queueUpdate({
+            callback_query: {
+                id: `${nextUpdateId}`,
+                from: { id: chatId, is_bot: false, first_name: 'Test User' },
+                message: message || { message_id: messageId, chat: createChat(chatId) },
+                chat_instance: `${chatId}`,
+                data: callbackData
+            }
+        });
+    };
+
+    const blockChat = (chatId) => {
+        blockedChatIds.add(`${chatId}`);
+    };
+
+    const unblockChat = (chatId) => {
+        blockedChatIds.delete(`${chatId}`);
+    };
+
+    /**
+     * The next call of the method fails with the given status:
+     * 429 (optionally with `retryAfter` seconds), 502, or any other error code.
+     */
+    const failNext = (method, failure) => {
+        failures[method] = (failures[method] || []).concat([failure]);
+    };
+
+    const getCalls = (method) => {
+        return method ? calls.filter(call => call.method == method) : calls.slice();
+    };
+
+    const getChatMessages = chatId => (chatMessages[chatId] || []).slice();
+
+    const getLastMessage = (chatId) => {
+        const messages = chatMessages[chatId] || [];
+        return messages.length > 0 ? messages[messages.length - 1] : null;
+    };
+
+    /**
+     * Resolves with the first recorded call of the method, starting from the given call
+     * index, that matches the predicate. Rejects if there's none in time.
+     */
+    const waitForCall = (method, predicate, timeoutMillis, fromIndex) => {
+        predicate = predicate || (() => true);
+        fromIndex = fromIndex || 0;
+        const find = () => calls.slice(fromIndex).find(
+            call => call.method == method && predicate(call)
+        );
+        const existing = find();
+        if (existing) {
+            return Promise.resolve(existing);
+        }
+        return new Promise((resolve, reject) => {
+            const waiter = () => {
+                const call = find();
+                if (call) {
+                    clearTimeout(timeoutId);
+                    callWaiters = callWaiters.filter(other => other != waiter);
+                    resolve(call);
+                }
+            };
+            const timeoutId = setTimeout(() => {
+                callWaiters = callWaiters.filter(other => other != waiter);
+                reject(new Error(`Timed out waiting for a ${method} call.`));
+            }, timeoutMillis || defaultWaitTimeoutMillis);
+            callWaiters.push(waiter);
+        });
+    };
+
+    const storeMessage = (chatId, message) => {
+        chatMessages[chatId] = chatMessages[chatId] || [];
+        chatMessages[chatId].push(message);
+        return message;
+    };
+
+    const createBotMessage = (params, fields) => {
+        return Object.assign({
+            message_id: nextMessageId++,
+            from: botUser,
+            chat: createChat(Number(params.chat_id)),
+            date: Math.floor(Date.now() / 1000)
+        }, fields);
+    };
+
+    async function getUpdates(params) {
+        const offset = Number(params.offset || 0);
+        // confirm the updates before the offset, as Telegram does
+        updates = updates.filter(update => update.update_id >= offset);
+        if (updates.length == 0 && longPollMillis > 0) {
+            await new Promise(resolve => {
+                const timeoutId = setTimeout(() => {
+                    updateWaiters = updateWaiters.filter(other => other != waiter);
+                    resolve();
+                }, longPollMillis);
+                const waiter = () => {
+                    clearTimeout(timeoutId);
+                    resolve();
+                };
+                updateWaiters.push(waiter);
+            });
+        }
+        const limit = Number(params.limit || 100);
+        return updates.filter(update => update.update_id >= offset).slice(0, limit);
+    }
+
+    async function processMethod(method, params) {
+        switch (method) {
+            case 'getMe':
+                return botUser;
+            case 'getUpdates':
+                return await getUpdates(params);
+            case 'sendMessage':
+                return storeMessage(params.chat_id, createBotMessage(params, {
+                    text: params.text,
+                    reply_markup: params.reply_markup
+                }));
+            case 'sendPhoto':
+                return storeMessage(params.chat_id, createBotMessage(params, {
+                    photo: [params.photo],
+                    caption: params.caption,
+                    reply_markup: params.reply_markup
+                }));
+            case 'editMessageText': {
+                const message = (chatMessages[params.chat_id] || []).find(
+                    message => message.message_id == params.message_id
+                );
+                if (!message) {
+                    return { error: 400, description: 'Bad Request: message to edit not found' };
+                }
+                message.text = params.text;
+                message.reply_markup = params.reply_markup;
+                message.edit_date = Math.floor(Date.now() / 1000);
+                return message;
+            }
+            case 'deleteMessage': {
+                const messages = chatMessages[params.chat_id] || [];
+                const index = messages.findIndex(message => message.message_id == params.message_id);
+                if (index >= 0) {
+                    messages.splice(index, 1);
+                }
+                return true;
+            }
+            case 'setWebhook':
+                webhook = { url: params.url, secretToken: params.secret_token };
+                return true;
+            case 'deleteWebhook':
+                webhook = null;
+                return true;
+            case 'getWebhookInfo':
+                return { url: webhook ? webhook.url : '', pending_update_count: updates.length };
+            default:
+                // sendChatAction, answerCallbackQuery and others
+                return true;
+        }
+    }
+
+    function getFailure(method, params) {
+        if (params.chat_id && blockedChatIds.has(`${params.chat_id}`) && method != 'getUpdates') {
+            return { status: 403, description: 'Forbidden: bot was blocked by the user' };
+        }
+        const pending = failures[method];
+        if (pending && pending.length > 0) {
+            const failure = pending.shift();
+            return {
+                status: failure.status,
+                retryAfter: failure.retryAfter,
+                description: failure.description
+            };
+        }
+        return null;
+    }
+
+    function sendFailure(response, failure) {
+        if (failure.status == 502) {
+            response.writeHead(502, { 'Content-Type': 'text/html' });
+            response.end('<html><body><h1>502 Bad Gateway</h1></body></html>');
+            return;
+        }
+        const body = {
+            ok: false,
+            error_code: failure.status,
+            description: failure.description
+        };
+        if (failure.status == 429) {
+            const retryAfter = failure.retryAfter || 1;
+            body.description = body.description || `Too Many Requests: retry after ${retryAfter}`;
+            body.parameters = { retry_after: retryAfter };
+        }
+        body.description = body.description || 'Error';
+        sendJSON(response, failure.status, body);
+    }
+
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const match = url.pathname.match(/^\/bot([^/]+)\/([A-Za-z]+)$/);
+        if (!match) {
+            sendJSON(response, 404, { ok: false, error_code: 404, description: 'Not Found' });
+            return;
+        }
+        if (match[1] != token) {
+            sendJSON(response, 401, { ok: false, error_code: 401, description: 'Unauthorized' });
+            return;
+        }
+        const method = match[2];
+        let params;
+        try {
+            params = await parseParams(request, url);
+        } catch (error) {
+            sendJSON(response, 400, { ok: false, error_code: 400, description: `Bad Request: ${error.message}` });
+            return;
+        }
+        const call = { method: method, params: params, time: new Date() };
+        const failure = getFailure(method, params);
+        if (failure) {
+            call.status = failure.status;
+            calls.push(call);
+            sendFailure(response, failure);
+        } else {
+            const result = await processMethod(method, params);
+            if (result && result.error) {
+                call.status = result.error;
+                calls.push(call);
+                sendJSON(response, result.error, { ok: false, error_code: result.error, description: result.description });
+            } else {
+                call.status = 200;
+                call.result = result;
+                calls.push(call);
+                sendJSON(response, 200, { ok: true, result: result });
+            }
+        }
+        callWaiters.slice().forEach(waiter => waiter());
+    });
+
+    /**
+     * Starts listening, on a random free port if none is given. Resolves to the base URL
+     * to use as `TELEGRAM_BOT_API_BASE_URL`.
+     */
+    const start = (port, host) => {
+        host = host || '127.0.0.1';
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port || 0, host, () => {
+                baseURL = `http://${host}:${server.address().port}`;
+                resolve(baseURL);
+            });
+        });
+    };
+
+    const stop = () => {
+        notifyUpdateWaiters();
+        return new Promise(resolve => server.close(() => resolve()));
+    };
+
+    reset();
+    return {
+        start: start,
+        stop: stop,
+        reset: reset,
+        getBaseURL: () => baseURL,
+        getWebhook: () => webhook,
+        queueUpdate: queueUpdate,
+        sendText: sendText,
+        pressButton: pressButton,
+        blockChat: blockChat,
+        unblockChat: unblockChat,
+        failNext: failNext,
+        getCalls: getCalls,
+        getChatMessages: getChatMessages,
+        getLastMessage: getLastMessage,
+        waitForCall: waitForCall
+    };
+}
+
+if (require.main === module) {
+    const args = require('yargs').argv;
+    const mockServer = createTelegramBotAPIServer({
+        token: args.token || process.env.TELEGRAM_BOT_AUTH_KEY,
+        username: args.username || process.env.TELEGRAM_BOT_USERNAME
+    });
+    mockServer.start(args.port || 8081, args.host).then((baseURL) => {
+        logger.info(`Fake Telegram Bot API is listening at ${baseURL}.`);
+    });
+    const stop = async () => {
+        await mockServer.stop();
+        process.exit();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
+
+module.exports = {
+    createTelegramBotAPIServer: createTelegramBotAPIServer
+};
@@ -0,0 +1,66 @@
+/**
+ * Availability of a validator from its history of online and offline transitions,
+ * `{ stashAddress, isOnline, date }` in the ascending order of date. The history of a
+ * period starts with the last transition before the period, if there's one, which
+ * tells whether the validator was online at the start of the period. Times are in millis.
+ */
+
+/**
+ * The periods offline within `from` and `to`, oldest first, as `{ start, end, isOngoing }`.
+ * An outage that hasn't ended by `to` is ongoing and ends at `to`.
+ */
+function getOutages(history, from, to) {
+    const outages = [];
+    let outageStart = null;
+    for (let change of history) {
+        const time = change.date.getTime();
+        if (time > to) {
+            break;
+        }
+        if (!change.isOnline && outageStart === null) {
+            outageStart = Math.max(time, from);
+        } else if (change.isOnline && outageStart !== null) {
+            if (time > from) {
+                outages.push({ start: outageStart, end: time, isOngoing: false });
+            }
+            outageStart = null;
+        }
+    }
+    if (outageStart !== null) {
+        outages.push({ start: outageStart, end: to, isOngoing: true });
+    }
+    return outages;
+}
+
+/**
+ * When the recorded history starts within the period, `from` if it covers the whole period.
+ * Null when nothing is recorded by `to`.
+ */
+function getCoverageStart(history, from, to) {
+    if (history.length == 0 || history[0].date.getTime() > to) {
+        return null;
+    }
+    return Math.max(history[0].date.getTime(), from);
+}
+
+/**
+ * The percentage of the recorded part of the period that the validator was online,
+ * null without a record.
+ */
+function getAvailability(history, from, to) {
+    const start = getCoverageStart(history, from, to);
+    if (start === null || start >= to) {
+        return null;
+    }
+    const downtime = getOutages(history, start, to).reduce(
+        (sum, outage) => sum + outage.end - outage.start,
+        0
+    );
+    return 100 * (1 - downtime / (to - start));
+}
+
+module.exports = {
+    getOutages: getOutages,
+    getCoverageStart: getCoverageStart,
+    getAvailability: getAvailability
+};
@@ -0,0 +1,399 @@
+/**
+ * Charts drawn with D3 to SVG, and rendered to PNG in memory. A chart is described
+ * by a plain object, the layout is worked out from its labels:
+ *
+ * {
+ *     type: ChartType.BAR,
+ *     title: 'Monthly Staking Rewards',
+ *     theme: Theme.LIGHT,                          // optional
+ *     width: 1200, height: 600,                    // optional
+ *     series: [{ name, tone, points: [{ x, y, label }] }],
+ *     xAxis: { domain: [from, to], format },       // optional
+ *     yAxis: { title, domain, format, tickCount }, // optional
+ *     ranges: [{ from, to, tone }],                // shaded spans of time, optional
+ *     note: 'Total: 12.5000 KSM'                   // boxed at the top right, optional
+ * }
+ *
+ * The x values of a bar chart are its labels, in order. Line, step and timeline charts
+ * have dates on the x axis. A timeline has no series, only the ranges at full height.
+ * `label` is written over its bar or point, `tone` is one of the theme's tones.
+ */
+const D3Node = require('d3-node');
+const d3 = require('d3');
+const sharp = require('sharp');
+
+const ChartType = {
+    BAR: 'bar',
+    LINE: 'line',
+    STEP: 'step',
+    TIMELINE: 'timeline'
+};
+
+const Theme = {
+    LIGHT: {
+        fontFamily: 'DejaVuSans',
+        background: '#ffffff',
+        text: '#000000',
+        axis: '#000000',
+        grid: '#e6e6e6',
+        noteBorder: '#bbbbbb',
+        palette: ['#0f7e9b', '#e08a1e', '#6c4fb3', '#3b9c4a'],
+        tones: { positive: '#2e9e5b', negative: '#d9363e', neutral: '#9e9e9e' },
+        rangeOpacity: 0.2
+    },
+    DARK: {
+        fontFamily: 'DejaVuSans',
+        background: '#1e1f24',
+        text: '#e8e8e8',
+        axis: '#a0a0a0',
+        grid: '#34363d',
+        noteBorder: '#5a5c63',
+        palette: ['#3fb6d6', '#f2a541', '#a48ae6', '#6cc977'],
+        tones: { positive: '#3fbf74', negative: '#ef5a61', neutral: '#8a8a8a' },
+        rangeOpacity: 0.3
+    }
+};
+
+const fontSizes = {
+    title: 17,
+    note: 15,
+    legend: 13,
+    axisTitle: 13,
+    tick: 12,
+    label: 12
+};
+const padding = 20;
+// tick line and the gap to its label
+const tickSpace = 9;
+// DejaVu Sans glyphs are about this wide on average, relative to the font size
+const averageCharWidth = 0.62;
+const defaultWidth = 1200;
+const defaultHeight = 600;
+
+function getTextWidth(text, fontSize) {
+    return Math.ceil(String(text).length * fontSize * averageCharWidth);
+}
+
+const isTimeChart = chart => chart.type != ChartType.BAR;
+
+const getPoints = chart => (chart.series || []).reduce((points, series) => points.concat(series.points), []);
+
+function getBarLabels(chart) {
+    const labels = [];
+    for (let point of getPoints(chart)) {
+        if (!labels.includes(point.x)) {
+            labels.push(point.x);
+        }
+    }
+    return labels;
+}
+
+function getXDomain(chart) {
+    if (chart.xAxis && chart.xAxis.domain) {
+        return chart.xAxis.domain;
+    }
+    if (!isTimeChart(chart)) {
+        return getBarLabels(chart);
+    }
+    const dates = getPoints(chart).map(point => point.x);
+    for (let range of chart.ranges || []) {
+        dates.push(range.from, range.to);
+    }
+    return d3.extent(dates);
+}
+
+function getYScale(chart) {
+    const yAxis = chart.yAxis || {};
+    let domain = yAxis.domain;
+    if (!domain) {
+        const values = getPoints(chart).map(point => point.y);
+        const hasLabels = getPoints(chart).some(point => point.label !== undefined);
+        // headroom for the labels over the bars and points
+        const max = (d3.max(values) || 1) * (hasLabels ? 1.2 : 1);
+        domain = [Math.min(0, d3.min(values) || 0), max];
+    }
+    return d3.scaleLinear().domain(domain).nice(yAxis.tickCount || 10);
+}
+
+function getXTickFormat(chart) {
+    if (chart.xAxis && chart.xAxis.format) {
+        return chart.xAxis.format;
+    }
+    if (isTimeChart(chart)) {
+        // picks the unit by the interval of the ticks
+        return d3.scaleTime().domain(getXDomain(chart)).tickFormat();
+    }
+    return label => label;
+}
+
+const getYTickFormat = chart => (chart.yAxis && chart.yAxis.format) || d3.format(',');
+
+/**
+ * Margins around the plot area, from the widths of the tick labels, the title and
+ * the note, and whether the bar labels are rotated to fit under their bars.
+ */
+function getLayout(chart) {
+    const width = chart.width || defaultWidth;
+    const height = chart.height || defaultHeight;
+    const yAxis = chart.yAxis || {};
+    const hasYAxis = chart.type != ChartType.TIMELINE;
+    const hasHeaderRow = chart.note !== undefined || (chart.series || []).length > 1;
+    const margin = {
+        top: padding + fontSizes.title + (hasHeaderRow ? padding + fontSizes.note + 10 : 0) + padding,
+        right: padding,
+        bottom: padding,
+        left: padding
+    };
+    const xTickFormat = getXTickFormat(chart);
+    if (hasYAxis) {
+        const yScale = getYScale(chart);
+        const yTickFormat = getYTickFormat(chart);
+        const yTickLabelWidth = d3.max(
+            yScale.ticks(yAxis.tickCount || 10).map(tick => getTextWidth(yTickFormat(tick), fontSizes.tick))
+        );
+        margin.left += yTickLabelWidth + tickSpace;
+        if (yAxis.title) {
+            margin.left += fontSizes.axisTitle + 10;
+        }
+    }
+    let rotateXLabels = false;
+    let xTickLabelWidth;
+    if (isTimeChart(chart)) {
+        const xScale = d3.scaleTime().domain(getXDomain(chart));
+        xTickLabelWidth = d3.max(xScale.ticks(10).map(tick => getTextWidth(xTickFormat(tick), fontSizes.tick))) || 0;
+        // the first and last labels are centered on their ticks
+        margin.left = Math.max(margin.left, padding + xTickLabelWidth / 2);
+        margin.right += xTickLabelWidth / 2;
+    } else {
+        const labels = getXDomain(chart);
+        xTickLabelWidth = d3.max(labels.map(label => getTextWidth(xTickFormat(label), fontSizes.tick))) || 0;
+        const step = (width - margin.left - margin.right) / Math.max(1, labels.length);
+        rotateXLabels = xTickLabelWidth + 4 > step;
+    }
+    margin.bottom += tickSpace + (rotateXLabels ? Math.ceil(xTickLabelWidth * Math.SQRT1_2) : 0) + fontSizes.tick;
+    return { width: width, height: height, margin: margin, rotateXLabels: rotateXLabels };
+}
+
+function getToneColor(theme, tone, fallback) {
+    return (tone && theme.tones[tone]) || fallback;
+}
+
+function drawHeader(svg, chart, theme, layout) {
+    svg.append('text')
+        .attr('x', layout.width / 2)
+        .attr('y', padding + fontSizes.title)
+        .attr('text-anchor', 'middle')
+        .attr('font-family', theme.fontFamily)
+        .attr('font-size', `${fontSizes.title}px`)
+        .style('fill', theme.text)
+        .text(chart.title);
+    const rowY = padding * 2 + fontSizes.title;
+    if (chart.note !== undefined) {
+        const boxWidth = getTextWidth(chart.note, fontSizes.note) + 20;
+        const boxX = layout.width - layout.margin.right - boxWidth;
+        svg.append('rect')
+            .attr('x', boxX)
+            .attr('y', rowY)
+            .attr('width', boxWidth)
+            .attr('height', fontSizes.note + 12)
+            .style('fill', 'none')
+            .style('stroke', theme.noteBorder);
+        svg.append('text')
+            .attr('x', boxX + 10)
+            .attr('y', rowY + fontSizes.note + 3)
+            .attr('font-family', theme.fontFamily)
+            .attr('font-size', `${fontSizes.note}px`)
+            .style('fill', theme.text)
+            .text(chart.note);
+    }
+    const series = chart.series || [];
+    if (series.length > 1) {
+        let x = layout.margin.left;
+        series.forEach((item, index) => {
+            svg.append('rect')
+                .attr('x', x)
+                .attr('y', rowY + 3)
+                .attr('width', fontSizes.legend)
+                .attr('height', fontSizes.legend)
+                .style('fill', getToneColor(theme, item.tone, theme.palette[index % theme.palette.length]));
+            svg.append('text')
+                .attr('x', x + fontSizes.legend + 6)
+                .attr('y', rowY + fontSizes.legend + 1)
+                .attr('font-family', theme.fontFamily)
+                .attr('font-size', `${fontSizes.legend}px`)
+                .style('fill', theme.text)
+                .text(item.name);
+            x += fontSizes.legend + 6 + getTextWidth(item.name, fontSizes.legend) + padding;
+        });
+    }
+}
+
+function styleAxis(axis, theme) {
+    axis.selectAll('path, line').style('stroke', theme.axis);
+    axis.selectAll('text')
+        .attr('font-family', theme.fontFamily)
+        .attr('font-size', `${fontSizes.tick}px`)
+        .style('fill', theme.text);
+    return axis;
+}
+
+function drawLabels(svg, points, theme, getX, getY) {
+    svg.selectAll('text.label')
+        .data(points.filter(point => point.label !== undefined))
+        .enter().append('text')
+        .attr('class', 'label')
+        .attr('x', getX)
+        .attr('y', point => getY(point) - 8)
+        .attr('text-anchor', 'middle')
+        .attr('font-family', theme.fontFamily)
+        .attr('font-size', `${fontSizes.label}px`)
+        .style('fill', theme.text)
+        .text(point => point.label);
+}
+
+/**
+ * The chart as an SVG document.
+ */
+function renderSVG(chart) {
+    const theme = chart.theme || Theme.LIGHT;
+    const layout = getLayout(chart);
+    const { width, height, margin } = layout;
+    const d3n = new D3Node({
+        d3Module: d3,
+        selector: '#chart',
+        container: '<div id="container"><div id="chart"></div></div>'
+    });
+    const svg = d3n.createSVG(width, height);
+    svg.append('rect')
+        .attr('width', '100%')
+        .attr('height', '100%')
+        .style('fill', theme.background);
+    drawHeader(svg, chart, theme, layout);
+
+    const plotLeft = margin.left;
+    const plotRight = width - margin.right;
+    const plotTop = margin.top;
+    const plotBottom = height - margin.bottom;
+    const series = chart.series || [];
+    const seriesColor = (item, index) => getToneColor(theme, item.tone, theme.palette[index % theme.palette.length]);
+    const xScale = isTimeChart(chart)
+        ? d3.scaleTime().domain(getXDomain(chart)).range([plotLeft, plotRight])
+        : d3.scaleBand().domain(getXDomain(chart)).range([plotLeft, plotRight]).padding(0.1);
+    let yScale = null;
+    if (chart.type != ChartType.TIMELINE) {
+        const yAxis = chart.yAxis || {};
+        const tickCount = yAxis.tickCount || 10;
+        yScale = getYScale(chart).range([plotBottom, plotTop]);
+        // grid
+        svg.append('g')
+            .selectAll('line')
+            .data(yScale.ticks(tickCount))
+            .enter().append('line')
+            .attr('x1', plotLeft)
+            .attr('x2', plotRight)
+            .attr('y1', tick => yScale(tick))
+            .attr('y2', tick => yScale(tick))
+            .style('stroke', theme.grid);
+        styleAxis(
+            svg.append('g')
+                .attr('transform', `translate(${plotLeft}, 0)`)
+                .call(d3.axisLeft(yScale).ticks(tickCount).tickFormat(getYTickFormat(chart))),
+            theme
+        );
+        if (yAxis.title) {
+            svg.append('text')
+                .attr('transform', 'rotate(-90)')
+                .attr('x', -(plotTop + plotBottom) / 2)
+                .attr('y', padding + fontSizes.axisTitle)
+                .attr('text-anchor', 'middle')
+                .attr('font-family', theme.fontFamily)
+                .attr('font-size', `${fontSizes.axisTitle}px`)
+                .style('fill', theme.text)
+                .text(yAxis.title);
+        }
+    }
+    // ranges
+    const rangeOpacity = chart.type == ChartType.TIMELINE ? 1 : theme.rangeOpacity;
+    svg.selectAll('rect.range')
+        .data(chart.ranges || [])
+        .enter().append('rect')
+        .attr('class', 'range')
+        .attr('x', range => xScale(range.from))
+        .attr('y', plotTop)
+        .attr('width', range => Math.max(1, xScale(range.to) - xScale(range.from)))
+        .attr('height', plotBottom - plotTop)
+        .style('fill', range => getToneColor(theme, range.tone, theme.tones.neutral))
+        .style('opacity', rangeOpacity);
+    // series
+    if (chart.type == ChartType.BAR) {
+        const seriesScale = d3.scaleBand()
+            .domain(series.map((item, index) => index))
+            .range([0, xScale.bandwidth()]);
+        series.forEach((item, index) => {
+            const getX = point => xScale(point.x) + seriesScale(index);
+            svg.selectAll(`rect.bar-${index}`)
+                .data(item.points)
+                .enter().append('rect')
+                .attr('class', `bar-${index}`)
+                .attr('x', getX)
+                .attr('y', point => yScale(Math.max(0, point.y)))
+                .attr('width', seriesScale.bandwidth())
+                .attr('height', point => Math.abs(yScale(point.y) - yScale(0)))
+                .style('fill', seriesColor(item, index));
+            drawLabels(
+                svg, item.points, theme,
+                point => getX(point) + seriesScale.bandwidth() / 2,
+                point => yScale(Math.max(0, point.y))
+            );
+        });
+    } else if (chart.type != ChartType.TIMELINE) {
+        const curve = chart.type == ChartType.STEP ? d3.curveStepAfter : d3.curveLinear;
+        series.forEach((item, index) => {
+            svg.append('path')
+                .datum(item.points)
+                .attr('fill', 'none')
+                .attr('stroke', seriesColor(item, index))
+                .attr('stroke-width', 2)
+                .attr('d', d3.line()
+                    .curve(curve)
+                    .x(point => xScale(point.x))
+                    .y(point => yScale(point.y))
+                );
+            drawLabels(svg, item.points, theme, point => xScale(point.x), point => yScale(point.y));
+        });
+    }
+    // x axis
+    const xAxis = d3.axisBottom(xScale).tickFormat(getXTickFormat(chart));
+    if (isTimeChart(chart)) {
+        xAxis.ticks(10);
+    }
+    const xAxisGroup = styleAxis(
+        svg.append('g')
+            .attr('transform', `translate(0, ${plotBottom})`)
+            .call(xAxis),
+        theme
+    );
+    if (layout.rotateXLabels) {
+        xAxisGroup.selectAll('text')
+            .attr('transform', 'rotate(-45)')
+            .style('text-anchor', 'end')
+            .attr('dx', '-.6em')
+            .attr('dy', '.15em');
+    }
+    return d3n.svgString();
+}
+
+/**
+ * The chart as a PNG image buffer.
+ */
+async function renderPNG(chart) {
+    return await sharp(Buffer.from(renderSVG(chart))).png().toBuffer();
+}
+
+module.exports = {
+    ChartType: ChartType,
+    Theme: Theme,
+    getLayout: getLayout,
+    renderSVG: renderSVG,
+    renderPNG: renderPNG
+};
@@ -0,0 +1,136 @@
+/**
+ * Chat timezones and quiet hours. Quiet hours are `{ startMins, endMins }`, minutes of the day
+ * in the chat's timezone, and may span midnight, e.g. 23:00-07:00.
+ */
+const moment = require('moment-timezone');
+
+const defaultTimezone = 'UTC';
+
+function getChatTimezone(chat) {
+    return (chat && chat.timezone) ? chat.timezone : defaultTimezone;
+}
+
+/**
+ * The canonical name of the IANA timezone, e.g. `Europe/Istanbul` for `europe/istanbul`.
+ * Null if there's no such timezone.
+ */
+function getTimezoneName(name) {
+    const zone = moment.tz.zone(name);
+    return zone ? zone.name : null;
+}
+
+function parseTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+    if (!match) {
+        return null;
+    }
+    const hours = parseInt(match[1]);
+    const mins = parseInt(match[2]);
+    if (hours > 23 || mins > 59) {
+        return null;
+    }
+    return hours * 60 + mins;
+}
+
+/**
+ * Parses quiet hours in the `HH:mm-HH:mm` format, null if invalid.
+ */
+function parseQuietHours(text) {
+    const times = text.split('-').map(time => parseTime(time.trim()));
+    if (times.length != 2 || times[0] === null || times[1] === null || times[0] == times[1]) {
+        return null;
+    }
+    return {
+        startMins: times[0],
+        endMins: times[1]
+    };
+}
+
+function formatTime(mins) {
+    return `${Math.floor(mins / 60).toString().padStart(2, '0')}:${(mins % 60).toString().padStart(2, '0')}`;
+}
+
+function formatQuietHours(quietHours) {
+    return `${formatTime(quietHours.startMins)}-${formatTime(quietHours.endMins)}`;
+}
+
+function isInQuietHours(chat, date) {
+    if (!chat || !chat.quietHours) {
+        return false;
+    }
+    const time = moment.tz(date, getChatTimezone(chat));
+    const mins = time.hours() * 60 + time.minutes();
+    const { startMins, endMins } = chat.quietHours;
+    if (startMins < endMins) {
+        return mins >= startMins && mins < endMins;
+    }
+    // spans midnight
+    return mins >= startMins || mins < endMins;
+}
+
+/**
+ * Formats the date for display in the chat's timezone.
+ */
+function formatDate(date, timezone) {
+    return moment.tz(date, timezone || defaultTimezone).format('MMMM Do YYYY, HH:mm:ss');
+}
+
+/**
+ * e.g. `Aug 22`, in the chat's timezone.
+ */
+function formatMonth(date, timezone) {
+    return moment.tz(date, timezone || defaultTimezone).format('MMM YY');
+}
+
+/**
+ * e.g. `America/New York`, without the underscores that Markdown would take for italics.
+ */
+function formatTimezone(timezone) {
+    return timezone.replace(/_/g, ' ');
+}
+
+/**
+ * e.g. `Aug 10`, in the chat's timezone.
+ */
+function formatDay(date, timezone) {
+    return moment.tz(date, timezone || defaultTimezone).format('MMM D');
+}
+
+function formatTimeOfDay(date, timezone) {
+    return moment.tz(date, timezone || defaultTimezone).format('HH:mm');
+}
+
+/**
+ * e.g. `1 day 2 hours 5 minutes`, down to the minute.
+ */
+function formatDuration(millis) {
+    const totalMins = Math.floor(millis / (60 * 1000));
+    if (totalMins < 1) {
+        return 'less than a minute';
+    }
+    const parts = [];
+    const addPart = (count, unit) => {
+        if (count > 0) {
+            parts.push(`${count} ${unit}${count > 1 ? 's' : ''}`);
+        }
+    };
+    addPart(Math.floor(totalMins / (24 * 60)), 'day');
+    addPart(Math.floor(totalMins / 60) % 24, 'hour');
+    addPart(totalMins % 60, 'minute');
+    return parts.join(' ');
+}
+
+module.exports = {
+    defaultTimezone: defaultTimezone,
+    getChatTimezone: getChatTimezone,
+    getTimezoneName: getTimezoneName,
+    parseQuietHours: parseQuietHours,
+    formatQuietHours: formatQuietHours,
+    isInQuietHours: isInQuietHours,
+    formatDate: formatDate,
+    formatMonth: formatMonth,
+    formatDay: formatDay,
+    formatTimeOfDay: formatTimeOfDay,
+    formatDuration: formatDuration,
+    formatTimezone: formatTimezone
+};
@@ -1,67 +1,178 @@
 require('dotenv').config();
+const path = require('path');
 const args = require('yargs').argv;
 
 const logger = require('./logging');
-
-const kusamaEraLengthMins = 360;
-const kusamaSessionLengthMins = 60;
-const polkadotEraLengthMins = 1440;
-const polkadotSessionLengthMins = 240;
+const NetworkProfiles = require('./network-profiles');
 
 const config = {
-    version: '1.5.2',
+    version: '1.6.0',
     sendReleaseNotes: true,
     mongoDBConnectionURL: process.env.MONGODB_CONNECTION_URL,
     dbName: process.env.DB_NAME,
-    tempFileDir: process.env.TEMP_FILE_DIR,
+    // local CSV or JSON file of the daily token prices for the fiat values of the rewards
+    priceFilePath: process.env.PRICE_FILE_PATH,
+    fiatCurrency: process.env.FIAT_CURRENCY || 'USD',
     telegramBotAuthKey: process.env.TELEGRAM_BOT_AUTH_KEY,
     telegramBotUsername: process.env.TELEGRAM_BOT_USERNAME,
-    // these fields get populated by the runtime config below
-    networkName: '',
-    network1KVInfoURL: '',
-    rpcURL: '',
-    w3fBaseURL: '',
-    eraLengthMins: 0,
-    sessionLengthMins: 0,
+    // e.g. a local Bot API server, or the fake one in mock/telegram-bot-api.js
+    telegramBotAPIBaseURL: process.env.TELEGRAM_BOT_API_BASE_URL || 'https://api.telegram.org',
+    // 'polling' for getUpdates long polling, or 'webhook' to receive updates over HTTP
+    telegramUpdateMode: process.env.TELEGRAM_UPDATE_MODE || 'polling',
+    // public HTTPS URL that Telegram posts the updates to, e.g. behind a reverse proxy
+    telegramWebhookURL: process.env.TELEGRAM_WEBHOOK_URL,
+    // sent by Telegram in the X-Telegram-Bot-Api-Secret-Token header of every update
+    telegramWebhookSecretToken: process.env.TELEGRAM_WEBHOOK_SECRET_TOKEN,
+    // local listener for the webhook updates
+    telegramWebhookHost: process.env.TELEGRAM_WEBHOOK_HOST || '127.0.0.1',
+    telegramWebhookPort: parseInt(process.env.TELEGRAM_WEBHOOK_PORT || '8443'),
+    telegramWebhookPath: process.env.TELEGRAM_WEBHOOK_PATH || '/telegram/webhook',
+    // chats that can use the admin commands, e.g. /rpcstatus
+    adminChatIds: (process.env.ADMIN_CHAT_IDS || '').split(',')
+        .map(chatId => parseInt(chatId.trim()))
+        .filter(chatId => !isNaN(chatId)),
+    // network profile file or directory, the bundled profiles by default
+    networkProfilePath: process.env.NETWORK_PROFILE_PATH || path.join(__dirname, '..', 'networks'),
+    // populated by the runtime config below, one entry per network
+    networks: [],
     approximateBlockTimeSecs: 6,
-    oneKVUpdatePeriodMins: 7,
     oneKVTimeoutMillis: 4000,
-    // different for Kusama and Polkadot,
-    // will be fetched at startup
-    tokenSymbol: null,
-    tokenDecimals: 10
+    // outbound message queue, Telegram allows about 30 messages per second in total,
+    // about one per second to a private chat and 20 per minute to a group
+    outboundMessagesPerSecond: 25,
+    outboundChatIntervalMillis: 1000,
+    outboundGroupChatIntervalMillis: 3000,
+    // failed deliveries are retried with exponential backoff, then dead-lettered
+    outboundMaxAttempts: 8,
+    outboundRetryBaseDelayMillis: 2000,
+    outboundRetryMaxDelayMillis: 10 * 60 * 1000,
+    outboundPollMillis: 30000,
+    // finalized blocks missed while the bot was down are processed this many at a time,
+    // up to a day's worth of blocks, the older ones are skipped
+    blockProcessingConcurrency: 4,
+    maxBlockCatchUpCount: 14400,
+    // a block that keeps failing, e.g. pruned state on the node, is skipped after this many
+    // attempts, one per new finalized head, so that it doesn't hold up the later blocks
+    maxBlockAttemptCount: 10,
+    // RPC endpoint health, the connection switches to another endpoint when the active one
+    // has had no finalized head for the stall threshold, or too many errors in the error window
+    rpcHealthCheckIntervalMillis: 30000,
+    rpcStallThresholdMillis: 2 * 60 * 1000,
+    rpcErrorWindowMillis: 5 * 60 * 1000,
+    rpcMaxErrorCount: 5,
+    rpcConnectTimeoutMillis: 30000,
+    // active validators without an imOnline heartbeat or an authored block by this part of
+    // the session are alerted, while there's still time to avoid the offline offence
+    heartbeatCheckSessionFraction: 0.6,
+    // validators with era points under this fraction of the median of the active set are alerted
+    eraPointsAlertFraction: 0.5
 };
 
+/**
+ * Creates the runtime network from a validated profile. Token symbol and
+ * decimals are fetched from the chain at startup unless overridden by the profile.
+ * Each network keeps its validator data in its own database. A single network
+ * uses the main database, so that single-network deployments keep their data.
+ */
+function createNetwork(profile, isSingleNetwork) {
+    let dbName = profile.dbName;
+    if (!dbName) {
+        dbName = isSingleNetwork ? config.dbName : `${config.dbName}_${profile.key}`;
+    }
+    return {
+        key: profile.key,
+        name: profile.name,
+        network1KVInfoURL: profile.network1KVInfoURL || '',
+        // the first endpoint is used first, the others are switched to when it's unhealthy
+        rpcURLs: [].concat(profile.rpcURL),
+        w3fBaseURL: profile.w3fBaseURL,
+        explorerURL: profile.explorerURL,
+        ss58Prefix: profile.ss58Prefix,
+        eraLengthMins: profile.eraLengthMins,
+        sessionLengthMins: profile.sessionLengthMins,
+        oneKVUpdatePeriodMins: profile.oneKVUpdatePeriodMins || 7,
+        exampleAddress: profile.exampleAddress,
+        migrationTargetChat: profile.migrationTargetChat,
+        dbName: dbName,
+        tokenSymbol: profile.tokenSymbol || null,
+        tokenDecimals: (typeof profile.tokenDecimals !== 'undefined') ? profile.tokenDecimals : 10,
+        profile: profile
+    };
+}
+
+/**
+ * Checks the Telegram update mode options, returns the error message if they're invalid.
+ */
+function validateTelegramUpdateMode() {
+    if (config.telegramUpdateMode == 'polling') {
+        return null;
+    }
+    if (config.telegramUpdateMode != 'webhook') {
+        return `Unknown Telegram update mode "${config.telegramUpdateMode}", should be "polling" or "webhook".`;
+    }
+    if (!/^https:\/\/\S+$/.test(config.telegramWebhookURL || '')) {
+        return 'Webhook mode needs an HTTPS TELEGRAM_WEBHOOK_URL.';
+    }
+    // Telegram accepts 1-256 characters A-Z, a-z, 0-9, _ and -
+    if (!/^[A-Za-z0-9_-]{1,256}$/.test(config.telegramWebhookSecretToken || '')) {
+        return 'Webhook mode needs a TELEGRAM_WEBHOOK_SECRET_TOKEN of 1-256 characters A-Z, a-z, 0-9, _ and -.';
+    }
+    if (!Number.isInteger(config.telegramWebhookPort)
+            || config.telegramWebhookPort < 1
+            || config.telegramWebhookPort > 65535) {
+        return 'Invalid TELEGRAM_WEBHOOK_PORT.';
+    }
+    if (!config.telegramWebhookPath.startsWith('/')) {
+        return 'TELEGRAM_WEBHOOK_PATH should start with a /.';
+    }
+    return null;
+}
+
 const configure = () => {
-    if (!args.network) {
-        logger.error(`Please provide the network argument (e.g. --network=kusama).`);
+    if (args['telegram-update-mode']) {
+        config.telegramUpdateMode = args['telegram-update-mode'];
+    }
+    const updateModeError = validateTelegramUpdateMode();
+    if (updateModeError) {
+        logger.error(`${updateModeError} Exiting.`);
         return false;
-    } else if (args.network.toLowerCase() == 'polkadot') {
-        logger.info('Configuring for Polkadot.');
-        config.networkName = 'Polkadot';
-        config.network1KVInfoURL = 'https://polkadot.network/supporting-decentralization-join-the-polkadot-thousand-validators-programme/';
-        config.rpcURL = process.env.POLKADOT_RPC_URL;
-        config.w3fBaseURL = process.env.POLKADOT_W3F_BASE_URL;
-        config.eraLengthMins = polkadotEraLengthMins;
-        config.sessionLengthMins = polkadotSessionLengthMins;
-        config.oneKVUpdatePeriodMins = 5;
-    } else if (args.network.toLowerCase() == 'kusama') {
-        logger.info('Configuring for Kusama.');
-        config.networkName = 'Kusama';
-        config.network1KVInfoURL = 'https://polkadot.network/join-kusamas-thousand-validators-programme';
-        config.rpcURL = process.env.KUSAMA_RPC_URL;
-        config.w3fBaseURL = process.env.KUSAMA_W3F_BASE_URL;
-        config.eraLengthMins = kusamaEraLengthMins;
-        config.sessionLengthMins = kusamaSessionLengthMins;
-        config.oneKVUpdatePeriodMins = 7;
-    } else {
-        logger.error(`Unknown network ${args.network}. Exiting.`);
+    }
+    const networkArg = args.network || process.env.NETWORK;
+    if (!networkArg) {
+        logger.error(`Please provide the network argument (e.g. --network=kusama or --network=kusama,polkadot).`);
         return false;
     }
+    const profilePath = args['network-profile-path'] || config.networkProfilePath;
+    const keys = `${networkArg}`.split(',').map(key => key.trim().toLowerCase()).filter(key => key.length > 0);
+    const profiles = [];
+    try {
+        for (let key of keys) {
+            if (profiles.find(profile => profile.key == key)) {
+                throw new Error(`Network "${key}" is given more than once.`);
+            }
+            profiles.push(NetworkProfiles.loadProfile(profilePath, key));
+        }
+        NetworkProfiles.validateProfileSet(profiles);
+    } catch (error) {
+        logger.error(`${error.message} Exiting.`);
+        return false;
+    }
+    config.networks = profiles.map(profile => {
+        logger.info(`Configuring for ${profile.name} from ${profile.sourceFilePath}.`);
+        return createNetwork(profile, profiles.length == 1);
+    });
     return true;
 }
 
+/**
+ * Returns the configured network with the given key, undefined if there's none.
+ */
+const getNetwork = (key) => {
+    return config.networks.find(network => network.key == key);
+}
+
 module.exports = {
     configure: configure,
-    config: config
+    config: config,
+    getNetwork: getNetwork
 }
\ No newline at end of file
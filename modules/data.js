@@ -1,12 +1,14 @@
 /**
- * Database and Polkadot API access module..
+ * Database and Polkadot API access module.
  */
 const fetch = require('node-fetch');
 const logger = require('./logging');
 const config = require('./config').config;
+const getNetwork = require('./config').getNetwork;
 
 const MongoDB = require('./mongodb');
 const Long = require('mongodb').Long;
+const ObjectID = require('mongodb').ObjectID;
 const Polkadot = require('./polkadot');
 
 let telegramConfig;
@@ -18,15 +20,26 @@ const ChatState = {
     VALIDATOR_INFO: 'VALIDATOR_INFO',
     STAKING_INFO_LOADING: 'STAKING_INFO_LOADING',
     STAKING_INFO_SELECT_VALIDATOR: 'STAKING_INFO_SELECT_VALIDATOR',
-    REWARDS_ENTER_ADDRESS: 'REWARDS_ENTER_ADDRESS'
+    REWARDS_ENTER_ADDRESS: 'REWARDS_ENTER_ADDRESS',
+    UPTIME_SELECT_VALIDATOR: 'UPTIME_SELECT_VALIDATOR',
+    RANK_HISTORY_SELECT_VALIDATOR: 'RANK_HISTORY_SELECT_VALIDATOR',
+    RANK_HISTORY_WITH_VALIDITY_SELECT_VALIDATOR: 'RANK_HISTORY_WITH_VALIDITY_SELECT_VALIDATOR',
+    POINTS_SELECT_VALIDATOR: 'POINTS_SELECT_VALIDATOR'
 };
 
-const BlockNotificationPeriod = { // in minutes
+// notification delivery periods, the ones other than off and immediate send a digest
+const NotificationPeriod = { // in minutes, era-relative ones are negative
     OFF: -1,
     IMMEDIATE: 0,
     HOURLY: 60,
-    HALF_ERA: config.eraLengthMins / 2,
-    ERA_END: config.eraLengthMins
+    // half era and era end depend on the era length of the validator's network
+    HALF_ERA: -2,
+    ERA_END: -3
+};
+
+const OutboundMessageStatus = {
+    PENDING: 'PENDING',
+    SENDING: 'SENDING'
 };
 
 const UnclaimedPayoutNotificationPeriod = { // in eras
@@ -36,21 +49,71 @@ const UnclaimedPayoutNotificationPeriod = { // in eras
     FOUR_ERAS: 4
 };
 
-async function start(onFinalizedBlock, onNewEra) {
+// how often the chat is alerted again while a validator stays offline
+const OfflineAlertRepeatPeriod = { // in minutes
+    OFF: -1,
+    HALF_HOUR: 30,
+    HOURLY: 60,
+    THREE_HOURS: 180
+};
+
+// notification types that can be sent immediately or in a digest
+const NotificationType = {
+    BLOCK_AUTHORSHIP: 'blockAuthorship',
+    NOMINATION: 'nomination',
+    CHILLING: 'chilling',
+    RANK_CHANGE: 'rankChange',
+    COMMISSION_CHANGE: 'commissionChange',
+    NOMINATOR_CHANGE: 'nominatorChange'
+};
+
+// the chat notification setting for the period of each notification type
+const NotificationPeriodSettingNames = {
+    blockAuthorship: 'blockNotificationPeriod',
+    nomination: 'nominationNotificationPeriod',
+    chilling: 'chillingNotificationPeriod',
+    rankChange: 'rankChangeNotificationPeriod',
+    commissionChange: 'commissionChangeNotificationPeriod',
+    nominatorChange: 'nominatorChangeNotificationPeriod'
+};
+
+// chat notification settings, each can be overridden per validator
+const NotificationSettingNames = [
+    'blockNotificationPeriod',
+    'nominationNotificationPeriod',
+    'chillingNotificationPeriod',
+    'rankChangeNotificationPeriod',
+    'commissionChangeNotificationPeriod',
+    'nominatorChangeNotificationPeriod',
+    'unclaimedPayoutNotificationPeriod',
+    'offlineAlertRepeatPeriod',
+    'sendNewNominationNotifications',
+    'sendChillingEventNotifications',
+    'sendOfflineEventNotifications',
+    'sendOffenceNotifications',
+    'sendNominatorChangeNotifications',
+    'sendEraPointsNotifications',
+    'sendValidatorChangeNotifications'
+];
+
+async function start(onFinalizedBlock, onNewEra, onHeartbeatCheck) {
     logger.info(`Get MongoDB connection.`);
     await MongoDB.connectMongoDB();
     await migrate(config.version);
-    // logger.info(`Get ${config.networkName} RPC connection.`);
-    // deprecate
-    // await Polkadot.connectPolkadot(onFinalizedBlock, onNewEra);
+    for (let network of config.networks) {
+        logger.info(`Get ${network.name} RPC connection.`);
+        await Polkadot.connectPolkadot(network, onFinalizedBlock, onNewEra, onHeartbeatCheck);
+    }
     telegramConfig = await initTelegram();
 }
 
 async function stop() {
     logger.info(`Close MongoDB connection.`);
     await MongoDB.disconnectMongoDB();
-    logger.info(`Close ${config.networkName} RPC connection.`);
-    await Polkadot.disconnectPolkadot();
+    for (let network of config.networks) {
+        logger.info(`Close ${network.name} RPC connection.`);
+        await Polkadot.disconnectPolkadot(network);
+    }
 }
 
 async function initTelegram() {
@@ -81,13 +144,15 @@ async function migrate(version) {
         }
     } else if (version == '1.3.1') {
         logger.info('Migrating for version 1.3.1.');
-        const validators = await getAllValidators();
-        for (let validator of validators) {
-            if (!validator.hasOwnProperty('isValid')) {
-                await updateValidatorValidity(
-                    validator,
-                    validator.invalidityReasons.trim().length == 0
-                );
+        for (let network of config.networks) {
+            const validators = await getAllValidators(network);
+            for (let validator of validators) {
+                if (!validator.hasOwnProperty('isValid')) {
+                    await updateValidatorValidity(
+                        validator,
+                        validator.invalidityReasons.trim().length == 0
+                    );
+                }
             }
         }
     } else if (version == '1.4.0') {
@@ -103,6 +168,80 @@ async function migrate(version) {
                 await setChatSendOfflineEventNotifications(chat.chatId, true);
             }
         }
+    } else if (version == '1.6.0') {
+        logger.info('Migrating for version 1.6.0.');
+        for (let network of config.networks) {
+            // validators are tagged with their network
+            const validatorCollection = await MongoDB.getValidatorCollection(network);
+            await validatorCollection.updateMany(
+                { networkKey: { $exists: false } },
+                { $set: { networkKey: network.key } }
+            );
+            // half era and era end block notification periods used to be stored in minutes
+            const chatCollection = await MongoDB.getChatCollection();
+            const halfEraMins = Math.floor(network.eraLengthMins / 2);
+            if (halfEraMins > NotificationPeriod.HOURLY) {
+                await chatCollection.updateMany(
+                    { blockNotificationPeriod: halfEraMins },
+                    { $set: { blockNotificationPeriod: NotificationPeriod.HALF_ERA } }
+                );
+            }
+            if (network.eraLengthMins > NotificationPeriod.HOURLY) {
+                await chatCollection.updateMany(
+                    { blockNotificationPeriod: network.eraLengthMins },
+                    { $set: { blockNotificationPeriod: NotificationPeriod.ERA_END } }
+                );
+            }
+            // pending block notifications are now pending notifications of the block authorship type
+            const blockNotificationCollection = await MongoDB.getPendingBlockNotificationCollection(network);
+            const pendingNotificationCollection = await MongoDB.getPendingNotificationCollection(network);
+            for (let blockNotification of await blockNotificationCollection.find({}).toArray()) {
+                for (let blockNumber of blockNotification.blockNumbers) {
+                    await pendingNotificationCollection.insertOne({
+                        chatId: blockNotification.chatId,
+                        stashAddress: blockNotification.stashAddress,
+                        type: NotificationType.BLOCK_AUTHORSHIP,
+                        data: { blockNumber: blockNumber },
+                        createdAt: new Date()
+                    });
+                }
+                await blockNotificationCollection.deleteOne({ _id: blockNotification._id });
+            }
+        }
+        // the notification types other than block authorship used to be sent immediately
+        const chatCollection = await MongoDB.getChatCollection();
+        for (let type of Object.keys(NotificationPeriodSettingNames)) {
+            const name = NotificationPeriodSettingNames[type];
+            await chatCollection.updateMany(
+                { [name]: { $exists: false } },
+                { $set: { [name]: NotificationPeriod.IMMEDIATE } }
+            );
+        }
+        // offline alerts used to be sent once
+        await chatCollection.updateMany(
+            { offlineAlertRepeatPeriod: { $exists: false } },
+            { $set: { offlineAlertRepeatPeriod: OfflineAlertRepeatPeriod.HOURLY } }
+        );
+        // nominators leaving or reducing their stake are notified since 1.6.0
+        await chatCollection.updateMany(
+            { sendNominatorChangeNotifications: { $exists: false } },
+            { $set: { sendNominatorChangeNotifications: true } }
+        );
+        // offences and slashes other than the offline offence are notified since 1.6.0
+        await chatCollection.updateMany(
+            { sendOffenceNotifications: { $exists: false } },
+            { $set: { sendOffenceNotifications: true } }
+        );
+        // validators far below the era points of their peers are notified since 1.6.0
+        await chatCollection.updateMany(
+            { sendEraPointsNotifications: { $exists: false } },
+            { $set: { sendEraPointsNotifications: true } }
+        );
+        // session key, controller and bond changes are notified as they're made on chain since 1.6.0
+        await chatCollection.updateMany(
+            { sendValidatorChangeNotifications: { $exists: false } },
+            { $set: { sendValidatorChangeNotifications: true } }
+        );
     }
 }
 
@@ -139,6 +278,28 @@ async function setChatState(chatId, state) {
     );
 }
 
+/**
+ * Options of the rewards report while the address is being selected, see the `rewards-report` module.
+ */
+async function setChatRewardsReportOptions(chatId, options) {
+    let chatCollection = await MongoDB.getChatCollection();
+    await chatCollection.updateOne(
+        { chatId: chatId },
+        { $set: { rewardsReportOptions: options } }
+    );
+}
+
+/**
+ * Number of eras the /points command lists, kept while the validator is being selected.
+ */
+async function setChatPointsEraCount(chatId, eraCount) {
+    let chatCollection = await MongoDB.getChatCollection();
+    await chatCollection.updateOne(
+        { chatId: chatId },
+        { $set: { pointsEraCount: eraCount } }
+    );
+}
+
 async function setChatVersion(chatId, version) {
     let chatCollection = await MongoDB.getChatCollection();
     await chatCollection.updateOne(
@@ -152,22 +313,34 @@ async function createChat(chatId) {
     const chat = {
         chatId: Long.fromNumber(chatId),
         state: ChatState.IDLE,
-        blockNotificationPeriod: Math.floor(BlockNotificationPeriod.HOURLY),
+        blockNotificationPeriod: Math.floor(NotificationPeriod.HOURLY),
+        nominationNotificationPeriod: Math.floor(NotificationPeriod.IMMEDIATE),
+        chillingNotificationPeriod: Math.floor(NotificationPeriod.IMMEDIATE),
+        rankChangeNotificationPeriod: Math.floor(NotificationPeriod.IMMEDIATE),
+        commissionChangeNotificationPeriod: Math.floor(NotificationPeriod.IMMEDIATE),
+        nominatorChangeNotificationPeriod: Math.floor(NotificationPeriod.IMMEDIATE),
         unclaimedPayoutNotificationPeriod: Math.floor(UnclaimedPayoutNotificationPeriod.EVERY_ERA),
+        offlineAlertRepeatPeriod: Math.floor(OfflineAlertRepeatPeriod.HOURLY),
         sendNewNominationNotifications: true,
         sendChillingEventNotifications: true,
         sendOfflineEventNotifications: true,
+        sendOffenceNotifications: true,
+        sendNominatorChangeNotifications: true,
+        sendEraPointsNotifications: true,
+        sendValidatorChangeNotifications: true,
+        timezone: 'UTC',
+        quietHours: null,
         version: config.version
     };
     await chatCollection.insertOne(chat);
     return await getChatById(chatId);
 }
 
-async function saveRewards(rewards) {
+async function saveRewards(network, rewards) {
     if (!rewards || !rewards.length || rewards.length < 1) {
         return;
     }
-    let rewardCollection = await MongoDB.getRewardCollection();
+    let rewardCollection = await MongoDB.getRewardCollection(network);
     let result = await rewardCollection.insertMany(rewards);
     return result.result.ok == 1;
 }
@@ -175,15 +348,23 @@ async function saveRewards(rewards) {
 async function deleteChat(chatId) {
     let chatCollection = await MongoDB.getChatCollection();
     const result = await chatCollection.deleteOne({chatId: chatId});
+    const settingsCollection = await MongoDB.getValidatorNotificationSettingsCollection();
+    await settingsCollection.deleteMany({chatId: chatId});
+    const ruleCollection = await MongoDB.getNotificationRuleCollection();
+    await ruleCollection.deleteMany({chatId: chatId});
+    const heldNotificationCollection = await MongoDB.getHeldNotificationCollection();
+    await heldNotificationCollection.deleteMany({chatId: chatId});
+    const incidentCollection = await MongoDB.getOfflineIncidentCollection();
+    await incidentCollection.deleteMany({chatId: chatId});
     return result.result.ok && result.result.n == 1;
 }
 
-async function fetchValidator(stashAddress) {
-    logger.info(`Will fetch validator info for ${stashAddress}.`);
+async function fetchValidator(network, stashAddress) {
+    logger.info(`Will fetch ${network.name} validator info for ${stashAddress}.`);
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), config.oneKVTimeoutMillis);
     const response = await fetch(
-        config.w3fBaseURL + '/candidate/' + stashAddress,
+        network.w3fBaseURL + '/candidate/' + stashAddress,
         { signal: controller.signal }
     );
     clearTimeout(timeoutId);
@@ -194,11 +375,11 @@ async function fetchValidator(stashAddress) {
         w3fValidator.isValid = w3fValidator.validityItems.reduce(
             (sum, next) => sum && next.valid, true
         );
-        w3fValidator.isActiveInSet = await Polkadot.getIsActiveInSet(stashAddress);
-        let commission = await Polkadot.getCommission(stashAddress);
+        w3fValidator.isActiveInSet = await Polkadot.getIsActiveInSet(network, stashAddress);
+        let commission = await Polkadot.getCommission(network, stashAddress);
         w3fValidator.commission = `${commission}`;
-        w3fValidator.sessionKeys = await Polkadot.getSessionKeys(stashAddress);
-        w3fValidator.controllerAddress = await Polkadot.getControllerAddress(stashAddress);
+        w3fValidator.sessionKeys = await Polkadot.getSessionKeys(network, stashAddress);
+        w3fValidator.controllerAddress = await Polkadot.getControllerAddress(network, stashAddress);
         return {
             validator: w3fValidator,
             status: response.status
@@ -209,7 +390,7 @@ async function fetchValidator(stashAddress) {
 }
 
 async function updateValidator(validator, updates) {
-    let validatorCollection = await MongoDB.getValidatorCollection();
+    let validatorCollection = await MongoDB.getValidatorCollection(getNetwork(validator.networkKey));
     updates.lastUpdated = new Date();
     return await validatorCollection.updateOne(
         { stashAddress: validator.stashAddress },
@@ -218,7 +399,7 @@ async function updateValidator(validator, updates) {
 }
 
 async function updateValidatorVersion(validator, version) {
-    let validatorCollection = await MongoDB.getValidatorCollection();
+    let validatorCollection = await MongoDB.getValidatorCollection(getNetwork(validator.networkKey));
     return await validatorCollection.updateOne(
         { stashAddress: validator.stashAddress },
         { $set: { version: version } }
@@ -226,15 +407,16 @@ async function updateValidatorVersion(validator, version) {
 }
 
 async function updateValidatorValidity(validator, isValid) {
-    let validatorCollection = await MongoDB.getValidatorCollection();
+    let validatorCollection = await MongoDB.getValidatorCollection(getNetwork(validator.networkKey));
     return await validatorCollection.updateOne(
         { stashAddress: validator.stashAddress },
         { $set: { isValid: isValid } }
     );
 }
 
-async function persistValidator(w3fValidator, chatId) {
+async function persistValidator(network, w3fValidator, chatId) {
     const validator = {
+        networkKey: network.key,
         name: w3fValidator.name,
         stashAddress: w3fValidator.stash,
         kusamaStashAddress: w3fValidator.kusamaStash,
@@ -257,7 +439,7 @@ async function persistValidator(w3fValidator, chatId) {
         chatIds: [Long.fromNumber(chatId)],
         lastUpdated: new Date()
     };
-    const validatorCollection = await MongoDB.getValidatorCollection();
+    const validatorCollection = await MongoDB.getValidatorCollection(network);
     const result = await validatorCollection.insertOne(validator);
     if (!result.result.ok || result.result.n != 1) {
         throw new Error(`Unexpected error: database insert was not successful.`);
@@ -266,7 +448,8 @@ async function persistValidator(w3fValidator, chatId) {
 }
 
 async function removeValidator(validatorToRemove, chatId) {
-    const validatorCollection = await MongoDB.getValidatorCollection();
+    await deleteValidatorNotificationSettings(chatId, validatorToRemove);
+    const validatorCollection = await MongoDB.getValidatorCollection(getNetwork(validatorToRemove.networkKey));
     const chatIds = validatorToRemove.chatIds;
     const index = chatIds.indexOf(chatId);
     if (index > -1) {
@@ -274,6 +457,9 @@ async function removeValidator(validatorToRemove, chatId) {
     }
     if (chatIds.length == 0) {
         logger.info(`Validator [${validatorToRemove.stashAddress}] has no more chats. Removing.`);
+        // an old snapshot would show the changes since then when the validator is added again
+        const nominatorSnapshotCollection = await MongoDB.getNominatorSnapshotCollection(getNetwork(validatorToRemove.networkKey));
+        await nominatorSnapshotCollection.deleteOne({ stashAddress: validatorToRemove.stashAddress });
         const result = await validatorCollection.deleteOne({stashAddress: validatorToRemove.stashAddress});
         return result.result.ok && result.result.n == 1;
     } else {
@@ -286,8 +472,8 @@ async function removeValidator(validatorToRemove, chatId) {
     }
 }
 
-async function getValidatorByName(name) {
-    const validatorCollection = await MongoDB.getValidatorCollection();
+async function getValidatorByName(network, name) {
+    const validatorCollection = await MongoDB.getValidatorCollection(network);
     return await validatorCollection.findOne(
         {
             $text: {
@@ -298,13 +484,13 @@ async function getValidatorByName(name) {
     );
 }
 
-async function getValidatorByStashAddress(stashAddress) {
-    let validatorCollection = await MongoDB.getValidatorCollection();
+async function getValidatorByStashAddress(network, stashAddress) {
+    let validatorCollection = await MongoDB.getValidatorCollection(network);
     return await validatorCollection.findOne({ stashAddress: stashAddress });
 }
 
-async function getValidatorByControllerAddress(controllerAddress) {
-    let validatorCollection = await MongoDB.getValidatorCollection();
+async function getValidatorByControllerAddress(network, controllerAddress) {
+    let validatorCollection = await MongoDB.getValidatorCollection(network);
     return await validatorCollection.findOne({ controllerAddress: controllerAddress });
 }
 
@@ -313,91 +499,103 @@ async function updateValidatorChatIds(validator, chatIds) {
     for (let chatId of chatIds) {
         convertedChatIds.push(Long.fromNumber(chatId));
     }
-    const validatorCollection = await MongoDB.getValidatorCollection();
+    const validatorCollection = await MongoDB.getValidatorCollection(getNetwork(validator.networkKey));
     return await validatorCollection.updateOne(
         { stashAddress: validator.stashAddress },
         { $set: { chatIds: convertedChatIds } }
     );
 }
 
+/**
+ * Returns the chat's validators on all networks.
+ */
 async function getValidatorsForChat(chatId) {
-    let validatorCollection = await MongoDB.getValidatorCollection();
-    return await validatorCollection.find({chatIds: {$elemMatch: {$eq: chatId}}}).toArray();
+    const validators = [];
+    for (let network of config.networks) {
+        let validatorCollection = await MongoDB.getValidatorCollection(network);
+        const networkValidators = await validatorCollection.find({chatIds: {$elemMatch: {$eq: chatId}}}).toArray();
+        for (let validator of networkValidators) {
+            validators.push(validator);
+        }
+    }
+    return validators;
 }
 
-async function getAllValidators() {
-    let validatorCollection = await MongoDB.getValidatorCollection();
+async function getAllValidators(network) {
+    let validatorCollection = await MongoDB.getValidatorCollection(network);
     return await validatorCollection.find({}).toArray();
 }
 
-async function savePendingBlockNotification(chat, validator, blockNumber) {
-    const notificationCollection = await MongoDB.getPendingBlockNotificationCollection();
-    const notification = await notificationCollection.findOne(
+/**
+ * Saves a notification for the digest of its period. `data` is what the digest shows
+ * for the notification type, e.g. `{ blockNumber }` for block authorship. The same
+ * notification is saved once.
+ */
+async function savePendingNotification(chat, validator, type, data) {
+    const notificationCollection = await MongoDB.getPendingNotificationCollection(
+        getNetwork(validator.networkKey)
+    );
+    const result = await notificationCollection.updateOne(
         {
             chatId: chat.chatId,
-            stashAddress: validator.stashAddress
-        }
+            stashAddress: validator.stashAddress,
+            type: type,
+            data: data
+        },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
     );
-    var result;
-    if (notification) {
-        const blockNumbers = notification.blockNumbers;
-        if (!blockNumbers.includes(blockNumber)) {
-            blockNumbers.push(blockNumber);
-        }
-        result = await notificationCollection.updateOne(
-            { chatId: notification.chatId, stashAddress: notification.stashAddress },
-            { $set: { blockNumbers: blockNumbers } }
-        );
-    } else {
-        result = await notificationCollection.insertOne(
-            {
-                chatId: chat.chatId,
-                stashAddress: validator.stashAddress,
-                blockNumbers: [blockNumber]
-            }
-        );   
-    }
-    return result.result.ok && result.result.n == 1;
+    return result.result.ok == 1;
 }
 
-async function getPendingBlockNotifications(notificationPeriod) {
-    let notificationCollection = await MongoDB.getPendingBlockNotificationCollection();
-    if (notificationPeriod) {
-        const chatCollection = await MongoDB.getChatCollection();
-        const chats = await chatCollection.find({blockNotificationPeriod: notificationPeriod}).toArray();
-        const notifications = [];
-        for (let chat of chats) {
-            let chatNotifications = await notificationCollection.find({chatId: chat.chatId}).toArray();
-            for (let chatNotification of chatNotifications) {
-                notifications.push(chatNotification);
-            }
+/**
+ * The period that applies to the pending notification in the chat, by the chat's
+ * setting or the chat's override for the validator.
+ */
+async function getPendingNotificationPeriod(network, chat, notification) {
+    const settings = await getNotificationSettings(
+        chat,
+        { networkKey: network.key, stashAddress: notification.stashAddress }
+    );
+    return settings[NotificationPeriodSettingNames[notification.type]];
+}
+
+/**
+ * Pending notifications with the given period, all of them without a period. Oldest first.
+ */
+async function getPendingNotifications(network, notificationPeriod) {
+    const notificationCollection = await MongoDB.getPendingNotificationCollection(network);
+    const allNotifications = await notificationCollection.find({}).sort({ createdAt: 1, _id: 1 }).toArray();
+    if (!notificationPeriod) {
+        return allNotifications;
+    }
+    const notifications = [];
+    for (let notification of allNotifications) {
+        const chat = await getChatById(notification.chatId);
+        if (chat && (await getPendingNotificationPeriod(network, chat, notification)) == notificationPeriod) {
+            notifications.push(notification);
         }
-        return notifications;
-    } else {
-        return notificationCollection.find().toArray();
     }
+    return notifications;
 }
 
-async function getPendingBlockNotificationsForChat(chatId) {
-    const notificationCollection = await MongoDB.getPendingBlockNotificationCollection();
-    return await notificationCollection.find({chatId: chatId}).toArray();
+async function getPendingNotificationsForChat(network, chatId) {
+    const notificationCollection = await MongoDB.getPendingNotificationCollection(network);
+    return await notificationCollection.find({ chatId: chatId }).sort({ createdAt: 1, _id: 1 }).toArray();
 }
 
-async function deletePendingBlockNotificationsForChat(chatId) {
-    const notificationCollection = await MongoDB.getPendingBlockNotificationCollection();
-    const result = await notificationCollection.deleteMany({chatId: chatId});
-    return result.result.ok;
+async function deletePendingNotificationsForChat(network, chatId) {
+    const notificationCollection = await MongoDB.getPendingNotificationCollection(network);
+    const result = await notificationCollection.deleteMany({ chatId: chatId });
+    return result.result.ok == 1;
 }
 
-async function deletePendingBlockNotification(notification) {
-    let notificationCollection = await MongoDB.getPendingBlockNotificationCollection();
-    const result = await notificationCollection.deleteOne(
-        {
-            chatId: notification.chatId,
-            stashAddress: notification.stashAddress
-        }
+async function deletePendingNotifications(network, notifications) {
+    const notificationCollection = await MongoDB.getPendingNotificationCollection(network);
+    const result = await notificationCollection.deleteMany(
+        { _id: { $in: notifications.map(notification => notification._id) } }
     );
-    return result.result.ok && result.result.n == 1;
+    return result.result.ok == 1;
 }
 
 async function setChatLastSettingsCommandMessageId(chatId, messageId) {
@@ -463,16 +661,124 @@ async function setChatSendOfflineEventNotifications(chatId, sendOfflineEventNoti
     return result.result.ok && result.result.n == 1;
 }
 
-async function getActiveStakeInfoForCurrentEra(address) {
-    const currentEra = parseInt(await Polkadot.getCurrentEra());
-    return await Polkadot.getActiveStakesForEra(address, currentEra);
+/**
+ * Sets one of the chat's notification settings, see `NotificationSettingNames`.
+ */
+async function setChatNotificationSetting(chatId, name, value) {
+    if (!NotificationSettingNames.includes(name)) {
+        throw new Error(`Unknown notification setting ${name}.`);
+    }
+    let chatCollection = await MongoDB.getChatCollection();
+    const result = await chatCollection.updateOne(
+        { chatId: chatId },
+        { $set: { [name]: value } }
+    );
+    return result.result.ok && result.result.n == 1;
+}
+
+/**
+ * The validator being configured in the chat's settings menu, null for the chat defaults.
+ */
+async function setChatSettingsValidator(chatId, validator) {
+    let chatCollection = await MongoDB.getChatCollection();
+    const update = validator
+        ? { $set: { settingsValidator: { networkKey: validator.networkKey, stashAddress: validator.stashAddress } } }
+        : { $unset: { settingsValidator: '' } };
+    const result = await chatCollection.updateOne({ chatId: chatId }, update);
+    return result.result.ok && result.result.n == 1;
+}
+
+function getValidatorNotificationSettingsQuery(chatId, validator) {
+    return {
+        chatId: chatId,
+        networkKey: validator.networkKey,
+        stashAddress: validator.stashAddress
+    };
+}
+
+/**
+ * The chat's overrides for the validator, null if there are none.
+ */
+async function getValidatorNotificationSettings(chatId, validator) {
+    const settingsCollection = await MongoDB.getValidatorNotificationSettingsCollection();
+    return await settingsCollection.findOne(getValidatorNotificationSettingsQuery(chatId, validator));
+}
+
+/**
+ * The notification settings that apply to the validator in the chat: the chat's overrides
+ * for the validator, and the chat defaults for the rest. The chat defaults without a validator.
+ */
+async function getNotificationSettings(chat, validator) {
+    const overrides = validator ? await getValidatorNotificationSettings(chat.chatId, validator) : null;
+    const settings = {};
+    for (let name of NotificationSettingNames) {
+        settings[name] = (overrides && typeof overrides[name] !== 'undefined') ? overrides[name] : chat[name];
+    }
+    return settings;
+}
+
+async function setValidatorNotificationSetting(chatId, validator, name, value) {
+    if (!NotificationSettingNames.includes(name)) {
+        throw new Error(`Unknown notification setting ${name}.`);
+    }
+    const settingsCollection = await MongoDB.getValidatorNotificationSettingsCollection();
+    const result = await settingsCollection.updateOne(
+        getValidatorNotificationSettingsQuery(chatId, validator),
+        { $set: { [name]: value } },
+        { upsert: true }
+    );
+    return result.result.ok == 1;
+}
+
+/**
+ * Removes the chat's overrides for the validator, so that the chat defaults apply.
+ */
+async function deleteValidatorNotificationSettings(chatId, validator) {
+    const settingsCollection = await MongoDB.getValidatorNotificationSettingsCollection();
+    const result = await settingsCollection.deleteOne(getValidatorNotificationSettingsQuery(chatId, validator));
+    return result.result.ok == 1;
+}
+
+/**
+ * The chat's notification rules, see the notification rules module.
+ */
+async function getNotificationRules(chatId) {
+    const ruleCollection = await MongoDB.getNotificationRuleCollection();
+    return await ruleCollection.find({ chatId: chatId }).toArray();
+}
+
+/**
+ * Adds or updates the chat's rule of the type, for a network or all networks (null network key).
+ */
+async function setNotificationRule(chatId, type, threshold, networkKey) {
+    const ruleCollection = await MongoDB.getNotificationRuleCollection();
+    const result = await ruleCollection.updateOne(
+        { chatId: chatId, type: type, networkKey: networkKey },
+        { $set: { threshold: threshold, updatedAt: new Date() } },
+        { upsert: true }
+    );
+    return result.result.ok == 1;
+}
+
+/**
+ * Resolves to false if the chat has no such rule.
+ */
+async function deleteNotificationRule(chatId, type, networkKey) {
+    const ruleCollection = await MongoDB.getNotificationRuleCollection();
+    const result = await ruleCollection.deleteOne({ chatId: chatId, type: type, networkKey: networkKey });
+    return result.result.ok && result.result.n == 1;
+}
+
+async function getActiveStakeInfoForCurrentEra(network, address) {
+    const currentEra = parseInt(await Polkadot.getCurrentEra(network));
+    return await Polkadot.getActiveStakesForEra(network, address, currentEra);
 }
 
-async function getStakingInfo(address) {
-    const currentEra = parseInt(await Polkadot.getCurrentEra());
-    const selfStake = await Polkadot.getSelfStake(address);
-    const activeStakes = await Polkadot.getActiveStakesForEra(address, currentEra);
-    const inactiveNominations = await Polkadot.getInactiveNominations(address, activeStakes.stakes);
+async function getStakingInfo(network, address) {
+    const currentEra = parseInt(await Polkadot.getCurrentEra(network));
+    const selfStake = await Polkadot.getSelfStake(network, address);
+    const activeStakes = await Polkadot.getActiveStakesForEra(network, address, currentEra);
+    const inactiveNominations = await Polkadot.getInactiveNominations(network, address, activeStakes.stakes);
     return {
         selfStake: selfStake,
         active: activeStakes,
@@ -480,8 +786,8 @@ async function getStakingInfo(address) {
     };
 }
 
-async function saveRankChange(stashAddress, rank) {
-    let rankHistoryCollection = await MongoDB.getRankHistoryCollection();
+async function saveRankChange(network, stashAddress, rank) {
+    let rankHistoryCollection = await MongoDB.getRankHistoryCollection(network);
     const rankChange = {
         stashAddress: stashAddress,
         rank: rank,
@@ -491,13 +797,135 @@ async function saveRankChange(stashAddress, rank) {
     return result.result.ok && result.result.n == 1;
 }
 
-async function getRankHistoryCount(stashAddress) {
-    let rankHistoryCollection = await MongoDB.getRankHistoryCollection();
+async function getRankHistoryCount(network, stashAddress) {
+    let rankHistoryCollection = await MongoDB.getRankHistoryCollection(network);
     return await rankHistoryCollection.countDocuments({ stashAddress: stashAddress });
 }
 
-async function getLastFetchedRewardBlock() {
-    let rewardFetchInfoCollection = await MongoDB.getRewardFetchInfoCollection();
+/**
+ * The validator's rank changes, oldest first.
+ */
+async function getRankHistory(network, stashAddress) {
+    let rankHistoryCollection = await MongoDB.getRankHistoryCollection(network);
+    return await rankHistoryCollection.find({ stashAddress: stashAddress }).sort({ date: 1 }).toArray();
+}
+
+/**
+ * Records the validator becoming a valid or an invalid 1KV validator.
+ */
+async function saveValidityChange(network, stashAddress, isValid) {
+    let validityHistoryCollection = await MongoDB.getValidityHistoryCollection(network);
+    const validityChange = {
+        stashAddress: stashAddress,
+        isValid: isValid,
+        date: new Date()
+    };
+    const result = await validityHistoryCollection.insertOne(validityChange);
+    return result.result.ok && result.result.n == 1;
+}
+
+async function getValidityHistoryCount(network, stashAddress) {
+    let validityHistoryCollection = await MongoDB.getValidityHistoryCollection(network);
+    return await validityHistoryCollection.countDocuments({ stashAddress: stashAddress });
+}
+
+/**
+ * The validator's validity changes, oldest first.
+ */
+async function getValidityHistory(network, stashAddress) {
+    let validityHistoryCollection = await MongoDB.getValidityHistoryCollection(network);
+    return await validityHistoryCollection.find({ stashAddress: stashAddress }).sort({ date: 1 }).toArray();
+}
+
+/**
+ * The last snapshot of the validator's nominators, `{ stashAddress, nominators, date }`,
+ * see `Polkadot.getNominations` for the nominators. Null before the first snapshot.
+ */
+async function getNominatorSnapshot(network, stashAddress) {
+    let nominatorSnapshotCollection = await MongoDB.getNominatorSnapshotCollection(network);
+    return await nominatorSnapshotCollection.findOne({ stashAddress: stashAddress });
+}
+
+/**
+ * Stash addresses of the validators the address nominates in their last nominator snapshots.
+ */
+async function getNominatedStashAddresses(network, nominatorAddress) {
+    let nominatorSnapshotCollection = await MongoDB.getNominatorSnapshotCollection(network);
+    const snapshots = await nominatorSnapshotCollection.find({ 'nominators.address': nominatorAddress }).toArray();
+    return snapshots.map(snapshot => snapshot.stashAddress);
+}
+
+async function saveNominatorSnapshot(network, stashAddress, nominators) {
+    let nominatorSnapshotCollection = await MongoDB.getNominatorSnapshotCollection(network);
+    const result = await nominatorSnapshotCollection.updateOne(
+        { stashAddress: stashAddress },
+        { $set: { nominators: nominators, date: new Date() } },
+        { upsert: true }
+    );
+    return result.result.ok == 1;
+}
+
+/**
+ * Records the reward points of the validator in a completed era, with the median points of
+ * the era's active set. Returns false when the era is already recorded.
+ */
+async function saveEraPoints(network, stashAddress, era, points, medianPoints) {
+    let eraPointsCollection = await MongoDB.getEraPointsCollection(network);
+    const result = await eraPointsCollection.updateOne(
+        { stashAddress: stashAddress, era: era },
+        { $setOnInsert: { points: points, medianPoints: medianPoints, date: new Date() } },
+        { upsert: true }
+    );
+    return result.upsertedCount == 1;
+}
+
+/**
+ * The validator's recorded era points of the last eras, latest first.
+ */
+async function getEraPoints(network, stashAddress, eraCount) {
+    let eraPointsCollection = await MongoDB.getEraPointsCollection(network);
+    return await eraPointsCollection.find({ stashAddress: stashAddress })
+        .sort({ era: -1 })
+        .limit(eraCount)
+        .toArray();
+}
+
+/**
+ * Records the validator going online or offline at the given date.
+ */
+async function saveAvailabilityChange(network, stashAddress, isOnline, date) {
+    let availabilityHistoryCollection = await MongoDB.getAvailabilityHistoryCollection(network);
+    const availabilityChange = {
+        stashAddress: stashAddress,
+        isOnline: isOnline,
+        date: date
+    };
+    const result = await availabilityHistoryCollection.insertOne(availabilityChange);
+    return result.result.ok && result.result.n == 1;
+}
+
+async function getAvailabilityHistoryCount(network, stashAddress) {
+    let availabilityHistoryCollection = await MongoDB.getAvailabilityHistoryCollection(network);
+    return await availabilityHistoryCollection.countDocuments({ stashAddress: stashAddress });
+}
+
+/**
+ * The validator's online and offline transitions since the date, oldest first, preceded by
+ * the last transition before the date, see the `availability` module.
+ */
+async function getAvailabilityHistory(network, stashAddress, since) {
+    let availabilityHistoryCollection = await MongoDB.getAvailabilityHistoryCollection(network);
+    const previousChanges = await availabilityHistoryCollection.find(
+        { stashAddress: stashAddress, date: { $lt: since } }
+    ).sort({ date: -1 }).limit(1).toArray();
+    const changes = await availabilityHistoryCollection.find(
+        { stashAddress: stashAddress, date: { $gte: since } }
+    ).sort({ date: 1 }).toArray();
+    return previousChanges.concat(changes);
+}
+
+async function getLastFetchedRewardBlock(network) {
+    let rewardFetchInfoCollection = await MongoDB.getRewardFetchInfoCollection(network);
     let rewardFetchInfo = await rewardFetchInfoCollection.findOne({});
     if (!rewardFetchInfo) {
         logger.info(`Reward fetch info not found in db, saving.`);
@@ -508,17 +936,93 @@ async function getLastFetchedRewardBlock() {
     return rewardFetchInfo.lastFetchedBlockNumber;
 }
 
-async function setLastFetchedRewardBlock(blockNumber) {
-    let rewardFetchInfoCollection = await MongoDB.getRewardFetchInfoCollection();
+async function setLastFetchedRewardBlock(network, blockNumber) {
+    let rewardFetchInfoCollection = await MongoDB.getRewardFetchInfoCollection(network);
     await rewardFetchInfoCollection.updateOne(
         { },
         { $set: { lastFetchedBlockNumber: blockNumber } }
     );
 }
 
-async function getRewards(targetStashAddress) {
-    let rewardCollection = await MongoDB.getRewardCollection();
-    return await rewardCollection.find({targetStashAddress: targetStashAddress}).toArray();
+async function getLastProcessedBlock(network) {
+    const blockProcessingInfoCollection = await MongoDB.getBlockProcessingInfoCollection(network);
+    const blockProcessingInfo = await blockProcessingInfoCollection.findOne({});
+    return blockProcessingInfo ? blockProcessingInfo.lastProcessedBlockNumber : -1;
+}
+
+async function setLastProcessedBlock(network, blockNumber) {
+    const blockProcessingInfoCollection = await MongoDB.getBlockProcessingInfoCollection(network);
+    const result = await blockProcessingInfoCollection.updateOne(
+        { },
+        { $set: { lastProcessedBlockNumber: blockNumber } },
+        { upsert: true }
+    );
+    return result.result.ok == 1;
+}
+
+/**
+ * Whether the block event of the validator has already been notified to the chat, i.e. the
+ * block is processed again after a failure. `type` is e.g. 'nomination', `index` the
+ * extrinsic or event index in the block.
+ */
+async function isProcessedBlockEvent(network, blockNumber, type, index, stashAddress, chatId) {
+    const processedBlockEventCollection = await MongoDB.getProcessedBlockEventCollection(network);
+    const event = await processedBlockEventCollection.findOne({
+        blockNumber: blockNumber,
+        type: type,
+        index: index,
+        stashAddress: stashAddress,
+        chatId: chatId
+    });
+    return !!event;
+}
+
+/**
+ * Records that the block event of the validator has been notified to the chat, once the
+ * chat's notification is queued. Resolves to false if it was already recorded.
+ */
+async function saveProcessedBlockEvent(network, blockNumber, type, index, stashAddress, chatId) {
+    const processedBlockEventCollection = await MongoDB.getProcessedBlockEventCollection(network);
+    const event = {
+        blockNumber: blockNumber,
+        type: type,
+        index: index,
+        stashAddress: stashAddress,
+        chatId: chatId
+    };
+    const result = await processedBlockEventCollection.updateOne(
+        event,
+        { $setOnInsert: event },
+        { upsert: true }
+    );
+    return result.upsertedCount == 1;
+}
+
+/**
+ * Processed block events are only needed until the cursor moves past their block.
+ */
+async function deleteProcessedBlockEventsUpTo(network, blockNumber) {
+    const processedBlockEventCollection = await MongoDB.getProcessedBlockEventCollection(network);
+    const result = await processedBlockEventCollection.deleteMany({ blockNumber: { $lte: blockNumber } });
+    return result.result.ok == 1;
+}
+
+/**
+ * Rewards of the address in the order of time, from `from` up to `to` when given.
+ */
+async function getRewards(network, targetStashAddress, from, to) {
+    let rewardCollection = await MongoDB.getRewardCollection(network);
+    const query = { targetStashAddress: targetStashAddress };
+    if (from || to) {
+        query.timestamp = {};
+        if (from) {
+            query.timestamp.$gte = from;
+        }
+        if (to) {
+            query.timestamp.$lt = to;
+        }
+    }
+    return await rewardCollection.find(query).sort({ timestamp: 1 }).toArray();
 }
 
 async function getChatByMigrationCode(migrationCode) {
@@ -528,6 +1032,30 @@ async function getChatByMigrationCode(migrationCode) {
     );
 }
 
+/**
+ * IANA timezone name of the chat, e.g. `Europe/Istanbul`.
+ */
+async function setChatTimezone(chatId, timezone) {
+    let chatCollection = await MongoDB.getChatCollection();
+    const result = await chatCollection.updateOne(
+        { chatId: chatId },
+        { $set: { timezone: timezone } }
+    );
+    return result.result.ok && result.result.n == 1;
+}
+
+/**
+ * `{ startMins, endMins }` in the chat's timezone, null to turn the quiet hours off.
+ */
+async function setChatQuietHours(chatId, quietHours) {
+    let chatCollection = await MongoDB.getChatCollection();
+    const result = await chatCollection.updateOne(
+        { chatId: chatId },
+        { $set: { quietHours: quietHours } }
+    );
+    return result.result.ok && result.result.n == 1;
+}
+
 async function setChatMigrationCode(chatId, migrationCode) {
     let chatCollection = await MongoDB.getChatCollection();
     await chatCollection.updateOne(
@@ -536,12 +1064,256 @@ async function setChatMigrationCode(chatId, migrationCode) {
     );
 }
 
+async function saveOutboundMessage(chatId, method, payload) {
+    const outboundMessageCollection = await MongoDB.getOutboundMessageCollection();
+    const now = new Date();
+    const message = {
+        chatId: chatId,
+        method: method,
+        payload: payload,
+        status: OutboundMessageStatus.PENDING,
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now
+    };
+    const result = await outboundMessageCollection.insertOne(message);
+    if (!result.result.ok || result.result.n != 1) {
+        throw new Error(`Unexpected error: outbound message insert was not successful.`);
+    }
+    return message;
+}
+
+/**
+ * Chats with pending outbound messages.
+ */
+async function getOutboundMessageChatIds() {
+    const outboundMessageCollection = await MongoDB.getOutboundMessageCollection();
+    return await outboundMessageCollection.distinct(
+        'chatId',
+        { status: OutboundMessageStatus.PENDING }
+    );
+}
+
+/**
+ * Oldest pending outbound message of the chat, messages are sent in order.
+ */
+async function getNextOutboundMessage(chatId) {
+    const outboundMessageCollection = await MongoDB.getOutboundMessageCollection();
+    return await outboundMessageCollection.findOne(
+        { chatId: chatId, status: OutboundMessageStatus.PENDING },
+        { sort: { createdAt: 1, _id: 1 } }
+    );
+}
+
+async function getOutboundMessagesForChat(chatId) {
+    const outboundMessageCollection = await MongoDB.getOutboundMessageCollection();
+    return await outboundMessageCollection.find(
+        { chatId: chatId }
+    ).sort({ createdAt: 1, _id: 1 }).toArray();
+}
+
+/**
+ * Marks the message as being sent, returns false if it's not pending anymore.
+ */
+async function setOutboundMessageSending(message) {
+    const outboundMessageCollection = await MongoDB.getOutboundMessageCollection();
+    const result = await outboundMessageCollection.updateOne(
+        { _id: message._id, status: OutboundMessageStatus.PENDING },
+        { $set: { status: OutboundMessageStatus.SENDING } }
+    );
+    return result.result.ok && result.result.n == 1;
+}
+
+async function rescheduleOutboundMessage(message, nextAttemptAt, attempts, lastError) {
+    const outboundMessageCollection = await MongoDB.getOutboundMessageCollection();
+    const result = await outboundMessageCollection.updateOne(
+        { _id: message._id },
+        {
+            $set: {
+                status: OutboundMessageStatus.PENDING,
+                nextAttemptAt: nextAttemptAt,
+                attempts: attempts,
+                lastError: lastError
+            }
+        }
+    );
+    return result.result.ok && result.result.n == 1;
+}
+
+async function deleteOutboundMessage(message) {
+    const outboundMessageCollection = await MongoDB.getOutboundMessageCollection();
+    const result = await outboundMessageCollection.deleteOne({ _id: message._id });
+    return result.result.ok && result.result.n == 1;
+}
+
+/**
+ * Messages left in the sending state when the bot stopped get sent again.
+ */
+async function resetSendingOutboundMessages() {
+    const outboundMessageCollection = await MongoDB.getOutboundMessageCollection();
+    const result = await outboundMessageCollection.updateMany(
+        { status: OutboundMessageStatus.SENDING },
+        { $set: { status: OutboundMessageStatus.PENDING } }
+    );
+    return result.result.n;
+}
+
+/**
+ * Moves an undeliverable outbound message to the dead-letter store.
+ */
+async function moveOutboundMessageToDeadLetters(message, reason) {
+    const deadLetterMessageCollection = await MongoDB.getDeadLetterMessageCollection();
+    const deadLetter = Object.assign({}, message, {
+        reason: reason,
+        failedAt: new Date()
+    });
+    delete deadLetter.status;
+    delete deadLetter.nextAttemptAt;
+    await deadLetterMessageCollection.insertOne(deadLetter);
+    return await deleteOutboundMessage(message);
+}
+
+/**
+ * Saves a notification held during the chat's quiet hours.
+ */
+async function saveHeldNotification(chatId, text) {
+    const heldNotificationCollection = await MongoDB.getHeldNotificationCollection();
+    const notification = {
+        chatId: chatId,
+        text: text,
+        createdAt: new Date()
+    };
+    const result = await heldNotificationCollection.insertOne(notification);
+    if (!result.result.ok || result.result.n != 1) {
+        throw new Error(`Unexpected error: held notification insert was not successful.`);
+    }
+    return notification;
+}
+
+async function getHeldNotificationChatIds() {
+    const heldNotificationCollection = await MongoDB.getHeldNotificationCollection();
+    return await heldNotificationCollection.distinct('chatId', {});
+}
+
+async function getHeldNotificationsForChat(chatId) {
+    const heldNotificationCollection = await MongoDB.getHeldNotificationCollection();
+    return await heldNotificationCollection.find(
+        { chatId: chatId }
+    ).sort({ createdAt: 1, _id: 1 }).toArray();
+}
+
+/**
+ * Deletes the given held notifications of the chat, the ones held meanwhile are kept.
+ */
+async function deleteHeldNotifications(notifications) {
+    const heldNotificationCollection = await MongoDB.getHeldNotificationCollection();
+    const result = await heldNotificationCollection.deleteMany(
+        { _id: { $in: notifications.map(notification => notification._id) } }
+    );
+    return result.result.ok == 1;
+}
+
+/**
+ * Opens the chat's incident for the validator going offline, resolves to the incident.
+ * The incident stays open until the validator is back online, and the chat is alerted
+ * again by its `offlineAlertRepeatPeriod` until it acknowledges the incident.
+ */
+async function openOfflineIncident(chatId, validator, offlineSince) {
+    const incidentCollection = await MongoDB.getOfflineIncidentCollection();
+    const query = {
+        chatId: chatId,
+        networkKey: validator.networkKey,
+        stashAddress: validator.stashAddress,
+        resolvedAt: null
+    };
+    const now = new Date();
+    await incidentCollection.updateOne(
+        query,
+        {
+            $setOnInsert: {
+                offlineSince: offlineSince,
+                createdAt: now,
+                lastAlertAt: now,
+                alertCount: 1,
+                acknowledgedAt: null
+            }
+        },
+        { upsert: true }
+    );
+    return await incidentCollection.findOne(query);
+}
+
+async function getOpenOfflineIncidentsForChat(chatId) {
+    const incidentCollection = await MongoDB.getOfflineIncidentCollection();
+    return await incidentCollection.find(
+        { chatId: chatId, resolvedAt: null }
+    ).sort({ offlineSince: 1 }).toArray();
+}
+
+async function getUnacknowledgedOfflineIncidents() {
+    const incidentCollection = await MongoDB.getOfflineIncidentCollection();
+    return await incidentCollection.find({ resolvedAt: null, acknowledgedAt: null }).toArray();
+}
+
+async function setOfflineIncidentAlerted(incident, alertedAt) {
+    const incidentCollection = await MongoDB.getOfflineIncidentCollection();
+    const result = await incidentCollection.updateOne(
+        { _id: incident._id },
+        { $set: { lastAlertAt: alertedAt }, $inc: { alertCount: 1 } }
+    );
+    return result.result.ok && result.result.n == 1;
+}
+
+/**
+ * Resolves to false when the chat has no such open and unacknowledged incident.
+ */
+async function acknowledgeOfflineIncident(chatId, incidentId) {
+    if (!ObjectID.isValid(incidentId)) {
+        return false;
+    }
+    const incidentCollection = await MongoDB.getOfflineIncidentCollection();
+    const result = await incidentCollection.updateOne(
+        { _id: new ObjectID(incidentId), chatId: chatId, resolvedAt: null, acknowledgedAt: null },
+        { $set: { acknowledgedAt: new Date() } }
+    );
+    return result.result.ok && result.result.n == 1;
+}
+
+/**
+ * Resolves the open incidents of the validator, in all chats or only in the given chat.
+ */
+async function resolveOfflineIncidents(validator, chatId) {
+    const incidentCollection = await MongoDB.getOfflineIncidentCollection();
+    const query = {
+        networkKey: validator.networkKey,
+        stashAddress: validator.stashAddress,
+        resolvedAt: null
+    };
+    if (typeof chatId !== 'undefined') {
+        query.chatId = chatId;
+    }
+    const result = await incidentCollection.updateMany(query, { $set: { resolvedAt: new Date() } });
+    return result.result.ok == 1;
+}
+
+async function getDeadLetterMessages(chatId) {
+    const deadLetterMessageCollection = await MongoDB.getDeadLetterMessageCollection();
+    const query = (typeof chatId !== 'undefined') ? { chatId: chatId } : {};
+    return await deadLetterMessageCollection.find(query).sort({ failedAt: 1 }).toArray();
+}
+
 module.exports = {
     ChatState: ChatState,
-    BlockNotificationPeriod: BlockNotificationPeriod,
+    NotificationPeriod: NotificationPeriod,
+    NotificationType: NotificationType,
+    NotificationPeriodSettingNames: NotificationPeriodSettingNames,
+    OutboundMessageStatus: OutboundMessageStatus,
     UnclaimedPayoutNotificationPeriod: UnclaimedPayoutNotificationPeriod,
+    OfflineAlertRepeatPeriod: OfflineAlertRepeatPeriod,
+    NotificationSettingNames: NotificationSettingNames,
     start: start,
     stop: stop,
+    migrate: migrate,
     setChatState: setChatState,
     setChatVersion: setChatVersion,
     fetchValidator: fetchValidator,
@@ -561,11 +1333,12 @@ module.exports = {
     getChatById: getChatById,
     createChat: createChat,
     deleteChat: deleteChat,
-    savePendingBlockNotification: savePendingBlockNotification,
-    getPendingBlockNotifications: getPendingBlockNotifications,
-    getPendingBlockNotificationsForChat: getPendingBlockNotificationsForChat,
-    deletePendingBlockNotificationsForChat: deletePendingBlockNotificationsForChat,
-    deletePendingBlockNotification: deletePendingBlockNotification,
+    savePendingNotification: savePendingNotification,
+    getPendingNotificationPeriod: getPendingNotificationPeriod,
+    getPendingNotifications: getPendingNotifications,
+    getPendingNotificationsForChat: getPendingNotificationsForChat,
+    deletePendingNotificationsForChat: deletePendingNotificationsForChat,
+    deletePendingNotifications: deletePendingNotifications,
     setChatLastSettingsCommandMessageId: setChatLastSettingsCommandMessageId,
     setChatLastSettingsMessageId: setChatLastSettingsMessageId,
     setChatBlockNotificationPeriod: setChatBlockNotificationPeriod,
@@ -573,14 +1346,64 @@ module.exports = {
     setChatSendNewNominationNotifications: setChatSendNewNominationNotifications,
     setChatSendChillingEventNotifications: setChatSendChillingEventNotifications,
     setChatSendOfflineEventNotifications: setChatSendOfflineEventNotifications,
+    setChatNotificationSetting: setChatNotificationSetting,
+    setChatSettingsValidator: setChatSettingsValidator,
+    getValidatorNotificationSettings: getValidatorNotificationSettings,
+    getNotificationSettings: getNotificationSettings,
+    setValidatorNotificationSetting: setValidatorNotificationSetting,
+    deleteValidatorNotificationSettings: deleteValidatorNotificationSettings,
+    getNotificationRules: getNotificationRules,
+    setNotificationRule: setNotificationRule,
+    deleteNotificationRule: deleteNotificationRule,
     getStakingInfo: getStakingInfo,
     getActiveStakeInfoForCurrentEra: getActiveStakeInfoForCurrentEra,
     saveRankChange: saveRankChange,
     getRankHistoryCount: getRankHistoryCount,
+    getRankHistory: getRankHistory,
+    saveValidityChange: saveValidityChange,
+    getValidityHistoryCount: getValidityHistoryCount,
+    getValidityHistory: getValidityHistory,
+    getNominatorSnapshot: getNominatorSnapshot,
+    saveNominatorSnapshot: saveNominatorSnapshot,
+    getNominatedStashAddresses: getNominatedStashAddresses,
+    saveEraPoints: saveEraPoints,
+    getEraPoints: getEraPoints,
+    saveAvailabilityChange: saveAvailabilityChange,
+    getAvailabilityHistoryCount: getAvailabilityHistoryCount,
+    getAvailabilityHistory: getAvailabilityHistory,
     saveRewards: saveRewards,
     getRewards: getRewards,
+    setChatRewardsReportOptions: setChatRewardsReportOptions,
+    setChatPointsEraCount: setChatPointsEraCount,
     getLastFetchedRewardBlock: getLastFetchedRewardBlock,
     setLastFetchedRewardBlock: setLastFetchedRewardBlock,
+    getLastProcessedBlock: getLastProcessedBlock,
+    setLastProcessedBlock: setLastProcessedBlock,
+    isProcessedBlockEvent: isProcessedBlockEvent,
+    saveProcessedBlockEvent: saveProcessedBlockEvent,
+    deleteProcessedBlockEventsUpTo: deleteProcessedBlockEventsUpTo,
     getChatByMigrationCode: getChatByMigrationCode,
-    setChatMigrationCode: setChatMigrationCode
+    setChatMigrationCode: setChatMigrationCode,
+    setChatTimezone: setChatTimezone,
+    setChatQuietHours: setChatQuietHours,
+    saveOutboundMessage: saveOutboundMessage,
+    getOutboundMessageChatIds: getOutboundMessageChatIds,
+    getNextOutboundMessage: getNextOutboundMessage,
+    getOutboundMessagesForChat: getOutboundMessagesForChat,
+    setOutboundMessageSending: setOutboundMessageSending,
+    rescheduleOutboundMessage: rescheduleOutboundMessage,
+    deleteOutboundMessage: deleteOutboundMessage,
+    resetSendingOutboundMessages: resetSendingOutboundMessages,
+    moveOutboundMessageToDeadLetters: moveOutboundMessageToDeadLetters,
+    getDeadLetterMessages: getDeadLetterMessages,
+    saveHeldNotification: saveHeldNotification,
+    openOfflineIncident: openOfflineIncident,
+    getOpenOfflineIncidentsForChat: getOpenOfflineIncidentsForChat,
+    getUnacknowledgedOfflineIncidents: getUnacknowledgedOfflineIncidents,
+    setOfflineIncidentAlerted: setOfflineIncidentAlerted,
+    acknowledgeOfflineIncident: acknowledgeOfflineIncident,
+    resolveOfflineIncidents: resolveOfflineIncidents,
+    getHeldNotificationChatIds: getHeldNotificationChatIds,
+    getHeldNotificationsForChat: getHeldNotificationsForChat,
+    deleteHeldNotifications: deleteHeldNotifications
 };
\ No newline at end of file
@@ -0,0 +1,34 @@
+/**
+ * Era reward points of a validator compared with its peers, the validators in the active
+ * set of the era. A validator of the active set without any points has 0 points.
+ */
+
+function getMedian(values) {
+    if (values.length == 0) {
+        return null;
+    }
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 == 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Median of the points of the era's active set, `individual` being the points by stash
+ * address as given by `Polkadot.getEraRewardPoints`. Null when the set is empty.
+ */
+function getActiveSetMedian(eraValidators, individual) {
+    return getMedian(eraValidators.map(stashAddress => individual[stashAddress] || 0));
+}
+
+/**
+ * Whether the points are under the fraction of the median, i.e. far below the peers.
+ */
+function isUnderperforming(points, median, fraction) {
+    return median !== null && median > 0 && points < median * fraction;
+}
+
+module.exports = {
+    getMedian: getMedian,
+    getActiveSetMedian: getActiveSetMedian,
+    isUnderperforming: isUnderperforming
+};
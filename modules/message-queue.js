@@ -0,0 +1,221 @@
+/**
+ * Persistent outbound Telegram message queue.
+ * Notifications are saved to the database first, then sent in order per chat within the
+ * global and per-chat rate limits. Rate limited deliveries wait for Telegram's `retry_after`,
+ * server and network errors are retried with exponential backoff, and messages that cannot
+ * be delivered end up in the dead-letter store.
+ */
+const logger = require('./logging');
+const config = require('./config').config;
+const Data = require('./data');
+
+// delivery function, resolves to { ok, status, retryAfter, description }
+let deliver = null;
+let isRunning = false;
+let isProcessing = false;
+let isProcessRequested = false;
+let timeoutId = null;
+let nextRunTime = null;
+let currentRun = null;
+// rate limit state
+let chatNextSendTimes = {};
+let recentSendTimes = [];
+let pausedUntil = 0;
+
+function getChatIntervalMillis(chatId) {
+    // group chat ids are negative
+    return chatId < 0 ? config.outboundGroupChatIntervalMillis : config.outboundChatIntervalMillis;
+}
+
+function getRetryDelayMillis(attempts) {
+    return Math.min(
+        config.outboundRetryBaseDelayMillis * Math.pow(2, attempts - 1),
+        config.outboundRetryMaxDelayMillis
+    );
+}
+
+/**
+ * Time to wait for the global rate limit.
+ */
+function getGlobalWaitMillis(now) {
+    recentSendTimes = recentSendTimes.filter(time => time > now - 1000);
+    if (recentSendTimes.length < config.outboundMessagesPerSecond) {
+        return 0;
+    }
+    return recentSendTimes[0] + 1000 - now;
+}
+
+async function deadLetter(message, reason) {
+    logger.error(`Outbound message to chat ${message.chatId} could not be delivered (${reason}). Moved to dead letters.`);
+    await Data.moveOutboundMessageToDeadLetters(message, reason);
+}
+
+async function send(message) {
+    if (!(await Data.setOutboundMessageSending(message))) {
+        return;
+    }
+    let result;
+    try {
+        result = await deliver(message);
+    } catch (error) {
+        result = { ok: false, status: null, description: error.message };
+    }
+    const now = Date.now();
+    recentSendTimes.push(now);
+    chatNextSendTimes[message.chatId] = now + getChatIntervalMillis(message.chatId);
+    if (result.ok) {
+        await Data.deleteOutboundMessage(message);
+        return;
+    }
+    const error = `[${result.status}] ${result.description}`;
+    if (result.status == 429) {
+        // rate limited, doesn't count as a failed attempt
+        const retryAfterMillis = (result.retryAfter || 1) * 1000;
+        logger.info(`Telegram rate limit hit, pause outbound messages for ${retryAfterMillis / 1000} seconds.`);
+        pausedUntil = Math.max(pausedUntil, now + retryAfterMillis);
+        await Data.rescheduleOutboundMessage(message, new Date(now + retryAfterMillis), message.attempts, error);
+        return;
+    }
+    if (result.status == 403) {
+        logger.info(`Bot blocked by user. Delete chat ${message.chatId}.`);
+        await Data.deleteChat(message.chatId);
+        for (let chatMessage of await Data.getOutboundMessagesForChat(message.chatId)) {
+            await deadLetter(chatMessage, error);
+        }
+        return;
+    }
+    const attempts = message.attempts + 1;
+    if (result.status >= 400 && result.status < 500) {
+        // e.g. a Markdown error, sending again wouldn't help
+        await deadLetter({ ...message, attempts: attempts }, error);
+        return;
+    }
+    if (attempts >= config.outboundMaxAttempts) {
+        await deadLetter({ ...message, attempts: attempts }, `${error} after ${attempts} attempts`);
+        return;
+    }
+    const retryDelayMillis = getRetryDelayMillis(attempts);
+    logger.error(`Outbound message to chat ${message.chatId} failed ${error}. Retry in ${retryDelayMillis / 1000} seconds.`);
+    await Data.rescheduleOutboundMessage(message, new Date(now + retryDelayMillis), attempts, error);
+}
+
+/**
+ * Sends the messages that are due and allowed by the rate limits. Resolves to the time
+ * in milliseconds until the next message can be sent, null if there's nothing pending.
+ */
+async function processQueue() {
+    let nextDelay = null;
+    const updateNextDelay = (delay) => {
+        nextDelay = (nextDelay === null) ? delay : Math.min(nextDelay, delay);
+    };
+    const chatIds = await Data.getOutboundMessageChatIds();
+    const messages = [];
+    for (let chatId of chatIds) {
+        const message = await Data.getNextOutboundMessage(chatId);
+        if (message) {
+            messages.push(message);
+        }
+    }
+    // oldest first across the chats
+    messages.sort((a, b) => a.createdAt - b.createdAt);
+    for (let message of messages) {
+        const now = Date.now();
+        const waitMillis = Math.max(
+            message.nextAttemptAt.getTime() - now,
+            (chatNextSendTimes[message.chatId] || 0) - now,
+            getGlobalWaitMillis(now),
+            pausedUntil - now
+        );
+        if (waitMillis > 0) {
+            updateNextDelay(waitMillis);
+            continue;
+        }
+        await send(message);
+        // the next message of the chat may be sent after the chat interval
+        updateNextDelay(0);
+    }
+    return nextDelay;
+}
+
+function schedule(delayMillis) {
+    if (!isRunning) {
+        return;
+    }
+    if (isProcessing) {
+        isProcessRequested = true;
+        return;
+    }
+    const runTime = Date.now() + delayMillis;
+    if (timeoutId && nextRunTime <= runTime) {
+        return;
+    }
+    clearTimeout(timeoutId);
+    nextRunTime = runTime;
+    timeoutId = setTimeout(() => {
+        currentRun = run();
+    }, delayMillis);
+}
+
+async function run() {
+    timeoutId = null;
+    isProcessing = true;
+    isProcessRequested = false;
+    let nextDelay = null;
+    try {
+        nextDelay = await processQueue();
+    } catch (error) {
+        logger.error(`❗️ Unexpected error while processing the outbound message queue: ${error}`);
+        nextDelay = config.outboundRetryBaseDelayMillis;
+    }
+    isProcessing = false;
+    if (isProcessRequested) {
+        nextDelay = 0;
+    }
+    schedule(nextDelay === null ? config.outboundPollMillis : nextDelay);
+}
+
+/**
+ * Saves the message to the queue, resolves to the queued message.
+ * `payload` is the body of the Telegram API method, e.g. `sendMessage`.
+ */
+async function enqueue(chatId, method, payload) {
+    const message = await Data.saveOutboundMessage(chatId, method, payload);
+    schedule(0);
+    return message;
+}
+
+/**
+ * Starts sending the queued messages, including the ones left from the last run.
+ */
+async function start(deliveryFunction) {
+    deliver = deliveryFunction;
+    chatNextSendTimes = {};
+    recentSendTimes = [];
+    pausedUntil = 0;
+    const resetCount = await Data.resetSendingOutboundMessages();
+    if (resetCount > 0) {
+        logger.info(`${resetCount} outbound messages were being sent at the last stop, will send again.`);
+    }
+    isRunning = true;
+    schedule(0);
+}
+
+/**
+ * Stops sending, resolves after the message being sent (if any) is done.
+ */
+async function stop() {
+    isRunning = false;
+    clearTimeout(timeoutId);
+    timeoutId = null;
+    if (currentRun) {
+        await currentRun;
+        currentRun = null;
+    }
+}
+
+module.exports = {
+    start: start,
+    stop: stop,
+    enqueue: enqueue,
+    processQueue: processQueue
+};
@@ -3,21 +3,28 @@
  */
 const fetch = require('node-fetch');
 const dedent = require('dedent');
-const moment = require('moment');
 const markdownEscape = require('markdown-escape');
-const fs = require('fs');
 const FormData = require('form-data');
-const D3Node = require('d3-node');
-const d3 = require('d3');
-const sharp = require('sharp');
-const divide = require('divide-bigint');
+const d3Format = require('d3').format;
 
 const logger = require('./logging');
 const config = require('./config').config;
+const getNetwork = require('./config').getNetwork;
 const Data = require('./data');
+const Polkadot = require('./polkadot');
+const NotificationRules = require('./notification-rules');
+const ChatTime = require('./chat-time');
+const Availability = require('./availability');
+const Chart = require('./chart');
+const RewardsReport = require('./rewards-report');
+const NominatorChanges = require('./nominator-changes');
+const EraPoints = require('./era-points');
+const MessageQueue = require('./message-queue');
 
-const telegramBaseURL = `https://api.telegram.org/bot${config.telegramBotAuthKey}`;
-const graphFontFamily = 'DejaVuSans';
+const telegramBaseURL = `${config.telegramBotAPIBaseURL}/bot${config.telegramBotAuthKey}`;
+// Telegram's limit is 4096 characters
+const maxMessageLength = 4000;
+const maxListedOutages = 10;
 
 function toFixedWithoutRounding (value, precision) {
     var factorError = Math.pow(10, 14);
@@ -28,14 +35,48 @@ function toFixedWithoutRounding (value, precision) {
     ) / factorDecimal;
 }
 
-const formatAmount = amount => {
+const formatAmount = (amount, network) => {
     const value = toFixedWithoutRounding(
         amount, 4
     ).toLocaleString(
         'en-US',
         { minimumFractionDigits: 4 }
     );
-    return `${value} ${config.tokenSymbol}`
+    return `${value} ${network.tokenSymbol}`
+}
+
+/**
+ * Fills the network profile's explorer URL template, e.g.
+ * `https://kusama.subscan.io/{type}/{id}` for `('block', 123)`.
+ */
+const getExplorerURL = (network, type, id) => {
+    return network.explorerURL
+        .replace(/\{type\}/g, type)
+        .replace(/\{id\}/g, id);
+}
+
+const getValidatorNetwork = validator => getNetwork(validator.networkKey);
+
+/**
+ * Configured network names for display, e.g. `Kusama and Polkadot`.
+ */
+const getNetworkNames = () => {
+    const names = config.networks.map(network => network.name);
+    if (names.length == 1) {
+        return names[0];
+    }
+    return names.slice(0, -1).join(', ') + ' and ' + names[names.length - 1];
+}
+
+/**
+ * Validator selection button text, includes the network when more than one
+ * network is configured, as an operator often uses the same name on every network.
+ */
+const getValidatorSelectionText = validator => {
+    if (config.networks.length == 1) {
+        return validator.name;
+    }
+    return `${validator.name} (${getValidatorNetwork(validator).name})`;
 }
 
 async function updateMessage(chatId, messageId, message, replyMarkup) {
@@ -73,7 +114,7 @@ async function updateMessage(chatId, messageId, message, replyMarkup) {
     }
 }
 
-async function sendMessage(chatId, message, replyMarkup) {
+function getMessageBody(chatId, message, replyMarkup) {
     let body = {
         chat_id: chatId,
         text: message,
@@ -85,6 +126,11 @@ async function sendMessage(chatId, message, replyMarkup) {
     } else {
         body.reply_markup = { remove_keyboard: true }
     }
+    return body;
+}
+
+async function sendMessage(chatId, message, replyMarkup) {
+    const body = getMessageBody(chatId, message, replyMarkup);
     const response = await fetch(
         telegramBaseURL + '/sendMessage',
         {
@@ -113,13 +159,65 @@ async function sendMessage(chatId, message, replyMarkup) {
     }
 }
 
-async function sendImage(chatId, filePath, fileName) {
+/**
+ * Queues a notification in the outbound message queue instead of sending it right away,
+ * resolves to the queued message. During the chat's quiet hours, the notifications that
+ * are not critical are held instead, to be sent as a digest when the quiet hours end.
+ */
+async function queueMessage(chatId, message, replyMarkup, isCritical) {
+    if (!isCritical && !replyMarkup
+            && ChatTime.isInQuietHours(await Data.getChatById(chatId), new Date())) {
+        logger.info(`Chat ${chatId} is in quiet hours, hold the notification.`);
+        return await Data.saveHeldNotification(chatId, message);
+    }
+    return await MessageQueue.enqueue(
+        chatId,
+        'sendMessage',
+        getMessageBody(chatId, message, replyMarkup)
+    );
+}
+
+/**
+ * Delivers a message from the outbound message queue, resolves to the outcome:
+ * `{ ok, status, retryAfter, description }`, status being Telegram's error code if any.
+ */
+async function deliverQueuedMessage(queuedMessage) {
+    const response = await fetch(
+        telegramBaseURL + '/' + queuedMessage.method,
+        {
+            method: 'post',
+            body:    JSON.stringify(queuedMessage.payload),
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+    let responseJSON = null;
+    try {
+        responseJSON = await response.json();
+    } catch (error) {
+        // e.g. the HTML of a 502 page
+    }
+    if (responseJSON && responseJSON.ok) {
+        logger.info(`Queued message sent to chat ${queuedMessage.chatId} successfully.`);
+        return { ok: true, status: response.status };
+    }
+    return {
+        ok: false,
+        status: (responseJSON && responseJSON.error_code) ? responseJSON.error_code : response.status,
+        retryAfter: (responseJSON && responseJSON.parameters) ? responseJSON.parameters.retry_after : undefined,
+        description: (responseJSON && responseJSON.description) ? responseJSON.description : response.statusText
+    };
+}
+
+/**
+ * Sends the PNG image in the buffer.
+ */
+async function sendImage(chatId, image, fileName) {
     const form = new FormData();
     form.append('chat_id', chatId);
     form.append('reply_markup', '{ "remove_keyboard": true }');
     form.append(
         'photo',
-        fs.readFileSync(filePath),
+        image,
         {
             contentType: 'image/png',
             name: 'photo',
@@ -200,17 +298,67 @@ async function answerCallbackQuery(callbackQueryId, message) {
     return successful;
 }
 
-async function sendValidatorNotFound(chatId, stashAddress) {
+/**
+ * Makes Telegram post the updates to the given URL, with the secret token in
+ * the `X-Telegram-Bot-Api-Secret-Token` header.
+ */
+async function setWebhook(url, secretToken) {
+    let body = {
+        url: url,
+        secret_token: secretToken,
+        allowed_updates: ['message', 'callback_query']
+    };
+    const response = await fetch(
+        telegramBaseURL + '/setWebhook',
+        {
+            method: 'post',
+            body:    JSON.stringify(body),
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+    // Telegram rejects e.g. an unreachable URL with 400
+    const successful = response.status == 200;
+    if (successful) {
+        logger.info(`Telegram webhook set to ${url}.`);
+    } else {
+        logger.error(`Error while setting the Telegram webhook [${response.status}].`);
+    }
+    return successful;
+}
+
+/**
+ * Removes the webhook, Telegram keeps the updates for getUpdates after that.
+ */
+async function deleteWebhook() {
+    const response = await fetch(
+        telegramBaseURL + '/deleteWebhook',
+        {
+            method: 'post',
+            body:    JSON.stringify({}),
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+    const successful = response.status == 200;
+    if (successful) {
+        logger.info(`Telegram webhook deleted.`);
+    } else {
+        logger.error(`Error while deleting the Telegram webhook [${response.status}].`);
+    }
+    return successful;
+}
+
+async function sendValidatorNotFound(chatId, network, stashAddress) {
     const message = dedent('⚠️ Validator with stash address `' + stashAddress 
-                    + `\` was not found in the ${config.networkName} Thousand Validators Programme.`
+                    + `\` was not found in the ${network.name} Thousand Validators Programme.`
                     + ' Please enter a different stash address.');
     await sendMessage(chatId, message);
 }
 
 async function sendValidatorAdded(chatId, validator) {
+    const network = getValidatorNetwork(validator);
     const message = `${markdownEscape(validator.name)} has been added to your list.` 
                 + ` You will receive updates regarding the status of your validator and its activity`
-                + ` on the ${config.networkName} blockchain. I will send you block authorship notifications at the end of every hour,`
+                + ` on the ${network.name} blockchain. I will send you block authorship notifications at the end of every hour,`
                 + ` you can change this period with the /settings command. Please use the /remove command to remove this validator`
                 + ` or any other in your list and stop receiving notifications.`
                 + ` You can also add more validators with the /add command.`;
@@ -222,64 +370,174 @@ async function sendUnexpectedError(chatId) {
     await sendMessage(chatId, message);
 }
 
-async function sendSettingsMenu(chat, messageId) {
-    const keyboard = [
-        [{ text: '- NOTIFICATION SETTINGS -', callback_data: 'no_op' }],
-        [{ text: 'Block Authorship ->', callback_data: `{"goToSubMenu": "blockAuthorshipNotificationSettings"}` }],
-        [{ text: 'Unclaimed Payouts ->', callback_data: `{"goToSubMenu": "unclaimedPayoutNotificationSettings"}` }],
-        [{ text: (chat.sendNewNominationNotifications ? '🟢' : '⚪') + ' New Nominations', callback_data: '{"sendNewNominationNotifications": ' + (chat.sendNewNominationNotifications ? 'false' : 'true') + '}'}],
-        [{ text: (chat.sendChillingEventNotifications ? '🟢' : '⚪') + ' Chilling Events', callback_data: '{"sendChillingEventNotifications": ' + (chat.sendChillingEventNotifications ? 'false' : 'true') + '}'}],
-        [{ text: (chat.sendOfflineEventNotifications ? '🟢' : '⚪') + ' Offline Offence', callback_data: '{"sendOfflineEventNotifications": ' + (chat.sendOfflineEventNotifications ? 'false' : 'true') + '}'}],
-        [{ text: '-> Close <-', callback_data: '{"closeSettings": true}'}]
-    ]
+async function sendSettingsMessage(chat, messageId, text, keyboard) {
     const replyMarkup = {
         inline_keyboard: keyboard
     };
     if (messageId) {
-        return await updateMessage(chat.chatId, messageId, 'Please configure below.', replyMarkup);
+        return await updateMessage(chat.chatId, messageId, text, replyMarkup);
     } else {
-        return await sendMessage(chat.chatId, 'Please configure below.', replyMarkup);
+        return await sendMessage(chat.chatId, text, replyMarkup);
+    }
+}
+
+/**
+ * First level of the settings menu, the chat defaults or one of the chat's validators.
+ */
+async function sendSettingsMenu(chat, validators, messageId) {
+    const keyboard = [
+        [{ text: '- NOTIFICATION SETTINGS -', callback_data: 'no_op' }],
+        [{ text: 'All Validators (Chat Defaults) ->', callback_data: '{"selectValidator": -1}' }]
+    ];
+    validators.forEach((validator, index) => {
+        keyboard.push([{ text: `${validator.name} ->`, callback_data: `{"selectValidator": ${index}}` }]);
+    });
+    keyboard.push([{ text: '-> Close <-', callback_data: '{"closeSettings": true}'}]);
+    return await sendSettingsMessage(chat, messageId, 'Please select the validator to configure, or configure the defaults for all validators.', keyboard);
+}
+
+function getSettingsTargetText(target) {
+    if (target.validator) {
+        return `Please configure the notifications for ${markdownEscape(target.validator.name)} below. Settings marked with \\* follow the chat defaults.`;
+    }
+    return 'Please configure below.';
+}
+
+/**
+ * Marks the settings of a validator that follow the chat defaults.
+ */
+function getSettingLabel(target, name, label) {
+    if (target.validator && !(target.overrides && typeof target.overrides[name] !== 'undefined')) {
+        return `${label} *`;
+    }
+    return label;
+}
+
+/**
+ * `target` is what's being configured, see `getSettingsTarget` in the bot module.
+ */
+async function sendNotificationSettings(chat, target, messageId) {
+    const settings = target.settings;
+    const toggle = (name, label) => [{
+        text: getSettingLabel(target, name, (settings[name] ? '🟢' : '⚪') + ' ' + label),
+        callback_data: `{"${name}": ${settings[name] ? 'false' : 'true'}}`
+    }];
+    const keyboard = [
+        [{ text: target.validator ? `- ${target.validator.name.toUpperCase()} -` : '- NOTIFICATION SETTINGS -', callback_data: 'no_op' }],
+        [{ text: getSettingLabel(target, 'blockNotificationPeriod', 'Block Authorship ->'), callback_data: `{"goToSubMenu": "blockAuthorshipNotificationSettings"}` }],
+        [{ text: getSettingLabel(target, 'unclaimedPayoutNotificationPeriod', 'Unclaimed Payouts ->'), callback_data: `{"goToSubMenu": "unclaimedPayoutNotificationSettings"}` }],
+        [{ text: getSettingLabel(target, 'offlineAlertRepeatPeriod', 'Offline Alerts ->'), callback_data: `{"goToSubMenu": "offlineAlertSettings"}` }],
+        [{ text: 'Digests ->', callback_data: `{"goToSubMenu": "digestSettings"}` }],
+        toggle('sendNewNominationNotifications', 'New Nominations'),
+        toggle('sendChillingEventNotifications', 'Chilling Events'),
+        toggle('sendOfflineEventNotifications', 'Offline Offence'),
+        toggle('sendOffenceNotifications', 'Offences & Slashes'),
+        toggle('sendNominatorChangeNotifications', 'Nominator Changes'),
+        toggle('sendEraPointsNotifications', 'Low Era Points'),
+        toggle('sendValidatorChangeNotifications', 'Keys, Controller & Bond')
+    ];
+    if (target.overrides) {
+        keyboard.push([{ text: 'Reset to Chat Defaults', callback_data: '{"resetValidatorSettings": true}' }]);
+    }
+    keyboard.push([{ text: '<- Back', callback_data: '{"backToValidatorSelection": true}'}]);
+    keyboard.push([{ text: '-> Close <-', callback_data: '{"closeSettings": true}'}]);
+    return await sendSettingsMessage(chat, messageId, getSettingsTargetText(target), keyboard);
+}
+
+/**
+ * Era-relative period lengths for display, e.g. `3 hours` or `3 hours on Kusama, 12 hours on Polkadot`.
+ */
+function getEraPeriodHoursText(eraFraction) {
+    const hoursText = network => `${network.eraLengthMins * eraFraction / 60} hours`;
+    if (config.networks.length == 1) {
+        return hoursText(config.networks[0]);
     }
+    return config.networks.map(network => `${hoursText(network)} on ${network.name}`).join(', ');
 }
 
-async function sendBlockAuthorshipNotificationSettings(chat, messageId) {
+async function sendBlockAuthorshipNotificationSettings(chat, target, messageId) {
+    const period = target.settings.blockNotificationPeriod;
     const keyboard = [
         [{ text: '- BLOCK AUTHORSHIP NOTIFICATIONS -', callback_data: 'no_op'}],
-        [{ text: (chat.blockNotificationPeriod == Data.BlockNotificationPeriod.OFF ? '🔴' : '⚪') + ' Off', callback_data: '{"blockNotificationPeriod": -1}'}],
-        [{ text: (chat.blockNotificationPeriod == Data.BlockNotificationPeriod.IMMEDIATE ? '🟢' : '⚪') + ' Immediately', callback_data: '{"blockNotificationPeriod": 0}'}],
-        [{ text: (chat.blockNotificationPeriod == Data.BlockNotificationPeriod.HOURLY ? '🟢' : '⚪️') + ' Hourly', callback_data: '{"blockNotificationPeriod": 60}'}],
-        [{ text: (chat.blockNotificationPeriod == Data.BlockNotificationPeriod.HALF_ERA ? '🟢' : '⚪️') + ` End of every half era (${config.eraLengthMins / (2 * 60)} hours)`, callback_data: `{"blockNotificationPeriod": ${config.eraLengthMins / 2}}`}],
-        [{ text: (chat.blockNotificationPeriod == Data.BlockNotificationPeriod.ERA_END ? '🟢' : '⚪️') + ` End of every era (${config.eraLengthMins / 60} hours)`, callback_data: `{"blockNotificationPeriod": ${config.eraLengthMins}}`}],
+        [{ text: (period == Data.NotificationPeriod.OFF ? '🔴' : '⚪') + ' Off', callback_data: '{"blockNotificationPeriod": -1}'}],
+        [{ text: (period == Data.NotificationPeriod.IMMEDIATE ? '🟢' : '⚪') + ' Immediately', callback_data: '{"blockNotificationPeriod": 0}'}],
+        [{ text: (period == Data.NotificationPeriod.HOURLY ? '🟢' : '⚪️') + ' Hourly', callback_data: '{"blockNotificationPeriod": 60}'}],
+        [{ text: (period == Data.NotificationPeriod.HALF_ERA ? '🟢' : '⚪️') + ` End of every half era (${getEraPeriodHoursText(0.5)})`, callback_data: `{"blockNotificationPeriod": ${Data.NotificationPeriod.HALF_ERA}}`}],
+        [{ text: (period == Data.NotificationPeriod.ERA_END ? '🟢' : '⚪️') + ` End of every era (${getEraPeriodHoursText(1)})`, callback_data: `{"blockNotificationPeriod": ${Data.NotificationPeriod.ERA_END}}`}],
         [{ text: '<- Back', callback_data: '{"backToSettingsMenu": true}'}]
     ]
-    const replyMarkup = {
-        inline_keyboard: keyboard
-    };
-    return await updateMessage(chat.chatId, messageId, 'Please configure below.', replyMarkup);
+    return await sendSettingsMessage(chat, messageId, getSettingsTargetText(target), keyboard);
+}
+
+async function sendOfflineAlertSettings(chat, target, messageId) {
+    const period = target.settings.offlineAlertRepeatPeriod;
+    const keyboard = [
+        [{ text: '- OFFLINE ALERTS -', callback_data: 'no_op'}],
+        [{ text: (period == Data.OfflineAlertRepeatPeriod.OFF ? '🔴' : '⚪') + ' Alert once', callback_data: '{"offlineAlertRepeatPeriod": -1}'}],
+        [{ text: (period == Data.OfflineAlertRepeatPeriod.HALF_HOUR ? '🟢' : '⚪') + ' Repeat every 30 minutes', callback_data: '{"offlineAlertRepeatPeriod": 30}'}],
+        [{ text: (period == Data.OfflineAlertRepeatPeriod.HOURLY ? '🟢' : '⚪️') + ' Repeat hourly', callback_data: '{"offlineAlertRepeatPeriod": 60}'}],
+        [{ text: (period == Data.OfflineAlertRepeatPeriod.THREE_HOURS ? '🟢' : '⚪️') + ' Repeat every 3 hours', callback_data: '{"offlineAlertRepeatPeriod": 180}'}],
+        [{ text: '<- Back', callback_data: '{"backToSettingsMenu": true}'}]
+    ];
+    const text = `${getSettingsTargetText(target)} The alerts of an offline validator repeat until acknowledged or the validator is back online.`;
+    return await sendSettingsMessage(chat, messageId, text, keyboard);
 }
 
-async function sendUnclaimedPayoutNotificationSettings(chat, messageId) {
+async function sendUnclaimedPayoutNotificationSettings(chat, target, messageId) {
+    const period = target.settings.unclaimedPayoutNotificationPeriod;
     const keyboard = [
         [{ text: '- UNCLAIMED PAYOUT NOTIFICATIONS -', callback_data: 'no_op'}],
-        [{ text: (chat.unclaimedPayoutNotificationPeriod == Data.UnclaimedPayoutNotificationPeriod.OFF ? '🔴' : '⚪') + ' Off', callback_data: '{"unclaimedPayoutNotificationPeriod": -1}'}],
-        [{ text: (chat.unclaimedPayoutNotificationPeriod == Data.UnclaimedPayoutNotificationPeriod.EVERY_ERA ? '🟢' : '⚪') + ' Every era', callback_data: '{"unclaimedPayoutNotificationPeriod": 1}'}],
-        [{ text: (chat.unclaimedPayoutNotificationPeriod == Data.UnclaimedPayoutNotificationPeriod.TWO_ERAS ? '🟢' : '⚪️') + ' Every 2 eras', callback_data: '{"unclaimedPayoutNotificationPeriod": 2}'}],
-        [{ text: (chat.unclaimedPayoutNotificationPeriod == Data.UnclaimedPayoutNotificationPeriod.FOUR_ERAS ? '🟢' : '⚪️') + ` Every 4 eras`, callback_data: '{"unclaimedPayoutNotificationPeriod": 4}' }],
+        [{ text: (period == Data.UnclaimedPayoutNotificationPeriod.OFF ? '🔴' : '⚪') + ' Off', callback_data: '{"unclaimedPayoutNotificationPeriod": -1}'}],
+        [{ text: (period == Data.UnclaimedPayoutNotificationPeriod.EVERY_ERA ? '🟢' : '⚪') + ' Every era', callback_data: '{"unclaimedPayoutNotificationPeriod": 1}'}],
+        [{ text: (period == Data.UnclaimedPayoutNotificationPeriod.TWO_ERAS ? '🟢' : '⚪️') + ' Every 2 eras', callback_data: '{"unclaimedPayoutNotificationPeriod": 2}'}],
+        [{ text: (period == Data.UnclaimedPayoutNotificationPeriod.FOUR_ERAS ? '🟢' : '⚪️') + ` Every 4 eras`, callback_data: '{"unclaimedPayoutNotificationPeriod": 4}' }],
         [{ text: '<- Back', callback_data: '{"backToSettingsMenu": true}'}]
     ]
-    const replyMarkup = {
-        inline_keyboard: keyboard
+    return await sendSettingsMessage(chat, messageId, getSettingsTargetText(target), keyboard);
+}
+
+const digestPeriodLabels = {
+    [Data.NotificationPeriod.IMMEDIATE]: 'Immediately',
+    [Data.NotificationPeriod.HOURLY]: 'Hourly',
+    [Data.NotificationPeriod.HALF_ERA]: 'Every half era',
+    [Data.NotificationPeriod.ERA_END]: 'Every era'
+};
+
+/**
+ * Periods of the notification types other than block authorship, each button moves
+ * the type to its next period.
+ */
+async function sendDigestSettings(chat, target, messageId) {
+    const row = (type, label) => {
+        const name = Data.NotificationPeriodSettingNames[type];
+        return [{
+            text: getSettingLabel(target, name, `${label}: ${digestPeriodLabels[target.settings[name]]}`),
+            callback_data: `{"cycleNotificationPeriod": "${type}"}`
+        }];
     };
-    if (messageId) {
-        return await updateMessage(chat.chatId, messageId, 'Please configure below.', replyMarkup);
-    } else {
-        return await sendMessage(chat.chatId, 'Please configure below.', replyMarkup);
-    }
+    const keyboard = [
+        [{ text: '- DIGESTS -', callback_data: 'no_op'}],
+        row(Data.NotificationType.NOMINATION, 'New Nominations'),
+        row(Data.NotificationType.CHILLING, 'Chilling Events'),
+        row(Data.NotificationType.RANK_CHANGE, 'Rank Changes'),
+        row(Data.NotificationType.COMMISSION_CHANGE, 'Commission Changes'),
+        row(Data.NotificationType.NOMINATOR_CHANGE, 'Nominator Changes'),
+        [{ text: '<- Back', callback_data: '{"backToSettingsMenu": true}'}]
+    ];
+    const text = `${getSettingsTargetText(target)} Notifications that aren't sent immediately are sent together in a digest. Half eras are ${getEraPeriodHoursText(0.5)}.`;
+    return await sendSettingsMessage(chat, messageId, text, keyboard);
 }
 
 async function sendValidatorInfo(chatId, validator) {
+    const network = getValidatorNetwork(validator);
+    const timezone = ChatTime.getChatTimezone(await Data.getChatById(chatId));
+    const timezoneText = ChatTime.formatTimezone(timezone);
     // name
     let validatorInfo = markdownEscape(validator.name);
+    // network
+    if (config.networks.length > 1) {
+        validatorInfo += `\n🌐 ${network.name} validator`;
+    }
     // stash
     validatorInfo += `\n📍 Address ${validator.stashAddress.slice(0, 8)}..${validator.stashAddress.slice(-8)}`;
     // rank
@@ -298,14 +556,14 @@ async function sendValidatorInfo(chatId, validator) {
     // online / offline
     if (validator.offlineSince == 0) {
         if (validator.onlineSince) {
-            const onlineSince = moment.utc(new Date(validator.onlineSince)).format('MMMM Do YYYY, HH:mm:ss');
-            validatorInfo += `\n🟢 Online since ${onlineSince} UTC`;
+            const onlineSince = ChatTime.formatDate(new Date(validator.onlineSince), timezone);
+            validatorInfo += `\n🟢 Online since ${onlineSince} ${timezoneText}`;
         } else {
             validatorInfo += `\n🟢 Online`;
         }
     } else if (validator.offlineSince > 0) {
-        const offlineSince = moment.utc(new Date(validator.offlineSince)).format('MMMM Do YYYY, HH:mm:ss');
-        validatorInfo += `\n🔴 Offline since ${offlineSince} UTC`;
+        const offlineSince = ChatTime.formatDate(new Date(validator.offlineSince), timezone);
+        validatorInfo += `\n🔴 Offline since ${offlineSince} ${timezoneText}`;
     }
     // active set
     if (validator.isActiveInSet) {
@@ -315,7 +573,7 @@ async function sendValidatorInfo(chatId, validator) {
     }
     // controller
     if (validator.controllerAddress) {
-        validatorInfo += `\n⚓️ Controller: [${validator.controllerAddress.slice(0, 6)}..${validator.controllerAddress.slice(-6)}](https://${config.networkName.toLowerCase()}.subscan.io/account/${validator.controllerAddress})`
+        validatorInfo += `\n⚓️ Controller: [${validator.controllerAddress.slice(0, 6)}..${validator.controllerAddress.slice(-6)}](${getExplorerURL(network, 'account', validator.controllerAddress)})`
     }
     // session keys
     if (validator.sessionKeys) {
@@ -335,11 +593,11 @@ async function sendValidatorInfo(chatId, validator) {
         validatorInfo += `\n🧬 Is running version ${markdownEscape(validator.version)}`;
     }
     // first discovered
-    const firstDiscovered = moment.utc(new Date(validator.discoveredAt)).format('MMMM Do YYYY, HH:mm:ss');
-    validatorInfo += `\n📡 First discovered on ${firstDiscovered} UTC`;
+    const firstDiscovered = ChatTime.formatDate(new Date(validator.discoveredAt), timezone);
+    validatorInfo += `\n📡 First discovered on ${firstDiscovered} ${timezoneText}`;
     // last updated
-    const lastUpdated = moment.utc(new Date(validator.lastUpdated)).format('MMMM Do YYYY, HH:mm:ss');
-    validatorInfo += `\n\n_Last updated ${lastUpdated} UTC_`;
+    const lastUpdated = ChatTime.formatDate(new Date(validator.lastUpdated), timezone);
+    validatorInfo += `\n\n_Last updated ${lastUpdated} ${timezoneText}_`;
 
     await sendMessage(chatId, validatorInfo);
     return validator;
@@ -360,57 +618,427 @@ async function sendUnrecognizedCommand(chatId) {
     await sendMessage(chatId, message);
 }
 
+function getNotificationRuleThresholdText(rule) {
+    const ruleType = NotificationRules.RuleTypes[rule.type];
+    if (ruleType.isAmount) {
+        const network = rule.networkKey ? getNetwork(rule.networkKey) : null;
+        return network ? formatAmount(rule.threshold, network) : `${rule.threshold} tokens`;
+    }
+    return rule.type == 'commission-change' ? `${rule.threshold}%` : `${rule.threshold}`;
+}
+
+function getNotificationRuleUsage() {
+    const lines = [
+        'Use `/rules set <rule> <value>` to add or change a rule, and `/rules remove <rule>` to remove it.'
+    ];
+    if (config.networks.length > 1) {
+        const networkKey = config.networks[0].key;
+        lines.push(`A rule applies to all networks, add a network to the end for a single network, e.g. \`/rules set nomination-stake 100 ${networkKey}\`.`);
+    }
+    lines.push('');
+    for (let type of Object.keys(NotificationRules.RuleTypes)) {
+        lines.push(`\`${type}\` - ${NotificationRules.RuleTypes[type].description}`);
+    }
+    return lines.join('\n');
+}
+
+async function sendNotificationRules(chatId, rules) {
+    const lines = [];
+    if (rules.length == 0) {
+        lines.push('There are no notification rules in this chat.');
+    } else {
+        lines.push('*Notification Rules*');
+        for (let rule of rules) {
+            const network = rule.networkKey ? getNetwork(rule.networkKey) : null;
+            lines.push(`\`${rule.type}\` ${getNotificationRuleThresholdText(rule)}${network ? ` (${network.name})` : ''}`);
+        }
+    }
+    lines.push('');
+    lines.push(getNotificationRuleUsage());
+    await sendMessage(chatId, lines.join('\n'));
+}
+
+async function sendInvalidNotificationRule(chatId, reason) {
+    await sendMessage(chatId, reason + '\n\n' + getNotificationRuleUsage());
+}
+
+async function sendActiveStakeAlert(chatId, validator, totalStake, rule) {
+    const network = getValidatorNetwork(validator);
+    const message = `⚠️ *${markdownEscape(validator.name)}* has an active stake of *${formatAmount(totalStake, network)}* this era, under the *${formatAmount(rule.threshold, network)}* of your rule.`;
+    await queueMessage(chatId, message);
+}
+
+/**
+ * Sends the notifications held during the chat's quiet hours as a digest, split into
+ * more than one message only when it's too long for Telegram.
+ */
+async function sendHeldNotificationDigest(chatId, notifications, timezone) {
+    const messages = [];
+    let message = `🌙 ${notifications.length} ${notifications.length > 1 ? 'notifications were' : 'notification was'} held during your quiet hours.`;
+    for (let notification of notifications) {
+        const part = `\n\n_${ChatTime.formatTimeOfDay(notification.createdAt, timezone)}_ ${notification.text}`;
+        if (message.length + part.length > maxMessageLength) {
+            messages.push(message);
+            message = part.trim();
+        } else {
+            message += part;
+        }
+    }
+    messages.push(message);
+    for (let digestMessage of messages) {
+        await queueMessage(chatId, digestMessage, null, true);
+    }
+}
+
+async function sendTimezone(chat) {
+    const message = dedent(
+        `Your timezone is *${ChatTime.formatTimezone(ChatTime.getChatTimezone(chat))}*. Dates are displayed and the quiet hours are kept in this timezone.
+
+        Use \`/timezone <name>\` to change it, e.g. \`/timezone Europe/Berlin\`.`
+    );
+    await sendMessage(chat.chatId, message);
+}
+
+async function sendInvalidTimezone(chatId, name) {
+    const message = `There's no timezone called \`${name.replace(/`/g, '')}\`. Please use an IANA timezone name, e.g. \`Europe/Berlin\` or \`America/New_York\`.`;
+    await sendMessage(chatId, message);
+}
+
+async function sendQuietHours(chat) {
+    const status = chat.quietHours
+        ? `Your quiet hours are *${ChatTime.formatQuietHours(chat.quietHours)}* (${ChatTime.formatTimezone(ChatTime.getChatTimezone(chat))}).`
+        : 'Quiet hours are off.';
+    const message = dedent(
+        `${status} During the quiet hours, the notifications are held and sent as a digest when the quiet hours end. Critical ones, like going offline or getting chilled, are still sent right away.
+
+        Use \`/quiethours 23:00-07:00\` to set them, or \`/quiethours off\` to turn them off.`
+    );
+    await sendMessage(chat.chatId, message);
+}
+
+async function sendInvalidQuietHours(chatId) {
+    const message = 'Please enter the quiet hours in the `HH:mm-HH:mm` format, e.g. `/quiethours 23:00-07:00`, or `/quiethours off`.';
+    await sendMessage(chatId, message);
+}
+
+/**
+ * `rpcStatuses` is a list of `{ network, status }`, the status as returned by `Polkadot.getRPCStatus`.
+ */
+async function sendRPCStatus(chatId, rpcStatuses) {
+    const sections = rpcStatuses.map(({ network, status }) => {
+        const lines = [`*${network.name}*`];
+        for (let endpoint of status.endpoints) {
+            const icon = endpoint.isActive ? (endpoint.isHealthy ? '🟢' : '🟠') : '⚪️';
+            lines.push(`${icon} \`${endpoint.url}\`${endpoint.isActive ? ' (active)' : ''}`);
+            if (endpoint.isActive) {
+                lines.push(`Finalized #${endpoint.lastFinalizedBlockNumber}, ${Math.round(endpoint.lagMillis / 1000)} seconds ago.`);
+            }
+            lines.push(`Health ${endpoint.score}, ${endpoint.errorCount} errors recently.`);
+        }
+        return lines.join('\n');
+    });
+    await sendMessage(chatId, sections.join('\n\n'));
+}
+
 async function sendBlocksAuthored(chatId, validator, blockNumbers) {
+    const network = getValidatorNetwork(validator);
     let message;
     if (blockNumbers == 0) { 
         return; 
     } else if (blockNumbers.length == 1) {
         message = `${markdownEscape(validator.name)} has authored block ` 
-            + `[${blockNumbers[0]}](https://${config.networkName.toLowerCase()}.subscan.io/block/${blockNumbers[0]}).`;
+            + `[${blockNumbers[0]}](${getExplorerURL(network, 'block', blockNumbers[0])}).`;
     } else if (blockNumbers.length < 11) {
         message = `${markdownEscape(validator.name)} has authored blocks `
-            + blockNumbers.map(blockNumber => `[${blockNumber}](https://${config.networkName.toLowerCase()}.subscan.io/block/${blockNumber})`).join(', ')
+            + blockNumbers.map(blockNumber => `[${blockNumber}](${getExplorerURL(network, 'block', blockNumber)})`).join(', ')
             + '.';
     } else {
         message = `${markdownEscape(validator.name)} has authored ${blockNumbers.length} blocks.`;
     }
-    return await sendMessage(chatId, message);
+    return await queueMessage(chatId, message);
+}
+
+const getBlockLinks = (network, blockNumbers) => blockNumbers
+    .map(blockNumber => `[${blockNumber}](${getExplorerURL(network, 'block', blockNumber)})`)
+    .join(', ');
+
+/**
+ * Digest lines of a validator's pending notifications, see `Data.savePendingNotification`
+ * for the data of each type. Rank and commission changes are summed up from the first
+ * to the last value.
+ */
+function getNotificationDigestLines(network, notifications) {
+    const ofType = type => notifications
+        .filter(notification => notification.type == type)
+        .map(notification => notification.data);
+    const lines = [];
+    const blockNumbers = ofType(Data.NotificationType.BLOCK_AUTHORSHIP).map(data => data.blockNumber);
+    if (blockNumbers.length == 1) {
+        lines.push(`🧱 authored block ${getBlockLinks(network, blockNumbers)}`);
+    } else if (blockNumbers.length > 1 && blockNumbers.length < 11) {
+        lines.push(`🧱 authored blocks ${getBlockLinks(network, blockNumbers)}`);
+    } else if (blockNumbers.length > 1) {
+        lines.push(`🧱 authored ${blockNumbers.length} blocks`);
+    }
+    for (let nomination of ofType(Data.NotificationType.NOMINATION)) {
+        lines.push(
+            `⭐️ nomination of *${formatAmount(nomination.activeStake, network)}* by `
+            + `[${nomination.nominator.slice(0, 6)}..${nomination.nominator.slice(-6)}](${getExplorerURL(network, 'account', nomination.nominator)}) `
+            + `([extrinsic](${getExplorerURL(network, 'extrinsic', `${nomination.blockNumber}-${nomination.extrinsicIndex}`)}))`
+        );
+    }
+    for (let chilling of ofType(Data.NotificationType.CHILLING)) {
+        lines.push(
+            `🥶 got chilled by the controller `
+            + `[${chilling.controllerAddress.slice(0, 4)}..${chilling.controllerAddress.slice(-4)}](${getExplorerURL(network, 'account', chilling.controllerAddress)}) `
+            + `([extrinsic](${getExplorerURL(network, 'extrinsic', `${chilling.blockNumber}-${chilling.extrinsicIndex}`)}))`
+        );
+    }
+    const rankChanges = ofType(Data.NotificationType.RANK_CHANGE);
+    if (rankChanges.length > 0) {
+        const oldRank = rankChanges[0].oldRank;
+        const newRank = rankChanges[rankChanges.length - 1].newRank;
+        lines.push(`${newRank >= oldRank ? '📈' : '📉'} rank changed from ${oldRank} to ${newRank}`);
+    }
+    const commissionChanges = ofType(Data.NotificationType.COMMISSION_CHANGE);
+    if (commissionChanges.length > 0) {
+        const newCommission = commissionChanges[commissionChanges.length - 1].newCommission;
+        lines.push(`💵 commission rate changed from ${commissionChanges[0].oldCommission} to ${newCommission}`);
+    }
+    for (let change of ofType(Data.NotificationType.NOMINATOR_CHANGE)) {
+        const nominatorLink = `[${change.nominator.slice(0, 6)}..${change.nominator.slice(-6)}](${getExplorerURL(network, 'account', change.nominator)})`;
+        if (change.type == NominatorChanges.ChangeType.LEFT) {
+            lines.push(
+                `👋 ${nominatorLink} left with *${formatAmount(change.oldBonded, network)}*, `
+                + `total now *${formatAmount(change.totalBonded, network)}*`
+            );
+        } else {
+            lines.push(
+                `🔻 ${nominatorLink} reduced their stake from *${formatAmount(change.oldBonded, network)}* `
+                + `to *${formatAmount(change.newBonded, network)}*, total now *${formatAmount(change.totalBonded, network)}*`
+            );
+        }
+    }
+    return lines;
+}
+
+/**
+ * Sends the pending notifications of a chat in the network as a digest, `groups` is a list of
+ * `{ validator, notifications }`. Split into more than one message only when it's too long for Telegram.
+ */
+async function sendNotificationDigest(chatId, network, groups) {
+    const messages = [];
+    let message = config.networks.length > 1 ? `📋 *${network.name} Digest*` : '📋 *Digest*';
+    for (let group of groups) {
+        const lines = getNotificationDigestLines(network, group.notifications);
+        if (lines.length == 0) {
+            continue;
+        }
+        const part = `\n\n*${markdownEscape(group.validator.name)}*\n` + lines.join('\n');
+        if (message.length + part.length > maxMessageLength) {
+            messages.push(message);
+            message = part.trim();
+        } else {
+            message += part;
+        }
+    }
+    messages.push(message);
+    let response;
+    for (let digestMessage of messages) {
+        response = await queueMessage(chatId, digestMessage);
+    }
+    return response;
 }
 
 async function sendNewNomination(chatId, validator, nomination) {
+    const network = getValidatorNetwork(validator);
     let message = dedent(
         `⭐️ ${markdownEscape(validator.name)} received a nomination!
-        *Nominator:* [${nomination.nominator.slice(0, 6) + '..' + nomination.nominator.slice(-6)}](https://${config.networkName.toLowerCase()}.subscan.io/account/${nomination.nominator})
-        *Stake:* ${formatAmount(nomination.activeStake)}
+        *Nominator:* [${nomination.nominator.slice(0, 6) + '..' + nomination.nominator.slice(-6)}](${getExplorerURL(network, 'account', nomination.nominator)})
+        *Stake:* ${formatAmount(nomination.activeStake, network)}
         *Nominee Count:* ${nomination.validatorAddresses.length}
-        *Extrinsic:* [link](https://${config.networkName.toLowerCase()}.subscan.io/extrinsic/${nomination.blockNumber}-${nomination.extrinsicIndex})
+        *Extrinsic:* [link](${getExplorerURL(network, 'extrinsic', `${nomination.blockNumber}-${nomination.extrinsicIndex}`)})
         `
     );
-    await sendMessage(chatId, message);
+    await queueMessage(chatId, message);
+}
+
+/**
+ * A nominator leaving the validator or reducing their stake, see `processNominatorChange`
+ * in the bot module for the change. Amounts are in tokens, the total is of the nominators
+ * after the change.
+ */
+async function sendNominatorChange(chatId, validator, change) {
+    const network = getValidatorNetwork(validator);
+    const nominatorLink = `[${change.nominator.slice(0, 6)}..${change.nominator.slice(-6)}](${getExplorerURL(network, 'account', change.nominator)})`;
+    let message;
+    if (change.type == NominatorChanges.ChangeType.LEFT) {
+        message = dedent(
+            `👋 A nominator left ${markdownEscape(validator.name)}.
+            *Nominator:* ${nominatorLink}
+            *Stake:* ${formatAmount(change.oldBonded, network)}
+            *Reason:* ${change.isNominating ? 'Nominated other validators' : 'Stopped nominating'}
+            *Total Nominated:* ${formatAmount(change.totalBonded, network)}
+            `
+        );
+    } else {
+        message = dedent(
+            `🔻 A nominator reduced their stake on ${markdownEscape(validator.name)}.
+            *Nominator:* ${nominatorLink}
+            *Stake:* ${formatAmount(change.oldBonded, network)} -> ${formatAmount(change.newBonded, network)}
+            *Reduced By:* ${formatAmount(change.oldBonded - change.newBonded, network)}
+            *Total Nominated:* ${formatAmount(change.totalBonded, network)}
+            `
+        );
+    }
+    await queueMessage(chatId, message);
 }
 
 async function sendChilling(chatId, validator, chilling) {
+    const network = getValidatorNetwork(validator);
     let message = dedent(
         `🥶 ${markdownEscape(validator.name)} got chilled!
-        Controller [${chilling.controllerAddress.slice(0, 4)}..${chilling.controllerAddress.slice(-4)}](https://${config.networkName.toLowerCase()}.subscan.io/account/${chilling.controllerAddress}) declared no desire to validate.
+        Controller [${chilling.controllerAddress.slice(0, 4)}..${chilling.controllerAddress.slice(-4)}](${getExplorerURL(network, 'account', chilling.controllerAddress)}) declared no desire to validate.
         Effects will be felt at the beginning of the next era.
-        *Extrinsic:* [link](https://${config.networkName.toLowerCase()}.subscan.io/extrinsic/${chilling.blockNumber}-${chilling.extrinsicIndex})
+        *Extrinsic:* [link](${getExplorerURL(network, 'extrinsic', `${chilling.blockNumber}-${chilling.extrinsicIndex}`)})
         `
     );
-    await sendMessage(chatId, message);
+    await queueMessage(chatId, message, null, true);
+}
+
+/**
+ * The button that stops the repeated alerts of an offline incident in the chat.
+ */
+function getOfflineIncidentReplyMarkup(incident) {
+    return {
+        inline_keyboard: [[{ text: '✔️ Acknowledge', callback_data: `{"ackIncident": "${incident._id}"}` }]]
+    };
+}
+
+async function sendOfflineAlertReminder(chat, validator, incident) {
+    const timezone = ChatTime.getChatTimezone(chat);
+    const message = `🔴 ${markdownEscape(validator.name)} is still offline, `
+        + `for ${ChatTime.formatDuration(Date.now() - incident.offlineSince)} since ${ChatTime.formatDate(new Date(incident.offlineSince), timezone)}.`;
+    return await queueMessage(chat.chatId, message, getOfflineIncidentReplyMarkup(incident), true);
+}
+
+/**
+ * `items` is a list of `{ incident, validator }`, the chat's open incidents.
+ */
+async function sendOfflineIncidents(chat, items) {
+    if (items.length == 0) {
+        await sendMessage(chat.chatId, 'There are no open incidents, all your validators are online.');
+        return;
+    }
+    const timezone = ChatTime.getChatTimezone(chat);
+    const lines = ['*Open Incidents*'];
+    for (let { incident, validator } of items) {
+        const status = incident.acknowledgedAt
+            ? 'acknowledged'
+            : `${incident.alertCount} ${incident.alertCount > 1 ? 'alerts' : 'alert'} sent`;
+        const networkText = config.networks.length > 1 ? ` (${getValidatorNetwork(validator).name})` : '';
+        lines.push(
+            `🔴 *${markdownEscape(validator.name)}*${networkText} offline `
+            + `for ${ChatTime.formatDuration(Date.now() - incident.offlineSince)} since ${ChatTime.formatDate(new Date(incident.offlineSince), timezone)}, ${status}.`
+        );
+    }
+    await sendMessage(chat.chatId, lines.join('\n'));
 }
 
 async function sendOfflineEvent(chatId, validator, offlineEvent) {
+    const network = getValidatorNetwork(validator);
     let message = dedent(
         `🆘 ${markdownEscape(validator.name)} was found to be offline at the end of the session!
-        *Event:* [link](https://${config.networkName.toLowerCase()}.subscan.io/event/${offlineEvent.blockNumber}-${offlineEvent.eventIndex})
+        *Event:* [link](${getExplorerURL(network, 'event', `${offlineEvent.blockNumber}-${offlineEvent.eventIndex}`)})
         `
     );
-    await sendMessage(chatId, message);
+    await queueMessage(chatId, message, null, true);
+}
+
+async function sendMissingHeartbeatAlert(chatId, validator, session) {
+    const message = dedent(
+        `⚠️ ${markdownEscape(validator.name)} has no heartbeat yet in session ${session}, at risk of an offline offence!
+        It hasn't sent an imOnline heartbeat or authored a block this session. Please check the node before the session ends.
+        `
+    );
+    await queueMessage(chatId, message, null, true);
+}
+
+/**
+ * An offence or slash event of the validator, or a slash of one of its nominators when the
+ * nominator address is given. See `Polkadot.getBlockSummary` for the offence.
+ */
+async function sendOffence(chatId, validator, offence, nominatorAddress) {
+    const network = getValidatorNetwork(validator);
+    const name = markdownEscape(validator.name);
+    const lines = [];
+    if (offence.type == Polkadot.OffenceEventType.OFFENCE) {
+        lines.push(`🚨 ${name} was reported for an offence!`);
+        lines.push(`*Offence:* ${markdownEscape(offence.kind)}`);
+    } else if (offence.type == Polkadot.OffenceEventType.SLASH_REPORTED) {
+        lines.push(`🚨 A slash of ${parseFloat(offence.slashPercent.toFixed(4))}% was reported for ${name}!`);
+        lines.push(`*Era:* ${offence.era}`);
+    } else if (nominatorAddress) {
+        lines.push(`🔪 A nominator of ${name} was slashed!`);
+        lines.push(`*Nominator:* [${nominatorAddress.slice(0, 6)}..${nominatorAddress.slice(-6)}](${getExplorerURL(network, 'account', nominatorAddress)})`);
+        lines.push(`*Amount:* ${formatAmount(offence.amount, network)}`);
+    } else {
+        lines.push(`🔪 ${name} was slashed!`);
+        lines.push(`*Amount:* ${formatAmount(offence.amount, network)}`);
+    }
+    lines.push(`*Session:* ${offence.session}`);
+    lines.push(`*Event:* [link](${getExplorerURL(network, 'event', `${offence.blockNumber}-${offence.eventIndex}`)})`);
+    await queueMessage(chatId, lines.join('\n'), null, true);
+}
+
+/**
+ * A commission, session key, controller or bond change made on chain, with the old and new
+ * values. The session key and controller changes are critical, as they may not have been
+ * made by the operator.
+ */
+async function sendValidatorChange(chatId, validator, change) {
+    const network = getValidatorNetwork(validator);
+    const name = markdownEscape(validator.name);
+    const ChangeType = Polkadot.ValidatorChangeType;
+    const shortAddress = address => `[${address.slice(0, 6)}..${address.slice(-6)}](${getExplorerURL(network, 'account', address)})`;
+    const shortKeys = keys => '`' + keys.slice(0, 8) + '..' + keys.slice(-8) + '`';
+    const lines = [];
+    let isCritical = false;
+    if (change.type == ChangeType.COMMISSION) {
+        lines.push(`💵 ${name} changed its commission rate.`);
+        lines.push(`*Old Commission:* ${change.oldValue || '-'}`);
+        lines.push(`*New Commission:* ${change.newValue}`);
+    } else if (change.type == ChangeType.SESSION_KEYS) {
+        lines.push(`🔑 ${name} has new session keys.`);
+        lines.push(`*Old Keys:* ${change.oldValue ? shortKeys(change.oldValue) : '-'}`);
+        lines.push(`*New Keys:* ${shortKeys(change.newValue)}`);
+        isCritical = true;
+    } else if (change.type == ChangeType.CONTROLLER) {
+        lines.push(`⚓️ ${name} has a new controller.`);
+        lines.push(`*Old Controller:* ${change.oldValue ? shortAddress(change.oldValue) : '-'}`);
+        lines.push(`*New Controller:* ${shortAddress(change.newValue)}`);
+        isCritical = true;
+    } else {
+        const isBond = change.type == ChangeType.BOND;
+        lines.push(isBond ? `🔒 ${name} bonded more.` : `🔓 ${name} unbonded.`);
+        lines.push(`*${isBond ? 'Bonded' : 'Unbonded'}:* ${formatAmount(change.amount, network)}`);
+        if (change.newValue !== null) {
+            lines.push(`*Self Stake:* ${formatAmount(change.oldValue, network)} -> ${formatAmount(change.newValue, network)}`);
+        }
+    }
+    if (change.extrinsicIndex !== null) {
+        lines.push(`*Extrinsic:* [link](${getExplorerURL(network, 'extrinsic', `${change.blockNumber}-${change.extrinsicIndex}`)})`);
+    } else {
+        lines.push(`*Event:* [link](${getExplorerURL(network, 'event', `${change.blockNumber}-${change.eventIndex}`)})`);
+    }
+    if (isCritical) {
+        lines.push(`If you haven't made this change, your controller may be compromised!`);
+    }
+    await queueMessage(chatId, lines.join('\n'), null, isCritical);
 }
 
 async function sendInvalidStashAddress(chatId) {
-    const message = `Sorry, that doesn't look like a valid ${config.networkName} address. Please try again.`;
+    const message = `Sorry, that doesn't look like a valid ${getNetworkNames()} address. Please try again.`;
     await sendMessage(chatId, message);
 }
 
@@ -430,16 +1058,18 @@ async function sendNoValidators(chatId) {
 }
 
 async function sendAddValidator(chatId) {
-    let exampleAddress = '1FRMM8PEiWXYax7rpS6X4XZX1aAAxSWx1CrKTyrVYhV24fg';
-    if (config.networkName == 'Kusama') {
-        exampleAddress = 'F9VqNhAYxAnSh7cUpdVpFp5eKNHGL44AiBdH3FKbbjHFYCd';
+    let message = `Let's add your validator. Please enter your ${getNetworkNames()} stash address.`;
+    const exampleAddresses = config.networks
+        .filter(network => network.exampleAddress)
+        .map(network => `\`${network.exampleAddress}\``);
+    if (exampleAddresses.length > 0) {
+        message = `Let's add your validator. Please enter your ${getNetworkNames()} stash address (e.g. ${exampleAddresses.join(' or ')}).`;
     }
-    const message = `Let's add your validator. Please enter your stash address (e.g. \`${exampleAddress}\`).`;
     await sendMessage(chatId, message);
 }
 
 async function sendValidatorSelection(validators, chatId, message) {
-    const buttons = validators.map(validator => [{text: validator.name}]);
+    const buttons = validators.map(validator => [{text: getValidatorSelectionText(validator)}]);
     const replyMarkup = {
         keyboard: buttons,
         resize_keyboard: true,
@@ -453,7 +1083,7 @@ async function sendAddressSelectionForRewards(validators, chatId) {
     let message = 'Please enter an address to view the rewards report for:'
     if (validators.length > 0) {
         message = 'Please select a validator stash address from below, or enter *any validator or nominator address* to view the rewards report:'
-        const buttons = validators.map(validator => [{text: validator.name}]);
+        const buttons = validators.map(validator => [{text: getValidatorSelectionText(validator)}]);
         replyMarkup = {
             keyboard: buttons,
             resize_keyboard: true,
@@ -482,17 +1112,36 @@ Happy validating 🎉
     await sendMessage(chatId, message);
 }
 
+function getProgrammeLinks() {
+    const links = config.networks.map(network => {
+        return network.network1KVInfoURL
+            ? `[${network.name}](${network.network1KVInfoURL})`
+            : network.name;
+    });
+    if (links.length == 1) {
+        return `${links[0]} Thousand Validators Programme`;
+    }
+    return links.slice(0, -1).join(', ') + ' and ' + links[links.length - 1] + ' Thousand Validators Programmes';
+}
+
 async function sendHelp(chatId) {
     const message = dedent(
-        `Here's a list of commands to help you receive notifications about your validator node in the [${config.networkName} Thousand Validators Programme](${config.network1KVInfoURL}).
+        `Here's a list of commands to help you receive notifications about your validator node in the ${getProgrammeLinks()}.
 
         /migrate - migrate your validators to the SubVT Bot
         /add - add a new validator
         /remove - remove an existing validator
         /validatorinfo - get information about one of the added validators
-        /rewards - view the monthly rewards chart for a validator or any other address
+        /rewards - view the rewards chart or table for a validator or any other address
         /stakinginfo - view self, active and inactive stake amounts
         /settings - configure the bot
+        /rules - set thresholds for the notifications
+        /timezone - set the timezone of the chat
+        /quiethours - hold the notifications during the night
+        /incidents - list the validators that are offline
+        /uptime - view the uptime and outages of a validator
+        /rankhistory - view the rank chart of a validator, add \`validity\` to overlay the invalid periods
+        /points - view the era points of a validator in the current and the last eras
         /about - version and developer info
         /help - display this message`
     );
@@ -503,7 +1152,7 @@ async function sendUnclaimedPayoutWarning(validator, chatIds, eras) {
     const erasString = eras.join(', ');
     const message = `💰 *${markdownEscape(validator.name)}* has unclaimed rewards for ${eras.length > 1 ? 'eras' : 'era'} ${erasString}. Please [claim your payouts](https://polkadot.js.org/apps/#/staking/payout) as soon as possible.`
     for (let chatId of chatIds) {
-        await sendMessage(chatId, message);
+        await queueMessage(chatId, message);
     }
 }
 
@@ -517,40 +1166,59 @@ async function sendLoadingStakingInfo(chatId) {
     await sendMessage(chatId, message);
 }
 
-async function sendStakingInfo(chatId, stakingInfo) {
+async function sendStakingInfo(chatId, network, stakingInfo) {
     
     const message = dedent(
-        `*Self Stake:* ${formatAmount(stakingInfo.selfStake)}
-        *Total Active:* ${formatAmount(stakingInfo.active.totalStake)} from ${stakingInfo.active.stakes.length} nominator(s) and self stake
-        *Total Inactive:* ${formatAmount(stakingInfo.inactive.totalBonded)} from ${stakingInfo.inactive.nominations.length} nominator(s)`
+        `*Self Stake:* ${formatAmount(stakingInfo.selfStake, network)}
+        *Total Active:* ${formatAmount(stakingInfo.active.totalStake, network)} from ${stakingInfo.active.stakes.length} nominator(s) and self stake
+        *Total Inactive:* ${formatAmount(stakingInfo.inactive.totalBonded, network)} from ${stakingInfo.inactive.nominations.length} nominator(s)`
     );
     await sendMessage(chatId, message);
 }
 
-function getMigrationTargetChat() {
-    if (config.networkName == 'Kusama') {
-        return markdownEscape('@subvt_kusama_bot');
-    } else {
-        return markdownEscape('@subvt_polkadot_bot');
+function getMigrationTargetChat(network) {
+    if (!network.migrationTargetChat) {
+        return null;
     }
+    return markdownEscape(network.migrationTargetChat);
 }
 
-async function sendDeprecationWarning(chatId) {
-    const targetChat = getMigrationTargetChat();
-    const warning = 
-` ⚠️ ${config.networkName} 1KV Bot has been deprecated.
+function getDeprecationWarnings() {
+    const warnings = [];
+    for (let network of config.networks) {
+        const targetChat = getMigrationTargetChat(network);
+        if (!targetChat) {
+            continue;
+        }
+        warnings.push(
+` ⚠️ ${network.name} 1KV Bot has been deprecated.
+
+⏩ Please use ${targetChat}, a super-powered rewrite of this bot that supports all ${network.name} validators with many more features and notifications.`
+        );
+    }
+    return warnings;
+}
 
-⏩ Please use ${targetChat}, a super-powered rewrite of this bot that supports all ${config.networkName} validators with many more features and notifications.`;
-    await sendMessage(chatId, warning);
+async function sendDeprecationWarning(chatId) {
+    for (let warning of getDeprecationWarnings()) {
+        await sendMessage(chatId, warning);
+    }
 }
 
+/**
+ * Sent to every chat at startup after an update, so queued.
+ */
 async function sendReleaseNotes(chatId) {
-    await sendDeprecationWarning(chatId);
+    for (let warning of getDeprecationWarnings()) {
+        await queueMessage(chatId, warning);
+    }
 }
 
 async function sendAlreadyMigrated(chatId) {
-    const targetChat = getMigrationTargetChat();
-    const message = `Chat has been migrated to ${targetChat}, you may safely delete this chat and continue there.`;
+    const targetChats = config.networks
+        .map(network => getMigrationTargetChat(network))
+        .filter(targetChat => targetChat);
+    const message = `Chat has been migrated to ${targetChats.join(' and ')}, you may safely delete this chat and continue there.`;
     await sendMessage(chatId, message);
 }
 
@@ -566,11 +1234,42 @@ Please follow the steps below to export your validators:
     await sendMessage(chatId, message);
 }
 
+async function sendMigrationUnavailable(chatId) {
+    const message = `Migration is not available for ${getNetworkNames()} validators.`;
+    await sendMessage(chatId, message);
+}
+
 async function sendNothingToMigrate(chatId, targetChat) {
     const message = `You haven't added any validators yet. You can start a fresh chat with ${targetChat}.`;
     await sendMessage(chatId, message);
 }
 
+/**
+ * Removes the buttons of a message, e.g. an acknowledged offline alert.
+ */
+async function removeInlineKeyboard(chatId, messageId) {
+    let body = {
+        chat_id: chatId,
+        message_id: messageId,
+        reply_markup: { inline_keyboard: [] }
+    };
+    const response = await fetch(
+        telegramBaseURL + '/editMessageReplyMarkup',
+        {
+            method: 'post',
+            body:    JSON.stringify(body),
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+    const successful = response.status % 200 < 100;
+    if (successful) {
+        logger.info(`Buttons of message ${messageId} removed.`);
+    } else {
+        logger.error(`Error while removing the buttons of message ${messageId}.`);
+    }
+    return successful;
+}
+
 async function deleteMessage(chatId, messageId) {
     let body = {
         chat_id: chatId,
@@ -593,182 +1292,335 @@ async function deleteMessage(chatId, messageId) {
     return successful;
 }
 
-async function sendRewardsReport(chatId, targetStashAddress, rewards) {
-    if (rewards.length == 0) {
-        await sendMessage(chatId, 'No rewards found so far for the given validator/address.');
+const formatFiatAmount = amount => amount.toLocaleString(
+    'en-US',
+    { minimumFractionDigits: 2, maximumFractionDigits: 2 }
+) + ` ${config.fiatCurrency}`;
+
+const rewardsGranularityTitles = {
+    daily: 'Daily',
+    era: 'Per Era',
+    weekly: 'Weekly',
+    monthly: 'Monthly',
+    yearly: 'Yearly'
+};
+
+function getRewardsReportTitle(targetStashAddress, options) {
+    let title = `${rewardsGranularityTitles[options.granularity]} Staking Rewards for `
+        + targetStashAddress.slice(0, 4) + '..' + targetStashAddress.slice(-4);
+    const rangeText = RewardsReport.getRangeText(options.range);
+    return rangeText ? `${title}, ${rangeText}` : title;
+}
+
+/**
+ * The grouped rewards as a bar chart, `report` being grouped by `RewardsReport.groupRewards`.
+ */
+function getRewardsChart(network, targetStashAddress, report, options) {
+    const groups = report.groups;
+    let note = 'Total: ' + formatAmount(report.total, network);
+    if (report.fiatTotal !== null) {
+        note += ' / ' + formatFiatAmount(report.fiatTotal);
+    }
+    return {
+        type: Chart.ChartType.BAR,
+        title: getRewardsReportTitle(targetStashAddress, options),
+        note: note,
+        yAxis: {
+            title: `Reward (${network.tokenSymbol})`,
+            format: value => value.toFixed(2)
+        },
+        series: [{
+            name: 'Rewards',
+            points: groups.map(group => {
+                const text = formatAmount(group.amount, network).replace(` ${network.tokenSymbol}`, '');
+                return {
+                    x: group.label,
+                    y: group.amount,
+                    // two fewer decimals when the bars get narrow
+                    label: groups.length < 23 ? text : text.substr(0, text.length - 2)
+                };
+            })
+        }]
+    };
+}
+
+/**
+ * The grouped rewards as lines of a fixed-width table, with the fiat column when there are fiat values.
+ */
+function getRewardsTableLines(network, report) {
+    const hasFiat = report.fiatTotal !== null;
+    const formatTokens = amount => formatAmount(amount, network).replace(` ${network.tokenSymbol}`, '');
+    const formatFiat = amount => formatFiatAmount(amount).replace(` ${config.fiatCurrency}`, '');
+    const rows = [['Period', network.tokenSymbol].concat(hasFiat ? [config.fiatCurrency] : [])];
+    for (let group of report.groups) {
+        rows.push([group.label, formatTokens(group.amount)].concat(hasFiat ? [formatFiat(group.fiatAmount)] : []));
+    }
+    rows.push(['Total', formatTokens(report.total)].concat(hasFiat ? [formatFiat(report.fiatTotal)] : []));
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    return rows.map(row => row.map(
+        (cell, column) => column == 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])
+    ).join('  '));
+}
+
+async function sendRewardsTable(chatId, network, targetStashAddress, report, options, timezone) {
+    const messages = [];
+    let message = `*${getRewardsReportTitle(targetStashAddress, options)}*\n`
+        + `${network.name}, dates in ${ChatTime.formatTimezone(timezone)}`;
+    let tableLines = [];
+    const flush = () => {
+        message += '\n```\n' + tableLines.join('\n') + '\n```';
+        messages.push(message);
+        message = '';
+        tableLines = [];
+    };
+    for (let line of getRewardsTableLines(network, report)) {
+        if (message.length + tableLines.join('\n').length + line.length + 10 > maxMessageLength) {
+            flush();
+        }
+        tableLines.push(line);
+    }
+    flush();
+    for (let tableMessage of messages) {
+        await sendMessage(chatId, tableMessage.trim());
+    }
+}
+
+/**
+ * Sends the rewards grouped by `RewardsReport.groupRewards` as a chart, or a table
+ * with the `asTable` option.
+ */
+async function sendRewardsReport(chatId, network, targetStashAddress, report, options, timezone) {
+    if (report.groups.length == 0) {
+        const rangeText = RewardsReport.getRangeText(options.range);
+        await sendMessage(
+            chatId,
+            'No rewards found so far for the given validator/address' + (rangeText ? ` in the ${rangeText}.` : '.')
+        );
         return;
     }
-    var total = BigInt('0');
-    for (let reward of rewards) {
-        total += BigInt(reward.amount);
+    if (options.asTable) {
+        await sendRewardsTable(chatId, network, targetStashAddress, report, options, timezone);
+    } else {
+        const chart = getRewardsChart(network, targetStashAddress, report, options);
+        await sendChart(chatId, chart, targetStashAddress + '_rewards.png');
     }
-    // process data - group rewards by month of year
-    const months = [
-        'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
-    ];
-    const monthlyRewards = {};
-    let max = 0;
-    for (let reward of rewards) {
-        let date = new Date(reward.timestamp);
-        let key = months[date.getMonth()] + ' ' + date.getFullYear().toString().substr(2);
-        if (!monthlyRewards[key]) {
-            monthlyRewards[key] = Number(0);
+    if (report.unpricedCount > 0) {
+        await sendMessage(
+            chatId,
+            `${report.unpricedCount} of the rewards have no price in the price file, and are left out of the fiat values.`
+        );
+    }
+}
+
+async function sendNoPriceSource(chatId) {
+    await sendMessage(chatId, 'Fiat values are not available, there\'s no price file configured for the bot.');
+}
+
+async function sendInvalidRewardsOptions(chatId, reason) {
+    const message = dedent(
+        `${reason}
+
+        Please use \`/rewards <address or validator> [range] [grouping] [utc] [fiat] [table]\`, e.g. \`/rewards 2022-01-01..2022-06-30 weekly fiat\`.
+        - range: \`2022-01-01..2022-06-30\`, \`2022-01-01..\`, \`..2022-06-30\`, or the last days, weeks, months or years like \`30d\`, \`12w\`, \`6m\`, \`1y\`
+        - grouping: \`daily\`, \`era\`, \`weekly\`, \`monthly\` (default) or \`yearly\`
+        - \`utc\` to group by the days in UTC instead of the chat's timezone
+        - \`fiat\` to add the fiat values
+        - \`table\` to get a text table instead of the chart`
+    );
+    await sendMessage(chatId, message);
+}
+
+/**
+ * Renders the chart, see the `chart` module, and sends it as a PNG image.
+ */
+async function sendChart(chatId, chart, fileName) {
+    let image;
+    try {
+        image = await Chart.renderPNG(chart);
+    } catch (error) {
+        logger.error(`Error while rendering the chart "${fileName}": ${error}`);
+        return null;
+    }
+    return await sendImage(chatId, image, fileName);
+}
+
+/**
+ * `periods` are `{ days, from, availability, coverageStart }`, the availability being null without
+ * a record. `outages` are the outages of the longest period, see the `availability` module.
+ */
+async function sendUptimeReport(chat, validator, periods, outages) {
+    const timezone = ChatTime.getChatTimezone(chat);
+    const networkText = config.networks.length > 1 ? ` (${getValidatorNetwork(validator).name})` : '';
+    const lines = [`⏱ *${markdownEscape(validator.name)}*${networkText} uptime`];
+    for (let period of periods) {
+        if (period.availability === null) {
+            lines.push(`Last ${period.days} days: no record yet`);
+            continue;
+        }
+        let line = `Last ${period.days} days: *${toFixedWithoutRounding(period.availability, 2).toFixed(2)}%*`;
+        if (period.coverageStart > period.from) {
+            line += ` (recorded since ${ChatTime.formatDate(new Date(period.coverageStart), timezone)})`;
+        }
+        lines.push(line);
+    }
+    const longestPeriodDays = periods[periods.length - 1].days;
+    lines.push('');
+    if (outages.length == 0) {
+        lines.push(`No outages in the last ${longestPeriodDays} days.`);
+    } else {
+        lines.push(`*Outages in the last ${longestPeriodDays} days*`);
+        const latestOutages = outages.slice().reverse().slice(0, maxListedOutages);
+        for (let outage of latestOutages) {
+            lines.push(
+                `🔴 ${ChatTime.formatDate(new Date(outage.start), timezone)}, `
+                + `for ${ChatTime.formatDuration(outage.end - outage.start)}${outage.isOngoing ? ' (ongoing)' : ''}`
+            );
+        }
+        if (outages.length > latestOutages.length) {
+            lines.push(`and ${outages.length - latestOutages.length} earlier outages.`);
         }
-        monthlyRewards[key] += divide(BigInt(reward.amount), BigInt(Math.pow(10, config.tokenDecimals)));
-        if (monthlyRewards[key] > max) { max = monthlyRewards[key]; }
-    }
-    // prepare d3
-    const options = {
-        d3Module: d3,
-        selector: '#chart',
-        container: '<div id="container"><div id="chart"></div></div>'
+    }
+    await sendMessage(chat.chatId, lines.join('\n'));
+}
+
+/**
+ * The validator's online and offline periods from `from` to `to` on a timeline.
+ */
+function getUptimeChart(validator, history, from, to, timezone) {
+    const start = Availability.getCoverageStart(history, from, to) || from;
+    // recorded period is online but for the outages
+    const ranges = [{ from: new Date(start), to: new Date(to), tone: 'positive' }];
+    for (let outage of Availability.getOutages(history, from, to)) {
+        ranges.push({ from: new Date(outage.start), to: new Date(outage.end), tone: 'negative' });
+    }
+    return {
+        type: Chart.ChartType.TIMELINE,
+        title: `Uptime of ${validator.name}, ${ChatTime.formatDay(new Date(from), timezone)} - ${ChatTime.formatDay(new Date(to), timezone)}`,
+        height: 240,
+        xAxis: {
+            domain: [new Date(from), new Date(to)],
+            format: date => ChatTime.formatDay(date, timezone)
+        },
+        ranges: ranges
     };
-    const d3n = new D3Node(options);
-    const margin = {
-        top: 10, right: 10, bottom: 40, left: 0 
+}
+
+async function sendUptimeTimeline(chat, validator, history, from, to) {
+    const chart = getUptimeChart(validator, history, from, to, ChatTime.getChatTimezone(chat));
+    await sendChart(chat.chatId, chart, validator.stashAddress + '_uptime.png');
+}
+
+async function sendPointsUsage(chatId, maxEraCount) {
+    const message = `Please use \`/points\`, or \`/points 20\` to list the last 20 eras, up to ${maxEraCount}.`;
+    await sendMessage(chatId, message);
+}
+
+const formatPoints = points => points.toLocaleString('en-US');
+
+/**
+ * `current` is the running total of the active era as `{ era, points }`, null when it
+ * couldn't be fetched. `history` is the recorded eras, latest first, see `Data.saveEraPoints`.
+ */
+async function sendEraPoints(chatId, validator, current, history) {
+    const lines = [`🎯 *${markdownEscape(validator.name)}* era points`];
+    if (current) {
+        lines.push(`Era ${current.era} so far: *${formatPoints(current.points)}*`);
+    }
+    if (history.length == 0) {
+        lines.push('No completed eras recorded yet.');
+    } else {
+        lines.push('', `Last ${history.length == 1 ? 'era' : `${history.length} eras`}, and the median of the active set:`);
+        for (let record of history) {
+            const isLow = EraPoints.isUnderperforming(record.points, record.medianPoints, config.eraPointsAlertFraction);
+            lines.push(`Era ${record.era}: *${formatPoints(record.points)}* / ${formatPoints(record.medianPoints)}${isLow ? ' ⚠️' : ''}`);
+        }
+    }
+    await sendMessage(chatId, lines.join('\n'));
+}
+
+async function sendLowEraPointsAlert(chatId, validator, era, points, medianPoints) {
+    const message = `🐢 ${markdownEscape(validator.name)} earned *${formatPoints(points)}* points in era ${era}, `
+        + `far below the median of *${formatPoints(medianPoints)}* of the active set. `
+        + 'This usually points to a problem with the node, e.g. slow hardware or a bad connection.';
+    await queueMessage(chatId, message);
+}
+
+async function sendRankHistoryUsage(chatId) {
+    const message = 'Please use `/rankhistory`, or `/rankhistory validity` to overlay the periods the validator was invalid.';
+    await sendMessage(chatId, message);
+}
+
+async function sendNoRankHistory(chatId, validator) {
+    const message = `There's no rank history for *${markdownEscape(validator.name)}* yet.`;
+    await sendMessage(chatId, message);
+}
+
+/**
+ * The periods the validator was invalid as `{ start, end }` dates, from the validity
+ * changes in the ascending order of date. A period that hasn't ended ends at `to`.
+ */
+function getInvalidPeriods(validityHistory, to) {
+    const periods = [];
+    let invalidSince = null;
+    for (let change of validityHistory) {
+        if (!change.isValid && invalidSince === null) {
+            invalidSince = change.date;
+        } else if (change.isValid && invalidSince !== null) {
+            periods.push({ start: invalidSince, end: change.date });
+            invalidSince = null;
+        }
+    }
+    if (invalidSince !== null) {
+        periods.push({ start: invalidSince, end: to });
+    }
+    return periods;
+}
+
+/**
+ * The rank changes as a step chart up to `to`, with the invalid periods shaded
+ * when `validityHistory` isn't null.
+ */
+function getRankHistoryChart(validator, rankHistory, validityHistory, to, timezone) {
+    const from = rankHistory[0].date;
+    // the last rank holds until the end
+    const points = rankHistory.map(rankChange => ({ x: rankChange.date, y: rankChange.rank }));
+    points.push({ x: to, y: rankHistory[rankHistory.length - 1].rank });
+    const ranges = validityHistory
+        ? getInvalidPeriods(validityHistory, to)
+            .filter(period => period.end > from)
+            .map(period => ({ from: period.start < from ? from : period.start, to: period.end, tone: 'negative' }))
+        : [];
+    return {
+        type: Chart.ChartType.STEP,
+        title: `Rank of ${validator.name}, ${ChatTime.formatDay(from, timezone)} - ${ChatTime.formatDay(to, timezone)}`,
+        xAxis: {
+            domain: [from, to],
+            format: date => ChatTime.formatDay(date, timezone)
+        },
+        yAxis: {
+            title: 'Rank',
+            format: d3Format('d')
+        },
+        series: [{ name: 'Rank', points: points }],
+        ranges: ranges
     };
-    const svgWidth = 1200;
-    const svgHeight = 600;
-    const width = 1200 - margin.left - margin.right;
-    const height = 600 - margin.top - margin.bottom;
-    const svg = d3n.createSVG(svgWidth, svgHeight);
-
-    // setup x-axis
-    const xScale = d3.scaleBand().range([0, width - 70]).padding(0.1);
-    xScale.domain(Object.keys(monthlyRewards));
-    // setup y-axis
-    const yScale = d3.scaleLinear().range([height, 20]);
-    yScale.domain([0, max * 1.2]);
-    // set background
-    svg.append('rect')
-        .attr('width', '100%')
-        .attr('height', '100%')
-        .style('fill', 'white');
-    // add title
-    svg.append('text')
-        .attr('x', 442)
-        .attr('y', 40)
-        .attr('font-family', graphFontFamily)
-        .attr('font-size', '17px')
-        .text('Monthly Staking Rewards for ' + targetStashAddress.slice(0, 4) + '..' + targetStashAddress.slice(-4));
-
-    svg.append("rect")
-        .attr('x', 940)
-        .attr('y', 15)
-        .attr('width', 220)
-        .attr('height', 40)
-        .style('fill', '#00000000')
-        .style('stroke', '#BBBBBB');
-    svg.append('text')
-        .attr('x', 950)
-        .attr('y', 40)
-        .attr('font-family', graphFontFamily)
-        .attr('font-size', '17px')
-        .text('Total: ' + 
-            formatAmount(
-                divide(
-                    total, 
-                    BigInt(Math.pow(10, config.tokenDecimals))
-                )
-            )
-        );
-            
-    // append a group element to which the bars and axes will be added to.
-    svg.append('g').attr('transform', `translate(${ 100 }, ${ 100 })`);
-    // appending x-axis
-    svg.append('g')
-        .attr('transform', `translate(50, ${ height })`)
-        .call(
-            d3.axisBottom(xScale)//.tickFormat('ABC')
-        )
-        .selectAll('text')
-        .attr('transform', 'rotate(-65)')
-        .style('text-anchor', 'end')
-        .attr('dx', '-.8em')
-        .attr('dy', '-.0em')
-        .attr('font-family', graphFontFamily)
-        .attr('font-size', '10px');
-    // append y-axis
-    svg.append('g')
-        .attr('transform', 'translate(50, 0)')
-        .call(
-            d3.axisLeft(yScale).tickFormat((d) => { return d.toFixed(2); })
-            .ticks(10)
-        )
-        .attr('font-family', graphFontFamily)
-        .attr('font-size', '10px')
-        .append('text')
-        .attr('y', 20)
-        .attr('x', 90)
-        .attr('fill', 'black')
-        .attr('font-family', graphFontFamily)
-        .attr('font-size', '12px')
-        .text(`Reward (${config.tokenSymbol})`);
-    // append the bars
-    svg.selectAll('.bar')
-        .data(Object.keys(monthlyRewards))
-        .enter().append('rect')
-        .attr('transform', 'translate(50, 0)')
-        .attr('class', 'bar')
-        .attr('x', (key) => { return xScale(key); })
-        .attr('y', (key) => { return yScale(monthlyRewards[key]); })
-        .attr('width', xScale.bandwidth())
-        .attr('height', (key) => { return height - yScale(monthlyRewards[key]); })
-        .style('fill', '#0f7e9b');
-    
-    svg.selectAll('text.bar')
-        .data(Object.keys(monthlyRewards))
-        .enter().append('text')
-        .attr('class', 'bar')
-        .text(
-            function(key) {
-                const text = formatAmount(monthlyRewards[key]).replace(
-                    ` ${config.tokenSymbol}`,
-                    ''
-                );
-                if (Object.keys(monthlyRewards).length < 23) {
-                    return text;
-                } else {
-                    return text.substr(0, text.length - 2);
-                }
-            }
-        )
-        .attr('font-family', graphFontFamily)
-        .attr('font-size', '13px')
-        .attr('x', function(key) { return xScale(key) + xScale.bandwidth() / 2 + 47; })
-        .attr('y', function(key) { return yScale(monthlyRewards[key]) - 8; })
-        .attr('text-anchor', 'middle')
-    // create SVG
-    const timestamp = new Date().getTime();
-    const svgFileName = targetStashAddress + '_' + timestamp + '.svg';
-    const pngFileName = targetStashAddress + '_' + timestamp + '.png';
-    const svgFilePath = config.tempFileDir + '/' + svgFileName;
-    const pngFilePath = config.tempFileDir + '/' + pngFileName;
-    fs.writeFileSync(
-        svgFilePath,
-        d3n.svgString()
+}
+
+async function sendRankHistoryChart(chat, validator, rankHistory, validityHistory) {
+    const chart = getRankHistoryChart(
+        validator, rankHistory, validityHistory, new Date(), ChatTime.getChatTimezone(chat)
     );
-    // convert SVG to PNG
-    sharp(svgFilePath)
-        .png()
-        .toFile(pngFilePath)
-        .then(async (info) => {
-            logger.info('SVG to PNG conversion completed', info);
-            // delete SVG
-            fs.unlinkSync(svgFilePath);
-            // send image
-            await sendImage(chatId, pngFilePath, pngFileName);
-            // delete PNG
-            fs.unlinkSync(pngFilePath);
-        })
-        .catch((err) => {
-            logger.error(err);
-        });
+    await sendChart(chat.chatId, chart, validator.stashAddress + '_rank_history.png');
 }
 
 module.exports = {
+    toFixedWithoutRounding: toFixedWithoutRounding,
     formatAmount: formatAmount,
+    getExplorerURL: getExplorerURL,
+    getValidatorSelectionText: getValidatorSelectionText,
     sendMessage: sendMessage,
+    queueMessage: queueMessage,
+    deliverQueuedMessage: deliverQueuedMessage,
     sendImage: sendImage,
     sendTypingAction: sendTypingAction,
     sendValidatorNotFound: sendValidatorNotFound,
@@ -778,10 +1630,24 @@ module.exports = {
     sendValidatorNotFoundByName: sendValidatorNotFoundByName,
     sendValidatorRemoved: sendValidatorRemoved,
     sendUnrecognizedCommand: sendUnrecognizedCommand,
+    sendRPCStatus: sendRPCStatus,
+    sendNotificationRules: sendNotificationRules,
+    sendInvalidNotificationRule: sendInvalidNotificationRule,
+    sendActiveStakeAlert: sendActiveStakeAlert,
+    sendHeldNotificationDigest: sendHeldNotificationDigest,
+    sendTimezone: sendTimezone,
+    sendInvalidTimezone: sendInvalidTimezone,
+    sendQuietHours: sendQuietHours,
+    sendInvalidQuietHours: sendInvalidQuietHours,
     sendBlocksAuthored: sendBlocksAuthored,
+    sendNotificationDigest: sendNotificationDigest,
     sendNewNomination: sendNewNomination,
+    sendNominatorChange: sendNominatorChange,
     sendChilling: sendChilling,
     sendOfflineEvent: sendOfflineEvent,
+    sendMissingHeartbeatAlert: sendMissingHeartbeatAlert,
+    sendOffence: sendOffence,
+    sendValidatorChange: sendValidatorChange,
     sendInvalidStashAddress: sendInvalidStashAddress,
     sendValidatorAlreadyAdded: sendValidatorAlreadyAdded,
     sendValidatorFetchInProgress: sendValidatorFetchInProgress,
@@ -793,17 +1659,43 @@ module.exports = {
     sendUnclaimedPayoutWarning: sendUnclaimedPayoutWarning,
     sendChatHasMaxValidators: sendChatHasMaxValidators,
     sendSettingsMenu: sendSettingsMenu,
+    sendNotificationSettings: sendNotificationSettings,
     sendBlockAuthorshipNotificationSettings: sendBlockAuthorshipNotificationSettings,
     sendUnclaimedPayoutNotificationSettings: sendUnclaimedPayoutNotificationSettings,
+    sendDigestSettings: sendDigestSettings,
+    sendOfflineAlertSettings: sendOfflineAlertSettings,
+    getOfflineIncidentReplyMarkup: getOfflineIncidentReplyMarkup,
+    sendOfflineAlertReminder: sendOfflineAlertReminder,
+    sendOfflineIncidents: sendOfflineIncidents,
+    removeInlineKeyboard: removeInlineKeyboard,
     sendLoadingStakingInfo: sendLoadingStakingInfo,
     sendStakingInfo: sendStakingInfo,
     sendReleaseNotes: sendReleaseNotes,
     answerCallbackQuery: answerCallbackQuery,
     deleteMessage: deleteMessage,
+    setWebhook: setWebhook,
+    deleteWebhook: deleteWebhook,
     sendAddressSelectionForRewards: sendAddressSelectionForRewards,
+    getRewardsTableLines: getRewardsTableLines,
+    sendNoPriceSource: sendNoPriceSource,
+    sendInvalidRewardsOptions: sendInvalidRewardsOptions,
+    getRewardsChart: getRewardsChart,
     sendRewardsReport: sendRewardsReport,
+    sendChart: sendChart,
+    getUptimeChart: getUptimeChart,
+    sendUptimeReport: sendUptimeReport,
+    sendUptimeTimeline: sendUptimeTimeline,
+    sendPointsUsage: sendPointsUsage,
+    sendEraPoints: sendEraPoints,
+    sendLowEraPointsAlert: sendLowEraPointsAlert,
+    sendRankHistoryUsage: sendRankHistoryUsage,
+    sendNoRankHistory: sendNoRankHistory,
+    getRankHistoryChart: getRankHistoryChart,
+    sendRankHistoryChart: sendRankHistoryChart,
     sendAlreadyMigrated: sendAlreadyMigrated,
     sendMigrationCode: sendMigrationCode,
     sendNothingToMigrate: sendNothingToMigrate,
+    sendMigrationUnavailable: sendMigrationUnavailable,
+    getMigrationTargetChat: getMigrationTargetChat,
     sendDeprecationWarning: sendDeprecationWarning
 };
\ No newline at end of file
@@ -10,10 +10,24 @@ const mongoConfig = {
     telegramConfigCollection: 'telegram_config',
     validatorCollection: 'validators',
     chatCollection: 'chats',
+    validatorNotificationSettingsCollection: 'validator_notification_settings',
+    notificationRuleCollection: 'notification_rules',
+    // replaced by the pending notifications, only read to migrate
     pendingBlockNotificationCollection: 'pending_block_notifications',
+    pendingNotificationCollection: 'pending_notifications',
     rankHistoryCollection: 'rank_history',
+    availabilityHistoryCollection: 'availability_history',
+    validityHistoryCollection: 'validity_history',
+    nominatorSnapshotCollection: 'nominator_snapshots',
+    eraPointsCollection: 'era_points',
     rewardCollection: 'rewards',
-    rewardFetchInfoCollection: 'reward_fetch_info'
+    rewardFetchInfoCollection: 'reward_fetch_info',
+    blockProcessingInfoCollection: 'block_processing_info',
+    processedBlockEventCollection: 'processed_block_events',
+    outboundMessageCollection: 'outbound_messages',
+    deadLetterMessageCollection: 'dead_letter_messages',
+    heldNotificationCollection: 'held_notifications',
+    offlineIncidentCollection: 'offline_incidents'
 }
 
 let mongoDBClient;
@@ -45,32 +59,95 @@ async function disconnectMongoDB() {
     }
 }
 
-async function getValidatorCollection() {
-    return await mongoDB.collection(mongoConfig.validatorCollection);
-}
-
+/**
+ * Chats, their settings, the Telegram config and the outbound message queue are shared
+ * by all networks, and live in the main database.
+ */
 async function getChatCollection() {
     return await mongoDB.collection(mongoConfig.chatCollection);
 }
 
+async function getValidatorNotificationSettingsCollection() {
+    return await mongoDB.collection(mongoConfig.validatorNotificationSettingsCollection);
+}
+
+async function getNotificationRuleCollection() {
+    return await mongoDB.collection(mongoConfig.notificationRuleCollection);
+}
+
 async function getTelegramConfigCollection() {
     return await mongoDB.collection(mongoConfig.telegramConfigCollection);
 }
 
-async function getPendingBlockNotificationCollection() {
-    return await mongoDB.collection(mongoConfig.pendingBlockNotificationCollection);
+async function getOutboundMessageCollection() {
+    return await mongoDB.collection(mongoConfig.outboundMessageCollection);
+}
+
+async function getDeadLetterMessageCollection() {
+    return await mongoDB.collection(mongoConfig.deadLetterMessageCollection);
+}
+
+async function getHeldNotificationCollection() {
+    return await mongoDB.collection(mongoConfig.heldNotificationCollection);
+}
+
+async function getOfflineIncidentCollection() {
+    return await mongoDB.collection(mongoConfig.offlineIncidentCollection);
+}
+
+/**
+ * Validator data lives in the network's own database.
+ */
+function getNetworkDB(network) {
+    return mongoDBClient.db(network.dbName);
+}
+
+async function getValidatorCollection(network) {
+    return await getNetworkDB(network).collection(mongoConfig.validatorCollection);
+}
+
+async function getPendingBlockNotificationCollection(network) {
+    return await getNetworkDB(network).collection(mongoConfig.pendingBlockNotificationCollection);
+}
+
+async function getPendingNotificationCollection(network) {
+    return await getNetworkDB(network).collection(mongoConfig.pendingNotificationCollection);
+}
+
+async function getRankHistoryCollection(network) {
+    return await getNetworkDB(network).collection(mongoConfig.rankHistoryCollection);
+}
+
+async function getAvailabilityHistoryCollection(network) {
+    return await getNetworkDB(network).collection(mongoConfig.availabilityHistoryCollection);
+}
+
+async function getValidityHistoryCollection(network) {
+    return await getNetworkDB(network).collection(mongoConfig.validityHistoryCollection);
+}
+
+async function getNominatorSnapshotCollection(network) {
+    return await getNetworkDB(network).collection(mongoConfig.nominatorSnapshotCollection);
+}
+
+async function getEraPointsCollection(network) {
+    return await getNetworkDB(network).collection(mongoConfig.eraPointsCollection);
+}
+
+async function getRewardCollection(network) {
+    return await getNetworkDB(network).collection(mongoConfig.rewardCollection);
 }
 
-async function getRankHistoryCollection() {
-    return await mongoDB.collection(mongoConfig.rankHistoryCollection);
+async function getRewardFetchInfoCollection(network) {
+    return await getNetworkDB(network).collection(mongoConfig.rewardFetchInfoCollection);
 }
 
-async function getRewardCollection() {
-    return await mongoDB.collection(mongoConfig.rewardCollection);
+async function getBlockProcessingInfoCollection(network) {
+    return await getNetworkDB(network).collection(mongoConfig.blockProcessingInfoCollection);
 }
 
-async function getRewardFetchInfoCollection() {
-    return await mongoDB.collection(mongoConfig.rewardFetchInfoCollection);
+async function getProcessedBlockEventCollection(network) {
+    return await getNetworkDB(network).collection(mongoConfig.processedBlockEventCollection);
 }
 
 module.exports = {
@@ -78,9 +155,22 @@ module.exports = {
     disconnectMongoDB: disconnectMongoDB,
     getValidatorCollection: getValidatorCollection,
     getChatCollection: getChatCollection,
+    getValidatorNotificationSettingsCollection: getValidatorNotificationSettingsCollection,
+    getNotificationRuleCollection: getNotificationRuleCollection,
     getTelegramConfigCollection: getTelegramConfigCollection,
+    getOutboundMessageCollection: getOutboundMessageCollection,
+    getDeadLetterMessageCollection: getDeadLetterMessageCollection,
+    getHeldNotificationCollection: getHeldNotificationCollection,
+    getOfflineIncidentCollection: getOfflineIncidentCollection,
     getPendingBlockNotificationCollection: getPendingBlockNotificationCollection,
+    getPendingNotificationCollection: getPendingNotificationCollection,
     getRankHistoryCollection: getRankHistoryCollection,
+    getAvailabilityHistoryCollection: getAvailabilityHistoryCollection,
+    getValidityHistoryCollection: getValidityHistoryCollection,
+    getNominatorSnapshotCollection: getNominatorSnapshotCollection,
+    getEraPointsCollection: getEraPointsCollection,
     getRewardCollection: getRewardCollection,
-    getRewardFetchInfoCollection: getRewardFetchInfoCollection
+    getRewardFetchInfoCollection: getRewardFetchInfoCollection,
+    getBlockProcessingInfoCollection: getBlockProcessingInfoCollection,
+    getProcessedBlockEventCollection: getProcessedBlockEventCollection
 };
@@ -0,0 +1,213 @@
+/**
+ * Network profile loading and validation module.
+ * A profile describes everything the bot needs to know about a network:
+ * RPC and 1KV candidates API endpoints, era and session lengths, the SS58
+ * address prefix, the block explorer and optional token overrides.
+ * Profiles are read from a JSON/YAML file or from every JSON/YAML file in a directory.
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const profileFileExtensions = ['.json', '.yml', '.yaml'];
+
+function parseProfileFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (path.extname(filePath).toLowerCase() == '.json') {
+        return JSON.parse(content);
+    }
+    return yaml.load(content);
+}
+
+/**
+ * Reads the raw profiles at the given path. A file may contain a single
+ * profile or an array of profiles. Profiles without a key get the
+ * lowercase name, or the file name when there's no name either.
+ */
+function readProfiles(profilePath) {
+    if (!fs.existsSync(profilePath)) {
+        throw new Error(`Network profile path ${profilePath} does not exist.`);
+    }
+    let filePaths;
+    if (fs.statSync(profilePath).isDirectory()) {
+        filePaths = fs.readdirSync(profilePath)
+            .filter(fileName => profileFileExtensions.includes(path.extname(fileName).toLowerCase()))
+            .sort()
+            .map(fileName => path.join(profilePath, fileName));
+    } else {
+        filePaths = [profilePath];
+    }
+    const profiles = [];
+    for (let filePath of filePaths) {
+        let content;
+        try {
+            content = parseProfileFile(filePath);
+        } catch (error) {
+            throw new Error(`Cannot parse network profile file ${filePath}: ${error.message}`);
+        }
+        const fileProfiles = Array.isArray(content) ? content : [content];
+        for (let profile of fileProfiles) {
+            if (!profile || typeof profile !== 'object') {
+                throw new Error(`Network profile file ${filePath} does not contain a profile object.`);
+            }
+            if (!profile.key) {
+                profile.key = typeof profile.name === 'string'
+                    ? profile.name.toLowerCase()
+                    : path.basename(filePath, path.extname(filePath)).toLowerCase();
+            }
+            profile.sourceFilePath = filePath;
+            profiles.push(profile);
+        }
+    }
+    return profiles;
+}
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+// half era digests are sent by a cron schedule from the start of the hour or the day
+const isHalfEraSchedulable = eraLengthMins => {
+    const halfEraMins = eraLengthMins / 2;
+    if (!Number.isInteger(halfEraMins)) {
+        return false;
+    }
+    return halfEraMins <= 60
+        ? 60 % halfEraMins == 0
+        : halfEraMins % 60 == 0 && 24 % (halfEraMins / 60) == 0;
+};
+
+const isURL = (value, protocols) => {
+    if (typeof value !== 'string') {
+        return false;
+    }
+    try {
+        return protocols.includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Returns the list of problems with the profile, empty if the profile is valid.
+ */
+function validateProfile(profile) {
+    const errors = [];
+    if (typeof profile.key !== 'string' || !/^[a-z0-9_-]+$/.test(profile.key)) {
+        errors.push('key must consist of lowercase letters, digits, dashes and underscores');
+    }
+    if (typeof profile.name !== 'string' || profile.name.trim().length == 0) {
+        errors.push('name must be a non-empty string');
+    }
+    const rpcURLs = [].concat(profile.rpcURL);
+    if (rpcURLs.length == 0 || !rpcURLs.every(rpcURL => isURL(rpcURL, ['ws:', 'wss:']))) {
+        errors.push('rpcURL must be a ws:// or wss:// URL, or a list of them');
+    }
+    if (!isURL(profile.w3fBaseURL, ['http:', 'https:'])) {
+        errors.push('w3fBaseURL must be an http:// or https:// URL');
+    }
+    if (typeof profile.network1KVInfoURL !== 'undefined'
+            && !isURL(profile.network1KVInfoURL, ['http:', 'https:'])) {
+        errors.push('network1KVInfoURL must be an http:// or https:// URL');
+    }
+    if (!isPositiveInteger(profile.eraLengthMins)) {
+        errors.push('eraLengthMins must be a positive integer');
+    } else if (!isHalfEraSchedulable(profile.eraLengthMins)) {
+        errors.push('half of eraLengthMins must divide an hour, or be a number of hours that divides a day');
+    }
+    if (!isPositiveInteger(profile.sessionLengthMins)) {
+        errors.push('sessionLengthMins must be a positive integer');
+    } else if (isPositiveInteger(profile.eraLengthMins)
+            && profile.eraLengthMins % profile.sessionLengthMins != 0) {
+        errors.push('eraLengthMins must be a multiple of sessionLengthMins');
+    }
+    if (typeof profile.oneKVUpdatePeriodMins !== 'undefined'
+            && !(isPositiveInteger(profile.oneKVUpdatePeriodMins) && profile.oneKVUpdatePeriodMins < 60)) {
+        errors.push('oneKVUpdatePeriodMins must be a positive integer less than 60');
+    }
+    if (!Number.isInteger(profile.ss58Prefix) || profile.ss58Prefix < 0 || profile.ss58Prefix > 16383) {
+        errors.push('ss58Prefix must be an integer between 0 and 16383');
+    }
+    if (typeof profile.explorerURL !== 'string' || !profile.explorerURL.includes('{id}')) {
+        errors.push('explorerURL must be a URL template containing {id} (and optionally {type})');
+    }
+    if (typeof profile.tokenSymbol !== 'undefined'
+            && (typeof profile.tokenSymbol !== 'string' || profile.tokenSymbol.trim().length == 0)) {
+        errors.push('tokenSymbol must be a non-empty string');
+    }
+    if (typeof profile.tokenDecimals !== 'undefined'
+            && !(Number.isInteger(profile.tokenDecimals) && profile.tokenDecimals >= 0)) {
+        errors.push('tokenDecimals must be a non-negative integer');
+    }
+    if (typeof profile.dbName !== 'undefined'
+            && (typeof profile.dbName !== 'string' || !/^[A-Za-z0-9_-]+$/.test(profile.dbName))) {
+        errors.push('dbName must consist of letters, digits, dashes and underscores');
+    }
+    for (let field of ['exampleAddress', 'migrationTargetChat']) {
+        if (typeof profile[field] !== 'undefined' && typeof profile[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Environment variables `<KEY>_RPC_URL` and `<KEY>_W3F_BASE_URL` (e.g. `KUSAMA_RPC_URL`)
+ * override the endpoints in the profile. `<KEY>_RPC_URL` may be a comma-separated list.
+ */
+function applyEnvironmentOverrides(profile) {
+    const envPrefix = profile.key.toUpperCase().replace(/-/g, '_');
+    if (process.env[`${envPrefix}_RPC_URL`]) {
+        const rpcURLs = process.env[`${envPrefix}_RPC_URL`].split(',').map(rpcURL => rpcURL.trim());
+        profile.rpcURL = rpcURLs.length == 1 ? rpcURLs[0] : rpcURLs;
+    }
+    if (process.env[`${envPrefix}_W3F_BASE_URL`]) {
+        profile.w3fBaseURL = process.env[`${envPrefix}_W3F_BASE_URL`];
+    }
+    return profile;
+}
+
+/**
+ * Loads and validates the profile with the given key. Throws if the profile
+ * cannot be found, if the key is defined more than once or if it's invalid.
+ */
+function loadProfile(profilePath, key) {
+    const profiles = readProfiles(profilePath).filter(
+        profile => profile.key == key.toLowerCase()
+    );
+    if (profiles.length == 0) {
+        throw new Error(`Network profile "${key}" was not found in ${profilePath}.`);
+    }
+    if (profiles.length > 1) {
+        const filePaths = profiles.map(profile => profile.sourceFilePath).join(', ');
+        throw new Error(`Network profile "${key}" is defined more than once (${filePaths}).`);
+    }
+    const profile = applyEnvironmentOverrides(profiles[0]);
+    const errors = validateProfile(profile);
+    if (errors.length > 0) {
+        throw new Error(`Network profile "${key}" in ${profile.sourceFilePath} is invalid: ${errors.join('; ')}.`);
+    }
+    return profile;
+}
+
+/**
+ * Checks that the profiles selected to run in the same process can be told apart:
+ * addresses are mapped to networks by SS58 prefix, and each network needs its own database.
+ */
+function validateProfileSet(profiles) {
+    for (let i = 0; i < profiles.length; i++) {
+        for (let j = i + 1; j < profiles.length; j++) {
+            if (profiles[i].ss58Prefix == profiles[j].ss58Prefix) {
+                throw new Error(`Networks "${profiles[i].key}" and "${profiles[j].key}" have the same SS58 prefix ${profiles[i].ss58Prefix}.`);
+            }
+            if (profiles[i].dbName && profiles[i].dbName == profiles[j].dbName) {
+                throw new Error(`Networks "${profiles[i].key}" and "${profiles[j].key}" have the same database name ${profiles[i].dbName}.`);
+            }
+        }
+    }
+}
+
+module.exports = {
+    readProfiles: readProfiles,
+    validateProfile: validateProfile,
+    loadProfile: loadProfile,
+    validateProfileSet: validateProfileSet
+};
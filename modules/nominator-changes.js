@@ -0,0 +1,67 @@
+/**
+ * Changes in the nominators of a validator between two snapshots of its nominators,
+ * `[{ address, bonded }]` with the active bonded amounts in Planck as strings.
+ */
+const divide = require('divide-bigint');
+
+const ChangeType = {
+    LEFT: 'left',
+    REDUCED: 'reduced'
+};
+
+/**
+ * The nominators that have left the validator, and the ones that have reduced their bonded
+ * amount, as `[{ type, address, oldBonded, newBonded, isNominating }]` in the order of the
+ * previous snapshot. A nominator that has left has no new bonded amount, and is still
+ * nominating when it's in the set of `nominatorAddresses`, i.e. it has nominated others.
+ * New nominators and increased stakes are not changes.
+ */
+function getNominatorChanges(previous, current, nominatorAddresses) {
+    const currentByAddress = {};
+    for (let nominator of current) {
+        currentByAddress[nominator.address] = nominator;
+    }
+    const changes = [];
+    for (let nominator of previous) {
+        const currentNominator = currentByAddress[nominator.address];
+        if (!currentNominator) {
+            changes.push({
+                type: ChangeType.LEFT,
+                address: nominator.address,
+                oldBonded: nominator.bonded,
+                newBonded: null,
+                isNominating: nominatorAddresses.has(nominator.address)
+            });
+        } else if (BigInt(currentNominator.bonded) < BigInt(nominator.bonded)) {
+            changes.push({
+                type: ChangeType.REDUCED,
+                address: nominator.address,
+                oldBonded: nominator.bonded,
+                newBonded: currentNominator.bonded,
+                isNominating: true
+            });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Total bonded amount of the nominators in Planck.
+ */
+function getTotalBonded(nominators) {
+    return nominators.reduce((total, nominator) => total + BigInt(nominator.bonded), BigInt(0));
+}
+
+/**
+ * Planck amount in tokens of the network.
+ */
+function toTokens(planck, network) {
+    return divide(BigInt(planck), BigInt(Math.pow(10, network.tokenDecimals)));
+}
+
+module.exports = {
+    ChangeType: ChangeType,
+    getNominatorChanges: getNominatorChanges,
+    getTotalBonded: getTotalBonded,
+    toTokens: toTokens
+};
@@ -0,0 +1,100 @@
+/**
+ * Notification rules with thresholds, set per chat with the /rules command.
+ * A filter rule lets an event's notification through only when the event is over the
+ * threshold. An alert rule sends a notification that isn't sent without the rule.
+ * A rule applies to all networks, or to a single network, which takes precedence.
+ * Amounts are in the tokens of the validator's network.
+ */
+
+/**
+ * Rule types by name. `passes(event, threshold)` tells whether the event of the rule's
+ * event type is to be notified.
+ */
+const RuleTypes = {
+    'nomination-stake': {
+        eventType: 'nomination',
+        isAlert: false,
+        isAmount: true,
+        description: 'notify the new nominations only with an active stake above the amount',
+        passes: (event, threshold) => event.activeStake > threshold
+    },
+    'rank-drop': {
+        eventType: 'rankChange',
+        isAlert: false,
+        isAmount: false,
+        description: 'notify the rank drops only when the rank drops by more than the value',
+        passes: (event, threshold) => (event.newRank >= event.oldRank)
+            || (event.oldRank - event.newRank > threshold)
+    },
+    'commission-change': {
+        eventType: 'commissionChange',
+        isAlert: false,
+        isAmount: false,
+        description: 'notify the commission changes only when the rate changes by more than the percentage points',
+        passes: (event, threshold) => {
+            const oldCommission = parseFloat(event.oldCommission);
+            const newCommission = parseFloat(event.newCommission);
+            if (isNaN(oldCommission) || isNaN(newCommission)) {
+                return true;
+            }
+            return Math.abs(newCommission - oldCommission) > threshold;
+        }
+    },
+    'active-stake': {
+        eventType: 'activeStake',
+        isAlert: true,
+        isAmount: true,
+        description: 'alert at the start of each era when the active stake of an active validator is under the amount',
+        passes: (event, threshold) => event.totalStake < threshold
+    }
+};
+
+/**
+ * The rule of the type that applies to the network, null if there's none.
+ */
+function getRule(rules, type, networkKey) {
+    return rules.find(rule => rule.type == type && rule.networkKey == networkKey)
+        || rules.find(rule => rule.type == type && !rule.networkKey)
+        || null;
+}
+
+/**
+ * Whether the rules let the notification of the event (`{ type, ...values }`) of a validator
+ * in the network through. Events without a rule are notified, except for the alerts.
+ */
+function evaluate(rules, networkKey, event) {
+    for (let type of Object.keys(RuleTypes)) {
+        const ruleType = RuleTypes[type];
+        if (ruleType.eventType != event.type) {
+            continue;
+        }
+        const rule = getRule(rules, type, networkKey);
+        if (!rule) {
+            if (ruleType.isAlert) {
+                return false;
+            }
+            continue;
+        }
+        if (!ruleType.passes(event, rule.threshold)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Parses the threshold entered by the user, null if it's not a non-negative number.
+ */
+function parseThreshold(text) {
+    if (!/^\d+(\.\d+)?$/.test(text)) {
+        return null;
+    }
+    return parseFloat(text);
+}
+
+module.exports = {
+    RuleTypes: RuleTypes,
+    getRule: getRule,
+    evaluate: evaluate,
+    parseThreshold: parseThreshold
+};
@@ -4,49 +4,136 @@
  */
 const{ ApiPromise, WsProvider } = require('@polkadot/api');
 const { decodeAddress, encodeAddress } = require('@polkadot/keyring');
-const { hexToU8a, isHex } = require('@polkadot/util');
+const { hexToU8a, isHex, u8aToString } = require('@polkadot/util');
 const cron = require('node-cron');
 const divide = require('divide-bigint');
 
 const logger = require('./logging');
 const config = require('./config').config;
 
-let api;
-let lastEra = 0;
-let onEraChange;
+// events of the offences and the slashes in a block summary
+const OffenceEventType = {
+    // offences.Offence, an offence of any kind, e.g. BABE or GRANDPA equivocation
+    OFFENCE: 'offence',
+    // staking.SlashReported, a slash of a validator and its nominators to be applied
+    SLASH_REPORTED: 'slashReported',
+    // staking.Slashed, or staking.Slash in older runtimes, a slash of a validator or a nominator
+    SLASHED: 'slashed'
+};
+
+// changes of a validator's commission, session keys, controller and bond in a block summary
+const ValidatorChangeType = {
+    COMMISSION: 'commission',
+    SESSION_KEYS: 'sessionKeys',
+    CONTROLLER: 'controller',
+    BOND: 'bond',
+    UNBOND: 'unbond'
+};
 
-const isValidAddress = (address) => {
+// readable offence kinds, the kinds are cut at 16 bytes on chain
+const offenceKindNames = {
+    'babe:equivocatio': 'BABE equivocation',
+    'grandpa:equivoca': 'GRANDPA equivocation',
+    'im-online:offlin': 'Offline'
+};
+
+// API connections and era change state, keyed by network key
+const apis = {};
+const lastEras = {};
+const eraChangeHandlers = {};
+const finalizedBlockHandlers = {};
+// heartbeat check handlers and the last session checked, keyed by network key
+const heartbeatCheckHandlers = {};
+const lastHeartbeatCheckSessions = {};
+// RPC endpoints and their health, keyed by network key
+const endpointStates = {};
+
+const isValidAddress = (network, address) => {
     try {
-        encodeAddress(
-            isHex(address)
-                ? hexToU8a(address)
-                : decodeAddress(address)
-        );
-        if (config.networkName == 'Polkadot') {
-            if (address.charAt(0) != '1') {
-                return false;
-            }
-        } else if (config.networkName == 'Kusama') {
-            if ('ABCDEFGHJKLMNPQRSTUVWXYZ'.indexOf(address.charAt(0)) < 0) {
-                return false;
-            }
+        if (isHex(address)) {
+            encodeAddress(hexToU8a(address));
+            return true;
         }
-        return true;
+        // the address must be encoded with the network's SS58 prefix
+        return encodeAddress(decodeAddress(address), network.ss58Prefix) == address;
     } catch (error) {
         return false;
     }
 };
 
-async function getCurrentEra() {
+/**
+ * Finds the configured network of the address by its SS58 prefix. Hex addresses
+ * carry no prefix, so they're only accepted when a single network is configured.
+ */
+const getNetworkForAddress = (address) => {
+    if (isHex(address)) {
+        if (config.networks.length == 1 && isValidAddress(config.networks[0], address)) {
+            return config.networks[0];
+        }
+        return null;
+    }
+    const network = config.networks.find(network => isValidAddress(network, address));
+    return network ? network : null;
+};
+
+async function getCurrentEra(network) {
+    const api = apis[network.key];
     return await api.query.staking.currentEra();
 }
 
-async function getControllerAddress(stashAddress) {
+/**
+ * Index of the active era, null before the first era.
+ */
+async function getActiveEra(network) {
+    const api = apis[network.key];
+    const activeEra = await api.query.staking.activeEra();
+    return activeEra.isSome ? activeEra.unwrap().index.toNumber() : null;
+}
+
+/**
+ * Reward points of the era so far, `{ total, individual: { [stashAddress]: points } }`.
+ * The validators without any points in the era are not in it.
+ */
+async function getEraRewardPoints(network, era) {
+    const api = apis[network.key];
+    const rewardPoints = await api.query.staking.erasRewardPoints(era);
+    const individual = {};
+    for (let [address, points] of rewardPoints.individual.entries()) {
+        individual[address.toString()] = points.toNumber();
+    }
+    return { total: rewardPoints.total.toNumber(), individual: individual };
+}
+
+/**
+ * Stash addresses of the validators in the active set of the era.
+ */
+async function getEraValidators(network, era) {
+    const api = apis[network.key];
+    const keys = await api.query.staking.erasValidatorPrefs.keys(era);
+    return keys.map(key => key.args[1].toString());
+}
+
+async function getControllerAddress(network, stashAddress) {
+    const api = apis[network.key];
     return (await api.query.staking.bonded(stashAddress)).toString();
 }
 
-async function payoutClaimedForAddressForEra(stashAddress, era) {
-    const controllerAddress = await getControllerAddress(stashAddress);
+/**
+ * Self stake of the stash in tokens at the end of the block, i.e. after its bond changes.
+ */
+async function getSelfStakeAt(network, blockHash, stashAddress) {
+    const api = apis[network.key];
+    const controllerAddress = (await api.query.staking.bonded.at(blockHash, stashAddress)).toString();
+    const ledger = (await api.query.staking.ledger.at(blockHash, controllerAddress)).toJSON();
+    return divide(
+        BigInt((ledger ? ledger.active : 0)),
+        BigInt(Math.pow(10, network.tokenDecimals))
+    );
+}
+
+async function payoutClaimedForAddressForEra(network, stashAddress, era) {
+    const api = apis[network.key];
+    const controllerAddress = await getControllerAddress(network, stashAddress);
     const controllerLedger = await api.query.staking.ledger(controllerAddress);
     const claimedEras = controllerLedger.toHuman().claimedRewards.map(
         x => parseInt(x.replace(',', ''))
@@ -64,17 +151,19 @@ async function payoutClaimedForAddressForEra(stashAddress, era) {
     return false;
 }
 
-async function getSelfStake(address) {
-    const controller = await getControllerAddress(address);
+async function getSelfStake(network, address) {
+    const api = apis[network.key];
+    const controller = await getControllerAddress(network, address);
     const ledger = (await api.query.staking.ledger(controller)).toJSON();
     const selfStake = divide(
         BigInt((ledger ? ledger.active : 0)),
-        BigInt(Math.pow(10, config.tokenDecimals))
+        BigInt(Math.pow(10, network.tokenDecimals))
     );
     return selfStake;
 }
 
-async function getActiveStakesForEra(address, era) {
+async function getActiveStakesForEra(network, address, era) {
+    const api = apis[network.key];
     const eraStakers = await api.query.staking.erasStakers(era, address);
     const stakes = await Promise.all(
         eraStakers.others.toJSON().map(
@@ -83,7 +172,7 @@ async function getActiveStakesForEra(address, era) {
                     address: stake.who.toString(),
                     amount: divide(
                         BigInt(stake.value),
-                        BigInt(Math.pow(10, config.tokenDecimals))
+                        BigInt(Math.pow(10, network.tokenDecimals))
                     )
                 }
             }
@@ -92,13 +181,14 @@ async function getActiveStakesForEra(address, era) {
     return {
         totalStake: divide(
             BigInt(eraStakers.total),
-            BigInt(Math.pow(10, config.tokenDecimals))
+            BigInt(Math.pow(10, network.tokenDecimals))
         ),
         stakes: stakes
     };
 }
 
-async function getInactiveNominations(address, activeNominators) {
+async function getInactiveNominations(network, address, activeNominators) {
+    const api = apis[network.key];
     const nominators = await api.query.staking.nominators.entries();
     const allNominations = await Promise.all(nominators.filter(([_, value]) => {
         return value.toHuman().targets.includes(address);
@@ -110,7 +200,7 @@ async function getInactiveNominations(address, activeNominators) {
             address: address,
             bonded: divide(
                 BigInt(bonded),
-                BigInt(Math.pow(10, config.tokenDecimals))
+                BigInt(Math.pow(10, network.tokenDecimals))
             )
         }
     }));
@@ -134,215 +224,731 @@ async function getInactiveNominations(address, activeNominators) {
     };
 }
 
-async function getIsActiveInSet(address) {
+/**
+ * The nominators of each of the validators with their active bonded amount in Planck, as
+ * `{ nominations: { [stashAddress]: [{ address, bonded }] }, nominatorAddresses }`. The
+ * set of nominator addresses has everyone who nominates any validator. Scans the
+ * nominations once for all the validators.
+ */
+async function getNominations(network, stashAddresses) {
+    const api = apis[network.key];
+    const nominations = {};
+    for (let stashAddress of stashAddresses) {
+        nominations[stashAddress] = [];
+    }
+    const nominatorAddresses = new Set();
+    const watchedNominations = [];
+    for (let [key, value] of await api.query.staking.nominators.entries()) {
+        if (value.isNone) {
+            continue;
+        }
+        const address = key.args[0].toString();
+        nominatorAddresses.add(address);
+        const targets = value.unwrap().targets
+            .map(target => target.toString())
+            .filter(target => nominations[target]);
+        if (targets.length > 0) {
+            watchedNominations.push({ address: address, targets: targets });
+        }
+    }
+    const controllers = await api.query.staking.bonded.multi(
+        watchedNominations.map(nomination => nomination.address)
+    );
+    const ledgers = await api.query.staking.ledger.multi(
+        controllers.map((controller, index) => controller.isSome
+            ? controller.unwrap().toString()
+            : watchedNominations[index].address)
+    );
+    watchedNominations.forEach((nomination, index) => {
+        const bonded = ledgers[index].isSome ? ledgers[index].unwrap().active.toBigInt().toString() : '0';
+        for (let target of nomination.targets) {
+            nominations[target].push({ address: nomination.address, bonded: bonded });
+        }
+    });
+    return { nominations: nominations, nominatorAddresses: nominatorAddresses };
+}
+
+async function getIsActiveInSet(network, address) {
+    const api = apis[network.key];
     const validators = await api.query.session.validators();
     return validators.includes(address);
 }
 
-async function getCommission(address) {
+async function getCommission(network, address) {
+    const api = apis[network.key];
     return (await api.query.staking.validators(address)).toHuman().commission;
 }
 
-async function getSessionKeys(address) {
+async function getSessionKeys(network, address) {
+    const api = apis[network.key];
     const sessionKeys =  await api.query.session.nextKeys(address);
     const sessionKeyHex = await sessionKeys.toHex();
     return sessionKeyHex;
 }
 
-async function getRewardsInBlock(blockNumber) {
+function isRewardEvent(event) {
+    return event.section.toLowerCase() == 'staking'
+        && (event.method.toLowerCase() == 'reward' || event.method.toLowerCase() == 'rewarded');
+}
+
+/**
+ * The active era of the block, which the rewards paid out in the block are recorded with.
+ */
+async function getActiveEraAt(api, blockHash) {
+    const activeEra = await api.query.staking.activeEra.at(blockHash);
+    return activeEra.isSome ? activeEra.unwrap().index.toNumber() : undefined;
+}
+
+function getReward(event, blockNumber, timestamp, era) {
+    return {
+        blockNumber: blockNumber,
+        timestamp: timestamp,
+        era: era,
+        targetStashAddress: event.data[0].toString(),
+        amount: event.data[1].toString()
+    };
+}
+
+/**
+ * Used to fetch the reward history, the finalized blocks get their rewards in the block summary.
+ */
+async function getRewardsInBlock(network, blockNumber) {
+    const api = apis[network.key];
     const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
     const allRecords = await api.query.system.events.at(blockHash);
     const timestamp = await api.query.timestamp.now.at(blockHash);
     const rewards = [];
+    let era;
     for (let i = 0; i < allRecords.length; i++) {
         const { event } = allRecords[i];
-        if (event.section.toLowerCase() == 'staking'
-                && (event.method.toLowerCase() == 'reward' 
-                    || event.method.toLowerCase() == 'rewarded')) {
-            const reward = {
-                blockNumber: blockNumber,
-                timestamp: parseInt(timestamp.toString()),
-                targetStashAddress: event.data[0].toString(),
-                amount: event.data[1].toString()
-            };
-            rewards.push(reward);
+        if (isRewardEvent(event)) {
+            if (rewards.length == 0) {
+                era = await getActiveEraAt(api, blockHash);
+            }
+            rewards.push(getReward(event, blockNumber, parseInt(timestamp.toString()), era));
         }
     }
     return rewards;
 }
 
-async function getNominationsInBlock(blockNumber) {
-    logger.info(`Get nominations block ${blockNumber}.`);
-    const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
-    const block = await api.rpc.chain.getBlock(blockHash);
-    const allEvents = await api.query.system.events.at(blockHash);
-    const nominations = [];
-    for (let index = 0; index < block.block.extrinsics.length; index++) {
-        let extrinsic = block.block.extrinsics[index];
-        if (!extrinsic.toHuman().isSigned) {
-            continue;
-        }
-        let method = extrinsic.toHuman().method;
-        if (method.section == 'staking' && method.method == 'nominate') {
-            let nominees = extrinsic.toHuman().method.args;
-            let nominator = extrinsic.toHuman().signer.Id;
-            const nominatorLedger = await api.query.staking.ledger(nominator);
-            const activeStake = nominatorLedger.toJSON().active;
-            const validatorAddresses = [];
-            for (let nominee of nominees[Object.keys(nominees)[0]]) {
-                validatorAddresses.push(nominee.Id);
-            }
-            let filteredEvents =
-                allEvents
-                    // filter the specific events based on the phase and then the
-                    // index of our extrinsic in the block
-                    .filter(({ phase }) =>
-                        phase.isApplyExtrinsic &&
-                        phase.asApplyExtrinsic.eq(index)
-                    );
-            for (let event of filteredEvents) {
-                if (api.events.system.ExtrinsicSuccess.is(event.event)) {
-                    nominations.push(
-                        {
-                            nominator: nominator,
-                            activeStake: divide(
-                                BigInt(activeStake),
-                                BigInt(Math.pow(10, config.tokenDecimals))
-                            ),
-                            validatorAddresses: validatorAddresses,
-                            blockNumber: blockNumber,
-                            extrinsicIndex: index
-                        }
-                    );
-                    break;
-                }
+function getOffenceEventType(event) {
+    const section = event.section.toLowerCase();
+    const method = event.method.toLowerCase();
+    if (section == 'offences' && method == 'offence') {
+        return OffenceEventType.OFFENCE;
+    }
+    if (section == 'staking' && method == 'slashreported') {
+        return OffenceEventType.SLASH_REPORTED;
+    }
+    if (section == 'staking' && (method == 'slashed' || method == 'slash')) {
+        return OffenceEventType.SLASHED;
+    }
+    return null;
+}
+
+/**
+ * Decodes an offence or slash event of the block. The offenders of an offence aren't in
+ * the event, they're found in the offence reports of its kind and time slot. Fields that
+ * don't apply to the event type are null.
+ */
+async function getOffence(network, blockHash, blockNumber, eventIndex, event, session) {
+    const api = apis[network.key];
+    const offence = {
+        type: getOffenceEventType(event),
+        kind: null,
+        session: session,
+        era: null,
+        slashPercent: null,
+        amount: null,
+        stashAddresses: [],
+        blockNumber: blockNumber,
+        eventIndex: eventIndex
+    };
+    if (offence.type == OffenceEventType.OFFENCE) {
+        const [kind, timeSlot] = event.data;
+        const kindText = u8aToString(kind.toU8a()).replace(/\0+$/, '');
+        offence.kind = offenceKindNames[kindText] || kindText;
+        const reportIds = await api.query.offences.concurrentReportsIndex.at(blockHash, kind, timeSlot);
+        for (let reportId of reportIds) {
+            const report = await api.query.offences.reports.at(blockHash, reportId);
+            if (report.isSome) {
+                offence.stashAddresses.push(report.unwrap().offender[0].toString());
             }
         }
+    } else if (offence.type == OffenceEventType.SLASH_REPORTED) {
+        offence.stashAddresses.push(event.data[0].toString());
+        // Perbill
+        offence.slashPercent = event.data[1].toNumber() / 10000000;
+        offence.era = event.data[2].toNumber();
+    } else {
+        offence.stashAddresses.push(event.data[0].toString());
+        offence.amount = divide(
+            BigInt(event.data[1].toString()),
+            BigInt(Math.pow(10, network.tokenDecimals))
+        );
     }
-    return nominations;
+    return offence;
 }
 
-async function getChillingsInBlock(blockNumber) {
-    logger.info(`Get chillings block ${blockNumber}.`);
-    const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
-    const block = await api.rpc.chain.getBlock(blockHash);
-    const allEvents = await api.query.system.events.at(blockHash);
-    const chillings = [];
-    for (let index = 0; index < block.block.extrinsics.length; index++) {
-        let extrinsic = block.block.extrinsics[index];
-        if (!extrinsic.toHuman().isSigned) {
+/**
+ * The call and the calls in it when it's a batch or a proxy call, as `[{ call, origin }]`,
+ * the origin of a proxied call being the proxied account.
+ */
+function getNestedCalls(call, origin) {
+    const { section, method } = call;
+    if (section == 'utility' && ['batch', 'batchAll', 'forceBatch'].includes(method)) {
+        return call.args[0].map(innerCall => getNestedCalls(innerCall, origin)).flat();
+    }
+    if (section == 'proxy' && method == 'proxy') {
+        return getNestedCalls(call.args[2], call.args[0].toString());
+    }
+    return [{ call: call, origin: origin }];
+}
+
+/**
+ * The validator change made by a call, null for the other calls. The address is of the
+ * origin, the stash or the controller. A change that's also in the events is taken from
+ * the events, i.e. a new commission on the runtimes with the ValidatorPrefsSet event.
+ */
+function getValidatorChangeOfCall(api, call, origin) {
+    const { section, method } = call;
+    if (section == 'staking' && method == 'validate' && !api.events.staking.ValidatorPrefsSet) {
+        return { type: ValidatorChangeType.COMMISSION, address: origin, value: call.args[0].commission.toHuman() };
+    }
+    if (section == 'session' && method == 'setKeys') {
+        return { type: ValidatorChangeType.SESSION_KEYS, address: origin, value: call.args[0].toHex() };
+    }
+    if (section == 'staking' && method == 'setController') {
+        // the controller is the stash itself in the runtimes without the argument
+        const controllerAddress = call.args.length > 0 ? call.args[0].toString() : origin;
+        return { type: ValidatorChangeType.CONTROLLER, address: origin, value: controllerAddress };
+    }
+    return null;
+}
+
+/**
+ * Whether the state at the end of the block has the new value of a validator change made by
+ * a call. A call in a batch or a proxy call can fail while the extrinsic succeeds.
+ */
+async function isValidatorChangeInState(api, blockHash, change) {
+    // the origin is the stash or the controller
+    const ledger = await api.query.staking.ledger.at(blockHash, change.address);
+    const stashAddress = ledger.isSome ? ledger.unwrap().stash.toString() : change.address;
+    if (change.type == ValidatorChangeType.COMMISSION) {
+        const prefs = await api.query.staking.validators.at(blockHash, stashAddress);
+        return prefs.commission.toHuman() == change.value;
+    }
+    if (change.type == ValidatorChangeType.SESSION_KEYS) {
+        const keys = await api.query.session.nextKeys.at(blockHash, stashAddress);
+        return keys.isSome && keys.unwrap().toHex() == change.value;
+    }
+    if (change.type == ValidatorChangeType.CONTROLLER) {
+        const controllerAddress = await api.query.staking.bonded.at(blockHash, stashAddress);
+        return controllerAddress.isSome && controllerAddress.unwrap().toString() == change.value;
+    }
+    return true;
+}
+
+/**
+ * The validator change of an event, null for the other events. Bond amounts are in tokens.
+ */
+function getValidatorChangeOfEvent(network, event) {
+    const section = event.section.toLowerCase();
+    const method = event.method.toLowerCase();
+    if (section != 'staking') {
+        return null;
+    }
+    if (method == 'validatorprefsset') {
+        return {
+            type: ValidatorChangeType.COMMISSION,
+            address: event.data[0].toString(),
+            value: event.data[1].commission.toHuman()
+        };
+    }
+    if (method == 'bonded' || method == 'unbonded') {
+        return {
+            type: method == 'bonded' ? ValidatorChangeType.BOND : ValidatorChangeType.UNBOND,
+            address: event.data[0].toString(),
+            value: divide(
+                BigInt(event.data[1].toString()),
+                BigInt(Math.pow(10, network.tokenDecimals))
+            )
+        };
+    }
+    return null;
+}
+
+/**
+ * The nomination of the extrinsic, with the active stake of the nominator at the block.
+ */
+async function getNomination(network, blockHash, blockNumber, extrinsicIndex, extrinsic) {
+    const api = apis[network.key];
+    const nominees = extrinsic.toHuman().method.args;
+    const nominator = extrinsic.signer.toString();
+    const nominatorLedger = await api.query.staking.ledger.at(blockHash, nominator);
+    // at the block, as the nominator may have unbonded since, e.g. a block processed in a catch-up
+    const activeStake = nominatorLedger.isSome ? nominatorLedger.unwrap().active.toBigInt() : BigInt(0);
+    const validatorAddresses = [];
+    for (let nominee of nominees[Object.keys(nominees)[0]]) {
+        validatorAddresses.push(nominee.Id);
+    }
+    return {
+        nominator: nominator,
+        activeStake: divide(
+            activeStake,
+            BigInt(Math.pow(10, network.tokenDecimals))
+        ),
+        validatorAddresses: validatorAddresses,
+        blockNumber: blockNumber,
+        extrinsicIndex: extrinsicIndex
+    };
+}
+
+/**
+ * Fetches the block with its events once, and decodes everything the bot looks for in a
+ * finalized block in a single pass. Only the successful signed extrinsics are decoded.
+ * Resolves to:
+ * {
+ *     blockNumber, blockHash, author, timestamp,
+ *     nominations: [{ nominator, activeStake, validatorAddresses, blockNumber, extrinsicIndex }],
+ *     chillings: [{ controllerAddress, blockNumber, extrinsicIndex }],
+ *     offlineEvents: [{ validatorAddresses, blockNumber, eventIndex }],
+ *     offences: [{ type, kind, session, era, slashPercent, amount, stashAddresses, blockNumber, eventIndex }],
+ *     validatorChanges: [{ type, address, value, blockNumber, extrinsicIndex, eventIndex }],
+ *     rewards: [{ blockNumber, timestamp, era, targetStashAddress, amount }]
+ * }
+ */
+async function getBlockSummary(network, blockNumber) {
+    const api = apis[network.key];
+    logger.info(`Get ${network.name} block #${blockNumber}.`);
+    // block, events and the session validators for the author, fetched together
+    const signedBlock = await api.derive.chain.getBlockByNumber(blockNumber);
+    const summary = {
+        blockNumber: blockNumber,
+        blockHash: signedBlock.block.header.hash.toHex(),
+        author: signedBlock.author ? signedBlock.author.toString() : null,
+        timestamp: null,
+        nominations: [],
+        chillings: [],
+        offlineEvents: [],
+        offences: [],
+        validatorChanges: [],
+        rewards: []
+    };
+    for (let index = 0; index < signedBlock.extrinsics.length; index++) {
+        const { extrinsic, events } = signedBlock.extrinsics[index];
+        const { section, method } = extrinsic.method;
+        if (section == 'timestamp' && method == 'set') {
+            summary.timestamp = parseInt(extrinsic.method.args[0].toString());
             continue;
         }
-        let method = extrinsic.toHuman().method;
-        if (method.section == 'staking' && method.method == 'chill') {
-            let controllerAddress = extrinsic.toHuman().signer.Id;
-            let filteredEvents =
-                allEvents
-                    // filter the specific events based on the phase and then the
-                    // index of our extrinsic in the block
-                    .filter(({ phase }) =>
-                        phase.isApplyExtrinsic &&
-                        phase.asApplyExtrinsic.eq(index)
-                    ); 
-            for (let event of filteredEvents) {
-                if (api.events.system.ExtrinsicSuccess.is(event.event)) {
-                    chillings.push(
-                        {
-                            controllerAddress: controllerAddress,
-                            blockNumber: blockNumber,
-                            extrinsicIndex: index
-                        }
-                    );
-                    break;
-                }
+        if (!extrinsic.isSigned
+                || !events.some(event => api.events.system.ExtrinsicSuccess.is(event))) {
+            continue;
+        }
+        if (section == 'staking' && method == 'nominate') {
+            summary.nominations.push(await getNomination(network, summary.blockHash, blockNumber, index, extrinsic));
+        } else if (section == 'staking' && method == 'chill') {
+            summary.chillings.push({
+                controllerAddress: extrinsic.signer.toString(),
+                blockNumber: blockNumber,
+                extrinsicIndex: index
+            });
+        }
+        for (let { call, origin } of getNestedCalls(extrinsic.method, extrinsic.signer.toString())) {
+            const change = getValidatorChangeOfCall(api, call, origin);
+            if (change && (call === extrinsic.method
+                    || await isValidatorChangeInState(api, summary.blockHash, change))) {
+                summary.validatorChanges.push(Object.assign(change, {
+                    blockNumber: blockNumber,
+                    extrinsicIndex: index,
+                    eventIndex: null
+                }));
             }
         }
     }
-    return chillings;
-}
-
-async function getOfflineEventInBlock(blockNumber) {
-    logger.info(`Get offline events in block ${blockNumber}.`);
-    const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
-    const allEvents = await api.query.system.events.at(blockHash);
-    const validatorAddresses = [];
-    for (let i = 0; i < allEvents.length; i++) {
-        const { event } = allEvents[i];
-        if (event.section.toLowerCase() == "imonline"
-            && event.method.toLowerCase() == "someoffline") {
-            for (let validatorData of event.toJSON().data[0]) {
-                validatorAddresses.push(validatorData[0]);
+    let era;
+    let session;
+    for (let i = 0; i < signedBlock.events.length; i++) {
+        const { event } = signedBlock.events[i];
+        if (isRewardEvent(event)) {
+            if (summary.rewards.length == 0) {
+                era = await getActiveEraAt(api, summary.blockHash);
             }
-            return {
-                validatorAddresses: validatorAddresses,
+            summary.rewards.push(getReward(event, blockNumber, summary.timestamp, era));
+        } else if (event.section.toLowerCase() == 'imonline'
+                && event.method.toLowerCase() == 'someoffline') {
+            summary.offlineEvents.push({
+                validatorAddresses: event.toJSON().data[0].map(validatorData => validatorData[0]),
                 blockNumber: blockNumber,
                 eventIndex: i
-            };
+            });
+        } else if (getOffenceEventType(event)) {
+            if (session === undefined) {
+                session = (await api.query.session.currentIndex.at(summary.blockHash)).toNumber();
+            }
+            summary.offences.push(await getOffence(network, summary.blockHash, blockNumber, i, event, session));
+        } else {
+            const change = getValidatorChangeOfEvent(network, event);
+            if (change) {
+                summary.validatorChanges.push(Object.assign(change, {
+                    blockNumber: blockNumber,
+                    extrinsicIndex: null,
+                    eventIndex: i
+                }));
+            }
         }
     }
-    return null;
+    return summary;
 }
 
-async function checkEraChange() {
-    const currentEra = await getCurrentEra();
+async function checkEraChange(network) {
+    const currentEra = await getCurrentEra(network);
+    const lastEra = lastEras[network.key] || 0;
     if (currentEra > lastEra) {
-        if (lastEra != 0 && onEraChange) {
-            onEraChange(currentEra);
+        if (lastEra != 0 && eraChangeHandlers[network.key]) {
+            eraChangeHandlers[network.key](network, currentEra);
         }
-        lastEra = currentEra;
+        lastEras[network.key] = currentEra;
+    }
+}
+
+/**
+ * The current session and the part of its blocks that has passed, `{ session, fraction }`.
+ */
+async function getSessionProgress(network) {
+    const api = apis[network.key];
+    const progress = await api.derive.session.progress();
+    return {
+        session: progress.currentIndex.toNumber(),
+        fraction: progress.sessionProgress.toNumber() / progress.sessionLength.toNumber()
+    };
+}
+
+/**
+ * Whether each of the validators has sent its imOnline heartbeat or authored a block in the
+ * session, `{ [stashAddress]: { isActive, hasHeartbeat, authoredBlockCount } }`. A validator
+ * not in the session's validator set is not active, and has no heartbeat. Either one is
+ * enough for imOnline not to report the validator offline at the end of the session.
+ */
+async function getHeartbeatStatuses(network, session, stashAddresses) {
+    const api = apis[network.key];
+    // the heartbeats are kept by the index of the validator in the session validators
+    const sessionValidators = (await api.query.session.validators()).map(address => address.toString());
+    const authoredBlockCounts = await api.query.imOnline.authoredBlocks.multi(
+        stashAddresses.map(stashAddress => [session, stashAddress])
+    );
+    const statuses = {};
+    for (let i = 0; i < stashAddresses.length; i++) {
+        const authorityIndex = sessionValidators.indexOf(stashAddresses[i]);
+        statuses[stashAddresses[i]] = {
+            isActive: authorityIndex >= 0,
+            hasHeartbeat: authorityIndex >= 0
+                && (await api.query.imOnline.receivedHeartbeats(session, authorityIndex)).isSome,
+            authoredBlockCount: authoredBlockCounts[i].toNumber()
+        };
     }
+    return statuses;
 }
 
-async function connectPolkadot(onFinalizedBlock, onNewEra) {
-    const wsProvider = new WsProvider(config.rpcURL);
-    api = new ApiPromise({ provider: wsProvider });
-    await api.isReady;
+/**
+ * Calls the heartbeat check handler once per session, when the session has passed
+ * `config.heartbeatCheckSessionFraction`, which leaves time to fix a node before the
+ * end of the session.
+ */
+async function checkHeartbeatTime(network) {
+    const { session, fraction } = await getSessionProgress(network);
+    if (lastHeartbeatCheckSessions[network.key] == session || fraction < config.heartbeatCheckSessionFraction) {
+        return;
+    }
+    lastHeartbeatCheckSessions[network.key] = session;
+    await heartbeatCheckHandlers[network.key](network, session);
+}
+
+/**
+ * Health score of an endpoint from 0 to 100. Each error in the error window costs 10 points
+ * up to 50, and the time since the last finalized head costs up to 50 points, in proportion
+ * to the stall threshold. An endpoint is unhealthy when it has stalled, or has had too many errors.
+ */
+function getEndpointHealth(endpoint, now) {
+    const errorCount = endpoint.errorTimes.filter(time => time > now - config.rpcErrorWindowMillis).length;
+    const lagMillis = now - (endpoint.lastFinalizedAt || endpoint.connectedAt || now);
+    const score = 100
+        - Math.min(50, errorCount * 10)
+        - Math.min(50, Math.floor(50 * lagMillis / config.rpcStallThresholdMillis));
+    return {
+        score: score,
+        errorCount: errorCount,
+        lagMillis: lagMillis,
+        isHealthy: lagMillis < config.rpcStallThresholdMillis && errorCount < config.rpcMaxErrorCount
+    };
+}
 
-    const systemProperties = (await api.rpc.system.properties()).toHuman();
-    config.tokenSymbol = systemProperties.tokenSymbol[0];
-    config.tokenDecimals = parseInt(systemProperties.tokenDecimals[0]);
+function recordRPCError(endpoint, error) {
+    const now = Date.now();
+    endpoint.errorTimes = endpoint.errorTimes.filter(time => time > now - config.rpcErrorWindowMillis);
+    endpoint.errorTimes.push(now);
+    endpoint.lastError = error ? `${error.message || error}` : null;
+}
+
+/**
+ * Records an RPC error of the network's active endpoint, e.g. a failed block fetch.
+ */
+function reportRPCError(network, error) {
+    const state = endpointStates[network.key];
+    if (state && state.activeEndpoint) {
+        recordRPCError(state.activeEndpoint, error);
+    }
+}
 
-    await api.rpc.chain.subscribeFinalizedHeads(async function(blockHeader) {
-        const blockNumber = parseInt(blockHeader.number);
-        const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
-        const header = await api.derive.chain.getHeader(blockHash);
-        if (header.author) {
-            onFinalizedBlock(
-                blockNumber, 
-                blockHash, 
-                header.author.toString()
-            );
+async function createAPI(url) {
+    const wsProvider = new WsProvider(url);
+    const api = new ApiPromise({ provider: wsProvider });
+    let timeoutId;
+    try {
+        await Promise.race([
+            api.isReady,
+            new Promise((_, reject) => {
+                timeoutId = setTimeout(
+                    () => reject(new Error(`Connection to ${url} timed out.`)),
+                    config.rpcConnectTimeoutMillis
+                );
+            })
+        ]);
+    } catch (error) {
+        await api.disconnect().catch(() => {});
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+    return api;
+}
+
+async function connectEndpoint(network, endpoint) {
+    logger.info(`Connect to ${network.name} RPC endpoint ${endpoint.url}.`);
+    // through the exports, so that the tests can stand in for the RPC connection
+    const api = await module.exports.createAPI(endpoint.url);
+    // the api is registered once it's fully set up, a half-connected one is disconnected
+    try {
+        const systemProperties = (await api.rpc.system.properties()).toHuman();
+        if (!network.profile.tokenSymbol) {
+            network.tokenSymbol = systemProperties.tokenSymbol[0];
         }
-    });
-    onEraChange = onNewEra;
-    await checkEraChange();
-    cron.schedule('10,30,50 * * * *', () => {
-        checkEraChange();
-    });
+        if (typeof network.profile.tokenDecimals === 'undefined') {
+            network.tokenDecimals = parseInt(systemProperties.tokenDecimals[0]);
+        }
+        await api.rpc.chain.subscribeFinalizedHeads(function(blockHeader) {
+            if (apis[network.key] !== api) {
+                return;
+            }
+            endpoint.lastFinalizedBlockNumber = parseInt(blockHeader.number);
+            endpoint.lastFinalizedAt = Date.now();
+            const onFinalizedBlock = finalizedBlockHandlers[network.key];
+            if (onFinalizedBlock) {
+                onFinalizedBlock(network, endpoint.lastFinalizedBlockNumber);
+            }
+        });
+    } catch (error) {
+        await api.disconnect().catch(() => {});
+        throw error;
+    }
+    api.on('error', error => recordRPCError(endpoint, error));
+    api.on('disconnected', () => recordRPCError(endpoint, new Error('Disconnected.')));
+    endpoint.connectedAt = Date.now();
+    endpoint.lastFinalizedAt = null;
+    apis[network.key] = api;
+    endpointStates[network.key].activeEndpoint = endpoint;
 }
 
-const disconnectPolkadot = async () => {
+/**
+ * Connects to the healthiest endpoint other than the active one, falls back to reconnecting
+ * the active one. The finalized block handler continues from the new endpoint's heads,
+ * and the blocks missed during the switch are caught up by the block cursor.
+ */
+async function switchEndpoint(network, reason) {
+    const state = endpointStates[network.key];
+    const previousEndpoint = state.activeEndpoint;
+    logger.error(`${network.name} RPC endpoint ${previousEndpoint.url} is unhealthy (${reason}). Switch endpoint.`);
+    const now = Date.now();
+    const candidates = state.endpoints
+        .filter(endpoint => endpoint !== previousEndpoint)
+        .sort((a, b) => getEndpointHealth(a, now).errorCount - getEndpointHealth(b, now).errorCount);
+    candidates.push(previousEndpoint);
+    // there's no api after a switch that found every endpoint down
+    const previousAPI = apis[network.key];
+    if (previousAPI) {
+        delete apis[network.key];
+        await previousAPI.disconnect().catch(() => {});
+    }
+    for (let endpoint of candidates) {
+        try {
+            await connectEndpoint(network, endpoint);
+            logger.info(`${network.name} RPC endpoint switched to ${endpoint.url}.`);
+            return true;
+        } catch (error) {
+            logger.error(`Cannot connect to ${network.name} RPC endpoint ${endpoint.url}: ${error.message}`);
+            recordRPCError(endpoint, error);
+        }
+    }
+    logger.error(`❗️ No ${network.name} RPC endpoint is available, try again at the next health check.`);
+    return false;
+}
+
+/**
+ * Switches the endpoint when the active one is unhealthy, or when there's no connection
+ * since every endpoint was down at the last switch.
+ */
+async function checkRPCHealth(network) {
+    const state = endpointStates[network.key];
+    if (state.isSwitching) {
+        return;
+    }
+    const endpoint = state.activeEndpoint;
+    let reason = null;
+    if (!apis[network.key]) {
+        reason = 'not connected';
+    } else {
+        const health = getEndpointHealth(endpoint, Date.now());
+        logger.info(`${network.name} RPC ${endpoint.url}: finalized #${endpoint.lastFinalizedBlockNumber}, `
+            + `${Math.round(health.lagMillis / 1000)} seconds ago, ${health.errorCount} errors, health ${health.score}.`);
+        if (!health.isHealthy) {
+            reason = (health.lagMillis >= config.rpcStallThresholdMillis)
+                ? `no finalized head for ${Math.round(health.lagMillis / 1000)} seconds`
+                : `${health.errorCount} errors`;
+        }
+    }
+    if (!reason) {
+        return;
+    }
+    state.isSwitching = true;
+    try {
+        await switchEndpoint(network, reason);
+    } finally {
+        // a failed switch mustn't stop the later health checks
+        state.isSwitching = false;
+    }
+}
+
+/**
+ * Active endpoint and the health of every endpoint of the network, for the logs and /rpcstatus.
+ */
+function getRPCStatus(network) {
+    const state = endpointStates[network.key];
+    if (!state) {
+        return null;
+    }
+    const now = Date.now();
+    return {
+        activeURL: state.activeEndpoint ? state.activeEndpoint.url : null,
+        endpoints: state.endpoints.map(endpoint => Object.assign({
+            url: endpoint.url,
+            isActive: endpoint === state.activeEndpoint && Boolean(apis[network.key]),
+            lastFinalizedBlockNumber: endpoint.lastFinalizedBlockNumber,
+            lastError: endpoint.lastError
+        }, getEndpointHealth(endpoint, now)))
+    };
+}
+
+/**
+ * Connects to the network's first healthy RPC endpoint and starts watching its health.
+ * Finalized block and era change handlers are optional, and get called with the network
+ * as their first argument. The finalized block handler gets the block number of each
+ * new finalized head.
+ */
+async function connectPolkadot(network, onFinalizedBlock, onNewEra, onHeartbeatCheck) {
+    endpointStates[network.key] = {
+        endpoints: network.rpcURLs.map(url => ({
+            url: url,
+            errorTimes: [],
+            lastError: null,
+            lastFinalizedBlockNumber: null,
+            lastFinalizedAt: null,
+            connectedAt: null
+        })),
+        activeEndpoint: null,
+        isSwitching: false,
+        healthCheckIntervalId: null
+    };
+    const state = endpointStates[network.key];
+    finalizedBlockHandlers[network.key] = onFinalizedBlock;
+    for (let endpoint of state.endpoints) {
+        try {
+            await connectEndpoint(network, endpoint);
+            break;
+        } catch (error) {
+            logger.error(`Cannot connect to ${network.name} RPC endpoint ${endpoint.url}: ${error.message}`);
+            recordRPCError(endpoint, error);
+        }
+    }
+    if (!apis[network.key]) {
+        throw new Error(`Cannot connect to any ${network.name} RPC endpoint.`);
+    }
+    state.healthCheckIntervalId = setInterval(() => {
+        checkRPCHealth(network).catch(error => {
+            logger.error(`❗️ Error while checking the ${network.name} RPC health: ${error}`);
+        });
+    }, config.rpcHealthCheckIntervalMillis);
+    if (onNewEra) {
+        eraChangeHandlers[network.key] = onNewEra;
+        await checkEraChange(network);
+        cron.schedule('10,30,50 * * * *', () => {
+            checkEraChange(network).catch(error => {
+                logger.error(`Error while checking the ${network.name} era: ${error}`);
+                reportRPCError(network, error);
+            });
+        });
+    }
+    if (onHeartbeatCheck) {
+        heartbeatCheckHandlers[network.key] = onHeartbeatCheck;
+        cron.schedule('*/5 * * * *', () => {
+            checkHeartbeatTime(network).catch(error => {
+                logger.error(`Error while checking the ${network.name} heartbeats: ${error}`);
+                reportRPCError(network, error);
+            });
+        });
+    }
+}
+
+const disconnectPolkadot = async (network) => {
+    const state = endpointStates[network.key];
+    if (state) {
+        clearInterval(state.healthCheckIntervalId);
+    }
+    const api = apis[network.key];
     if (api) {
-        logger.info(`Close ${config.networkName} API connection.`);
+        logger.info(`Close ${network.name} API connection.`);
         await api.disconnect();
+        delete apis[network.key];
     }
 };
 
 module.exports = {
+    OffenceEventType: OffenceEventType,
+    ValidatorChangeType: ValidatorChangeType,
     isValidAddress: isValidAddress,
+    getNetworkForAddress: getNetworkForAddress,
     connectPolkadot: connectPolkadot,
     disconnectPolkadot: disconnectPolkadot,
+    getEndpointHealth: getEndpointHealth,
+    getRPCStatus: getRPCStatus,
+    checkRPCHealth: checkRPCHealth,
+    createAPI: createAPI,
+    reportRPCError: reportRPCError,
     getControllerAddress: getControllerAddress,
     getIsActiveInSet: getIsActiveInSet,
     getCommission: getCommission,
     getSessionKeys: getSessionKeys,
     getCurrentEra: getCurrentEra,
+    getActiveEra: getActiveEra,
+    getEraRewardPoints: getEraRewardPoints,
+    getEraValidators: getEraValidators,
     payoutClaimedForAddressForEra: payoutClaimedForAddressForEra,
     getSelfStake: getSelfStake,
+    getSelfStakeAt: getSelfStakeAt,
     getActiveStakesForEra: getActiveStakesForEra,
     getInactiveNominations: getInactiveNominations,
+    getNominations: getNominations,
+    getHeartbeatStatuses: getHeartbeatStatuses,
     getRewardsInBlock: getRewardsInBlock,
-    getNominationsInBlock: getNominationsInBlock,
-    getChillingsInBlock: getChillingsInBlock,
-    getOfflineEventInBlock: getOfflineEventInBlock
+    getBlockSummary: getBlockSummary
 }
\ No newline at end of file
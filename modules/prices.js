@@ -0,0 +1,118 @@
+/**
+ * Fiat prices of the tokens from a local price file, so the fiat values work offline.
+ * A CSV file has a `date` column and a column per token symbol:
+ *
+ *     date,KSM,DOT
+ *     2022-08-10,48.21,8.12
+ *
+ * A JSON file has the daily prices by token symbol:
+ *
+ *     { "KSM": { "2022-08-10": 48.21 }, "DOT": { "2022-08-10": 8.12 } }
+ *
+ * Dates are days in UTC. A day without a price takes the price of the latest day before it,
+ * up to a week back.
+ */
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+
+const logger = require('./logging');
+const config = require('./config').config;
+
+const maxPriceAgeDays = 7;
+const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// the parsed file, reloaded when it changes
+let loadedFile = null;
+
+/**
+ * Prices by token symbol and day, e.g. `{ KSM: { '2022-08-10': 48.21 } }`.
+ * Throws when the content is not in either format.
+ */
+function parsePriceFile(content, isJSON) {
+    const prices = {};
+    const addPrice = (symbol, day, value) => {
+        const price = typeof value == 'number' ? value : parseFloat(value);
+        if (!dayPattern.test(day) || isNaN(price) || price < 0) {
+            throw new Error(`Invalid ${symbol} price "${value}" on "${day}".`);
+        }
+        prices[symbol.toUpperCase()] = prices[symbol.toUpperCase()] || {};
+        prices[symbol.toUpperCase()][day] = price;
+    };
+    if (isJSON) {
+        const symbols = JSON.parse(content);
+        for (let symbol of Object.keys(symbols)) {
+            for (let day of Object.keys(symbols[symbol])) {
+                addPrice(symbol, day, symbols[symbol][day]);
+            }
+        }
+        return prices;
+    }
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+    const header = (lines.shift() || '').split(',').map(column => column.trim());
+    if (header[0].toLowerCase() != 'date' || header.length < 2) {
+        throw new Error('The first column of the price file has to be "date", followed by the token symbols.');
+    }
+    for (let line of lines) {
+        const values = line.split(',').map(value => value.trim());
+        for (let i = 1; i < header.length; i++) {
+            // a token may have no price on some days
+            if (values[i] !== undefined && values[i].length > 0) {
+                addPrice(header[i], values[0], values[i]);
+            }
+        }
+    }
+    return prices;
+}
+
+function loadPrices(filePath) {
+    const modifiedAt = fs.statSync(filePath).mtimeMs;
+    if (!loadedFile || loadedFile.path != filePath || loadedFile.modifiedAt != modifiedAt) {
+        const isJSON = path.extname(filePath).toLowerCase() == '.json';
+        loadedFile = {
+            path: filePath,
+            modifiedAt: modifiedAt,
+            prices: parsePriceFile(fs.readFileSync(filePath, 'utf8'), isJSON)
+        };
+        logger.info(`Loaded the prices of ${Object.keys(loadedFile.prices).join(', ')} from ${filePath}.`);
+    }
+    return loadedFile.prices;
+}
+
+function isConfigured() {
+    return Boolean(config.priceFilePath);
+}
+
+/**
+ * `getPrice(timestamp)` for the token in the configured fiat currency, giving null when
+ * there's no price for the time. Null when there's no price file, or it can't be read.
+ */
+function getPriceSource(tokenSymbol) {
+    if (!isConfigured()) {
+        return null;
+    }
+    let prices;
+    try {
+        prices = loadPrices(config.priceFilePath);
+    } catch (error) {
+        logger.error(`Cannot load the prices from ${config.priceFilePath}: ${error}`);
+        return null;
+    }
+    const dailyPrices = prices[tokenSymbol.toUpperCase()] || {};
+    return timestamp => {
+        const date = moment.utc(timestamp);
+        for (let age = 0; age <= maxPriceAgeDays; age++) {
+            const price = dailyPrices[date.clone().subtract(age, 'days').format('YYYY-MM-DD')];
+            if (price !== undefined) {
+                return price;
+            }
+        }
+        return null;
+    };
+}
+
+module.exports = {
+    parsePriceFile: parsePriceFile,
+    isConfigured: isConfigured,
+    getPriceSource: getPriceSource
+};
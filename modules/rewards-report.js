@@ -0,0 +1,192 @@
+/**
+ * Rewards report options given to /rewards, and the grouping of the rewards by period.
+ * Options are kept on the chat while the address is being selected, so they are plain
+ * JSON: `{ range, granularity, useUTC, showFiat, asTable }`. The range is either
+ * `{ from, to }` days as `YYYY-MM-DD`, each optional, or `{ last, unit }` for the last
+ * days, weeks, months or years, or null for all the rewards.
+ */
+const moment = require('moment-timezone');
+const divide = require('divide-bigint');
+
+const Granularity = {
+    DAILY: 'daily',
+    ERA: 'era',
+    WEEKLY: 'weekly',
+    MONTHLY: 'monthly',
+    YEARLY: 'yearly'
+};
+
+const dayFormat = 'YYYY-MM-DD';
+const rangePattern = /^(\d{4}-\d{2}-\d{2})?\.\.(\d{4}-\d{2}-\d{2})?$/;
+const lastPattern = /^(\d+)([dwmy])$/;
+const lastUnits = { d: 'days', w: 'weeks', m: 'months', y: 'years' };
+
+function getDefaultOptions() {
+    return {
+        range: null,
+        granularity: Granularity.MONTHLY,
+        useUTC: false,
+        showFiat: false,
+        asTable: false
+    };
+}
+
+/**
+ * Separates the options from the address or validator name in the /rewards arguments,
+ * e.g. `Validator Name 2022-01-01..2022-06-30 weekly fiat`. Returns `{ target, options }`,
+ * the target being empty when there's none, or `{ error }`.
+ */
+function parseArgs(text) {
+    const options = getDefaultOptions();
+    const targetWords = [];
+    for (let word of text.split(/\s+/).filter(word => word.length > 0)) {
+        const option = word.toLowerCase();
+        const rangeMatch = option.match(rangePattern);
+        const lastMatch = option.match(lastPattern);
+        if (Object.values(Granularity).includes(option)) {
+            options.granularity = option;
+        } else if (option == 'utc') {
+            options.useUTC = true;
+        } else if (option == 'fiat') {
+            options.showFiat = true;
+        } else if (option == 'table') {
+            options.asTable = true;
+        } else if (rangeMatch) {
+            const [from, to] = [rangeMatch[1] || null, rangeMatch[2] || null];
+            for (let day of [from, to]) {
+                if (day && !moment.utc(day, dayFormat, true).isValid()) {
+                    return { error: `${day} is not a valid date.` };
+                }
+            }
+            if (from && to && from > to) {
+                return { error: 'The start of the range is after its end.' };
+            }
+            options.range = { from: from, to: to };
+        } else if (lastMatch) {
+            const last = parseInt(lastMatch[1]);
+            if (last < 1) {
+                return { error: 'The range has to be at least 1 day, week, month or year.' };
+            }
+            options.range = { last: last, unit: lastMatch[2] };
+        } else {
+            targetWords.push(word);
+        }
+    }
+    return { target: targetWords.join(' '), options: options };
+}
+
+function getTimezone(options, chatTimezone) {
+    return options.useUTC ? 'UTC' : chatTimezone;
+}
+
+/**
+ * `{ from, to }` times of the range in the timezone, `to` being exclusive. Either is null
+ * when the range is open on that side.
+ */
+function getPeriod(range, timezone, now) {
+    if (!range) {
+        return { from: null, to: null };
+    }
+    if (range.last) {
+        return {
+            from: moment.tz(now, timezone).subtract(range.last, lastUnits[range.unit]).valueOf(),
+            to: null
+        };
+    }
+    return {
+        from: range.from ? moment.tz(range.from, dayFormat, timezone).valueOf() : null,
+        to: range.to ? moment.tz(range.to, dayFormat, timezone).add(1, 'day').valueOf() : null
+    };
+}
+
+/**
+ * e.g. `2022-01-01..2022-06-30`, `since 2022-01-01` or `last 30 days`, null for all time.
+ */
+function getRangeText(range) {
+    if (!range) {
+        return null;
+    }
+    if (range.last) {
+        const unit = lastUnits[range.unit];
+        return `last ${range.last} ${range.last == 1 ? unit.slice(0, -1) : unit}`;
+    }
+    if (!range.to) {
+        return `since ${range.from}`;
+    }
+    if (!range.from) {
+        return `until ${range.to}`;
+    }
+    return `${range.from}..${range.to}`;
+}
+
+function getGroup(reward, granularity, timezone) {
+    if (granularity == Granularity.ERA) {
+        // rewards saved before the eras were recorded have none
+        return reward.era === undefined || reward.era === null
+            ? { key: 'unknown', label: 'Unknown era' }
+            : { key: `${reward.era}`, label: `Era ${reward.era}` };
+    }
+    const date = moment.tz(reward.timestamp, timezone);
+    switch (granularity) {
+        case Granularity.DAILY:
+            return { key: date.format(dayFormat), label: date.format(dayFormat) };
+        case Granularity.WEEKLY: {
+            const weekStart = date.clone().startOf('isoWeek').format(dayFormat);
+            return { key: weekStart, label: weekStart };
+        }
+        case Granularity.YEARLY:
+            return { key: date.format('YYYY'), label: date.format('YYYY') };
+        default:
+            return { key: date.format('YYYY-MM'), label: date.format('MMM YY') };
+    }
+}
+
+/**
+ * Groups the rewards by the periods of the granularity in the timezone, in the order of
+ * the rewards. Weeks start on Monday, and are labelled with their first day. Amounts are
+ * in tokens. `getPrice(timestamp)` gives the fiat price of a token at the time of a reward,
+ * or null when it isn't known. Without it there are no fiat values. Returns
+ * `{ groups: [{ label, amount, fiatAmount }], total, fiatTotal, unpricedCount }`.
+ */
+function groupRewards(rewards, network, granularity, timezone, getPrice) {
+    const groups = [];
+    const groupsByKey = {};
+    const unit = BigInt(Math.pow(10, network.tokenDecimals));
+    let total = BigInt(0);
+    let unpricedCount = 0;
+    for (let reward of rewards) {
+        const { key, label } = getGroup(reward, granularity, timezone);
+        if (!groupsByKey[key]) {
+            groupsByKey[key] = { label: label, amount: 0, fiatAmount: getPrice ? 0 : null };
+            groups.push(groupsByKey[key]);
+        }
+        const group = groupsByKey[key];
+        const amount = divide(BigInt(reward.amount), unit);
+        group.amount += amount;
+        total += BigInt(reward.amount);
+        if (getPrice) {
+            const price = getPrice(reward.timestamp);
+            if (price === null) {
+                unpricedCount++;
+            } else {
+                group.fiatAmount += amount * price;
+            }
+        }
+    }
+    return {
+        groups: groups,
+        total: divide(total, unit),
+        fiatTotal: getPrice ? groups.reduce((sum, group) => sum + group.fiatAmount, 0) : null,
+        unpricedCount: unpricedCount
+    };
+}
+
+module.exports = {
+    Granularity: Granularity,
+    getDefaultOptions: getDefaultOptions,
+    parseArgs: parseArgs,
+    getTimezone: getTimezone,
+    getPeriod: getPeriod,
+    getRangeText: getRangeText,
+    groupRewards: groupRewards
+};
@@ -1,32 +1,56 @@
 /**
  * Main bot module.
  */
+const crypto = require('crypto');
 const fetch = require('node-fetch');
-const moment = require('moment');
 const cron = require('node-cron');
 const markdownEscape = require('markdown-escape');
 
 const Polkadot = require('./polkadot');
 const Data = require('./data');
 const Messaging = require('./messaging');
+const MessageQueue = require('./message-queue');
+const NotificationRules = require('./notification-rules');
+const ChatTime = require('./chat-time');
+const Availability = require('./availability');
+const RewardsReport = require('./rewards-report');
+const NominatorChanges = require('./nominator-changes');
+const EraPoints = require('./era-points');
+const Prices = require('./prices');
+const TelegramWebhook = require('./telegram-webhook');
 const logger = require('./logging');
 const config = require('./config').config;
+const getNetwork = require('./config').getNetwork;
 
-const telegramBaseURL = `https://api.telegram.org/bot${config.telegramBotAuthKey}`;
+const telegramBaseURL = `${config.telegramBotAPIBaseURL}/bot${config.telegramBotAuthKey}`;
 const maxValidatorsPerChat = 20;
+// periods of the /uptime report
+const uptimeReportPeriodDays = [7, 30, 90];
+// eras listed by /points by default, and at most
+const defaultPointsEraCount = 10;
+const maxPointsEraCount = 30;
+// nominators of the validators are compared with their last snapshot this often
+const nominatorCheckPeriodMins = 30;
 
-let isFetchingRewards = false;
+// reward fetch in progress flags, keyed by network key
+const isFetchingRewards = {};
+// latest finalized block numbers and whether blocks are being processed, keyed by network key
+const finalizedBlockNumbers = {};
+const isProcessingBlocks = {};
+// failed attempts of the blocks that have failed, keyed by network key and block number
+const failedBlockAttemptCounts = {};
 
-async function fetchAndPersistValidatorInfo(stashAddress, chatId) {
+async function fetchAndPersistValidatorInfo(network, stashAddress, chatId) {
     try {
-        const validatorFetchResult = await Data.fetchValidator(stashAddress);
+        const validatorFetchResult = await Data.fetchValidator(network, stashAddress);
         if (validatorFetchResult.status == 200) {
-            const validator = await Data.persistValidator(validatorFetchResult.validator, chatId);
+            const validator = await Data.persistValidator(network, validatorFetchResult.validator, chatId);
+            await deleteSettingsMenu(chatId);
             await Data.setChatState(chatId, Data.ChatState.IDLE);
             await Messaging.sendValidatorInfo(chatId, validator);
             await Messaging.sendValidatorAdded(chatId, validator);
         } else if (validatorFetchResult.status == 204 || validatorFetchResult.status == 404) {
-            Messaging.sendValidatorNotFound(chatId, stashAddress);
+            Messaging.sendValidatorNotFound(chatId, network, stashAddress);
         }
     } catch (error) {
         logger.error(`❗️ Unexpected error while fetching 1KV validator: ${error}`);
@@ -68,6 +92,22 @@ async function processCallbackQuery(query) {
     }
     const chatId = query.message.chat.id;
     const chat = await Data.getChatById(chatId);
+    if (!chat) {
+        logger.error(`Callback query chat ${chatId} not found. Ignore.`);
+        Messaging.answerCallbackQuery(queryId, 'Invalid query.');
+        return;
+    }
+    // acknowledgement of an offline incident, the button is on the alert and not on the settings message
+    if (typeof data.ackIncident !== 'undefined') {
+        if (await Data.acknowledgeOfflineIncident(chatId, data.ackIncident)) {
+            logger.info(`Offline incident ${data.ackIncident} acknowledged in chat ${chatId}.`);
+            Messaging.answerCallbackQuery(queryId, 'Acknowledged, there will be no more alerts for this incident.');
+        } else {
+            Messaging.answerCallbackQuery(queryId, 'This incident is already acknowledged or resolved.');
+        }
+        await Messaging.removeInlineKeyboard(chatId, query.message.message_id);
+        return;
+    }
     if (query.message.message_id != chat.lastSettingsMessageId) {
         logger.info('Callback query not coming from the last settings message. Ignore.');
         Messaging.answerCallbackQuery(queryId, 'Invalid query.');
@@ -83,96 +123,140 @@ async function processCallbackQuery(query) {
         }
         return;
     }
-    // back to settings menu
+    // validator selection, the first level of the settings menu
+    if (data.backToValidatorSelection) {
+        Messaging.answerCallbackQuery(queryId);
+        await Messaging.sendSettingsMenu(chat, await Data.getValidatorsForChat(chatId), chat.lastSettingsMessageId);
+        return;
+    }
+    if (typeof data.selectValidator !== 'undefined') {
+        // index in the chat's validator list, -1 for the chat defaults
+        const validators = await Data.getValidatorsForChat(chatId);
+        const validator = (data.selectValidator >= 0) ? validators[data.selectValidator] : null;
+        if (!Number.isInteger(data.selectValidator) || (data.selectValidator >= 0 && !validator)) {
+            logger.info(`Invalid settings validator selection ${data.selectValidator}. Ignore.`);
+            Messaging.answerCallbackQuery(queryId, 'Invalid data.');
+            return;
+        }
+        await Data.setChatSettingsValidator(chatId, validator);
+        chat.settingsValidator = validator
+            ? { networkKey: validator.networkKey, stashAddress: validator.stashAddress }
+            : undefined;
+        Messaging.answerCallbackQuery(queryId);
+        await Messaging.sendNotificationSettings(chat, await getSettingsTarget(chat), chat.lastSettingsMessageId);
+        return;
+    }
+    let target = await getSettingsTarget(chat);
+    // back to the notification settings of the selected validator or the chat
     if (data.backToSettingsMenu) {
         Messaging.answerCallbackQuery(queryId);
-        Messaging.sendSettingsMenu(chat, chat.lastSettingsMessageId);
+        Messaging.sendNotificationSettings(chat, target, chat.lastSettingsMessageId);
         return;
     }
     // block authorship notification settings sub-menu
     if (data.goToSubMenu == 'blockAuthorshipNotificationSettings') {
         Messaging.answerCallbackQuery(queryId);
-        Messaging.sendBlockAuthorshipNotificationSettings(chat, chat.lastSettingsMessageId);
+        Messaging.sendBlockAuthorshipNotificationSettings(chat, target, chat.lastSettingsMessageId);
         return;
     }
     // unclaimed payout notification settings sub-menu
     if (data.goToSubMenu == 'unclaimedPayoutNotificationSettings') {
         Messaging.answerCallbackQuery(queryId);
-        Messaging.sendUnclaimedPayoutNotificationSettings(chat, chat.lastSettingsMessageId);
+        Messaging.sendUnclaimedPayoutNotificationSettings(chat, target, chat.lastSettingsMessageId);
         return;
     }
-    if (typeof data.sendNewNominationNotifications !== 'undefined') {
-        const successful = await Data.setChatSendNewNominationNotifications(
-            chatId,
-            data.sendNewNominationNotifications
-        );
-        // respond
-        if (successful) {
-            chat.sendNewNominationNotifications = data.sendNewNominationNotifications;
+    // offline alert settings sub-menu
+    if (data.goToSubMenu == 'offlineAlertSettings') {
+        Messaging.answerCallbackQuery(queryId);
+        await Messaging.sendOfflineAlertSettings(chat, target, chat.lastSettingsMessageId);
+        return;
+    }
+    // digest settings sub-menu
+    if (data.goToSubMenu == 'digestSettings') {
+        Messaging.answerCallbackQuery(queryId);
+        await Messaging.sendDigestSettings(chat, target, chat.lastSettingsMessageId);
+        return;
+    }
+    if (data.resetValidatorSettings && target.validator) {
+        logger.info(`Reset the notification settings of ${target.validator.name} to the defaults for chat ${chatId}.`);
+        if (await Data.deleteValidatorNotificationSettings(chatId, target.validator)) {
             Messaging.answerCallbackQuery(queryId);
-            // update settings message
-            await Messaging.sendSettingsMenu(chat, chat.lastSettingsMessageId);
+            await Messaging.sendNotificationSettings(chat, await getSettingsTarget(chat), chat.lastSettingsMessageId);
+            await applyNotificationPeriods(chat);
         } else {
             Messaging.answerCallbackQuery(queryId, 'Error while updating settings:/');
         }
         return;
     }
-    if (typeof data.sendChillingEventNotifications !== 'undefined') {
-        const successful = await Data.setChatSendChillingEventNotifications(
-            chatId,
-            data.sendChillingEventNotifications
-        );
+    for (let name of [
+        'sendNewNominationNotifications',
+        'sendChillingEventNotifications',
+        'sendOfflineEventNotifications',
+        'sendOffenceNotifications',
+        'sendNominatorChangeNotifications',
+        'sendEraPointsNotifications',
+        'sendValidatorChangeNotifications'
+    ]) {
+        if (typeof data[name] === 'undefined') {
+            continue;
+        }
+        const successful = await setNotificationSetting(chat, target, name, data[name] === true);
         // respond
         if (successful) {
-            chat.sendChillingEventNotifications = data.sendChillingEventNotifications;
             Messaging.answerCallbackQuery(queryId);
             // update settings message
-            await Messaging.sendSettingsMenu(chat, chat.lastSettingsMessageId);
+            await Messaging.sendNotificationSettings(chat, await getSettingsTarget(chat), chat.lastSettingsMessageId);
         } else {
             Messaging.answerCallbackQuery(queryId, 'Error while updating settings:/');
         }
         return;
     }
-    if (typeof data.sendOfflineEventNotifications !== 'undefined') {
-        const successful = await Data.setChatSendOfflineEventNotifications(
-            chatId,
-            data.sendOfflineEventNotifications
-        );
-        // respond
+
+    // digest settings, each click moves the notification type to the next period
+    const cycledType = data.cycleNotificationPeriod;
+    if (typeof cycledType !== 'undefined') {
+        const name = Data.NotificationPeriodSettingNames[cycledType];
+        if (!name || cycledType == Data.NotificationType.BLOCK_AUTHORSHIP) {
+            logger.info(`Invalid digest notification type ${cycledType}. Ignore.`);
+            Messaging.answerCallbackQuery(queryId, 'Invalid data.');
+            return;
+        }
+        const index = digestPeriodCycle.indexOf(target.settings[name]);
+        const period = digestPeriodCycle[(index + 1) % digestPeriodCycle.length];
+        const successful = await setNotificationSetting(chat, target, name, period);
         if (successful) {
-            chat.sendOfflineEventNotifications = data.sendOfflineEventNotifications;
             Messaging.answerCallbackQuery(queryId);
-            // update settings message
-            await Messaging.sendSettingsMenu(chat, chat.lastSettingsMessageId);
+            target = await getSettingsTarget(chat);
+            await Messaging.sendDigestSettings(chat, target, chat.lastSettingsMessageId);
+            await applyNotificationPeriods(chat);
         } else {
             Messaging.answerCallbackQuery(queryId, 'Error while updating settings:/');
         }
         return;
     }
-
     // block authorship notification settings
     const blockNotificationPeriod = data.blockNotificationPeriod;
     if (typeof blockNotificationPeriod !== 'undefined') {
-        if (blockNotificationPeriod == Data.BlockNotificationPeriod.OFF
-            || blockNotificationPeriod == Data.BlockNotificationPeriod.IMMEDIATE
-            || blockNotificationPeriod == Data.BlockNotificationPeriod.HOURLY
-            || blockNotificationPeriod == Data.BlockNotificationPeriod.HALF_ERA
-            || blockNotificationPeriod == Data.BlockNotificationPeriod.ERA_END) {
-            // set chat's block notification period
-            const successful = await Data.setChatBlockNotificationPeriod(chatId, blockNotificationPeriod);
+        if (blockNotificationPeriod == Data.NotificationPeriod.OFF
+            || blockNotificationPeriod == Data.NotificationPeriod.IMMEDIATE
+            || blockNotificationPeriod == Data.NotificationPeriod.HOURLY
+            || blockNotificationPeriod == Data.NotificationPeriod.HALF_ERA
+            || blockNotificationPeriod == Data.NotificationPeriod.ERA_END) {
+            // set the block notification period of the chat or the validator
+            const successful = await setNotificationSetting(
+                chat,
+                target,
+                'blockNotificationPeriod',
+                Math.floor(blockNotificationPeriod)
+            );
             // respond
             if (successful) {
-                chat.blockNotificationPeriod = blockNotificationPeriod;
                 Messaging.answerCallbackQuery(queryId);
                 // update settings message
-                await Messaging.sendBlockAuthorshipNotificationSettings(chat, chat.lastSettingsMessageId);
-                // send pending notifications
-                if (blockNotificationPeriod == Data.BlockNotificationPeriod.IMMEDIATE) {
-                    sendPendingNotificationsForChat(chatId);
-                } else if (blockNotificationPeriod == Data.BlockNotificationPeriod.OFF) {
-                    logger.info(`Block notifications turned off for chat ${chatId}.`);
-                    Data.deletePendingBlockNotificationsForChat(chatId);
-                }
+                target = await getSettingsTarget(chat);
+                await Messaging.sendBlockAuthorshipNotificationSettings(chat, target, chat.lastSettingsMessageId);
+                // send or drop the pending notifications
+                await applyNotificationPeriods(chat);
             } else {
                 Messaging.answerCallbackQuery(queryId, 'Error while updating settings:/');
             }
@@ -182,23 +266,42 @@ async function processCallbackQuery(query) {
         }
         return;
     }
+    const offlineAlertRepeatPeriod = data.offlineAlertRepeatPeriod;
+    if (typeof offlineAlertRepeatPeriod !== 'undefined') {
+        if (!Object.values(Data.OfflineAlertRepeatPeriod).includes(offlineAlertRepeatPeriod)) {
+            logger.info(`Invalid offline alert repeat period ${offlineAlertRepeatPeriod}. Ignore.`);
+            Messaging.answerCallbackQuery(queryId, 'Invalid data.');
+            return;
+        }
+        const successful = await setNotificationSetting(chat, target, 'offlineAlertRepeatPeriod', offlineAlertRepeatPeriod);
+        if (successful) {
+            Messaging.answerCallbackQuery(queryId);
+            target = await getSettingsTarget(chat);
+            await Messaging.sendOfflineAlertSettings(chat, target, chat.lastSettingsMessageId);
+        } else {
+            Messaging.answerCallbackQuery(queryId, 'Error while updating settings:/');
+        }
+        return;
+    }
     const unclaimedPayoutNotificationPeriod = data.unclaimedPayoutNotificationPeriod;
     if (typeof unclaimedPayoutNotificationPeriod !== 'undefined') {
         if (unclaimedPayoutNotificationPeriod == Data.UnclaimedPayoutNotificationPeriod.OFF
             || unclaimedPayoutNotificationPeriod == Data.UnclaimedPayoutNotificationPeriod.EVERY_ERA
             || unclaimedPayoutNotificationPeriod == Data.UnclaimedPayoutNotificationPeriod.TWO_ERAS
             || unclaimedPayoutNotificationPeriod == Data.UnclaimedPayoutNotificationPeriod.FOUR_ERAS) {
-                // set chat's block notification period
-            const successful = await Data.setChatUnclaimedPayoutNotificationPeriod(
-                chatId, 
-                unclaimedPayoutNotificationPeriod
+            // set the unclaimed payout notification period of the chat or the validator
+            const successful = await setNotificationSetting(
+                chat,
+                target,
+                'unclaimedPayoutNotificationPeriod',
+                Math.floor(unclaimedPayoutNotificationPeriod)
             );
             // respond
             if (successful) {
-                chat.unclaimedPayoutNotificationPeriod = unclaimedPayoutNotificationPeriod;
                 Messaging.answerCallbackQuery(queryId);
                 // update settings message
-                await Messaging.sendUnclaimedPayoutNotificationSettings(chat, chat.lastSettingsMessageId);
+                target = await getSettingsTarget(chat);
+                await Messaging.sendUnclaimedPayoutNotificationSettings(chat, target, chat.lastSettingsMessageId);
             } else {
                 Messaging.answerCallbackQuery(queryId, 'Error while updating settings:/');
             }
@@ -209,39 +312,801 @@ async function processCallbackQuery(query) {
     }
 }
 
-async function processTelegramUpdate(update) {
-    if (update.callback_query) {
-        const chatId = update.callback_query.message.chat.id;
-        if (chatId) {
-            // send deprecation warning
-            await Messaging.sendDeprecationWarning(chatId);
+/**
+ * What the settings menu configures: the selected validator with the settings that apply to it
+ * and the chat's overrides for it, or the chat defaults when no validator is selected.
+ */
+async function getSettingsTarget(chat) {
+    let validator = null;
+    if (chat.settingsValidator) {
+        const network = getNetwork(chat.settingsValidator.networkKey);
+        if (network) {
+            validator = await Data.getValidatorByStashAddress(network, chat.settingsValidator.stashAddress);
+        }
+        if (validator && !validator.chatIds.includes(chat.chatId)) {
+            validator = null;
+        }
+    }
+    return {
+        validator: validator,
+        settings: await Data.getNotificationSettings(chat, validator),
+        overrides: validator ? await Data.getValidatorNotificationSettings(chat.chatId, validator) : null
+    };
+}
+
+/**
+ * The periods the digest settings cycle through. Nominations and chillings are turned off
+ * with their own toggles, and rank and commission changes are filtered with the rules.
+ */
+const digestPeriodCycle = [
+    Data.NotificationPeriod.IMMEDIATE,
+    Data.NotificationPeriod.HOURLY,
+    Data.NotificationPeriod.HALF_ERA,
+    Data.NotificationPeriod.ERA_END
+];
+
+/**
+ * Sets the chat's override for the target validator, or the chat default.
+ */
+async function setNotificationSetting(chat, target, name, value) {
+    if (target.validator) {
+        return await Data.setValidatorNotificationSetting(chat.chatId, target.validator, name, value);
+    }
+    const successful = await Data.setChatNotificationSetting(chat.chatId, name, value);
+    if (successful) {
+        chat[name] = value;
+    }
+    return successful;
+}
+
+/**
+ * Sends the chat's pending notifications that are now to be sent immediately, and drops
+ * the ones that are not notified anymore.
+ */
+async function applyNotificationPeriods(chat) {
+    for (let network of config.networks) {
+        const notifications = await Data.getPendingNotificationsForChat(network, chat.chatId);
+        const immediateNotifications = [];
+        const droppedNotifications = [];
+        for (let notification of notifications) {
+            const period = await Data.getPendingNotificationPeriod(network, chat, notification);
+            if (period == Data.NotificationPeriod.IMMEDIATE) {
+                immediateNotifications.push(notification);
+            } else if (period == Data.NotificationPeriod.OFF) {
+                logger.info(`${notification.type} notifications turned off for ${notification.stashAddress} in chat ${chat.chatId}.`);
+                droppedNotifications.push(notification);
+            }
+        }
+        if (droppedNotifications.length > 0) {
+            await Data.deletePendingNotifications(network, droppedNotifications);
+        }
+        await sendNotificationDigest(network, chat.chatId, immediateNotifications);
+    }
+}
+
+/**
+ * Whether the notification of the type is to be sent right away to the chat. Otherwise it's
+ * saved for the digest of the chat's period for the type, or dropped when it's turned off.
+ * `data` is what the digest shows, see `Data.savePendingNotification`.
+ */
+async function isNotificationImmediate(chat, validator, type, data) {
+    const period = (await Data.getNotificationSettings(chat, validator))[Data.NotificationPeriodSettingNames[type]];
+    if (period == Data.NotificationPeriod.IMMEDIATE) {
+        return true;
+    }
+    if (period != Data.NotificationPeriod.OFF) {
+        logger.info(`Chat [${chat.chatId}] ${type} notification period is ${period}. Save notification for ${validator.name}.`);
+        await Data.savePendingNotification(chat, validator, type, data);
+    }
+    return false;
+}
+
+async function processTelegramUpdate(update) {
+    logger.info(`Processing Telegram update id ${update.update_id}.`);
+    if (update.callback_query) {
+        await processCallbackQuery(update.callback_query);
+        return;
+    }
+    if (!update.message || !update.message.chat) {
+        logger.info(`Update ${update.update_id} has no message. Ignore.`);
+        return;
+    }
+    const chatId = update.message.chat.id;
+    let chat = await Data.getChatById(chatId);
+    if (!chat) {
+        logger.info(`Chat does not exist, create it.`);
+        chat = await Data.createChat(chatId);
+    }
+    if (chat.isMigrated) {
+        Messaging.sendAlreadyMigrated(chatId);
+        return;
+    }
+    const text = update.message.text ? update.message.text.trim() : '';
+    if (text.length == 0) {
+        logger.info(`Message has no text. Ignore.`);
+        return;
+    }
+    try {
+        if (text.startsWith('/')) {
+            const command = parseCommand(text);
+            if (!command) {
+                logger.info(`Command ${text} is addressed to another bot. Ignore.`);
+                return;
+            }
+            await processCommand(chat, command.name, command.args, update.message);
+        } else {
+            await processChatStateInput(chat, text);
+        }
+    } catch (error) {
+        logger.error(`❗️ Unexpected error while processing update ${update.update_id}: ${error}`);
+        Messaging.sendUnexpectedError(chatId);
+        Data.setChatState(chatId, Data.ChatState.IDLE);
+    }
+}
+
+/**
+ * Parses `/command args` and `/command@botname args` into the lowercase
+ * command name and the argument string. Returns null when the command is
+ * addressed to a different bot.
+ */
+function parseCommand(text) {
+    const separatorIndex = text.search(/\s/);
+    let name = separatorIndex < 0 ? text.substring(1) : text.substring(1, separatorIndex);
+    const args = separatorIndex < 0 ? '' : text.substring(separatorIndex).trim();
+    const atIndex = name.indexOf('@');
+    if (atIndex >= 0) {
+        const botUsername = name.substring(atIndex + 1);
+        if (config.telegramBotUsername
+                && botUsername.toLowerCase() != config.telegramBotUsername.toLowerCase()) {
+            return null;
+        }
+        name = name.substring(0, atIndex);
+    }
+    return {
+        name: name.toLowerCase(),
+        args: args
+    };
+}
+
+async function processCommand(chat, command, args, message) {
+    const chatId = chat.chatId;
+    logger.info(`Process command /${command} for chat ${chatId}.`);
+    switch (command) {
+        case 'start':
+        case 'help':
+            await Data.setChatState(chatId, Data.ChatState.IDLE);
+            await Messaging.sendHelp(chatId);
+            break;
+        case 'about':
+            await Data.setChatState(chatId, Data.ChatState.IDLE);
+            await Messaging.sendAbout(chatId);
+            break;
+        case 'add':
+            await processAddCommand(chat, args);
+            break;
+        case 'remove':
+            await processRemoveCommand(chat);
+            break;
+        case 'validatorinfo':
+        case 'vi':
+            await processValidatorInfoCommand(chat);
+            break;
+        case 'rewards':
+            await processRewardsCommand(chat, args);
+            break;
+        case 'stakinginfo':
+            await processStakingInfoCommand(chat);
+            break;
+        case 'settings':
+            await processSettingsCommand(chat, message.message_id);
+            break;
+        case 'migrate':
+            await processMigrateCommand(chat);
+            break;
+        case 'rules':
+            await processRulesCommand(chat, args);
+            break;
+        case 'timezone':
+            await processTimezoneCommand(chat, args);
+            break;
+        case 'quiethours':
+            await processQuietHoursCommand(chat, args);
+            break;
+        case 'incidents':
+            await processIncidentsCommand(chat);
+            break;
+        case 'uptime':
+            await processUptimeCommand(chat);
+            break;
+        case 'rankhistory':
+            await processRankHistoryCommand(chat, args);
+            break;
+        case 'points':
+            await processPointsCommand(chat, args);
+            break;
+        case 'rpcstatus':
+            await processRPCStatusCommand(chat);
+            break;
+        default:
+            await Data.setChatState(chatId, Data.ChatState.IDLE);
+            await Messaging.sendUnrecognizedCommand(chatId);
+    }
+}
+
+async function processChatStateInput(chat, text) {
+    const chatId = chat.chatId;
+    logger.info(`Process input for chat ${chatId} in state ${chat.state}.`);
+    switch (chat.state) {
+        case Data.ChatState.ADD:
+            await processAddRequest(text, chatId);
+            break;
+        case Data.ChatState.REMOVE:
+            await processRemoveRequest(text, chatId);
+            break;
+        case Data.ChatState.VALIDATOR_INFO:
+            await processValidatorInfoRequest(text, chatId);
+            break;
+        case Data.ChatState.STAKING_INFO_SELECT_VALIDATOR:
+            await processStakingInfoRequest(text, chatId);
+            break;
+        case Data.ChatState.STAKING_INFO_LOADING:
+            await Messaging.sendLoadingStakingInfo(chatId);
+            break;
+        case Data.ChatState.REWARDS_ENTER_ADDRESS:
+            await processRewardsRequest(text, chatId);
+            break;
+        case Data.ChatState.UPTIME_SELECT_VALIDATOR:
+            await processUptimeRequest(text, chatId);
+            break;
+        case Data.ChatState.RANK_HISTORY_SELECT_VALIDATOR:
+            await processRankHistoryRequest(text, chatId, false);
+            break;
+        case Data.ChatState.RANK_HISTORY_WITH_VALIDITY_SELECT_VALIDATOR:
+            await processRankHistoryRequest(text, chatId, true);
+            break;
+        case Data.ChatState.POINTS_SELECT_VALIDATOR:
+            await processPointsRequest(text, chatId);
+            break;
+        default:
+            await Messaging.sendUnrecognizedCommand(chatId);
+    }
+}
+
+/**
+ * Finds the chat's validator by the text of its selection button, or by its name.
+ */
+async function getChatValidatorByName(chatId, name) {
+    const validators = await Data.getValidatorsForChat(chatId);
+    const validator = validators.find(
+        validator => Messaging.getValidatorSelectionText(validator) == name
+    );
+    return validator ? validator : validators.find(validator => validator.name == name);
+}
+
+async function processAddCommand(chat, args) {
+    const chatId = chat.chatId;
+    const validators = await Data.getValidatorsForChat(chatId);
+    if (validators.length >= maxValidatorsPerChat) {
+        await Data.setChatState(chatId, Data.ChatState.IDLE);
+        await Messaging.sendChatHasMaxValidators(chatId, maxValidatorsPerChat);
+        return;
+    }
+    await Data.setChatState(chatId, Data.ChatState.ADD);
+    if (args.length > 0) {
+        await processAddRequest(args, chatId);
+    } else {
+        await Messaging.sendAddValidator(chatId);
+    }
+}
+
+async function processRemoveCommand(chat) {
+    const chatId = chat.chatId;
+    const validators = await Data.getValidatorsForChat(chatId);
+    if (validators.length == 0) {
+        await Data.setChatState(chatId, Data.ChatState.IDLE);
+        await Messaging.sendNoValidators(chatId);
+        return;
+    }
+    await sendValidatorList(
+        chatId,
+        validators,
+        'Please select the validator to remove.',
+        Data.ChatState.REMOVE
+    );
+}
+
+async function processRemoveRequest(name, chatId) {
+    const validator = await getChatValidatorByName(chatId, name);
+    if (!validator) {
+        await Messaging.sendValidatorNotFoundByName(chatId, name);
+        return;
+    }
+    const successful = await Data.removeValidator(validator, chatId);
+    await Data.setChatState(chatId, Data.ChatState.IDLE);
+    if (successful) {
+        await deleteSettingsMenu(chatId);
+        await Messaging.sendValidatorRemoved(chatId, validator.name);
+    } else {
+        await Messaging.sendUnexpectedError(chatId);
+    }
+}
+
+async function processValidatorInfoCommand(chat) {
+    const chatId = chat.chatId;
+    const validators = await Data.getValidatorsForChat(chatId);
+    if (validators.length == 0) {
+        await Data.setChatState(chatId, Data.ChatState.IDLE);
+        await Messaging.sendNoValidators(chatId);
+    } else if (validators.length == 1) {
+        await Data.setChatState(chatId, Data.ChatState.IDLE);
+        await Messaging.sendValidatorInfo(chatId, validators[0]);
+    } else {
+        await sendValidatorList(
+            chatId,
+            validators,
+            'Please select the validator to view the details of.',
+            Data.ChatState.VALIDATOR_INFO
+        );
+    }
+}
+
+async function processValidatorInfoRequest(name, chatId) {
+    const validator = await getChatValidatorByName(chatId, name);
+    if (!validator) {
+        await Messaging.sendValidatorNotFoundByName(chatId, name);
+        return;
+    }
+    await Data.setChatState(chatId, Data.ChatState.IDLE);
+    await Messaging.sendValidatorInfo(chatId, validator);
+}
+
+async function processStakingInfoCommand(chat) {
+    const chatId = chat.chatId;
+    const validators = await Data.getValidatorsForChat(chatId);
+    if (validators.length == 0) {
+        await Data.setChatState(chatId, Data.ChatState.IDLE);
+        await Messaging.sendNoValidators(chatId);
+    } else if (validators.length == 1) {
+        await sendStakingInfo(chatId, validators[0]);
+    } else {
+        await sendValidatorList(
+            chatId,
+            validators,
+            'Please select the validator to view the staking info of.',
+            Data.ChatState.STAKING_INFO_SELECT_VALIDATOR
+        );
+    }
+}
+
+async function processStakingInfoRequest(name, chatId) {
+    const validator = await getChatValidatorByName(chatId, name);
+    if (!validator) {
+        await Messaging.sendValidatorNotFoundByName(chatId, name);
+        return;
+    }
+    await sendStakingInfo(chatId, validator);
+}
+
+async function sendStakingInfo(chatId, validator) {
+    await Data.setChatState(chatId, Data.ChatState.STAKING_INFO_LOADING);
+    await Messaging.sendLoadingStakingInfo(chatId);
+    Messaging.sendTypingAction(chatId);
+    try {
+        const network = getNetwork(validator.networkKey);
+        const stakingInfo = await Data.getStakingInfo(network, validator.stashAddress);
+        await Messaging.sendStakingInfo(chatId, network, stakingInfo);
+    } catch (error) {
+        logger.error(`❗️ Unexpected error while fetching staking info: ${error}`);
+        await Messaging.sendUnexpectedError(chatId);
+    }
+    await Data.setChatState(chatId, Data.ChatState.IDLE);
+}
+
+/**
+ * `/rewards [address or validator] [options]`, see the `rewards-report` module for the options.
+ * The options are kept until the address is selected when there's none.
+ */
+async function processRewardsCommand(chat, args) {
+    const chatId = chat.chatId;
+    const parsed = RewardsReport.parseArgs(args);
+    if (parsed.error) {
+        await Data.setChatState(chatId, Data.ChatState.IDLE);
+        await Messaging.sendInvalidRewardsOptions(chatId, parsed.error);
+        return;
+    }
+    await Data.setChatState(chatId, Data.ChatState.REWARDS_ENTER_ADDRESS);
+    await Data.setChatRewardsReportOptions(chatId, parsed.options);
+    if (parsed.target.length > 0) {
+        await processRewardsRequest(parsed.target, chatId);
+        return;
+    }
+    const validators = await Data.getValidatorsForChat(chatId);
+    await Messaging.sendAddressSelectionForRewards(validators, chatId);
+}
+
+async function processRewardsRequest(text, chatId) {
+    let address = text;
+    let network;
+    const chat = await Data.getChatById(chatId);
+    const options = chat.rewardsReportOptions || RewardsReport.getDefaultOptions();
+    const validator = await getChatValidatorByName(chatId, text);
+    if (validator) {
+        address = validator.stashAddress;
+        network = getNetwork(validator.networkKey);
+    } else {
+        network = Polkadot.getNetworkForAddress(address);
+        if (!network) {
+            await Messaging.sendInvalidStashAddress(chatId);
+            return;
+        }
+    }
+    await Data.setChatState(chatId, Data.ChatState.IDLE);
+    Messaging.sendTypingAction(chatId);
+    const timezone = RewardsReport.getTimezone(options, ChatTime.getChatTimezone(chat));
+    const period = RewardsReport.getPeriod(options.range, timezone, Date.now());
+    const rewards = await Data.getRewards(network, address, period.from, period.to);
+    let getPrice;
+    if (options.showFiat) {
+        getPrice = Prices.getPriceSource(network.tokenSymbol);
+        if (!getPrice) {
+            await Messaging.sendNoPriceSource(chatId);
+        }
+    }
+    const report = RewardsReport.groupRewards(rewards, network, options.granularity, timezone, getPrice);
+    await Messaging.sendRewardsReport(chatId, network, address, report, options, timezone);
+}
+
+/**
+ * Deletes the chat's settings menu, if there's one. Its validator buttons refer to the chat's
+ * validators by index, so it's deleted when a validator is added or removed.
+ */
+async function deleteSettingsMenu(chatId) {
+    const chat = await Data.getChatById(chatId);
+    if (chat && chat.lastSettingsMessageId) {
+        await Messaging.deleteMessage(chatId, chat.lastSettingsCommandMessageId);
+        await Messaging.deleteMessage(chatId, chat.lastSettingsMessageId);
+        await Data.setChatLastSettingsMessageId(chatId, null);
+    }
+}
+
+async function processSettingsCommand(chat, commandMessageId) {
+    const chatId = chat.chatId;
+    await Data.setChatState(chatId, Data.ChatState.IDLE);
+    // remove the previous settings menu, only one can be active at a time
+    await deleteSettingsMenu(chatId);
+    await Data.setChatSettingsValidator(chatId, null);
+    const settingsMessage = await Messaging.sendSettingsMenu(chat, await Data.getValidatorsForChat(chatId));
+    if (settingsMessage) {
+        await Data.setChatLastSettingsCommandMessageId(chatId, commandMessageId);
+        await Data.setChatLastSettingsMessageId(chatId, settingsMessage.message_id);
+    }
+}
+
+async function processMigrateCommand(chat) {
+    const chatId = chat.chatId;
+    await Data.setChatState(chatId, Data.ChatState.IDLE);
+    const targetNetworks = config.networks.filter(network => Messaging.getMigrationTargetChat(network));
+    if (targetNetworks.length == 0) {
+        await Messaging.sendMigrationUnavailable(chatId);
+        return;
+    }
+    const validators = await Data.getValidatorsForChat(chatId);
+    let migrationCode = chat.migrationCode;
+    for (let network of targetNetworks) {
+        const targetChat = Messaging.getMigrationTargetChat(network);
+        if (!validators.find(validator => validator.networkKey == network.key)) {
+            await Messaging.sendNothingToMigrate(chatId, targetChat);
+            continue;
+        }
+        // the same code is used for every network, the target bots filter by network
+        if (!migrationCode) {
+            do {
+                migrationCode = crypto.randomBytes(4).toString('hex').toUpperCase();
+            } while (await Data.getChatByMigrationCode(migrationCode));
+            await Data.setChatMigrationCode(chatId, migrationCode);
+        }
+        await Messaging.sendMigrationCode(chatId, targetChat, migrationCode);
+    }
+}
+
+/**
+ * `/rules` lists the chat's notification rules, `/rules set <rule> <value> [network]`
+ * adds or changes one, and `/rules remove <rule> [network]` removes it.
+ */
+async function processRulesCommand(chat, args) {
+    const chatId = chat.chatId;
+    await Data.setChatState(chatId, Data.ChatState.IDLE);
+    const words = args.split(/\s+/).filter(word => word.length > 0);
+    if (words.length == 0) {
+        await Messaging.sendNotificationRules(chatId, await Data.getNotificationRules(chatId));
+        return;
+    }
+    const action = words[0].toLowerCase();
+    const valueCount = (action == 'set') ? 1 : 0;
+    if ((action != 'set' && action != 'remove') || words.length < 2 + valueCount || words.length > 3 + valueCount) {
+        await Messaging.sendInvalidNotificationRule(chatId, 'Sorry, I don\'t understand that rule command.');
+        return;
+    }
+    const type = words[1].toLowerCase();
+    if (!NotificationRules.RuleTypes[type]) {
+        await Messaging.sendInvalidNotificationRule(chatId, `There's no rule called ${markdownEscape(type)}.`);
+        return;
+    }
+    let networkKey = null;
+    if (words.length == 3 + valueCount) {
+        const network = getNetwork(words[2 + valueCount].toLowerCase());
+        if (!network) {
+            await Messaging.sendInvalidNotificationRule(chatId, `There's no network called ${markdownEscape(words[2 + valueCount])}.`);
+            return;
+        }
+        networkKey = network.key;
+    }
+    if (action == 'set') {
+        const threshold = NotificationRules.parseThreshold(words[2]);
+        if (threshold === null) {
+            await Messaging.sendInvalidNotificationRule(chatId, 'Please enter a number as the value of the rule, e.g. `100`.');
+            return;
+        }
+        await Data.setNotificationRule(chatId, type, threshold, networkKey);
+    } else if (!(await Data.deleteNotificationRule(chatId, type, networkKey))) {
+        await Messaging.sendInvalidNotificationRule(chatId, `There's no ${markdownEscape(type)} rule to remove.`);
+        return;
+    }
+    await Messaging.sendNotificationRules(chatId, await Data.getNotificationRules(chatId));
+}
+
+async function processTimezoneCommand(chat, args) {
+    const chatId = chat.chatId;
+    await Data.setChatState(chatId, Data.ChatState.IDLE);
+    if (args.length > 0) {
+        const timezone = ChatTime.getTimezoneName(args);
+        if (!timezone) {
+            await Messaging.sendInvalidTimezone(chatId, args);
+            return;
+        }
+        await Data.setChatTimezone(chatId, timezone);
+    }
+    await Messaging.sendTimezone(await Data.getChatById(chatId));
+}
+
+async function processQuietHoursCommand(chat, args) {
+    const chatId = chat.chatId;
+    await Data.setChatState(chatId, Data.ChatState.IDLE);
+    if (args.length > 0) {
+        let quietHours = null;
+        if (args.toLowerCase() != 'off') {
+            quietHours = ChatTime.parseQuietHours(args);
+            if (!quietHours) {
+                await Messaging.sendInvalidQuietHours(chatId);
+                return;
+            }
+        }
+        await Data.setChatQuietHours(chatId, quietHours);
+    }
+    await Messaging.sendQuietHours(await Data.getChatById(chatId));
+}
+
+async function processUptimeCommand(chat) {
+    const chatId = chat.chatId;
+    const validators = await Data.getValidatorsForChat(chatId);
+    if (validators.length == 0) {
+        await Data.setChatState(chatId, Data.ChatState.IDLE);
+        await Messaging.sendNoValidators(chatId);
+    } else if (validators.length == 1) {
+        await Data.setChatState(chatId, Data.ChatState.IDLE);
+        await sendUptimeReport(chat, validators[0]);
+    } else {
+        await sendValidatorList(
+            chatId,
+            validators,
+            'Please select the validator to view the uptime of.',
+            Data.ChatState.UPTIME_SELECT_VALIDATOR
+        );
+    }
+}
+
+async function processUptimeRequest(name, chatId) {
+    const validator = await getChatValidatorByName(chatId, name);
+    if (!validator) {
+        await Messaging.sendValidatorNotFoundByName(chatId, name);
+        return;
+    }
+    await Data.setChatState(chatId, Data.ChatState.IDLE);
+    await sendUptimeReport(await Data.getChatById(chatId), validator);
+}
+
+/**
+ * Sends the availability of the validator in the report periods with its outages, and the
+ * timeline of the shortest period when there's an outage in it.
+ */
+async function sendUptimeReport(chat, validator) {
+    const network = getNetwork(validator.networkKey);
+    const now = Date.now();
+    const dayMillis = 24 * 60 * 60 * 1000;
+    const longestPeriodStart = now - Math.max(...uptimeReportPeriodDays) * dayMillis;
+    const history = await Data.getAvailabilityHistory(network, validator.stashAddress, new Date(longestPeriodStart));
+    const periods = uptimeReportPeriodDays.map(days => {
+        const from = now - days * dayMillis;
+        return {
+            days: days,
+            from: from,
+            availability: Availability.getAvailability(history, from, now),
+            coverageStart: Availability.getCoverageStart(history, from, now)
+        };
+    });
+    const outages = Availability.getOutages(history, longestPeriodStart, now);
+    await Messaging.sendUptimeReport(chat, validator, periods, outages);
+    const timelineStart = now - uptimeReportPeriodDays[1] * dayMillis;
+    if (outages.some(outage => outage.end > timelineStart)) {
+        await Messaging.sendUptimeTimeline(chat, validator, history, timelineStart, now);
+    }
+}
+
+/**
+ * `/rankhistory validity` overlays the periods the validator was invalid.
+ */
+async function processRankHistoryCommand(chat, args) {
+    const chatId = chat.chatId;
+    const option = args.toLowerCase();
+    if (option.length > 0 && option != 'validity') {
+        await Data.setChatState(chatId, Data.ChatState.IDLE);
+        await Messaging.sendRankHistoryUsage(chatId);
+        return;
+    }
+    const withValidity = option == 'validity';
+    const validators = await Data.getValidatorsForChat(chatId);
+    if (validators.length == 0) {
+        await Data.setChatState(chatId, Data.ChatState.IDLE);
+        await Messaging.sendNoValidators(chatId);
+    } else if (validators.length == 1) {
+        await Data.setChatState(chatId, Data.ChatState.IDLE);
+        await sendRankHistory(chat, validators[0], withValidity);
+    } else {
+        await sendValidatorList(
+            chatId,
+            validators,
+            'Please select the validator to view the rank history of.',
+            withValidity
+                ? Data.ChatState.RANK_HISTORY_WITH_VALIDITY_SELECT_VALIDATOR
+                : Data.ChatState.RANK_HISTORY_SELECT_VALIDATOR
+        );
+    }
+}
+
+async function processRankHistoryRequest(name, chatId, withValidity) {
+    const validator = await getChatValidatorByName(chatId, name);
+    if (!validator) {
+        await Messaging.sendValidatorNotFoundByName(chatId, name);
+        return;
+    }
+    await Data.setChatState(chatId, Data.ChatState.IDLE);
+    await sendRankHistory(await Data.getChatById(chatId), validator, withValidity);
+}
+
+async function sendRankHistory(chat, validator, withValidity) {
+    const network = getNetwork(validator.networkKey);
+    const rankHistory = await Data.getRankHistory(network, validator.stashAddress);
+    if (rankHistory.length == 0) {
+        await Messaging.sendNoRankHistory(chat.chatId, validator);
+        return;
+    }
+    const validityHistory = withValidity
+        ? await Data.getValidityHistory(network, validator.stashAddress)
+        : null;
+    Messaging.sendTypingAction(chat.chatId);
+    await Messaging.sendRankHistoryChart(chat, validator, rankHistory, validityHistory);
+}
+
+/**
+ * `/points 20` lists the last 20 eras, the default number of eras otherwise.
+ */
+async function processPointsCommand(chat, args) {
+    const chatId = chat.chatId;
+    const eraCount = args.length > 0 ? parseInt(args) : defaultPointsEraCount;
+    if (!/^\d*$/.test(args) || eraCount < 1 || eraCount > maxPointsEraCount) {
+        await Data.setChatState(chatId, Data.ChatState.IDLE);
+        await Messaging.sendPointsUsage(chatId, maxPointsEraCount);
+        return;
+    }
+    const validators = await Data.getValidatorsForChat(chatId);
+    if (validators.length == 0) {
+        await Data.setChatState(chatId, Data.ChatState.IDLE);
+        await Messaging.sendNoValidators(chatId);
+    } else if (validators.length == 1) {
+        await Data.setChatState(chatId, Data.ChatState.IDLE);
+        await sendEraPoints(chat, validators[0], eraCount);
+    } else {
+        await Data.setChatPointsEraCount(chatId, eraCount);
+        await sendValidatorList(
+            chatId,
+            validators,
+            'Please select the validator to view the era points of.',
+            Data.ChatState.POINTS_SELECT_VALIDATOR
+        );
+    }
+}
+
+async function processPointsRequest(name, chatId) {
+    const validator = await getChatValidatorByName(chatId, name);
+    if (!validator) {
+        await Messaging.sendValidatorNotFoundByName(chatId, name);
+        return;
+    }
+    await Data.setChatState(chatId, Data.ChatState.IDLE);
+    const chat = await Data.getChatById(chatId);
+    await sendEraPoints(chat, validator, chat.pointsEraCount || defaultPointsEraCount);
+}
+
+/**
+ * Sends the running total of the active era, fetched from the chain, and the recorded
+ * points of the last eras.
+ */
+async function sendEraPoints(chat, validator, eraCount) {
+    const network = getNetwork(validator.networkKey);
+    let current = null;
+    try {
+        const activeEra = await Polkadot.getActiveEra(network);
+        if (activeEra !== null) {
+            const rewardPoints = await Polkadot.getEraRewardPoints(network, activeEra);
+            current = { era: activeEra, points: rewardPoints.individual[validator.stashAddress] || 0 };
+        }
+    } catch (error) {
+        logger.error(`❗️ Error while fetching the ${network.name} era points: ${error}`);
+        Polkadot.reportRPCError(network, error);
+    }
+    const history = await Data.getEraPoints(network, validator.stashAddress, eraCount);
+    await Messaging.sendEraPoints(chat.chatId, validator, current, history);
+}
+
+async function processIncidentsCommand(chat) {
+    await Data.setChatState(chat.chatId, Data.ChatState.IDLE);
+    const items = [];
+    for (let incident of await Data.getOpenOfflineIncidentsForChat(chat.chatId)) {
+        const network = getNetwork(incident.networkKey);
+        const validator = network ? await Data.getValidatorByStashAddress(network, incident.stashAddress) : null;
+        if (validator) {
+            items.push({ incident: incident, validator: validator });
         }
-        return;
     }
-    if (!update.message) { // TODO this is a temporary fix - check why the crash is happening
+    await Messaging.sendOfflineIncidents(chat, items);
+}
+
+/**
+ * Whether the chat's notification rules let the notification of the validator's event through.
+ * Every notification with a rule type goes through here, see the notification rules module.
+ */
+async function isNotificationAllowed(chatId, validator, event) {
+    const rules = await Data.getNotificationRules(chatId);
+    return NotificationRules.evaluate(rules, validator.networkKey, event);
+}
+
+/**
+ * Admin command, looks like an unknown command to the other chats.
+ */
+async function processRPCStatusCommand(chat) {
+    await Data.setChatState(chat.chatId, Data.ChatState.IDLE);
+    if (!config.adminChatIds.includes(chat.chatId)) {
+        await Messaging.sendUnrecognizedCommand(chat.chatId);
         return;
     }
-    const chatId = update.message.chat.id;
-    let chat = await Data.getChatById(chatId);
-    if (!chat) {
-        logger.info(`Chat does not exist, create it.`);
-        chat = await Data.createChat(chatId);
-    }
-    logger.info(`Processing Telegram update id ${update.update_id}.`);
-    if (chat.isMigrated) {
-        Messaging.sendAlreadyMigrated(chatId);
-        return;
+    const rpcStatuses = [];
+    for (let network of config.networks) {
+        const status = Polkadot.getRPCStatus(network);
+        if (status) {
+            rpcStatuses.push({ network: network, status: status });
+        }
     }
-    // send deprecation warning
-    await Messaging.sendDeprecationWarning(chatId);
+    await Messaging.sendRPCStatus(chat.chatId, rpcStatuses);
 }
 
 async function processAddRequest(stashAddress, chatId) {
-    if (!Polkadot.isValidAddress(stashAddress)) {
+    // the network is worked out from the address' SS58 prefix
+    const network = Polkadot.getNetworkForAddress(stashAddress);
+    if (!network) {
         Messaging.sendInvalidStashAddress(chatId);
         return;
     }
-    const validator = await Data.getValidatorByStashAddress(stashAddress);
+    const validator = await Data.getValidatorByStashAddress(network, stashAddress);
     if (validator && validator.chatIds && validator.chatIds.includes(chatId)) {
         Messaging.sendValidatorAlreadyAdded(validator, chatId);
     } else {
@@ -254,6 +1119,7 @@ async function processAddRequest(stashAddress, chatId) {
             }
             // update validator
             await Data.updateValidatorChatIds(validator, validator.chatIds);
+            await deleteSettingsMenu(chatId);
             await Data.setChatState(chatId, Data.ChatState.IDLE);
             await Messaging.sendValidatorInfo(chatId, validator);
             await Messaging.sendValidatorAdded(chatId, validator);
@@ -261,7 +1127,7 @@ async function processAddRequest(stashAddress, chatId) {
             // send processing message
             await Messaging.sendValidatorFetchInProgress(chatId);
             // fetch validator info
-            await fetchAndPersistValidatorInfo(stashAddress, chatId);
+            await fetchAndPersistValidatorInfo(network, stashAddress, chatId);
         }
     }
 }
@@ -311,10 +1177,10 @@ async function getTelegramUpdates() {
     }
 }
 
-async function updateValidator(validator) {
-    logger.info(`Update ${validator.name}.`);
+async function updateValidator(network, validator) {
+    logger.info(`Update ${network.name} validator ${validator.name}.`);
     try {
-        const validatorFetchResult = await Data.fetchValidator(validator.stashAddress);
+        const validatorFetchResult = await Data.fetchValidator(network, validator.stashAddress);
         if (validatorFetchResult.status != 200) {
             logger.error(`❗️ Cannot fetch validator data from W3F. Status: ${validatorFetchResult.status}`);
             return;
@@ -322,57 +1188,81 @@ async function updateValidator(validator) {
         logger.info(`Fetched ${validator.name}.`);
         const w3fValidator = validatorFetchResult.validator;
         const updates = {};
+        // { text, event, digest, isCritical }, the text is a function of the chat's timezone when it has a date,
+        // the components with an event are subject to the chat's notification rules, the ones with a digest
+        // (`{ type, data }`) follow the chat's period for the type, and a critical component makes the
+        // message go out during the chat's quiet hours
         let messageComponents = [];
         // check name
         if (validator.name != w3fValidator.name) {
             updates.name = w3fValidator.name;
-            messageComponents.push('\n🏷 has a new name ' + markdownEscape(updates.name));
+            messageComponents.push({ text: '\n🏷 has a new name ' + markdownEscape(updates.name) });
         }
         // compare controller
         if (!validator.controllerAddress) {
             updates.controllerAddress = w3fValidator.controllerAddress;
         } else if (validator.controllerAddress != w3fValidator.controllerAddress) {
             updates.controllerAddress = w3fValidator.controllerAddress;
-            messageComponents.push('\n⚓️ has a new controller [' + w3fValidator.controllerAddress.slice(0, 6) + '..' + w3fValidator.controllerAddress.slice(-6) + `](https://${config.networkName.toLowerCase()}.subscan.io/account/${w3fValidator.controllerAddress})`);
+            messageComponents.push({ text: '\n⚓️ has a new controller [' + w3fValidator.controllerAddress.slice(0, 6) + '..' + w3fValidator.controllerAddress.slice(-6) + `](${Messaging.getExplorerURL(network, 'account', w3fValidator.controllerAddress)})` });
         }
         // compare rank
+        const rankChange = { type: 'rankChange', oldRank: validator.rank, newRank: w3fValidator.rank };
+        const rankChangeDigest = {
+            type: Data.NotificationType.RANK_CHANGE,
+            data: { oldRank: validator.rank, newRank: w3fValidator.rank }
+        };
         if (validator.rank < w3fValidator.rank) {
             updates.rank = w3fValidator.rank;
-            messageComponents.push('\n📈 rank has increased from ' + validator.rank + ' to ' + w3fValidator.rank);
-            await Data.saveRankChange(validator.stashAddress, w3fValidator.rank);
+            messageComponents.push({
+                text: '\n📈 rank has increased from ' + validator.rank + ' to ' + w3fValidator.rank,
+                event: rankChange,
+                digest: rankChangeDigest
+            });
+            await Data.saveRankChange(network, validator.stashAddress, w3fValidator.rank);
         } else if (validator.rank > w3fValidator.rank) {
             updates.rank = w3fValidator.rank;
-            messageComponents.push('\n📉 rank has decreased from ' + validator.rank + ' to ' + w3fValidator.rank);
-            Data.saveRankChange(validator.stashAddress, w3fValidator.rank);
+            messageComponents.push({
+                text: '\n📉 rank has decreased from ' + validator.rank + ' to ' + w3fValidator.rank,
+                event: rankChange,
+                digest: rankChangeDigest
+            });
+            Data.saveRankChange(network, validator.stashAddress, w3fValidator.rank);
         }
         // save rank if no record exists
-        const rankHistoryCount = await Data.getRankHistoryCount(validator.stashAddress);
+        const rankHistoryCount = await Data.getRankHistoryCount(network, validator.stashAddress);
         if (rankHistoryCount == 0) {
-            await Data.saveRankChange(validator.stashAddress, w3fValidator.rank);
+            await Data.saveRankChange(network, validator.stashAddress, w3fValidator.rank);
         }
         // compare 1KV validity
         if (!validator.isValid && w3fValidator.isValid) {
             updates.isValid = w3fValidator.isValid;
             updates.validityItems = w3fValidator.validityItems;
             updates.invalidityReasons = w3fValidator.invalidityReasons;
-            messageComponents.push('\n' + '✅ is now a valid 1KV validator');
+            await Data.saveValidityChange(network, validator.stashAddress, true);
+            messageComponents.push({ text: '\n' + '✅ is now a valid 1KV validator' });
         } else if (validator.isValid && !w3fValidator.isValid) {
             // send pending messages
             for (let chatId of validator.chatIds) {
-                sendPendingNotificationsForChat(chatId);
+                sendPendingNotificationsForChat(network, chatId);
             }
             updates.isValid = w3fValidator.isValid;
             updates.validityItems = w3fValidator.validityItems;
             updates.invalidityReasons = w3fValidator.invalidityReasons;
-            messageComponents.push('\n' + '❌ has become an invalid 1KV validator:');
+            await Data.saveValidityChange(network, validator.stashAddress, false);
+            let text = '\n' + '❌ has become an invalid 1KV validator:';
             for (let validityItem of w3fValidator.validityItems) {
                 if (!validityItem.valid) {
-                    messageComponents.push(`\n- ${markdownEscape(validityItem.details)}`);
+                    text += `\n- ${markdownEscape(validityItem.details)}`;
                 }
             }
+            messageComponents.push({ text: text });
         } else if (validator.invalidityReasons != w3fValidator.invalidityReasons) {
             updates.invalidityReasons = w3fValidator.invalidityReasons;
         }
+        // save validity if no record exists
+        if ((await Data.getValidityHistoryCount(network, validator.stashAddress)) == 0) {
+            await Data.saveValidityChange(network, validator.stashAddress, w3fValidator.isValid);
+        }
         // check validity items
         if (!validator.hasOwnProperty('validityItems')) {
             updates.validityItems = w3fValidator.validityItems;
@@ -381,55 +1271,95 @@ async function updateValidator(validator) {
         if (validator.offlineSince == 0 && w3fValidator.offlineSince > 0) {
             // send pending messages
             for (let chatId of validator.chatIds) {
-                sendPendingNotificationsForChat(chatId);
+                sendPendingNotificationsForChat(network, chatId);
             }
             updates.onlineSince = w3fValidator.onlineSince;
             updates.offlineSince = w3fValidator.offlineSince;
             updates.offlineAccumulated = w3fValidator.offlineAccumulated;
-            messageComponents.push('\n🔴 went offline on ' + moment.utc(new Date(w3fValidator.offlineSince)).format('MMMM Do YYYY, HH:mm:ss'));
+            await Data.saveAvailabilityChange(
+                network, validator.stashAddress, false, new Date(w3fValidator.offlineSince)
+            );
+            messageComponents.push({
+                text: timezone => '\n🔴 went offline on ' + ChatTime.formatDate(new Date(w3fValidator.offlineSince), timezone),
+                isCritical: true,
+                opensOfflineIncident: true
+            });
 
         } else if (validator.offlineSince > 0 && w3fValidator.offlineSince == 0) {
             updates.onlineSince = w3fValidator.onlineSince;
             updates.offlineSince = w3fValidator.offlineSince;
             updates.offlineAccumulated = w3fValidator.offlineAccumulated;
-            messageComponents.push('\n🟢 came back online on ' + moment.utc(new Date(w3fValidator.onlineSince)).format('MMMM Do YYYY, HH:mm:ss'));
+            const downtimeText = (w3fValidator.onlineSince > validator.offlineSince)
+                ? ` after ${ChatTime.formatDuration(w3fValidator.onlineSince - validator.offlineSince)} offline`
+                : '';
+            messageComponents.push({
+                text: timezone => '\n🟢 came back online on '
+                    + ChatTime.formatDate(new Date(w3fValidator.onlineSince), timezone) + downtimeText
+            });
+            await Data.resolveOfflineIncidents(validator);
+            await Data.saveAvailabilityChange(
+                network, validator.stashAddress, true, new Date(w3fValidator.onlineSince || Date.now())
+            );
+        }
+        // save the availability if no record exists
+        if ((await Data.getAvailabilityHistoryCount(network, validator.stashAddress)) == 0) {
+            const isOnline = w3fValidator.offlineSince == 0;
+            await Data.saveAvailabilityChange(
+                network,
+                validator.stashAddress,
+                isOnline,
+                new Date(isOnline ? (w3fValidator.onlineSince || Date.now()) : w3fValidator.offlineSince)
+            );
         }
         // compare is active in set
         if (validator.isActiveInSet != w3fValidator.isActiveInSet) {
             updates.isActiveInSet = w3fValidator.isActiveInSet;
             if (w3fValidator.isActiveInSet) {
                 const totalActiveStakeAmount = 
-                    (await Data.getActiveStakeInfoForCurrentEra(validator.stashAddress)).totalStake;
-                messageComponents.push('\n' + '🚀 is now an active validator');
-                messageComponents.push('\n' + `Total active stake *${Messaging.formatAmount(totalActiveStakeAmount)}*`);
+                    (await Data.getActiveStakeInfoForCurrentEra(network, validator.stashAddress)).totalStake;
+                messageComponents.push({
+                    text: '\n' + '🚀 is now an active validator'
+                        + '\n' + `Total active stake *${Messaging.formatAmount(totalActiveStakeAmount, network)}*`
+                });
                 // fetch active stake
             } else {
                 // send pending messages
                 for (let chatId of validator.chatIds) {
-                    sendPendingNotificationsForChat(chatId);
+                    sendPendingNotificationsForChat(network, chatId);
                 }
-                messageComponents.push('\n' + '⏸ is not anymore an active validator');
+                messageComponents.push({ text: '\n' + '⏸ is not anymore an active validator' });
             }
         }
         // compare commission
         if (validator.commission != w3fValidator.commission) {
             updates.commission = w3fValidator.commission;
-            messageComponents.push(`\n💵 new commission rate is ${w3fValidator.commission}`);
+            messageComponents.push({
+                text: `\n💵 new commission rate is ${w3fValidator.commission}`,
+                event: {
+                    type: 'commissionChange',
+                    oldCommission: validator.commission,
+                    newCommission: w3fValidator.commission
+                },
+                digest: {
+                    type: Data.NotificationType.COMMISSION_CHANGE,
+                    data: { oldCommission: validator.commission, newCommission: w3fValidator.commission }
+                }
+            });
         }
         // compare session keys
         if (validator.sessionKeys != w3fValidator.sessionKeys) {
             updates.sessionKeys = w3fValidator.sessionKeys;
-            messageComponents.push('\n' + '🔑 has new session keys: `' + w3fValidator.sessionKeys.slice(0, 8) + '..' + w3fValidator.sessionKeys.slice(-8) + '`');
+            messageComponents.push({ text: '\n' + '🔑 has new session keys: `' + w3fValidator.sessionKeys.slice(0, 8) + '..' + w3fValidator.sessionKeys.slice(-8) + '`' });
         }
         // compare location
         if (validator.location != w3fValidator.location) {
             updates.location = w3fValidator.location;
-            messageComponents.push(`\n🌏 is now located in ${w3fValidator.location}`);
+            messageComponents.push({ text: `\n🌏 is now located in ${w3fValidator.location}` });
         }
         // update version
         if (validator.version != w3fValidator.version) {
             updates.version = w3fValidator.version;
-            // messageComponents.push(`\n🧬 is now running version ${markdownEscape(w3fValidator.version)}`);
+            // messageComponents.push({ text: `\n🧬 is now running version ${markdownEscape(w3fValidator.version)}` });
         }
         // process updates
         let updateCount = Object.keys(updates).length;
@@ -441,9 +1371,31 @@ async function updateValidator(validator) {
                 logger.info(`${validator.name} database update successful.`);
                 if (messageComponents.length > 0) {
                     logger.info(`Send update message for [${validator.stashAddress}].`);
-                    let message = markdownEscape(validator.name) + messageComponents.join("");
                     for (let chatId of validator.chatIds) {
-                        await Messaging.sendMessage(chatId, message);
+                        const chat = await Data.getChatById(chatId);
+                        const timezone = ChatTime.getChatTimezone(chat);
+                        const texts = [];
+                        let isCritical = false;
+                        let replyMarkup = null;
+                        for (let component of messageComponents) {
+                            if (component.event && !(await isNotificationAllowed(chatId, validator, component.event))) {
+                                continue;
+                            }
+                            if (component.digest && chat && !(await isNotificationImmediate(
+                                chat, validator, component.digest.type, component.digest.data
+                            ))) {
+                                continue;
+                            }
+                            texts.push((typeof component.text === 'function') ? component.text(timezone) : component.text);
+                            isCritical = isCritical || !!component.isCritical;
+                            if (component.opensOfflineIncident && chat) {
+                                const incident = await Data.openOfflineIncident(chatId, validator, w3fValidator.offlineSince);
+                                replyMarkup = Messaging.getOfflineIncidentReplyMarkup(incident);
+                            }
+                        }
+                        if (texts.length > 0) {
+                            await Messaging.queueMessage(chatId, markdownEscape(validator.name) + texts.join(''), replyMarkup, isCritical);
+                        }
                     }
                 }
             } else {
@@ -458,196 +1410,590 @@ async function updateValidator(validator) {
     }
 }
 
-async function updateValidators() {
-    logger.info(`🔄  Update 1KV validators.`);
-    const validators = await Data.getAllValidators();
+async function updateValidators(network) {
+    logger.info(`🔄  Update ${network.name} 1KV validators.`);
+    const validators = await Data.getAllValidators(network);
     for (let validator of validators) {
-        await updateValidator(validator);
+        await updateValidator(network, validator);
     }
 }
 
-function start1KVUpdateJob() {
-    cron.schedule(`*/${config.oneKVUpdatePeriodMins} * * * *`, () => {
-        updateValidators();
+function start1KVUpdateJob(network) {
+    cron.schedule(`*/${network.oneKVUpdatePeriodMins} * * * *`, () => {
+        updateValidators(network);
     });
 }
 
-function startPendingNotificationSender() {
+function startPendingNotificationSender(network) {
     cron.schedule('0 * * * *', () => {
-        sendPendingNotifications(Data.BlockNotificationPeriod.HOURLY);
+        sendPendingNotifications(network, Data.NotificationPeriod.HOURLY);
     });
-    const halfEraHours = config.eraLengthMins / (2 * 60);
-    cron.schedule(`0 */${halfEraHours} * * *`, () => {
-        sendPendingNotifications(Data.BlockNotificationPeriod.HALF_ERA);
+    // the profile's half era divides an hour, or is a number of hours that divides a day
+    const halfEraMins = network.eraLengthMins / 2;
+    const halfEraSchedule = halfEraMins < 60 ? `*/${halfEraMins} * * * *` : `0 */${halfEraMins / 60} * * *`;
+    cron.schedule(halfEraSchedule, () => {
+        sendPendingNotifications(network, Data.NotificationPeriod.HALF_ERA);
     });
 }
 
-async function sendPendingNotifications(notificationPeriod) {
-    const notifications = await Data.getPendingBlockNotifications(notificationPeriod);
+/**
+ * Sends the pending notifications of the period as one digest per chat, all of them
+ * without a period.
+ */
+async function sendPendingNotifications(network, notificationPeriod) {
+    const notifications = await Data.getPendingNotifications(network, notificationPeriod);
+    const chatIds = [...new Set(notifications.map(notification => notification.chatId))];
+    for (let chatId of chatIds) {
+        await sendNotificationDigest(
+            network,
+            chatId,
+            notifications.filter(notification => notification.chatId == chatId)
+        );
+    }
+}
+
+async function sendPendingNotificationsForChat(network, chatId) {
+    await sendNotificationDigest(network, chatId, await Data.getPendingNotificationsForChat(network, chatId));
+}
+
+/**
+ * Sends the chat's pending notifications grouped by validator and deletes them. The ones
+ * of the validators that are not there anymore are dropped.
+ */
+async function sendNotificationDigest(network, chatId, notifications) {
+    if (notifications.length == 0) {
+        return;
+    }
+    const groups = [];
     for (let notification of notifications) {
-        let validator = await Data.getValidatorByStashAddress(notification.stashAddress);
-        if (validator) {
-            const response = await Messaging.sendBlocksAuthored(
-                notification.chatId,
-                validator,
-                notification.blockNumbers
-            );
-            if (response != null) {
-                Data.deletePendingBlockNotification(notification);
+        let group = groups.find(group => group.validator.stashAddress == notification.stashAddress);
+        if (!group) {
+            const validator = await Data.getValidatorByStashAddress(network, notification.stashAddress);
+            if (!validator) {
+                continue;
             }
+            group = { validator: validator, notifications: [] };
+            groups.push(group);
+        }
+        group.notifications.push(notification);
+    }
+    if (groups.length > 0) {
+        const response = await Messaging.sendNotificationDigest(chatId, network, groups);
+        if (response == null) {
+            return;
         }
     }
+    await Data.deletePendingNotifications(network, notifications);
 }
 
-async function sendPendingNotificationsForChat(chatId) {
-    const notifications = await Data.getPendingBlockNotificationsForChat(chatId);
-    for (let notification of notifications) {
-        let validator = await Data.getValidatorByStashAddress(notification.stashAddress);
-        if (validator) {
-            const response = await Messaging.sendBlocksAuthored(
-                notification.chatId,
-                validator,
-                notification.blockNumbers
-            );
-            if (response != null) {
-                Data.deletePendingBlockNotification(notification);
-            }
+/**
+ * Sends the notifications held during the quiet hours as a digest to each chat whose
+ * quiet hours are over.
+ */
+async function sendHeldNotifications() {
+    const now = new Date();
+    for (let chatId of await Data.getHeldNotificationChatIds()) {
+        const chat = await Data.getChatById(chatId);
+        if (ChatTime.isInQuietHours(chat, now)) {
+            continue;
         }
+        const notifications = await Data.getHeldNotificationsForChat(chatId);
+        if (chat) {
+            logger.info(`Quiet hours of chat ${chatId} are over, send ${notifications.length} held notifications.`);
+            await Messaging.sendHeldNotificationDigest(chatId, notifications, ChatTime.getChatTimezone(chat));
+        }
+        await Data.deleteHeldNotifications(notifications);
+    }
+}
+
+function startHeldNotificationSender() {
+    cron.schedule('* * * * *', async () => {
+        try {
+            await sendHeldNotifications();
+        } catch (error) {
+            logger.error(`❗️ Unexpected error while sending the held notifications: ${error}`);
+        }
+    });
+}
+
+/**
+ * Alerts the chats again of their validators that are still offline, by each chat's
+ * repeat period, until the incident is acknowledged or resolved. The incidents of the
+ * validators that the chat doesn't follow anymore are resolved silently.
+ */
+async function sendOfflineAlertReminders() {
+    const now = new Date();
+    for (let incident of await Data.getUnacknowledgedOfflineIncidents()) {
+        const network = getNetwork(incident.networkKey);
+        const validator = network ? await Data.getValidatorByStashAddress(network, incident.stashAddress) : null;
+        const chat = await Data.getChatById(incident.chatId);
+        if (!chat || !validator || !validator.chatIds.includes(incident.chatId)) {
+            await Data.resolveOfflineIncidents(incident, incident.chatId);
+            continue;
+        }
+        const period = (await Data.getNotificationSettings(chat, validator)).offlineAlertRepeatPeriod;
+        if (period == Data.OfflineAlertRepeatPeriod.OFF
+                || now - incident.lastAlertAt < period * 60 * 1000) {
+            continue;
+        }
+        logger.info(`${validator.name} is still offline, alert chat ${chat.chatId} again.`);
+        await Messaging.sendOfflineAlertReminder(chat, validator, incident);
+        await Data.setOfflineIncidentAlerted(incident, now);
     }
 }
 
-async function processRewardsUpToBlock(blockNumber) {
-    if (isFetchingRewards) { return; }
-    isFetchingRewards = true;
-    const startBlockNumber = (await Data.getLastFetchedRewardBlock()) + 1;
+function startOfflineAlertReminderSender() {
+    cron.schedule('* * * * *', async () => {
+        try {
+            await sendOfflineAlertReminders();
+        } catch (error) {
+            logger.error(`❗️ Unexpected error while sending the offline alert reminders: ${error}`);
+        }
+    });
+}
+
+async function processRewardsUpToBlock(network, blockNumber) {
+    if (isFetchingRewards[network.key]) { return; }
+    isFetchingRewards[network.key] = true;
+    const startBlockNumber = (await Data.getLastFetchedRewardBlock(network)) + 1;
     for (let i = startBlockNumber; i <= blockNumber; i++) {
         try {
-            const rewards = await Polkadot.getRewardsInBlock(i);
-            await Data.saveRewards(rewards);
-            await Data.setLastFetchedRewardBlock(i);
-            logger.info(`Did fetch and save ${rewards.length} rewards in block #${i}`);
+            const rewards = await Polkadot.getRewardsInBlock(network, i);
+            await Data.saveRewards(network, rewards);
+            await Data.setLastFetchedRewardBlock(network, i);
+            logger.info(`Did fetch and save ${rewards.length} ${network.name} rewards in block #${i}`);
         } catch (error) {
-            logger.error(`Error while fetching rewards in block #${i}: ${error}`);
+            logger.error(`Error while fetching ${network.name} rewards in block #${i}: ${error}`);
             break;
         }
     }
-    isFetchingRewards = false;
+    isFetchingRewards[network.key] = false;
+}
+
+async function onFinalizedBlock(network, blockNumber) {
+    logger.info(`⛓  Finalized ${network.name} block #${blockNumber}.`);
+    finalizedBlockNumbers[network.key] = blockNumber;
+    await processFinalizedBlocks(network);
 }
 
-async function onFinalizedBlock(blockNumber, blockHash, blockAuthor) {
-    logger.info(`⛓  Finalized block #${blockNumber} authored by ${blockAuthor}`);
-    checkBlockForAuthorship(blockNumber, blockAuthor);
-    checkBlockForNominations(blockNumber);
-    checkBlockForChillingEvents(blockNumber);
-    checkBlockForOfflineEvents(blockNumber);
-    if (blockNumber % 100 == 0) { // ~ every 10 minutes
-        processRewardsUpToBlock(blockNumber - 25);
+/**
+ * Processes the finalized blocks after the last processed one, including the ones finalized
+ * while the bot was down. Blocks are processed `blockProcessingConcurrency` at a time,
+ * and the cursor moves past a batch only when all of its blocks are processed. A failed
+ * batch is retried with the next finalized head, and a block that keeps failing is skipped.
+ */
+async function processFinalizedBlocks(network) {
+    if (isProcessingBlocks[network.key]) { return; }
+    isProcessingBlocks[network.key] = true;
+    try {
+        let lastProcessedBlockNumber = await Data.getLastProcessedBlock(network);
+        const finalizedBlockNumber = finalizedBlockNumbers[network.key];
+        const missedBlockCount = finalizedBlockNumber - lastProcessedBlockNumber - 1;
+        if (lastProcessedBlockNumber < 0) {
+            // first run, start from the current block
+            lastProcessedBlockNumber = finalizedBlockNumber - 1;
+        } else if (missedBlockCount > config.maxBlockCatchUpCount) {
+            logger.error(`${missedBlockCount} ${network.name} blocks were missed, skip the oldest ${missedBlockCount - config.maxBlockCatchUpCount}.`);
+            lastProcessedBlockNumber = finalizedBlockNumber - config.maxBlockCatchUpCount - 1;
+        } else if (missedBlockCount > 0) {
+            logger.info(`Catch up with ${missedBlockCount} missed ${network.name} blocks from #${lastProcessedBlockNumber + 1}.`);
+        }
+        while (lastProcessedBlockNumber < finalizedBlockNumbers[network.key]) {
+            const endBlockNumber = Math.min(
+                lastProcessedBlockNumber + config.blockProcessingConcurrency,
+                finalizedBlockNumbers[network.key]
+            );
+            const blockNumbers = [];
+            for (let i = lastProcessedBlockNumber + 1; i <= endBlockNumber; i++) {
+                blockNumbers.push(i);
+            }
+            // wait for every block of the batch, so that none is left processing on failure
+            const results = await Promise.allSettled(
+                blockNumbers.map(blockNumber => processBlock(network, blockNumber))
+            );
+            const failure = getBlockBatchFailure(network, blockNumbers, results);
+            if (failure) {
+                throw failure;
+            }
+            await saveBlockRewards(
+                network,
+                results.filter(result => result.status == 'fulfilled').map(result => result.value)
+            );
+            await Data.setLastProcessedBlock(network, endBlockNumber);
+            await Data.deleteProcessedBlockEventsUpTo(network, endBlockNumber);
+            lastProcessedBlockNumber = endBlockNumber;
+        }
+    } catch (error) {
+        logger.error(`❗️ Error while processing finalized ${network.name} blocks: ${error}`);
+        Polkadot.reportRPCError(network, error);
     }
+    isProcessingBlocks[network.key] = false;
 }
 
-async function checkBlockForAuthorship(blockNumber, blockAuthor) {
-    const validator = await Data.getValidatorByStashAddress(blockAuthor);
-    if (validator) {
-        await processNewBlockByValidator(blockNumber, validator)
+/**
+ * The error of the first failed block of the batch that's to be retried, null when every
+ * block is processed or skipped. A block is skipped once it has failed
+ * `maxBlockAttemptCount` times.
+ */
+function getBlockBatchFailure(network, blockNumbers, results) {
+    const attemptCounts = failedBlockAttemptCounts[network.key] || {};
+    failedBlockAttemptCounts[network.key] = attemptCounts;
+    let failure = null;
+    results.forEach((result, index) => {
+        const blockNumber = blockNumbers[index];
+        if (result.status == 'fulfilled') {
+            delete attemptCounts[blockNumber];
+            return;
+        }
+        attemptCounts[blockNumber] = (attemptCounts[blockNumber] || 0) + 1;
+        if (attemptCounts[blockNumber] < config.maxBlockAttemptCount) {
+            failure = failure || result.reason;
+        } else {
+            logger.error(`❗️ Skip ${network.name} block #${blockNumber} after ${attemptCounts[blockNumber]} failed attempts: ${result.reason}`);
+            delete attemptCounts[blockNumber];
+        }
+    });
+    return failure;
+}
+
+/**
+ * Fetches the block summary once and passes it to the checks. Resolves to the summary.
+ */
+async function processBlock(network, blockNumber) {
+    const block = await Polkadot.getBlockSummary(network, blockNumber);
+    await checkBlockForAuthorship(network, block);
+    await checkBlockForNominations(network, block);
+    await checkBlockForChillingEvents(network, block);
+    await checkBlockForOfflineEvents(network, block);
+    await checkBlockForOffences(network, block);
+    await checkBlockForValidatorChanges(network, block);
+    return block;
+}
+
+/**
+ * Saves the rewards in the processed blocks when the reward history is up to date,
+ * otherwise starts fetching the missing history up to these blocks.
+ */
+async function saveBlockRewards(network, blocks) {
+    if (isFetchingRewards[network.key] || blocks.length == 0) { return; }
+    let lastFetchedRewardBlockNumber = await Data.getLastFetchedRewardBlock(network);
+    if (lastFetchedRewardBlockNumber < blocks[0].blockNumber - 1) {
+        processRewardsUpToBlock(network, blocks[0].blockNumber - 1);
+        return;
+    }
+    for (let block of blocks) {
+        if (block.blockNumber == lastFetchedRewardBlockNumber + 1) {
+            await Data.saveRewards(network, block.rewards);
+            await Data.setLastFetchedRewardBlock(network, block.blockNumber);
+            lastFetchedRewardBlockNumber = block.blockNumber;
+        }
     }
 }
 
-async function processNewBlockByValidator(blockNumber, validator) {
+/**
+ * Notifies the block event of the validator to each of its chats that it hasn't been notified
+ * to yet. The event is recorded for a chat after `notifyChat` has queued the chat's
+ * notification, so a block retried after a failure only notifies the remaining chats.
+ */
+async function processBlockEventOnce(network, blockNumber, type, index, validator, notifyChat) {
     for (let chatId of validator.chatIds) {
-        let chat = await Data.getChatById(chatId);
+        if (await Data.isProcessedBlockEvent(network, blockNumber, type, index, validator.stashAddress, chatId)) {
+            continue;
+        }
+        const chat = await Data.getChatById(chatId);
         if (chat) {
-            let notificationPeriod = chat.blockNotificationPeriod;
-            if (notificationPeriod == Data.BlockNotificationPeriod.IMMEDIATE) {
-                logger.info(`Chat [${chat.chatId}] block notification period is immediate. Send notification for ${validator.name}.`);
-                await Messaging.sendBlocksAuthored(chat.chatId, validator, [blockNumber]);
-            } else if (notificationPeriod != Data.BlockNotificationPeriod.OFF) {
-                logger.info(`Chat [${chat.chatId}] block notification period is ${notificationPeriod} mins. Save notification.`);
-                await Data.savePendingBlockNotification(
-                    chat,
-                    validator,
-                    blockNumber
-                );
-            }
+            await notifyChat(chat);
         }
+        await Data.saveProcessedBlockEvent(network, blockNumber, type, index, validator.stashAddress, chatId);
+    }
+}
+
+async function checkBlockForAuthorship(network, block) {
+    if (!block.author) {
+        return;
+    }
+    const validator = await Data.getValidatorByStashAddress(network, block.author);
+    if (validator) {
+        await processBlockEventOnce(network, block.blockNumber, 'authorship', 0, validator, async chat => {
+            await processNewBlockByValidator(chat, block.blockNumber, validator);
+        });
+    }
+}
+
+async function processNewBlockByValidator(chat, blockNumber, validator) {
+    if (await isNotificationImmediate(
+        chat, validator, Data.NotificationType.BLOCK_AUTHORSHIP, { blockNumber: blockNumber }
+    )) {
+        logger.info(`Chat [${chat.chatId}] block notification period is immediate. Send notification for ${validator.name}.`);
+        await Messaging.sendBlocksAuthored(chat.chatId, validator, [blockNumber]);
     }
 }
 
-async function checkBlockForNominations(blockNumber) {
-    const nominations = await Polkadot.getNominationsInBlock(blockNumber);
-    for (let nomination of nominations) {
+async function checkBlockForNominations(network, block) {
+    const blockNumber = block.blockNumber;
+    for (let nomination of block.nominations) {
         for (let validatorAddress of nomination.validatorAddresses) {
-            const validator = await Data.getValidatorByStashAddress(validatorAddress);
+            const validator = await Data.getValidatorByStashAddress(network, validatorAddress);
             if (validator) {
-                await processNewNominationForValidator(nomination, validator)
+                logger.info(`New nomination for ${validator.name}.`);
+                await processBlockEventOnce(network, blockNumber, 'nomination', nomination.extrinsicIndex, validator, async chat => {
+                    await processNewNominationForValidator(chat, nomination, validator);
+                });
             }
         }
     }
 }
 
-async function processNewNominationForValidator(nomination, validator) {
-    logger.info(`New nomination for ${validator.name}.`);
-    for (let chatId of validator.chatIds) {
-        let chat = await Data.getChatById(chatId);
-        if (chat && chat.sendNewNominationNotifications) {
-            await Messaging.sendNewNomination(chat.chatId, validator, nomination);
+async function processNewNominationForValidator(chat, nomination, validator) {
+    if ((await Data.getNotificationSettings(chat, validator)).sendNewNominationNotifications
+            && await isNotificationAllowed(chat.chatId, validator, { type: 'nomination', activeStake: nomination.activeStake })
+            && await isNotificationImmediate(chat, validator, Data.NotificationType.NOMINATION, {
+                nominator: nomination.nominator,
+                activeStake: nomination.activeStake,
+                nomineeCount: nomination.validatorAddresses.length,
+                blockNumber: nomination.blockNumber,
+                extrinsicIndex: nomination.extrinsicIndex
+            })) {
+        await Messaging.sendNewNomination(chat.chatId, validator, nomination);
+    }
+}
+
+async function checkBlockForChillingEvents(network, block) {
+    const blockNumber = block.blockNumber;
+    for (let chilling of block.chillings) {
+        const validator = await Data.getValidatorByControllerAddress(network, chilling.controllerAddress);
+        if (validator) {
+            logger.info(`New chilling for ${validator.name}.`);
+            await processBlockEventOnce(network, blockNumber, 'chilling', chilling.extrinsicIndex, validator, async chat => {
+                await processNewChillingForValidator(chat, chilling, validator);
+            });
+        }
+    }
+}
+
+async function processNewChillingForValidator(chat, chilling, validator) {
+    if ((await Data.getNotificationSettings(chat, validator)).sendChillingEventNotifications
+            && await isNotificationImmediate(chat, validator, Data.NotificationType.CHILLING, {
+                controllerAddress: chilling.controllerAddress,
+                blockNumber: chilling.blockNumber,
+                extrinsicIndex: chilling.extrinsicIndex
+            })) {
+        await Messaging.sendChilling(chat.chatId, validator, chilling);
+    }
+}
+
+async function checkBlockForOfflineEvents(network, block) {
+    const blockNumber = block.blockNumber;
+    for (let offlineEvent of block.offlineEvents) {
+        for (let validatorAddress of offlineEvent.validatorAddresses) {
+            const validator = await Data.getValidatorByStashAddress(network, validatorAddress);
+            if (validator) {
+                logger.info(`New offline event for ${validator.name}.`);
+                await processBlockEventOnce(network, blockNumber, 'offline', offlineEvent.eventIndex, validator, async chat => {
+                    await processNewOfflineEventForValidator(chat, offlineEvent, validator);
+                });
+            }
+        }
+    }
+}
+
+async function processNewOfflineEventForValidator(chat, offlineEvent, validator) {
+    if ((await Data.getNotificationSettings(chat, validator)).sendOfflineEventNotifications) {
+        await Messaging.sendOfflineEvent(chat.chatId, validator, offlineEvent);
+    }
+}
+
+/**
+ * Offences and slashes of the validators, and the slashes of their nominators, the latter
+ * found in the last nominator snapshots of the validators.
+ */
+async function checkBlockForOffences(network, block) {
+    const blockNumber = block.blockNumber;
+    for (let offence of block.offences) {
+        for (let stashAddress of offence.stashAddresses) {
+            const targets = [];
+            const validator = await Data.getValidatorByStashAddress(network, stashAddress);
+            if (validator) {
+                targets.push({ validator: validator, nominatorAddress: null });
+            }
+            if (offence.type == Polkadot.OffenceEventType.SLASHED) {
+                for (let nominatedAddress of await Data.getNominatedStashAddresses(network, stashAddress)) {
+                    const nominatedValidator = await Data.getValidatorByStashAddress(network, nominatedAddress);
+                    if (nominatedValidator) {
+                        targets.push({ validator: nominatedValidator, nominatorAddress: stashAddress });
+                    }
+                }
+            }
+            for (let target of targets) {
+                const nominatorText = target.nominatorAddress ? ` nominator ${target.nominatorAddress}` : '';
+                logger.info(`New ${offence.type} event for ${target.validator.name}${nominatorText}.`);
+                await processBlockEventOnce(network, blockNumber, 'offence', offence.eventIndex, target.validator, async chat => {
+                    await processNewOffenceForValidator(chat, offence, target.validator, target.nominatorAddress);
+                });
+            }
         }
     }
 }
 
-async function checkBlockForChillingEvents(blockNumber) {
-    const chillings = await Polkadot.getChillingsInBlock(blockNumber);
-    for (let chilling of chillings) {
-        const validator = await Data.getValidatorByControllerAddress(chilling.controllerAddress);
+async function processNewOffenceForValidator(chat, offence, validator, nominatorAddress) {
+    if ((await Data.getNotificationSettings(chat, validator)).sendOffenceNotifications) {
+        await Messaging.sendOffence(chat.chatId, validator, offence, nominatorAddress);
+    }
+}
+
+/**
+ * Commission, session key, controller and bond changes of the validators as they're made on
+ * chain, by the stash or by the controller. The new commission, session keys and controller
+ * are saved on the validator, so that the 1KV update, which reads them from the chain too,
+ * doesn't notify them again.
+ */
+async function checkBlockForValidatorChanges(network, block) {
+    for (let change of block.validatorChanges) {
+        const validator = await Data.getValidatorByStashAddress(network, change.address)
+            || await Data.getValidatorByControllerAddress(network, change.address);
         if (validator) {
-            await processNewChillingForValidator(chilling, validator)
+            await processNewValidatorChange(network, block, change, validator);
         }
     }
 }
 
-async function processNewChillingForValidator(chilling, validator) {
-    logger.info(`New chilling for ${validator.name}.`);
-    for (let chatId of validator.chatIds) {
-        let chat = await Data.getChatById(chatId);
-        if (chat && chat.sendChillingEventNotifications) {
-            await Messaging.sendChilling(chat.chatId, validator, chilling);
+async function processNewValidatorChange(network, block, change, validator) {
+    const ChangeType = Polkadot.ValidatorChangeType;
+    const notification = {
+        type: change.type,
+        oldValue: null,
+        newValue: change.value,
+        amount: null,
+        blockNumber: change.blockNumber,
+        extrinsicIndex: change.extrinsicIndex,
+        eventIndex: change.eventIndex
+    };
+    const fields = {
+        [ChangeType.COMMISSION]: 'commission',
+        [ChangeType.SESSION_KEYS]: 'sessionKeys',
+        [ChangeType.CONTROLLER]: 'controllerAddress'
+    };
+    if (fields[change.type]) {
+        notification.oldValue = validator[fields[change.type]];
+        if (notification.oldValue == change.value) {
+            return;
+        }
+    } else {
+        notification.amount = change.value;
+        // the self stake at the end of the block, less the stash's later bond changes in the block
+        const getDelta = bondChange => bondChange.type == ChangeType.BOND ? bondChange.value : -bondChange.value;
+        const laterDelta = block.validatorChanges
+            .filter(other => (other.type == ChangeType.BOND || other.type == ChangeType.UNBOND)
+                && other.address == change.address && other.eventIndex > change.eventIndex)
+            .reduce((sum, other) => sum + getDelta(other), 0);
+        try {
+            const selfStake = await Polkadot.getSelfStakeAt(network, block.blockHash, validator.stashAddress);
+            notification.newValue = selfStake - laterDelta;
+            notification.oldValue = notification.newValue - getDelta(change);
+        } catch (error) {
+            logger.error(`Cannot fetch the self stake of ${validator.name}: ${error}`);
+            notification.newValue = null;
         }
     }
+    logger.info(`New ${change.type} change for ${validator.name}.`);
+    const index = change.extrinsicIndex !== null ? change.extrinsicIndex : change.eventIndex;
+    await processBlockEventOnce(network, block.blockNumber, change.type, index, validator, async chat => {
+        if (change.type == ChangeType.COMMISSION) {
+            const commissionChange = { oldCommission: notification.oldValue, newCommission: notification.newValue };
+            if (!(await isNotificationAllowed(chat.chatId, validator, Object.assign({ type: 'commissionChange' }, commissionChange)))
+                    || !(await isNotificationImmediate(chat, validator, Data.NotificationType.COMMISSION_CHANGE, commissionChange))) {
+                return;
+            }
+        } else if (!(await Data.getNotificationSettings(chat, validator)).sendValidatorChangeNotifications) {
+            return;
+        }
+        await Messaging.sendValidatorChange(chat.chatId, validator, notification);
+    });
+    // saved once the notifications are queued, a retried block notifies the remaining chats
+    if (fields[change.type]) {
+        await Data.updateValidator(validator, { [fields[change.type]]: change.value });
+    }
 }
 
-async function checkBlockForOfflineEvents(blockNumber) {
-    const offlineEvent = await Polkadot.getOfflineEventInBlock(blockNumber);
-    if (!offlineEvent) {
+/**
+ * Alerts the chats of the active validators that have neither sent an imOnline heartbeat nor
+ * authored a block partway through the session, before they're reported offline at its end.
+ * Uses the offline offence notification setting.
+ */
+async function checkHeartbeats(network, session) {
+    const validators = await Data.getAllValidators(network);
+    if (validators.length == 0) {
         return;
     }
-    for (let validatorAddress of offlineEvent.validatorAddresses) {
-        const validator = await Data.getValidatorByStashAddress(validatorAddress);
-        if (validator) {
-            await processNewOfflineEventForValidator(offlineEvent, validator)
+    const statuses = await Polkadot.getHeartbeatStatuses(
+        network, session, validators.map(validator => validator.stashAddress)
+    );
+    for (let validator of validators) {
+        const status = statuses[validator.stashAddress];
+        if (!status.isActive || status.hasHeartbeat || status.authoredBlockCount > 0) {
+            continue;
+        }
+        logger.info(`${validator.name} has no heartbeat yet in session ${session}.`);
+        for (let chatId of validator.chatIds) {
+            let chat = await Data.getChatById(chatId);
+            if (chat && (await Data.getNotificationSettings(chat, validator)).sendOfflineEventNotifications) {
+                await Messaging.sendMissingHeartbeatAlert(chat.chatId, validator, session);
+            }
         }
     }
 }
 
-async function processNewOfflineEventForValidator(offlineEvent, validator) {
-    logger.info(`New offline event for ${validator.name}.`);
-    for (let chatId of validator.chatIds) {
-        let chat = await Data.getChatById(chatId);
-        if (chat && chat.sendOfflineEventNotifications) {
-            await Messaging.sendOfflineEvent(chat.chatId, validator, offlineEvent);
+/**
+ * Records the reward points of the validators in the active set of the completed era, and
+ * alerts the chats of the ones far below the median of the active set, which usually means
+ * a sick node. An era is recorded and alerted once.
+ */
+async function recordEraPoints(network, era) {
+    const validators = await Data.getAllValidators(network);
+    if (validators.length == 0) {
+        return;
+    }
+    let rewardPoints;
+    let eraValidators;
+    try {
+        rewardPoints = await Polkadot.getEraRewardPoints(network, era);
+        eraValidators = await Polkadot.getEraValidators(network, era);
+    } catch (error) {
+        logger.error(`❗️ Error while fetching the ${network.name} era ${era} points: ${error}`);
+        Polkadot.reportRPCError(network, error);
+        return;
+    }
+    const medianPoints = EraPoints.getActiveSetMedian(eraValidators, rewardPoints.individual);
+    for (let validator of validators) {
+        if (!eraValidators.includes(validator.stashAddress)) {
+            continue;
+        }
+        const points = rewardPoints.individual[validator.stashAddress] || 0;
+        if (!(await Data.saveEraPoints(network, validator.stashAddress, era, points, medianPoints))
+                || !EraPoints.isUnderperforming(points, medianPoints, config.eraPointsAlertFraction)) {
+            continue;
+        }
+        logger.info(`${validator.name} has ${points} points in era ${era}, the median is ${medianPoints}.`);
+        for (let chatId of validator.chatIds) {
+            let chat = await Data.getChatById(chatId);
+            if (chat && (await Data.getNotificationSettings(chat, validator)).sendEraPointsNotifications) {
+                await Messaging.sendLowEraPointsAlert(chat.chatId, validator, era, points, medianPoints);
+            }
         }
     }
 }
 
-async function checkUnclaimedEraPayouts(currentEra) {
+async function checkUnclaimedEraPayouts(network, currentEra) {
     const fourDaysMins = 4 * 24 * 60;
-    const unclaimedPayoutsEraDepth = fourDaysMins / config.eraLengthMins;
+    const unclaimedPayoutsEraDepth = Math.ceil(fourDaysMins / network.eraLengthMins);
     const beginEra = currentEra - unclaimedPayoutsEraDepth;
-    const validators = await Data.getAllValidators();
+    const validators = await Data.getAllValidators(network);
     for (let validator of validators) {
         const chatIds = [];
         for (let chatId of validator.chatIds) {
             const chat = await Data.getChatById(chatId);
             if (chat) {
-                const period = chat.unclaimedPayoutNotificationPeriod;
+                const period = (await Data.getNotificationSettings(chat, validator)).unclaimedPayoutNotificationPeriod;
                 if ((period != Data.UnclaimedPayoutNotificationPeriod.OFF) 
                         && (currentEra % period == 0)) {
                     chatIds.push(chatId);
@@ -661,6 +2007,7 @@ async function checkUnclaimedEraPayouts(currentEra) {
         let unclaimedEras = [];
         for (let era = beginEra; era < currentEra; era++) {
             let payoutClaimed = await Polkadot.payoutClaimedForAddressForEra(
+                network,
                 validator.stashAddress,
                 era
             );
@@ -678,14 +2025,113 @@ async function checkUnclaimedEraPayouts(currentEra) {
     }
 }
 
-async function onEraChange(currentEra) {
-    logger.info(`New era ${currentEra}.`);
-    // send all pending block notifications
-    await sendPendingNotifications();
-    // delay the unclaimed payout check for a session length plus half hour
-    const unclaimedPayoutCheckDelayMs = (config.sessionLengthMins + 30) * 60 * 1000;
+/**
+ * Compares the nominators of the validators with their last snapshot, and notifies the
+ * nominators that have left or reduced their stake. The first snapshot of a validator
+ * is only saved.
+ */
+async function checkNominators(network) {
+    const validators = await Data.getAllValidators(network);
+    if (validators.length == 0) {
+        return;
+    }
+    let result;
+    try {
+        result = await Polkadot.getNominations(network, validators.map(validator => validator.stashAddress));
+    } catch (error) {
+        logger.error(`❗️ Error while fetching the ${network.name} nominations: ${error}`);
+        Polkadot.reportRPCError(network, error);
+        return;
+    }
+    for (let validator of validators) {
+        const nominators = result.nominations[validator.stashAddress];
+        const snapshot = await Data.getNominatorSnapshot(network, validator.stashAddress);
+        if (!snapshot) {
+            await Data.saveNominatorSnapshot(network, validator.stashAddress, nominators);
+            continue;
+        }
+        const changes = NominatorChanges.getNominatorChanges(snapshot.nominators, nominators, result.nominatorAddresses);
+        const totalBonded = NominatorChanges.toTokens(NominatorChanges.getTotalBonded(nominators), network);
+        for (let change of changes) {
+            await processNominatorChange(validator, {
+                type: change.type,
+                nominator: change.address,
+                oldBonded: NominatorChanges.toTokens(change.oldBonded, network),
+                newBonded: change.newBonded === null ? null : NominatorChanges.toTokens(change.newBonded, network),
+                totalBonded: totalBonded,
+                isNominating: change.isNominating
+            });
+        }
+        // saved once the changes are queued, a failed check notifies them at the next one
+        await Data.saveNominatorSnapshot(network, validator.stashAddress, nominators);
+    }
+}
+
+async function processNominatorChange(validator, change) {
+    logger.info(`Nominator ${change.nominator} of ${validator.name} has ${change.type == NominatorChanges.ChangeType.LEFT ? 'left' : 'reduced their stake'}.`);
+    for (let chatId of validator.chatIds) {
+        let chat = await Data.getChatById(chatId);
+        if (chat && (await Data.getNotificationSettings(chat, validator)).sendNominatorChangeNotifications
+                && await isNotificationImmediate(chat, validator, Data.NotificationType.NOMINATOR_CHANGE, change)) {
+            await Messaging.sendNominatorChange(chat.chatId, validator, change);
+        }
+    }
+}
+
+function startNominatorCheck(network) {
+    cron.schedule(`*/${nominatorCheckPeriodMins} * * * *`, async () => {
+        try {
+            await checkNominators(network);
+        } catch (error) {
+            logger.error(`❗️ Unexpected error while checking the ${network.name} nominators: ${error}`);
+        }
+    });
+}
+
+/**
+ * Alerts the chats with an active stake rule when the active stake of their active validator
+ * is under the threshold. The active stake is fetched only for the validators with such a rule.
+ */
+async function checkActiveStakeRules(network) {
+    const validators = await Data.getAllValidators(network);
+    for (let validator of validators) {
+        if (!validator.isActiveInSet) {
+            continue;
+        }
+        let totalStake = null;
+        for (let chatId of validator.chatIds) {
+            const rule = NotificationRules.getRule(await Data.getNotificationRules(chatId), 'active-stake', network.key);
+            if (!rule) {
+                continue;
+            }
+            try {
+                if (totalStake === null) {
+                    totalStake = (await Data.getActiveStakeInfoForCurrentEra(network, validator.stashAddress)).totalStake;
+                }
+                if (await isNotificationAllowed(chatId, validator, { type: 'activeStake', totalStake: totalStake })) {
+                    await Messaging.sendActiveStakeAlert(chatId, validator, totalStake, rule);
+                }
+            } catch (error) {
+                logger.error(`❗️ Error while checking the active stake rules of ${validator.name}: ${error}`);
+                break;
+            }
+        }
+    }
+}
+
+async function onEraChange(network, currentEra) {
+    logger.info(`New ${network.name} era ${currentEra}.`);
+    // send all pending notifications
+    await sendPendingNotifications(network);
+    await checkActiveStakeRules(network);
+    // delay the unclaimed payout check for a session length plus half hour,
+    // by then the era before the current one has also ended
+    const unclaimedPayoutCheckDelayMs = (network.sessionLengthMins + 30) * 60 * 1000;
     setTimeout(() => {
-        checkUnclaimedEraPayouts(currentEra);
+        checkUnclaimedEraPayouts(network, currentEra);
+        recordEraPoints(network, currentEra - 1).catch(error => {
+            logger.error(`❗️ Unexpected error while recording the ${network.name} era points: ${error}`);
+        });
     }, unclaimedPayoutCheckDelayMs);
 }
 
@@ -693,11 +2139,15 @@ const start = async () => {
     logger.info(`1KV Telegram bot has started.`);
     await Data.start(
         onFinalizedBlock,
-        onEraChange
+        onEraChange,
+        checkHeartbeats
     );
-    const allValidators = await Data.getAllValidators();
-    for (let validator of allValidators) {
-        await Data.updateValidatorChatIds(validator, validator.chatIds);
+    await MessageQueue.start(Messaging.deliverQueuedMessage);
+    for (let network of config.networks) {
+        const allValidators = await Data.getAllValidators(network);
+        for (let validator of allValidators) {
+            await Data.updateValidatorChatIds(validator, validator.chatIds);
+        }
     }
     // check chat versions and send release notes if necessary
     const allChats = await Data.getAllChats();
@@ -710,16 +2160,39 @@ const start = async () => {
         }
     }
 
-    logger.info(`Start receiving Telegram updates.`);
-    getTelegramUpdates();
-    /**
-     * DEPRECATED
-     */
-    // start1KVUpdateJob();
-    // startPendingNotificationSender();
+    if (config.telegramUpdateMode == 'webhook') {
+        logger.info(`Start receiving Telegram updates by webhook.`);
+        await TelegramWebhook.startWebhookServer(processTelegramUpdate);
+        if (!(await Messaging.setWebhook(config.telegramWebhookURL, config.telegramWebhookSecretToken))) {
+            throw new Error('Cannot set the Telegram webhook.');
+        }
+    } else {
+        logger.info(`Start receiving Telegram updates.`);
+        // getUpdates doesn't work while a webhook is set
+        await Messaging.deleteWebhook();
+        getTelegramUpdates();
+    }
+    for (let network of config.networks) {
+        // validator data from the 1KV API and the chain, the source of the availability,
+        // validity, rank and commission changes
+        start1KVUpdateJob(network);
+        // digests are sent hourly or per half era by the chat settings
+        startPendingNotificationSender(network);
+        // nominators leaving or reducing their stake
+        startNominatorCheck(network);
+    }
+    // notifications held during the quiet hours are sent when they end, checked every minute
+    startHeldNotificationSender();
+    // offline validators are alerted again until acknowledged, checked every minute
+    startOfflineAlertReminderSender();
 }
 
 const stop = async () => {
+    if (config.telegramUpdateMode == 'webhook') {
+        await Messaging.deleteWebhook();
+        await TelegramWebhook.stopWebhookServer();
+    }
+    await MessageQueue.stop();
     await Data.stop();
     logger.info(`Connections closed. Exit.`);
     process.exit(); // Exit with default success-code '0'.
@@ -727,5 +2200,16 @@ const stop = async () => {
 
 module.exports = {
     start: start,
-    stop: stop
+    stop: stop,
+    processTelegramUpdate: processTelegramUpdate,
+    processCallbackQuery: processCallbackQuery,
+    updateValidator: updateValidator,
+    onFinalizedBlock: onFinalizedBlock,
+    checkActiveStakeRules: checkActiveStakeRules,
+    checkNominators: checkNominators,
+    checkHeartbeats: checkHeartbeats,
+    recordEraPoints: recordEraPoints,
+    sendPendingNotifications: sendPendingNotifications,
+    sendHeldNotifications: sendHeldNotifications,
+    sendOfflineAlertReminders: sendOfflineAlertReminders
 };
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * HTTP listener for the Telegram webhook updates.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const logger = require('./logging');
+const config = require('./config').config;
+
+const secretTokenHeader = 'x-telegram-bot-api-secret-token';
+// updates are small, anything bigger is not from Telegram
+const maxBodyLength = 1024 * 1024;
+
+let server = null;
+
+function isValidSecretToken(token) {
+    if (typeof token !== 'string' || !config.telegramWebhookSecretToken) {
+        return false;
+    }
+    const expected = Buffer.from(config.telegramWebhookSecretToken);
+    const actual = Buffer.from(token);
+    return expected.length == actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function respond(response, status) {
+    response.writeHead(status);
+    response.end();
+}
+
+/**
+ * Handles an update POST. Telegram gets the response before the update is processed,
+ * so that a slow command doesn't make it time out and send the update again.
+ */
+function handleRequest(request, response, onUpdate) {
+    const path = new URL(request.url, 'http://localhost').pathname;
+    if (path != config.telegramWebhookPath) {
+        respond(response, 404);
+        return;
+    }
+    if (request.method != 'POST') {
+        respond(response, 405);
+        return;
+    }
+    if (!isValidSecretToken(request.headers[secretTokenHeader])) {
+        logger.error(`Telegram webhook request with an invalid secret token from ${request.socket.remoteAddress}. Ignore.`);
+        respond(response, 401);
+        return;
+    }
+    const chunks = [];
+    let length = 0;
+    request.on('data', chunk => {
+        if (length > maxBodyLength) {
+            return;
+        }
+        length += chunk.length;
+        if (length > maxBodyLength) {
+            logger.error('Telegram webhook request body is too large. Ignore.');
+            respond(response, 413);
+            return;
+        }
+        chunks.push(chunk);
+    });
+    request.on('end', () => {
+        if (length > maxBodyLength) {
+            return;
+        }
+        let update;
+        try {
+            update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+            logger.error(`Telegram webhook request has invalid JSON: ${error.message}`);
+            respond(response, 400);
+            return;
+        }
+        if (!update || typeof update.update_id !== 'number') {
+            logger.error('Telegram webhook request has no update id. Ignore.');
+            respond(response, 400);
+            return;
+        }
+        respond(response, 200);
+        Promise.resolve(onUpdate(update)).catch(error => {
+            logger.error(`❗️ Error while processing the Telegram update ${update.update_id}: ${error}`);
+        });
+    });
+}
+
+/**
+ * Starts listening for the updates, resolves with the bound address.
+ */
+async function startWebhookServer(onUpdate) {
+    server = http.createServer((request, response) => {
+        handleRequest(request, response, onUpdate);
+    });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(config.telegramWebhookPort, config.telegramWebhookHost, resolve);
+    });
+    const address = server.address();
+    logger.info(`Listening for Telegram webhook updates at ${address.address}:${address.port}${config.telegramWebhookPath}.`);
+    return address;
+}
+
+async function stopWebhookServer() {
+    if (!server) {
+        return;
+    }
+    await new Promise(resolve => server.close(() => resolve()));
+    server = null;
+    logger.info('Telegram webhook listener stopped.');
+}
+
+module.exports = {
+    startWebhookServer: startWebhookServer,
+    stopWebhookServer: stopWebhookServer
+};
@@ -0,0 +1,37 @@
+const assert = require('assert');
+
+const Availability = require('../modules/availability');
+
+describe('availability', () => {
+    const hour = 60 * 60 * 1000;
+    const from = Date.parse('2022-08-10T00:00:00Z');
+    const to = from + 100 * hour;
+
+    function change(hours, isOnline) {
+        return { stashAddress: 'stash', isOnline: isOnline, date: new Date(from + hours * hour) };
+    }
+
+    it('clips the outages to the period and keeps the ongoing one open', () => {
+        const history = [change(-5, false), change(2, true), change(10, false), change(11, true), change(98, false)];
+        assert.deepStrictEqual(Availability.getOutages(history, from, to), [
+            { start: from, end: from + 2 * hour, isOngoing: false },
+            { start: from + 10 * hour, end: from + 11 * hour, isOngoing: false },
+            { start: from + 98 * hour, end: to, isOngoing: true }
+        ]);
+        assert.deepStrictEqual(Availability.getOutages([change(-5, false), change(-1, true)], from, to), []);
+    });
+
+    it('computes the availability over the period', () => {
+        const history = [change(-5, true), change(10, false), change(15, true)];
+        assert.strictEqual(Availability.getAvailability(history, from, to), 95);
+        assert.strictEqual(Availability.getCoverageStart(history, from, to), from);
+    });
+
+    it('computes the availability over the recorded part of the period only', () => {
+        const history = [change(50, true), change(75, false), change(80, true)];
+        assert.strictEqual(Availability.getCoverageStart(history, from, to), from + 50 * hour);
+        assert.strictEqual(Availability.getAvailability(history, from, to), 90);
+        assert.strictEqual(Availability.getAvailability([], from, to), null);
+        assert.strictEqual(Availability.getAvailability([change(101, true)], from, to), null);
+    });
+});
@@ -0,0 +1,130 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const Chart = require('../modules/chart');
+const Messaging = require('../modules/messaging');
+const RewardsReport = require('../modules/rewards-report');
+const getNetwork = require('../modules/config').getNetwork;
+
+const snapshotDir = path.join(__dirname, 'snapshots');
+
+/**
+ * Compares the SVG with its snapshot in test/snapshots. A missing snapshot fails, the snapshots
+ * are only written by `UPDATE_SNAPSHOTS=1 npm test`, after an intended change or a new chart.
+ */
+function assertSnapshot(name, svg) {
+    const filePath = path.join(snapshotDir, `${name}.svg`);
+    if (process.env.UPDATE_SNAPSHOTS) {
+        fs.mkdirSync(snapshotDir, { recursive: true });
+        fs.writeFileSync(filePath, svg);
+        return;
+    }
+    assert.ok(fs.existsSync(filePath), `Missing snapshot ${filePath}, run with UPDATE_SNAPSHOTS=1 to write it`);
+    assert.strictEqual(svg, fs.readFileSync(filePath, 'utf8'), `SVG differs from the snapshot ${filePath}`);
+}
+
+describe('chart', () => {
+    const kusama = getNetwork('kusama');
+    const day = 24 * 60 * 60 * 1000;
+    const now = new Date('2022-11-10T00:00:00Z');
+    const validator = { name: 'Test Validator', stashAddress: 'HhcrzHdB5iBx823XNfBUukjj4TUGzS9oXS8brwLm4ovMuVp' };
+
+    function barChart(labels) {
+        return {
+            type: Chart.ChartType.BAR,
+            title: 'Bars',
+            series: [{ name: 'Values', points: labels.map((label, index) => ({ x: label, y: index + 1 })) }]
+        };
+    }
+
+    describe('layout', () => {
+        it('rotates the bar labels that do not fit under their bars', () => {
+            assert.strictEqual(Chart.getLayout(barChart(['Jan 22', 'Feb 22'])).rotateXLabels, false);
+            const labels = Array.from({ length: 40 }, (_, index) => `Month ${index}`);
+            const layout = Chart.getLayout(barChart(labels));
+            assert.strictEqual(layout.rotateXLabels, true);
+            assert.ok(layout.margin.bottom > Chart.getLayout(barChart(['Jan 22'])).margin.bottom);
+        });
+
+        it('makes room for the y tick labels, the axis title and the header row', () => {
+            const chart = barChart(['a', 'b']);
+            const plain = Chart.getLayout(chart);
+            const wide = Chart.getLayout(Object.assign({}, chart, {
+                yAxis: { title: 'Reward (KSM)', format: value => `${value.toFixed(4)} KSM` },
+                note: 'Total: 3.0000 KSM'
+            }));
+            assert.ok(wide.margin.left > plain.margin.left);
+            assert.ok(wide.margin.top > plain.margin.top);
+            assert.strictEqual(wide.width, 1200);
+        });
+    });
+
+    describe('snapshots', () => {
+        it('draws the monthly rewards bar chart', () => {
+            const report = {
+                groups: [
+                    { label: 'Sep 22', amount: 1.25, fiatAmount: null },
+                    { label: 'Oct 22', amount: 2.5, fiatAmount: null },
+                    { label: 'Nov 22', amount: 0.75, fiatAmount: null }
+                ],
+                total: 4.5,
+                fiatTotal: null
+            };
+            const chart = Messaging.getRewardsChart(
+                kusama,
+                validator.stashAddress,
+                report,
+                RewardsReport.getDefaultOptions()
+            );
+            assertSnapshot('rewards', Chart.renderSVG(chart));
+        });
+
+        it('draws the rank history step chart with the invalid periods', () => {
+            const rankHistory = [
+                { rank: 40, date: new Date(now - 30 * day) },
+                { rank: 55, date: new Date(now - 20 * day) },
+                { rank: 30, date: new Date(now - 5 * day) }
+            ];
+            const validityHistory = [
+                { isValid: true, date: new Date(now - 40 * day) },
+                { isValid: false, date: new Date(now - 25 * day) },
+                { isValid: true, date: new Date(now - 18 * day) },
+                { isValid: false, date: new Date(now - 2 * day) }
+            ];
+            const chart = Messaging.getRankHistoryChart(validator, rankHistory, validityHistory, now, 'UTC');
+            assert.deepStrictEqual(
+                chart.ranges.map(range => [range.from.getTime(), range.to.getTime()]),
+                [[now - 25 * day, now - 18 * day], [now - 2 * day, now.getTime()]]
+            );
+            assertSnapshot('rank-history', Chart.renderSVG(chart));
+        });
+
+        it('draws the uptime timeline', () => {
+            const history = [
+                { isOnline: true, date: new Date(now - 20 * day) },
+                { isOnline: false, date: new Date(now - 10 * day) },
+                { isOnline: true, date: new Date(now - 9 * day) }
+            ];
+            const chart = Messaging.getUptimeChart(validator, history, now - 30 * day, now.getTime(), 'UTC');
+            assertSnapshot('uptime', Chart.renderSVG(chart));
+        });
+
+        it('draws a line chart of several series in the dark theme', () => {
+            const points = offset => [0, 1, 2, 3].map(index => ({ x: new Date(now - (3 - index) * day), y: index * 2 + offset }));
+            const chart = {
+                type: Chart.ChartType.LINE,
+                title: 'Lines',
+                theme: Chart.Theme.DARK,
+                series: [{ name: 'First', points: points(0) }, { name: 'Second', points: points(3) }]
+            };
+            assertSnapshot('dark-lines', Chart.renderSVG(chart));
+        });
+    });
+
+    it('renders a PNG in memory', async () => {
+        const image = await Chart.renderPNG(barChart(['a', 'b']));
+        assert.ok(Buffer.isBuffer(image));
+        assert.deepStrictEqual([...image.subarray(1, 4)], [...Buffer.from('PNG')]);
+    });
+});
@@ -0,0 +1,39 @@
+const assert = require('assert');
+
+const ChatTime = require('../modules/chat-time');
+
+describe('chat-time', () => {
+    it('finds the canonical timezone name', () => {
+        assert.strictEqual(ChatTime.getTimezoneName('europe/istanbul'), 'Europe/Istanbul');
+        assert.strictEqual(ChatTime.getTimezoneName('Mars/Olympus'), null);
+        assert.strictEqual(ChatTime.getChatTimezone({ chatId: 1001 }), 'UTC');
+    });
+
+    it('parses the quiet hours', () => {
+        assert.deepStrictEqual(ChatTime.parseQuietHours('23:00-07:30'), { startMins: 1380, endMins: 450 });
+        assert.deepStrictEqual(ChatTime.parseQuietHours('9:00 - 17:00'), { startMins: 540, endMins: 1020 });
+        assert.strictEqual(ChatTime.parseQuietHours('24:00-07:00'), null);
+        assert.strictEqual(ChatTime.parseQuietHours('07:00-07:00'), null);
+        assert.strictEqual(ChatTime.parseQuietHours('night'), null);
+        assert.strictEqual(ChatTime.formatQuietHours({ startMins: 1380, endMins: 450 }), '23:00-07:30');
+    });
+
+    it('formats the durations down to the minute', () => {
+        assert.strictEqual(ChatTime.formatDuration(59 * 1000), 'less than a minute');
+        assert.strictEqual(ChatTime.formatDuration(90 * 60 * 1000), '1 hour 30 minutes');
+        assert.strictEqual(ChatTime.formatDuration((2 * 24 * 60 + 1) * 60 * 1000), '2 days 1 minute');
+    });
+
+    it('keeps the quiet hours in the timezone of the chat, also over midnight', () => {
+        const chat = { timezone: 'Europe/Istanbul', quietHours: { startMins: 23 * 60, endMins: 7 * 60 } };
+        // UTC+3
+        assert.strictEqual(ChatTime.isInQuietHours(chat, new Date('2022-08-10T19:59:00Z')), false);
+        assert.strictEqual(ChatTime.isInQuietHours(chat, new Date('2022-08-10T20:00:00Z')), true);
+        assert.strictEqual(ChatTime.isInQuietHours(chat, new Date('2022-08-11T03:59:00Z')), true);
+        assert.strictEqual(ChatTime.isInQuietHours(chat, new Date('2022-08-11T04:00:00Z')), false);
+        const dayChat = { quietHours: { startMins: 9 * 60, endMins: 17 * 60 } };
+        assert.strictEqual(ChatTime.isInQuietHours(dayChat, new Date('2022-08-10T12:00:00Z')), true);
+        assert.strictEqual(ChatTime.isInQuietHours(dayChat, new Date('2022-08-10T18:00:00Z')), false);
+        assert.strictEqual(ChatTime.isInQuietHours({ timezone: 'UTC', quietHours: null }, new Date()), false);
+    });
+});
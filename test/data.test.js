@@ -0,0 +1,431 @@
+const assert = require('assert');
+const sinon = require('sinon');
+
+const Data = require('../modules/data');
+const MongoDB = require('../modules/mongodb');
+const Polkadot = require('../modules/polkadot');
+const getNetwork = require('../modules/config').getNetwork;
+const { createCandidatesAPIServer } = require('../mock/candidates-api');
+
+const kusamaStash = 'GC8fuEZG4E5epGf5KGXtcDfvrc6HXE7GJ5YnbiqSpqdQYLg';
+const polkadotStash = '123kFHVth2udmM79sn3RPQ81HukrQWCxA1vmTWkGHSvkR4k1';
+
+function createW3FValidator(stash, name, changes) {
+    return Object.assign({
+        name: name,
+        stash: stash,
+        kusamaStash: '',
+        controllerAddress: stash,
+        rank: 10,
+        location: 'Istanbul',
+        discoveredAt: 1600000000000,
+        nominatedAt: 1650000000000,
+        onlineSince: 1660000000000,
+        offlineSince: 0,
+        offlineAccumulated: 0,
+        version: '0.9.26',
+        faults: 0,
+        isValid: true,
+        validityItems: [],
+        invalidityReasons: '',
+        isActiveInSet: true,
+        commission: '3.00%',
+        sessionKeys: '0x00'
+    }, changes);
+}
+
+describe('data', () => {
+    const kusama = getNetwork('kusama');
+    const polkadot = getNetwork('polkadot');
+
+    describe('chats', () => {
+        it('creates a chat with the default settings', async () => {
+            const chat = await Data.createChat(1001);
+            assert.strictEqual(chat.chatId, 1001);
+            assert.strictEqual(chat.state, Data.ChatState.IDLE);
+            assert.strictEqual(chat.blockNotificationPeriod, Data.NotificationPeriod.HOURLY);
+            assert.strictEqual(
+                chat.unclaimedPayoutNotificationPeriod,
+                Data.UnclaimedPayoutNotificationPeriod.EVERY_ERA
+            );
+            assert.strictEqual(chat.sendNewNominationNotifications, true);
+        });
+
+        it('updates and deletes a chat', async () => {
+            await Data.createChat(-1002);
+            assert.strictEqual(await Data.setChatBlockNotificationPeriod(-1002, Data.NotificationPeriod.ERA_END), true);
+            assert.strictEqual(await Data.setChatSendOfflineEventNotifications(-1002, false), true);
+            const chat = await Data.getChatById(-1002);
+            assert.strictEqual(chat.blockNotificationPeriod, Data.NotificationPeriod.ERA_END);
+            assert.strictEqual(chat.sendOfflineEventNotifications, false);
+            assert.strictEqual(await Data.deleteChat(-1002), true);
+            assert.strictEqual(await Data.getChatById(-1002), null);
+            assert.strictEqual(await Data.deleteChat(-1002), false);
+        });
+
+        it('reports an update of a missing chat as unsuccessful', async () => {
+            assert.strictEqual(await Data.setChatLastSettingsMessageId(1003, 12), false);
+        });
+    });
+
+    describe('validators', () => {
+        it('keeps validators in their network database', async () => {
+            await Data.persistValidator(kusama, createW3FValidator(kusamaStash, 'KSM-1'), 1001);
+            await Data.persistValidator(polkadot, createW3FValidator(polkadotStash, 'DOT-1'), 1001);
+            const kusamaValidators = await Data.getAllValidators(kusama);
+            assert.deepStrictEqual(kusamaValidators.map(validator => validator.name), ['KSM-1']);
+            assert.strictEqual(kusamaValidators[0].networkKey, 'kusama');
+            assert.strictEqual(await Data.getValidatorByStashAddress(polkadot, kusamaStash), null);
+            const chatValidators = await Data.getValidatorsForChat(1001);
+            assert.deepStrictEqual(chatValidators.map(validator => validator.name), ['KSM-1', 'DOT-1']);
+            assert.deepStrictEqual(await Data.getValidatorsForChat(1002), []);
+        });
+
+        it('finds a validator by its exact name', async () => {
+            const validatorCollection = await MongoDB.getValidatorCollection(kusama);
+            await validatorCollection.createIndex({ name: 'text' });
+            await Data.persistValidator(kusama, createW3FValidator(kusamaStash, 'HELIKON-KSM-1'), 1001);
+            const validator = await Data.getValidatorByName(kusama, 'HELIKON-KSM-1');
+            assert.strictEqual(validator.stashAddress, kusamaStash);
+            assert.strictEqual(await Data.getValidatorByName(kusama, 'helikon-ksm-1'), null);
+        });
+
+        it('removes a validator only when it has no more chats', async () => {
+            await Data.persistValidator(kusama, createW3FValidator(kusamaStash, 'KSM-1'), 1001);
+            let validator = await Data.getValidatorByStashAddress(kusama, kusamaStash);
+            await Data.updateValidatorChatIds(validator, [1001, 1002]);
+            validator = await Data.getValidatorByStashAddress(kusama, kusamaStash);
+            assert.deepStrictEqual(validator.chatIds, [1001, 1002]);
+
+            assert.strictEqual(await Data.removeValidator(validator, 1001), true);
+            validator = await Data.getValidatorByStashAddress(kusama, kusamaStash);
+            assert.deepStrictEqual(validator.chatIds, [1002]);
+
+            assert.strictEqual(await Data.removeValidator(validator, 1002), true);
+            assert.strictEqual(await Data.getValidatorByStashAddress(kusama, kusamaStash), null);
+        });
+
+        it('keeps the last nominator snapshot until the validator is removed', async () => {
+            const validator = await Data.persistValidator(kusama, createW3FValidator(kusamaStash, 'KSM-1'), 1001);
+            assert.strictEqual(await Data.getNominatorSnapshot(kusama, kusamaStash), null);
+            await Data.saveNominatorSnapshot(kusama, kusamaStash, [{ address: 'first', bonded: '10' }]);
+            await Data.saveNominatorSnapshot(kusama, kusamaStash, [{ address: 'second', bonded: '20' }]);
+            const snapshot = await Data.getNominatorSnapshot(kusama, kusamaStash);
+            assert.deepStrictEqual(snapshot.nominators, [{ address: 'second', bonded: '20' }]);
+            assert.strictEqual(await Data.getNominatorSnapshot(polkadot, kusamaStash), null);
+            assert.deepStrictEqual(await Data.getNominatedStashAddresses(kusama, 'second'), [kusamaStash]);
+            assert.deepStrictEqual(await Data.getNominatedStashAddresses(kusama, 'first'), []);
+            await Data.removeValidator(validator, 1001);
+            assert.strictEqual(await Data.getNominatorSnapshot(kusama, kusamaStash), null);
+        });
+
+        it('updates a validator', async () => {
+            await Data.persistValidator(kusama, createW3FValidator(kusamaStash, 'KSM-1'), 1001);
+            const validator = await Data.getValidatorByStashAddress(kusama, kusamaStash);
+            const result = await Data.updateValidator(validator, { rank: 11 });
+            assert.strictEqual(result.result.n, 1);
+            const updated = await Data.getValidatorByStashAddress(kusama, kusamaStash);
+            assert.strictEqual(updated.rank, 11);
+            assert.ok(updated.lastUpdated >= validator.lastUpdated);
+        });
+    });
+
+    describe('fetchValidator', () => {
+        let candidatesAPI;
+
+        before(async () => {
+            candidatesAPI = createCandidatesAPIServer();
+            await candidatesAPI.start();
+        });
+
+        beforeEach(() => {
+            candidatesAPI.reset();
+            sinon.replace(kusama, 'w3fBaseURL', candidatesAPI.getBaseURL());
+            sinon.stub(Polkadot, 'getIsActiveInSet').resolves(true);
+            sinon.stub(Polkadot, 'getCommission').resolves('3.00%');
+            sinon.stub(Polkadot, 'getSessionKeys').resolves('0x1234');
+            sinon.stub(Polkadot, 'getControllerAddress').resolves(kusamaStash);
+        });
+
+        after(async () => {
+            await candidatesAPI.stop();
+        });
+
+        it('merges the W3F candidate with the chain data', async () => {
+            const result = await Data.fetchValidator(kusama, kusamaStash);
+            assert.strictEqual(result.status, 200);
+            const validator = result.validator;
+            assert.strictEqual(validator.rank, 42);
+            assert.strictEqual(validator.isValid, true);
+            assert.strictEqual(validator.validityItems.length, 11);
+            assert.strictEqual(validator.invalidity, undefined);
+            assert.strictEqual(validator.isActiveInSet, true);
+            assert.strictEqual(validator.commission, '3.00%');
+            assert.strictEqual(validator.sessionKeys, '0x1234');
+            assert.strictEqual(validator.controllerAddress, kusamaStash);
+            assert.ok(Polkadot.getCommission.calledWith(kusama, kusamaStash));
+        });
+
+        it('is invalid when any validity item is invalid', async () => {
+            candidatesAPI.setValidity(kusamaStash, 'IDENTITY', false, 'Has no identity');
+            const result = await Data.fetchValidator(kusama, kusamaStash);
+            assert.strictEqual(result.validator.isValid, false);
+            assert.strictEqual(result.validator.invalidityReasons, 'Has no identity');
+        });
+
+        it('returns only the status of an unknown candidate', async () => {
+            candidatesAPI.removeCandidate(kusamaStash);
+            const result = await Data.fetchValidator(kusama, kusamaStash);
+            assert.deepStrictEqual(result, { status: 404 });
+            assert.ok(Polkadot.getIsActiveInSet.notCalled);
+        });
+    });
+
+    describe('notification settings', () => {
+        let chat;
+        let validator;
+        let otherValidator;
+
+        beforeEach(async () => {
+            chat = await Data.createChat(1001);
+            await Data.createChat(1002);
+            validator = await Data.persistValidator(kusama, createW3FValidator(kusamaStash, 'KSM-1'), 1001);
+            otherValidator = await Data.persistValidator(polkadot, createW3FValidator(polkadotStash, 'DOT-1'), 1001);
+        });
+
+        it('falls back to the chat defaults', async () => {
+            assert.deepStrictEqual(await Data.getNotificationSettings(chat, validator), {
+                blockNotificationPeriod: Data.NotificationPeriod.HOURLY,
+                nominationNotificationPeriod: Data.NotificationPeriod.IMMEDIATE,
+                chillingNotificationPeriod: Data.NotificationPeriod.IMMEDIATE,
+                rankChangeNotificationPeriod: Data.NotificationPeriod.IMMEDIATE,
+                commissionChangeNotificationPeriod: Data.NotificationPeriod.IMMEDIATE,
+                nominatorChangeNotificationPeriod: Data.NotificationPeriod.IMMEDIATE,
+                unclaimedPayoutNotificationPeriod: Data.UnclaimedPayoutNotificationPeriod.EVERY_ERA,
+                offlineAlertRepeatPeriod: Data.OfflineAlertRepeatPeriod.HOURLY,
+                sendNewNominationNotifications: true,
+                sendChillingEventNotifications: true,
+                sendOfflineEventNotifications: true,
+                sendOffenceNotifications: true,
+                sendNominatorChangeNotifications: true,
+                sendEraPointsNotifications: true,
+                sendValidatorChangeNotifications: true
+            });
+            assert.strictEqual(await Data.getValidatorNotificationSettings(1001, validator), null);
+        });
+
+        it('overrides a setting for a validator of a chat', async () => {
+            assert.ok(await Data.setValidatorNotificationSetting(1001, validator, 'sendNewNominationNotifications', false));
+            assert.ok(await Data.setValidatorNotificationSetting(
+                1001, validator, 'blockNotificationPeriod', Data.NotificationPeriod.IMMEDIATE
+            ));
+            const settings = await Data.getNotificationSettings(chat, validator);
+            assert.strictEqual(settings.sendNewNominationNotifications, false);
+            assert.strictEqual(settings.blockNotificationPeriod, Data.NotificationPeriod.IMMEDIATE);
+            assert.strictEqual(settings.sendChillingEventNotifications, true);
+            assert.strictEqual((await Data.getNotificationSettings(chat, otherValidator)).sendNewNominationNotifications, true);
+            const otherChat = await Data.getChatById(1002);
+            assert.strictEqual((await Data.getNotificationSettings(otherChat, validator)).sendNewNominationNotifications, true);
+            // the chat defaults apply to the settings that are not overridden
+            await Data.setChatSendChillingEventNotifications(1001, false);
+            chat = await Data.getChatById(1001);
+            assert.strictEqual((await Data.getNotificationSettings(chat, validator)).sendChillingEventNotifications, false);
+        });
+
+        it('rejects an unknown setting', async () => {
+            await assert.rejects(
+                Data.setValidatorNotificationSetting(1001, validator, 'sendEverything', true),
+                /Unknown notification setting sendEverything/
+            );
+        });
+
+        it('deletes the overrides when the validator is removed or the chat is deleted', async () => {
+            await Data.setValidatorNotificationSetting(1001, validator, 'sendNewNominationNotifications', false);
+            await Data.setValidatorNotificationSetting(1001, otherValidator, 'sendNewNominationNotifications', false);
+            await Data.removeValidator(validator, 1001);
+            assert.strictEqual(await Data.getValidatorNotificationSettings(1001, validator), null);
+            assert.notStrictEqual(await Data.getValidatorNotificationSettings(1001, otherValidator), null);
+            await Data.deleteChat(1001);
+            assert.strictEqual(await Data.getValidatorNotificationSettings(1001, otherValidator), null);
+        });
+    });
+
+    describe('offline incidents', () => {
+        let validator;
+
+        beforeEach(async () => {
+            await Data.createChat(1001);
+            validator = await Data.persistValidator(kusama, createW3FValidator(kusamaStash, 'KSM-1'), 1001);
+        });
+
+        it('keeps one open incident per chat and validator', async () => {
+            const incident = await Data.openOfflineIncident(1001, validator, 1660132800000);
+            assert.strictEqual(incident.alertCount, 1);
+            assert.strictEqual(incident.acknowledgedAt, null);
+            const sameIncident = await Data.openOfflineIncident(1001, validator, 1660136400000);
+            assert.strictEqual(`${sameIncident._id}`, `${incident._id}`);
+            assert.strictEqual(sameIncident.offlineSince, 1660132800000);
+            await Data.openOfflineIncident(1002, validator, 1660132800000);
+            assert.strictEqual((await Data.getUnacknowledgedOfflineIncidents()).length, 2);
+        });
+
+        it('acknowledges and resolves the incidents', async () => {
+            const incident = await Data.openOfflineIncident(1001, validator, 1660132800000);
+            assert.strictEqual(await Data.acknowledgeOfflineIncident(1002, `${incident._id}`), false);
+            assert.strictEqual(await Data.acknowledgeOfflineIncident(1001, 'not-an-id'), false);
+            assert.strictEqual(await Data.acknowledgeOfflineIncident(1001, `${incident._id}`), true);
+            assert.strictEqual(await Data.acknowledgeOfflineIncident(1001, `${incident._id}`), false);
+            assert.deepStrictEqual(await Data.getUnacknowledgedOfflineIncidents(), []);
+            assert.strictEqual((await Data.getOpenOfflineIncidentsForChat(1001)).length, 1);
+            assert.ok(await Data.resolveOfflineIncidents(validator));
+            assert.deepStrictEqual(await Data.getOpenOfflineIncidentsForChat(1001), []);
+            const newIncident = await Data.openOfflineIncident(1001, validator, 1660140000000);
+            assert.notStrictEqual(`${newIncident._id}`, `${incident._id}`);
+        });
+    });
+
+    describe('notification rules', () => {
+        it('keeps a rule per type and network', async () => {
+            await Data.createChat(1001);
+            assert.ok(await Data.setNotificationRule(1001, 'rank-drop', 5, null));
+            assert.ok(await Data.setNotificationRule(1001, 'nomination-stake', 100, 'kusama'));
+            assert.ok(await Data.setNotificationRule(1001, 'nomination-stake', 1000, null));
+            assert.ok(await Data.setNotificationRule(1001, 'rank-drop', 8, null));
+            const rules = (await Data.getNotificationRules(1001))
+                .map(rule => [rule.type, rule.threshold, rule.networkKey]);
+            assert.deepStrictEqual(rules, [
+                ['rank-drop', 8, null],
+                ['nomination-stake', 100, 'kusama'],
+                ['nomination-stake', 1000, null]
+            ]);
+            assert.deepStrictEqual(await Data.getNotificationRules(1002), []);
+        });
+
+        it('deletes a rule, and all rules with the chat', async () => {
+            await Data.createChat(1001);
+            await Data.setNotificationRule(1001, 'rank-drop', 5, null);
+            await Data.setNotificationRule(1001, 'nomination-stake', 100, 'kusama');
+            assert.strictEqual(await Data.deleteNotificationRule(1001, 'nomination-stake', null), false);
+            assert.strictEqual(await Data.deleteNotificationRule(1001, 'nomination-stake', 'kusama'), true);
+            assert.strictEqual((await Data.getNotificationRules(1001)).length, 1);
+            await Data.deleteChat(1001);
+            assert.deepStrictEqual(await Data.getNotificationRules(1001), []);
+        });
+    });
+
+    describe('pending notifications', () => {
+        let chat;
+        let validator;
+
+        beforeEach(async () => {
+            chat = await Data.createChat(1001);
+            validator = await Data.persistValidator(kusama, createW3FValidator(kusamaStash, 'KSM-1'), 1001);
+        });
+
+        it('saves the notifications of any type, oldest first', async () => {
+            const block = Data.NotificationType.BLOCK_AUTHORSHIP;
+            const rankChange = Data.NotificationType.RANK_CHANGE;
+            assert.strictEqual(await Data.savePendingNotification(chat, validator, block, { blockNumber: 100 }), true);
+            assert.strictEqual(await Data.savePendingNotification(chat, validator, rankChange, { oldRank: 5, newRank: 3 }), true);
+            const notifications = await Data.getPendingNotificationsForChat(kusama, 1001);
+            assert.deepStrictEqual(
+                notifications.map(notification => [notification.stashAddress, notification.type, notification.data]),
+                [[kusamaStash, block, { blockNumber: 100 }], [kusamaStash, rankChange, { oldRank: 5, newRank: 3 }]]
+            );
+        });
+
+        it('does not save the same notification twice', async () => {
+            const block = Data.NotificationType.BLOCK_AUTHORSHIP;
+            await Data.savePendingNotification(chat, validator, block, { blockNumber: 100 });
+            await Data.savePendingNotification(chat, validator, block, { blockNumber: 100 });
+            await Data.savePendingNotification(chat, validator, block, { blockNumber: 101 });
+            const notifications = await Data.getPendingNotificationsForChat(kusama, 1001);
+            assert.deepStrictEqual(notifications.map(notification => notification.data.blockNumber), [100, 101]);
+        });
+
+        it('keeps the notifications per network and chat', async () => {
+            await Data.createChat(1002);
+            await Data.savePendingNotification(chat, validator, Data.NotificationType.BLOCK_AUTHORSHIP, { blockNumber: 100 });
+            await Data.savePendingNotification({ chatId: 1002 }, validator, Data.NotificationType.BLOCK_AUTHORSHIP, { blockNumber: 101 });
+            assert.strictEqual((await Data.getPendingNotificationsForChat(kusama, 1001)).length, 1);
+            assert.strictEqual((await Data.getPendingNotificationsForChat(kusama, 1002)).length, 1);
+            assert.strictEqual((await Data.getPendingNotificationsForChat(polkadot, 1001)).length, 0);
+        });
+
+        it('filters the notifications by the period of their type', async () => {
+            const eraEndChat = await Data.createChat(1002);
+            await Data.setChatBlockNotificationPeriod(1002, Data.NotificationPeriod.ERA_END);
+            await Data.setChatNotificationSetting(1001, 'nominationNotificationPeriod', Data.NotificationPeriod.HALF_ERA);
+            await Data.savePendingNotification(chat, validator, Data.NotificationType.BLOCK_AUTHORSHIP, { blockNumber: 100 });
+            await Data.savePendingNotification(chat, validator, Data.NotificationType.NOMINATION, { nominator: 'A' });
+            await Data.savePendingNotification(eraEndChat, validator, Data.NotificationType.BLOCK_AUTHORSHIP, { blockNumber: 101 });
+            const hourly = await Data.getPendingNotifications(kusama, Data.NotificationPeriod.HOURLY);
+            assert.deepStrictEqual(hourly.map(notification => [notification.chatId, notification.type]), [[1001, 'blockAuthorship']]);
+            const halfEra = await Data.getPendingNotifications(kusama, Data.NotificationPeriod.HALF_ERA);
+            assert.deepStrictEqual(halfEra.map(notification => [notification.chatId, notification.type]), [[1001, 'nomination']]);
+            const eraEnd = await Data.getPendingNotifications(kusama, Data.NotificationPeriod.ERA_END);
+            assert.deepStrictEqual(eraEnd.map(notification => notification.chatId), [1002]);
+            assert.strictEqual((await Data.getPendingNotifications(kusama)).length, 3);
+        });
+
+        it('filters the notifications by the validator notification period of the chat', async () => {
+            await Data.setValidatorNotificationSetting(
+                1001, validator, 'blockNotificationPeriod', Data.NotificationPeriod.HALF_ERA
+            );
+            await Data.savePendingNotification(chat, validator, Data.NotificationType.BLOCK_AUTHORSHIP, { blockNumber: 100 });
+            assert.deepStrictEqual(await Data.getPendingNotifications(kusama, Data.NotificationPeriod.HOURLY), []);
+            const halfEra = await Data.getPendingNotifications(kusama, Data.NotificationPeriod.HALF_ERA);
+            assert.deepStrictEqual(halfEra.map(notification => notification.chatId), [1001]);
+        });
+
+        it('deletes the notifications', async () => {
+            await Data.savePendingNotification(chat, validator, Data.NotificationType.BLOCK_AUTHORSHIP, { blockNumber: 100 });
+            await Data.savePendingNotification(chat, validator, Data.NotificationType.BLOCK_AUTHORSHIP, { blockNumber: 101 });
+            const notifications = await Data.getPendingNotificationsForChat(kusama, 1001);
+            assert.strictEqual(await Data.deletePendingNotifications(kusama, notifications.slice(0, 1)), true);
+            assert.strictEqual((await Data.getPendingNotificationsForChat(kusama, 1001)).length, 1);
+            assert.ok(await Data.deletePendingNotificationsForChat(kusama, 1001));
+            assert.deepStrictEqual(await Data.getPendingNotificationsForChat(kusama, 1001), []);
+        });
+
+        it('migrates the pending block notifications', async () => {
+            const blockNotificationCollection = await MongoDB.getPendingBlockNotificationCollection(kusama);
+            await blockNotificationCollection.insertOne({ chatId: 1001, stashAddress: kusamaStash, blockNumbers: [100, 101] });
+            await Data.migrate('1.6.0');
+            await Data.migrate('1.6.0');
+            const notifications = await Data.getPendingNotificationsForChat(kusama, 1001);
+            assert.deepStrictEqual(notifications.map(notification => notification.data.blockNumber), [100, 101]);
+            assert.deepStrictEqual(await blockNotificationCollection.find({}).toArray(), []);
+        });
+    });
+
+    describe('rewards', () => {
+        it('keeps the last fetched reward block per network', async () => {
+            assert.strictEqual(await Data.getLastFetchedRewardBlock(kusama), -1);
+            await Data.setLastFetchedRewardBlock(kusama, 1000);
+            assert.strictEqual(await Data.getLastFetchedRewardBlock(kusama), 1000);
+            assert.strictEqual(await Data.getLastFetchedRewardBlock(polkadot), -1);
+        });
+
+        it('saves and returns the rewards of a stash', async () => {
+            assert.strictEqual(await Data.saveRewards(kusama, []), undefined);
+            await Data.saveRewards(kusama, [
+                { blockNumber: 1, timestamp: 1, targetStashAddress: kusamaStash, amount: '10' },
+                { blockNumber: 2, timestamp: 2, targetStashAddress: 'other', amount: '20' }
+            ]);
+            const rewards = await Data.getRewards(kusama, kusamaStash);
+            assert.deepStrictEqual(rewards.map(reward => reward.amount), ['10']);
+        });
+
+        it('returns the rewards of a period in the order of time', async () => {
+            await Data.saveRewards(kusama, [3, 1, 4, 2].map(timestamp => {
+                return { blockNumber: timestamp, timestamp: timestamp, targetStashAddress: kusamaStash, amount: `${timestamp}` };
+            }));
+            const getAmounts = async (from, to) => (await Data.getRewards(kusama, kusamaStash, from, to))
+                .map(reward => reward.amount);
+            assert.deepStrictEqual(await getAmounts(), ['1', '2', '3', '4']);
+            assert.deepStrictEqual(await getAmounts(2, 4), ['2', '3']);
+            assert.deepStrictEqual(await getAmounts(null, 2), ['1']);
+        });
+    });
+});
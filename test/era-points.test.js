@@ -0,0 +1,21 @@
+const assert = require('assert');
+
+const EraPoints = require('../modules/era-points');
+
+describe('era-points', () => {
+    it('computes the median of the active set, counting the validators without points', () => {
+        assert.strictEqual(EraPoints.getMedian([3, 1, 2]), 2);
+        assert.strictEqual(EraPoints.getMedian([4, 1, 3, 2]), 2.5);
+        assert.strictEqual(EraPoints.getMedian([]), null);
+        const individual = { first: 3000, second: 3200, other: 5000 };
+        assert.strictEqual(EraPoints.getActiveSetMedian(['first', 'second', 'third'], individual), 3000);
+        assert.strictEqual(EraPoints.getActiveSetMedian(['third', 'fourth', 'first'], individual), 0);
+    });
+
+    it('finds the points far below the median', () => {
+        assert.strictEqual(EraPoints.isUnderperforming(1400, 3000, 0.5), true);
+        assert.strictEqual(EraPoints.isUnderperforming(1500, 3000, 0.5), false);
+        assert.strictEqual(EraPoints.isUnderperforming(0, 0, 0.5), false);
+        assert.strictEqual(EraPoints.isUnderperforming(0, null, 0.5), false);
+    });
+});
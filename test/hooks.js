@@ -0,0 +1,59 @@
+/**
+ * Mocha root hooks. The environment is set before any bot module gets loaded:
+ * validator data goes to the in-memory MongoDB client, Telegram requests go to the
+ * fake Bot API server, and both bundled networks are configured.
+ */
+process.env.TZ = 'UTC';
+process.env.MONGODB_CONNECTION_URL = 'mongodb://in-memory';
+process.env.DB_NAME = 'test_1kv_bot';
+process.env.TELEGRAM_BOT_AUTH_KEY = 'test-token';
+process.env.TELEGRAM_BOT_USERNAME = 'test_1kv_bot';
+process.env.NETWORK = 'kusama,polkadot';
+const telegramPort = parseInt(process.env.TEST_TELEGRAM_PORT || '18081');
+process.env.TELEGRAM_BOT_API_BASE_URL = `http://127.0.0.1:${telegramPort}`;
+
+const mongodb = require('mongodb');
+const { InMemoryMongoClient } = require('./support/in-memory-mongodb');
+mongodb.MongoClient = InMemoryMongoClient;
+
+const logger = require('../modules/logging');
+logger.silent = !process.env.TEST_LOG;
+
+const Config = require('../modules/config');
+if (!Config.configure()) {
+    throw new Error('Cannot configure the test networks.');
+}
+// set from the chain at startup in production
+Config.getNetwork('kusama').tokenSymbol = 'KSM';
+Config.getNetwork('kusama').tokenDecimals = 12;
+Config.getNetwork('polkadot').tokenSymbol = 'DOT';
+Config.getNetwork('polkadot').tokenDecimals = 10;
+
+const sinon = require('sinon');
+const MongoDB = require('../modules/mongodb');
+const { createTelegramBotAPIServer } = require('../mock/telegram-bot-api');
+const telegram = createTelegramBotAPIServer({
+    token: process.env.TELEGRAM_BOT_AUTH_KEY,
+    username: process.env.TELEGRAM_BOT_USERNAME,
+    longPollMillis: 0
+});
+
+exports.telegram = telegram;
+
+exports.mochaHooks = {
+    async beforeAll() {
+        await telegram.start(telegramPort);
+        await MongoDB.connectMongoDB();
+    },
+    beforeEach() {
+        InMemoryMongoClient.reset();
+        telegram.reset();
+    },
+    afterEach() {
+        sinon.restore();
+    },
+    async afterAll() {
+        await MongoDB.disconnectMongoDB();
+        await telegram.stop();
+    }
+};
@@ -0,0 +1,143 @@
+const assert = require('assert');
+const sinon = require('sinon');
+
+const MessageQueue = require('../modules/message-queue');
+const Messaging = require('../modules/messaging');
+const Data = require('../modules/data');
+const MongoDB = require('../modules/mongodb');
+const config = require('../modules/config').config;
+const telegram = require('./hooks').telegram;
+
+async function waitFor(condition, timeoutMillis) {
+    const end = Date.now() + (timeoutMillis || 5000);
+    while (Date.now() < end) {
+        if (await condition()) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting for the condition.');
+}
+
+async function isQueueEmpty() {
+    const outboundMessageCollection = await MongoDB.getOutboundMessageCollection();
+    return (await outboundMessageCollection.countDocuments({})) == 0;
+}
+
+describe('message-queue', () => {
+    beforeEach(async () => {
+        sinon.replace(config, 'outboundChatIntervalMillis', 100);
+        sinon.replace(config, 'outboundGroupChatIntervalMillis', 300);
+        sinon.replace(config, 'outboundRetryBaseDelayMillis', 100);
+        await MessageQueue.start(Messaging.deliverQueuedMessage);
+    });
+
+    afterEach(async () => {
+        await MessageQueue.stop();
+    });
+
+    it('delivers the messages of a chat in order', async () => {
+        await Messaging.queueMessage(1001, 'First');
+        await Messaging.queueMessage(1001, 'Second');
+        await Messaging.queueMessage(1001, 'Third');
+        await waitFor(isQueueEmpty);
+        const texts = telegram.getChatMessages(1001).map(message => message.text);
+        assert.deepStrictEqual(texts, ['First', 'Second', 'Third']);
+        assert.strictEqual(telegram.getCalls('sendMessage')[0].params.parse_mode, 'Markdown');
+    });
+
+    it('keeps the interval between the messages of a chat', async () => {
+        await Messaging.queueMessage(-1001, 'Group 1');
+        await Messaging.queueMessage(-1001, 'Group 2');
+        await Messaging.queueMessage(1002, 'Private');
+        await waitFor(isQueueEmpty);
+        const calls = telegram.getCalls('sendMessage');
+        assert.deepStrictEqual(calls.map(call => call.params.text), ['Group 1', 'Private', 'Group 2']);
+        assert.ok(calls[2].time - calls[0].time >= 300);
+    });
+
+    it('keeps to the global rate limit', async () => {
+        sinon.replace(config, 'outboundMessagesPerSecond', 2);
+        for (let chatId of [1001, 1002, 1003]) {
+            await Messaging.queueMessage(chatId, `To ${chatId}`);
+        }
+        await waitFor(isQueueEmpty);
+        const calls = telegram.getCalls('sendMessage');
+        assert.strictEqual(calls.length, 3);
+        assert.ok(calls[2].time - calls[0].time >= 990);
+    });
+
+    it('waits for retry_after when rate limited', async () => {
+        telegram.failNext('sendMessage', { status: 429, retryAfter: 1 });
+        await Messaging.queueMessage(1001, 'Limited');
+        await Messaging.queueMessage(1002, 'Other chat');
+        await waitFor(isQueueEmpty);
+        const calls = telegram.getCalls('sendMessage');
+        assert.deepStrictEqual(calls.map(call => call.status), [429, 200, 200]);
+        assert.deepStrictEqual(calls.map(call => call.params.text), ['Limited', 'Limited', 'Other chat']);
+        assert.ok(calls[1].time - calls[0].time >= 990);
+        assert.deepStrictEqual(await Data.getDeadLetterMessages(), []);
+    });
+
+    it('retries a server error with backoff', async () => {
+        telegram.failNext('sendMessage', { status: 502 });
+        telegram.failNext('sendMessage', { status: 502 });
+        await Messaging.queueMessage(1001, 'Retried');
+        await waitFor(isQueueEmpty);
+        const calls = telegram.getCalls('sendMessage');
+        assert.deepStrictEqual(calls.map(call => call.status), [502, 502, 200]);
+        assert.ok(calls[1].time - calls[0].time >= 100);
+        assert.ok(calls[2].time - calls[1].time >= 200);
+    });
+
+    it('dead-letters a message after the maximum number of attempts', async () => {
+        sinon.replace(config, 'outboundMaxAttempts', 2);
+        telegram.failNext('sendMessage', { status: 502 });
+        telegram.failNext('sendMessage', { status: 502 });
+        await Messaging.queueMessage(1001, 'Lost');
+        await waitFor(isQueueEmpty);
+        const deadLetters = await Data.getDeadLetterMessages(1001);
+        assert.strictEqual(deadLetters.length, 1);
+        assert.strictEqual(deadLetters[0].payload.text, 'Lost');
+        assert.strictEqual(deadLetters[0].attempts, 2);
+        assert.ok(deadLetters[0].reason.startsWith('[502]'));
+        assert.ok(deadLetters[0].reason.endsWith('after 2 attempts'));
+    });
+
+    it('dead-letters a rejected message right away', async () => {
+        telegram.failNext('sendMessage', { status: 400, description: 'Bad Request: can\'t parse entities' });
+        await Messaging.queueMessage(1001, 'Broken *markdown');
+        await Messaging.queueMessage(1001, 'Fine');
+        await waitFor(isQueueEmpty);
+        assert.strictEqual(telegram.getCalls('sendMessage').length, 2);
+        const deadLetters = await Data.getDeadLetterMessages(1001);
+        assert.deepStrictEqual(deadLetters.map(message => message.payload.text), ['Broken *markdown']);
+        assert.strictEqual(deadLetters[0].reason, '[400] Bad Request: can\'t parse entities');
+        assert.strictEqual(deadLetters[0].attempts, 1);
+    });
+
+    it('deletes the chat and dead-letters its messages when the bot is blocked', async () => {
+        await Data.createChat(1001);
+        telegram.blockChat(1001);
+        await Messaging.queueMessage(1001, 'One');
+        await Messaging.queueMessage(1001, 'Two');
+        await waitFor(isQueueEmpty);
+        assert.strictEqual(await Data.getChatById(1001), null);
+        assert.strictEqual(telegram.getCalls('sendMessage').length, 1);
+        const deadLetters = await Data.getDeadLetterMessages(1001);
+        assert.deepStrictEqual(deadLetters.map(message => message.payload.text), ['One', 'Two']);
+    });
+
+    it('sends the messages left from the last run', async () => {
+        await MessageQueue.stop();
+        const queued = await Data.saveOutboundMessage(1001, 'sendMessage', { chat_id: 1001, text: 'Interrupted' });
+        await Data.setOutboundMessageSending(queued);
+        await Data.saveOutboundMessage(1001, 'sendMessage', { chat_id: 1001, text: 'Waiting' });
+        const outboundMessageCollection = await MongoDB.getOutboundMessageCollection();
+        assert.strictEqual(await outboundMessageCollection.countDocuments({ status: Data.OutboundMessageStatus.SENDING }), 1);
+        await MessageQueue.start(Messaging.deliverQueuedMessage);
+        await waitFor(isQueueEmpty);
+        const texts = telegram.getChatMessages(1001).map(message => message.text);
+        assert.deepStrictEqual(texts, ['Interrupted', 'Waiting']);
+    });
+});
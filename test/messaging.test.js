@@ -0,0 +1,199 @@
+const assert = require('assert');
+const fs = require('fs');
+const sinon = require('sinon');
+
+const Messaging = require('../modules/messaging');
+const Chart = require('../modules/chart');
+const Data = require('../modules/data');
+const getNetwork = require('../modules/config').getNetwork;
+const telegram = require('./hooks').telegram;
+
+describe('messaging', () => {
+    const kusama = getNetwork('kusama');
+    const polkadot = getNetwork('polkadot');
+
+    describe('toFixedWithoutRounding', () => {
+        it('truncates to the precision', () => {
+            assert.strictEqual(Messaging.toFixedWithoutRounding(1.23456, 4), 1.2345);
+            assert.strictEqual(Messaging.toFixedWithoutRounding(0.99999, 2), 0.99);
+            assert.strictEqual(Messaging.toFixedWithoutRounding(2.5, 0), 2);
+        });
+
+        it('is not thrown off by floating point errors', () => {
+            assert.strictEqual(Messaging.toFixedWithoutRounding(0.1 + 0.2, 4), 0.3);
+            assert.strictEqual(Messaging.toFixedWithoutRounding(1.1, 1), 1.1);
+        });
+    });
+
+    describe('formatAmount', () => {
+        it('formats with four decimals and the token symbol', () => {
+            assert.strictEqual(Messaging.formatAmount(1234.56789, kusama), '1,234.5678 KSM');
+            assert.strictEqual(Messaging.formatAmount(0, polkadot), '0.0000 DOT');
+            assert.strictEqual(Messaging.formatAmount(0.00009, polkadot), '0.0000 DOT');
+        });
+    });
+
+    describe('getRewardsTableLines', () => {
+        it('aligns the amounts of the periods and the total', () => {
+            const report = {
+                groups: [
+                    { label: 'Jan 22', amount: 1234.5, fiatAmount: 45678.9 },
+                    { label: 'Feb 22', amount: 0.25, fiatAmount: 9.5 }
+                ],
+                total: 1234.75,
+                fiatTotal: 45688.4
+            };
+            assert.deepStrictEqual(Messaging.getRewardsTableLines(kusama, report), [
+                'Period         KSM        USD',
+                'Jan 22  1,234.5000  45,678.90',
+                'Feb 22      0.2500       9.50',
+                'Total   1,234.7500  45,688.40'
+            ]);
+            report.fiatTotal = null;
+            assert.deepStrictEqual(Messaging.getRewardsTableLines(kusama, report)[0], 'Period         KSM');
+        });
+    });
+
+    describe('sendMessage', () => {
+        it('sends a Markdown message', async () => {
+            const message = await Messaging.sendMessage(1001, 'Hello *world*');
+            assert.strictEqual(message.text, 'Hello *world*');
+            const call = telegram.getCalls('sendMessage')[0];
+            assert.strictEqual(call.params.parse_mode, 'Markdown');
+            assert.deepStrictEqual(call.params.reply_markup, { remove_keyboard: true });
+        });
+
+        it('deletes the chat when the bot is blocked', async () => {
+            await Data.createChat(1001);
+            telegram.blockChat(1001);
+            assert.strictEqual(await Messaging.sendMessage(1001, 'Hello'), undefined);
+            assert.strictEqual(await Data.getChatById(1001), null);
+        });
+
+        it('returns null when Telegram is unavailable', async () => {
+            await Data.createChat(1001);
+            telegram.failNext('sendMessage', { status: 502 });
+            assert.strictEqual(await Messaging.sendMessage(1001, 'Hello'), null);
+            assert.notStrictEqual(await Data.getChatById(1001), null);
+        });
+    });
+
+    describe('sendChart', () => {
+        it('sends the rendered chart as a photo without touching the disk', async () => {
+            sinon.stub(Chart, 'renderPNG').resolves(Buffer.from('png image'));
+            const writeFileSync = sinon.spy(fs, 'writeFileSync');
+            await Messaging.sendChart(1001, { type: Chart.ChartType.BAR, series: [] }, 'stash_rewards.png');
+            const call = telegram.getCalls('sendPhoto')[0];
+            assert.deepStrictEqual(
+                call.params.photo,
+                { fileName: 'stash_rewards.png', contentType: 'image/png', size: 9 }
+            );
+            assert.strictEqual(writeFileSync.callCount, 0);
+        });
+
+        it('sends nothing when the chart cannot be rendered', async () => {
+            sinon.stub(Chart, 'renderPNG').rejects(new Error('Invalid SVG'));
+            assert.strictEqual(await Messaging.sendChart(1001, {}, 'stash_rewards.png'), null);
+            assert.deepStrictEqual(telegram.getCalls('sendPhoto'), []);
+        });
+    });
+
+    describe('queueMessage', () => {
+        beforeEach(async () => {
+            sinon.useFakeTimers({ now: Date.parse('2022-08-10T21:30:00Z'), toFake: ['Date'] });
+            await Data.createChat(1001);
+            await Data.setChatTimezone(1001, 'Europe/Istanbul');
+            // 00:30 in Istanbul
+            await Data.setChatQuietHours(1001, { startMins: 23 * 60, endMins: 7 * 60 });
+        });
+
+        it('holds the notifications that are not critical during the quiet hours', async () => {
+            await Messaging.queueMessage(1001, 'Rank has increased');
+            await Messaging.queueMessage(1001, 'Went offline', null, true);
+            await Messaging.queueMessage(1002, 'Rank has decreased');
+            assert.deepStrictEqual(
+                (await Data.getOutboundMessagesForChat(1001)).map(message => message.payload.text),
+                ['Went offline']
+            );
+            assert.deepStrictEqual(
+                (await Data.getHeldNotificationsForChat(1001)).map(notification => notification.text),
+                ['Rank has increased']
+            );
+            assert.strictEqual((await Data.getOutboundMessagesForChat(1002)).length, 1);
+        });
+
+        it('sends the held notifications as a digest', async () => {
+            await Messaging.queueMessage(1001, 'Rank has increased');
+            await Messaging.queueMessage(1001, 'Rank has decreased');
+            await Messaging.sendHeldNotificationDigest(
+                1001, await Data.getHeldNotificationsForChat(1001), 'Europe/Istanbul'
+            );
+            const messages = await Data.getOutboundMessagesForChat(1001);
+            assert.strictEqual(messages.length, 1);
+            assert.strictEqual(
+                messages[0].payload.text,
+                '🌙 2 notifications were held during your quiet hours.\n\n_00:30_ Rank has increased\n\n_00:30_ Rank has decreased'
+            );
+        });
+    });
+
+    describe('webhook', () => {
+        it('sets the webhook with the secret token and deletes it', async () => {
+            assert.strictEqual(await Messaging.setWebhook('https://bot.example.com/hook', 'secret'), true);
+            assert.deepStrictEqual(telegram.getWebhook(), { url: 'https://bot.example.com/hook', secretToken: 'secret' });
+            const call = telegram.getCalls('setWebhook')[0];
+            assert.deepStrictEqual(call.params.allowed_updates, ['message', 'callback_query']);
+            assert.strictEqual(await Messaging.deleteWebhook(), true);
+            assert.strictEqual(telegram.getWebhook(), null);
+        });
+
+        it('reports a rejected webhook', async () => {
+            telegram.failNext('setWebhook', { status: 400, description: 'Bad Request: bad webhook' });
+            assert.strictEqual(await Messaging.setWebhook('https://bot.example.com/hook', 'secret'), false);
+        });
+    });
+
+    describe('sendValidatorInfo', () => {
+        it('includes the network of the validator', async () => {
+            await Messaging.sendValidatorInfo(1001, {
+                networkKey: 'polkadot',
+                name: 'DOT-1',
+                stashAddress: '123kFHVth2udmM79sn3RPQ81HukrQWCxA1vmTWkGHSvkR4k1',
+                controllerAddress: '123kFHVth2udmM79sn3RPQ81HukrQWCxA1vmTWkGHSvkR4k1',
+                rank: 17,
+                isValid: false,
+                validityItems: [
+                    { valid: true, type: 'ONLINE', details: '' },
+                    { valid: false, type: 'IDENTITY', details: 'Has no identity' }
+                ],
+                offlineSince: 0,
+                onlineSince: 0,
+                isActiveInSet: true,
+                discoveredAt: 1600000000000,
+                lastUpdated: new Date()
+            });
+            const text = telegram.getLastMessage(1001).text;
+            assert.ok(text.includes('🌐 Polkadot validator'));
+            assert.ok(text.includes('❌ Is not valid for 1KV:\n- Has no identity'));
+            assert.ok(text.includes('https://polkadot.subscan.io/account/123kFHVth2udmM79sn3RPQ81HukrQWCxA1vmTWkGHSvkR4k1'));
+        });
+
+        it('displays the dates in the timezone of the chat', async () => {
+            await Data.createChat(1001);
+            await Data.setChatTimezone(1001, 'America/New_York');
+            await Messaging.sendValidatorInfo(1001, {
+                networkKey: 'kusama',
+                name: 'KSM-1',
+                stashAddress: 'GC8fuEZG4E5epGf5KGXtcDfvrc6HXE7GJ5YnbiqSpqdQYLg',
+                rank: 17,
+                isValid: true,
+                offlineSince: Date.parse('2022-08-10T12:00:00Z'),
+                isActiveInSet: true,
+                discoveredAt: 1600000000000,
+                lastUpdated: new Date()
+            });
+            const text = telegram.getLastMessage(1001).text;
+            assert.ok(text.includes('🔴 Offline since August 10th 2022, 08:00:00 America/New York'));
+        });
+    });
+});
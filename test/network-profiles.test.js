@@ -0,0 +1,35 @@
+const assert = require('assert');
+const path = require('path');
+
+const NetworkProfiles = require('../modules/network-profiles');
+
+describe('network-profiles', () => {
+    function getKusamaProfile() {
+        return NetworkProfiles.readProfiles(path.join(__dirname, '..', 'networks', 'kusama.json'))[0];
+    }
+
+    it('accepts the bundled profiles', () => {
+        for (let fileName of ['kusama.json', 'polkadot.json']) {
+            const profile = NetworkProfiles.readProfiles(path.join(__dirname, '..', 'networks', fileName))[0];
+            assert.deepStrictEqual(NetworkProfiles.validateProfile(profile), []);
+        }
+    });
+
+    it('accepts the era lengths whose half eras the digest schedule can express', () => {
+        for (let eraLengthMins of [12, 120, 360, 1440, 2880]) {
+            const profile = Object.assign(getKusamaProfile(), { eraLengthMins: eraLengthMins, sessionLengthMins: 2 });
+            assert.deepStrictEqual(NetworkProfiles.validateProfile(profile), [], `${eraLengthMins}`);
+        }
+    });
+
+    it('rejects the era lengths whose half eras the digest schedule cannot express', () => {
+        for (let eraLengthMins of [14, 180, 600, 5760]) {
+            const profile = Object.assign(getKusamaProfile(), { eraLengthMins: eraLengthMins, sessionLengthMins: 2 });
+            assert.deepStrictEqual(
+                NetworkProfiles.validateProfile(profile),
+                ['half of eraLengthMins must divide an hour, or be a number of hours that divides a day'],
+                `${eraLengthMins}`
+            );
+        }
+    });
+});
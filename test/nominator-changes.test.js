@@ -0,0 +1,36 @@
+const assert = require('assert');
+
+const NominatorChanges = require('../modules/nominator-changes');
+const getNetwork = require('../modules/config').getNetwork;
+
+describe('nominator-changes', () => {
+    const kusama = getNetwork('kusama');
+    const ChangeType = NominatorChanges.ChangeType;
+    const previous = [
+        { address: 'left', bonded: '5000000000000' },
+        { address: 'moved', bonded: '1000000000000' },
+        { address: 'reduced', bonded: '3000000000000' },
+        { address: 'increased', bonded: '1000000000000' }
+    ];
+    const current = [
+        { address: 'reduced', bonded: '2500000000000' },
+        { address: 'increased', bonded: '2000000000000' },
+        { address: 'new', bonded: '7000000000000' }
+    ];
+
+    it('finds the nominators that have left or reduced their stake', () => {
+        const changes = NominatorChanges.getNominatorChanges(previous, current, new Set(['moved', 'reduced', 'increased', 'new']));
+        assert.deepStrictEqual(changes, [
+            { type: ChangeType.LEFT, address: 'left', oldBonded: '5000000000000', newBonded: null, isNominating: false },
+            { type: ChangeType.LEFT, address: 'moved', oldBonded: '1000000000000', newBonded: null, isNominating: true },
+            { type: ChangeType.REDUCED, address: 'reduced', oldBonded: '3000000000000', newBonded: '2500000000000', isNominating: true }
+        ]);
+        assert.deepStrictEqual(NominatorChanges.getNominatorChanges(current, current, new Set()), []);
+    });
+
+    it('totals the bonded amounts in tokens', () => {
+        assert.strictEqual(NominatorChanges.getTotalBonded(current), BigInt('11500000000000'));
+        assert.strictEqual(NominatorChanges.getTotalBonded([]), BigInt(0));
+        assert.strictEqual(NominatorChanges.toTokens(NominatorChanges.getTotalBonded(current), kusama), 11.5);
+    });
+});
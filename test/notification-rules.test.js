@@ -0,0 +1,53 @@
+const assert = require('assert');
+
+const NotificationRules = require('../modules/notification-rules');
+
+describe('notification-rules', () => {
+    function rule(type, threshold, networkKey) {
+        return { chatId: 1001, type: type, threshold: threshold, networkKey: networkKey || null };
+    }
+
+    it('lets everything but the alerts through without rules', () => {
+        assert.strictEqual(NotificationRules.evaluate([], 'kusama', { type: 'nomination', activeStake: 1 }), true);
+        assert.strictEqual(NotificationRules.evaluate([], 'kusama', { type: 'rankChange', oldRank: 50, newRank: 10 }), true);
+        assert.strictEqual(NotificationRules.evaluate([], 'kusama', { type: 'activeStake', totalStake: 1 }), false);
+    });
+
+    it('filters the nominations by active stake', () => {
+        const rules = [rule('nomination-stake', 100)];
+        assert.strictEqual(NotificationRules.evaluate(rules, 'kusama', { type: 'nomination', activeStake: 100 }), false);
+        assert.strictEqual(NotificationRules.evaluate(rules, 'kusama', { type: 'nomination', activeStake: 100.5 }), true);
+    });
+
+    it('filters the rank drops only', () => {
+        const rules = [rule('rank-drop', 5)];
+        assert.strictEqual(NotificationRules.evaluate(rules, 'kusama', { type: 'rankChange', oldRank: 50, newRank: 45 }), false);
+        assert.strictEqual(NotificationRules.evaluate(rules, 'kusama', { type: 'rankChange', oldRank: 50, newRank: 44 }), true);
+        assert.strictEqual(NotificationRules.evaluate(rules, 'kusama', { type: 'rankChange', oldRank: 50, newRank: 51 }), true);
+    });
+
+    it('compares the commission rates in percentage points', () => {
+        const rules = [rule('commission-change', 2)];
+        const change = (oldCommission, newCommission) => NotificationRules.evaluate(
+            rules, 'kusama', { type: 'commissionChange', oldCommission: oldCommission, newCommission: newCommission }
+        );
+        assert.strictEqual(change('3.00%', '5.00%'), false);
+        assert.strictEqual(change('5.00%', '2.50%'), true);
+        assert.strictEqual(change(undefined, '5.00%'), true);
+    });
+
+    it('prefers the rule of the network', () => {
+        const rules = [rule('active-stake', 1000), rule('active-stake', 10, 'kusama')];
+        assert.strictEqual(NotificationRules.getRule(rules, 'active-stake', 'kusama').threshold, 10);
+        assert.strictEqual(NotificationRules.getRule(rules, 'active-stake', 'polkadot').threshold, 1000);
+        assert.strictEqual(NotificationRules.evaluate(rules, 'kusama', { type: 'activeStake', totalStake: 500 }), false);
+        assert.strictEqual(NotificationRules.evaluate(rules, 'polkadot', { type: 'activeStake', totalStake: 500 }), true);
+    });
+
+    it('parses the thresholds', () => {
+        assert.strictEqual(NotificationRules.parseThreshold('12.5'), 12.5);
+        assert.strictEqual(NotificationRules.parseThreshold('0'), 0);
+        assert.strictEqual(NotificationRules.parseThreshold('-1'), null);
+        assert.strictEqual(NotificationRules.parseThreshold('ten'), null);
+    });
+});
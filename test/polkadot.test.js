@@ -0,0 +1,273 @@
+const assert = require('assert');
+const sinon = require('sinon');
+
+const Polkadot = require('../modules/polkadot');
+const config = require('../modules/config').config;
+const getNetwork = require('../modules/config').getNetwork;
+
+const kusamaAddress = 'GC8fuEZG4E5epGf5KGXtcDfvrc6HXE7GJ5YnbiqSpqdQYLg';
+const polkadotAddress = '123kFHVth2udmM79sn3RPQ81HukrQWCxA1vmTWkGHSvkR4k1';
+// Alice, with the generic substrate prefix 42
+const genericAddress = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+const hexAddress = '0xd43593c715fdd31c61141abd04a99fd6822c8558854ccde39a5684e7a56da27d';
+
+describe('polkadot', () => {
+    const kusama = getNetwork('kusama');
+    const polkadot = getNetwork('polkadot');
+
+    describe('isValidAddress', () => {
+        it('accepts an address with the network prefix', () => {
+            assert.strictEqual(Polkadot.isValidAddress(kusama, kusamaAddress), true);
+            assert.strictEqual(Polkadot.isValidAddress(polkadot, polkadotAddress), true);
+        });
+
+        it('rejects an address of another network', () => {
+            assert.strictEqual(Polkadot.isValidAddress(polkadot, kusamaAddress), false);
+            assert.strictEqual(Polkadot.isValidAddress(kusama, polkadotAddress), false);
+        });
+
+        it('rejects an address with the generic prefix', () => {
+            assert.strictEqual(Polkadot.isValidAddress(kusama, genericAddress), false);
+            assert.strictEqual(Polkadot.isValidAddress(polkadot, genericAddress), false);
+        });
+
+        it('accepts a hex public key on any network', () => {
+            assert.strictEqual(Polkadot.isValidAddress(kusama, hexAddress), true);
+            assert.strictEqual(Polkadot.isValidAddress(polkadot, hexAddress), true);
+        });
+
+        it('rejects a malformed address', () => {
+            const corrupted = kusamaAddress.slice(0, -1) + 'h';
+            assert.strictEqual(Polkadot.isValidAddress(kusama, corrupted), false);
+            assert.strictEqual(Polkadot.isValidAddress(kusama, 'not an address'), false);
+            assert.strictEqual(Polkadot.isValidAddress(kusama, ''), false);
+        });
+    });
+
+    describe('getNetworkForAddress', () => {
+        it('finds the network by the address prefix', () => {
+            assert.strictEqual(Polkadot.getNetworkForAddress(kusamaAddress), kusama);
+            assert.strictEqual(Polkadot.getNetworkForAddress(polkadotAddress), polkadot);
+        });
+
+        it('returns null for an address of no configured network', () => {
+            assert.strictEqual(Polkadot.getNetworkForAddress(genericAddress), null);
+            sinon.replace(config, 'networks', [kusama]);
+            assert.strictEqual(Polkadot.getNetworkForAddress(polkadotAddress), null);
+        });
+
+        it('accepts a hex address only when a single network is configured', () => {
+            assert.strictEqual(Polkadot.getNetworkForAddress(hexAddress), null);
+            sinon.replace(config, 'networks', [polkadot]);
+            assert.strictEqual(Polkadot.getNetworkForAddress(hexAddress), polkadot);
+        });
+    });
+    describe('getEndpointHealth', () => {
+        const now = Date.parse('2022-08-10T12:00:00Z');
+
+        beforeEach(() => {
+            sinon.replace(config, 'rpcStallThresholdMillis', 120000);
+            sinon.replace(config, 'rpcErrorWindowMillis', 300000);
+            sinon.replace(config, 'rpcMaxErrorCount', 5);
+        });
+
+        function getEndpoint(lastFinalizedSecsAgo, errorSecsAgo) {
+            return {
+                url: 'wss://rpc.example.com',
+                errorTimes: errorSecsAgo.map(secs => now - secs * 1000),
+                lastFinalizedAt: now - lastFinalizedSecsAgo * 1000,
+                connectedAt: now - 3600 * 1000
+            };
+        }
+
+        it('scores an endpoint with recent heads and no errors as healthy', () => {
+            const health = Polkadot.getEndpointHealth(getEndpoint(0, []), now);
+            assert.deepStrictEqual(health, { score: 100, errorCount: 0, lagMillis: 0, isHealthy: true });
+        });
+
+        it('lowers the score with the finalized head lag and the errors', () => {
+            const health = Polkadot.getEndpointHealth(getEndpoint(60, [10, 20]), now);
+            assert.strictEqual(health.score, 55);
+            assert.strictEqual(health.errorCount, 2);
+            assert.strictEqual(health.isHealthy, true);
+        });
+
+        it('ignores the errors older than the error window', () => {
+            const health = Polkadot.getEndpointHealth(getEndpoint(0, [400, 500, 600, 700, 800]), now);
+            assert.strictEqual(health.errorCount, 0);
+            assert.strictEqual(health.isHealthy, true);
+        });
+
+        it('finds a stalled endpoint unhealthy', () => {
+            const health = Polkadot.getEndpointHealth(getEndpoint(120, []), now);
+            assert.strictEqual(health.score, 50);
+            assert.strictEqual(health.isHealthy, false);
+        });
+
+        it('finds an endpoint with too many errors unhealthy', () => {
+            const health = Polkadot.getEndpointHealth(getEndpoint(0, [1, 2, 3, 4, 5]), now);
+            assert.strictEqual(health.score, 50);
+            assert.strictEqual(health.isHealthy, false);
+        });
+
+        it('measures the lag from the connection time before the first head', () => {
+            const endpoint = getEndpoint(0, []);
+            endpoint.lastFinalizedAt = null;
+            endpoint.connectedAt = now - 30000;
+            assert.strictEqual(Polkadot.getEndpointHealth(endpoint, now).lagMillis, 30000);
+        });
+    });
+
+    describe('checkRPCHealth', () => {
+        let downURLs;
+
+        function getFakeAPI() {
+            return {
+                rpc: {
+                    system: {
+                        properties: async () => ({ toHuman: () => ({ tokenSymbol: ['KSM'], tokenDecimals: ['12'] }) })
+                    },
+                    chain: { subscribeFinalizedHeads: async () => () => {} }
+                },
+                on: () => {},
+                disconnect: async () => {}
+            };
+        }
+
+        beforeEach(async () => {
+            sinon.replace(kusama, 'rpcURLs', ['wss://first.example.com', 'wss://second.example.com']);
+            sinon.replace(config, 'rpcMaxErrorCount', 5);
+            downURLs = [];
+            sinon.stub(Polkadot, 'createAPI').callsFake(async url => {
+                if (downURLs.includes(url)) {
+                    throw new Error(`Connection to ${url} timed out.`);
+                }
+                return getFakeAPI();
+            });
+            await Polkadot.connectPolkadot(kusama);
+        });
+
+        afterEach(async () => {
+            await Polkadot.disconnectPolkadot(kusama);
+        });
+
+        it('reconnects when an endpoint recovers after all were down', async () => {
+            assert.strictEqual(Polkadot.getRPCStatus(kusama).activeURL, 'wss://first.example.com');
+            downURLs = ['wss://first.example.com', 'wss://second.example.com'];
+            for (let i = 0; i < 5; i++) {
+                Polkadot.reportRPCError(kusama, new Error('RPC error'));
+            }
+            await Polkadot.checkRPCHealth(kusama);
+            assert.ok(Polkadot.getRPCStatus(kusama).endpoints.every(endpoint => !endpoint.isActive));
+            // still down at the next check, with no api to disconnect
+            await Polkadot.checkRPCHealth(kusama);
+            assert.ok(Polkadot.getRPCStatus(kusama).endpoints.every(endpoint => !endpoint.isActive));
+
+            downURLs = ['wss://first.example.com'];
+            await Polkadot.checkRPCHealth(kusama);
+            const status = Polkadot.getRPCStatus(kusama);
+            assert.strictEqual(status.activeURL, 'wss://second.example.com');
+            assert.ok(status.endpoints[1].isActive);
+        });
+    });
+
+    describe('getBlockSummary', () => {
+        const stashAddress = kusamaAddress;
+        const blockHash = '0xb10c';
+        const appliedKeys = '0x01';
+        let extrinsics;
+
+        function getCall(section, method, args) {
+            return { section: section, method: method, args: args };
+        }
+
+        function getSetKeysCall(keys) {
+            return getCall('session', 'setKeys', [{ toHex: () => keys }]);
+        }
+
+        function getSignedExtrinsic(call) {
+            return {
+                extrinsic: {
+                    method: call,
+                    isSigned: true,
+                    signer: { toString: () => stashAddress },
+                    toHuman: () => ({ method: { args: call.humanArgs } })
+                },
+                events: [{ method: 'ExtrinsicSuccess' }]
+            };
+        }
+
+        beforeEach(async () => {
+            extrinsics = [];
+            const api = {
+                rpc: {
+                    system: {
+                        properties: async () => ({ toHuman: () => ({ tokenSymbol: ['KSM'], tokenDecimals: ['12'] }) })
+                    },
+                    chain: { subscribeFinalizedHeads: async () => () => {} }
+                },
+                derive: {
+                    chain: {
+                        getBlockByNumber: async () => ({
+                            block: { header: { hash: { toHex: () => blockHash } } },
+                            author: null,
+                            extrinsics: extrinsics,
+                            events: []
+                        })
+                    }
+                },
+                events: {
+                    system: { ExtrinsicSuccess: { is: event => event.method == 'ExtrinsicSuccess' } },
+                    staking: { ValidatorPrefsSet: {} }
+                },
+                query: {
+                    staking: {
+                        // only the stake at the block, the nominator has unbonded since
+                        ledger: {
+                            at: async hash => hash == blockHash
+                                ? { isSome: true, unwrap: () => ({ stash: stashAddress, active: { toBigInt: () => BigInt(5e12) } }) }
+                                : { isSome: false }
+                        }
+                    },
+                    session: {
+                        nextKeys: {
+                            at: async () => ({ isSome: true, unwrap: () => ({ toHex: () => appliedKeys }) })
+                        }
+                    }
+                },
+                on: () => {},
+                disconnect: async () => {}
+            };
+            sinon.stub(Polkadot, 'createAPI').resolves(api);
+            await Polkadot.connectPolkadot(kusama);
+        });
+
+        afterEach(async () => {
+            await Polkadot.disconnectPolkadot(kusama);
+        });
+
+        it('reports only the batched calls whose change is in the state', async () => {
+            const batchCall = getCall('utility', 'forceBatch', [[getSetKeysCall('0x02'), getSetKeysCall(appliedKeys)]]);
+            extrinsics.push(getSignedExtrinsic(batchCall));
+            const summary = await Polkadot.getBlockSummary(kusama, 100);
+            assert.deepStrictEqual(summary.validatorChanges, [{
+                type: Polkadot.ValidatorChangeType.SESSION_KEYS,
+                address: stashAddress,
+                value: appliedKeys,
+                blockNumber: 100,
+                extrinsicIndex: 0,
+                eventIndex: null
+            }]);
+        });
+
+        it('reads the stake of a nominator at the block', async () => {
+            const nominateCall = getCall('staking', 'nominate', []);
+            nominateCall.humanArgs = { targets: [{ Id: kusamaAddress }] };
+            extrinsics.push(getSignedExtrinsic(nominateCall));
+            const summary = await Polkadot.getBlockSummary(kusama, 100);
+            assert.strictEqual(summary.nominations.length, 1);
+            assert.strictEqual(summary.nominations[0].activeStake, 5);
+            assert.deepStrictEqual(summary.nominations[0].validatorAddresses, [kusamaAddress]);
+        });
+    });
+});
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+
+const Prices = require('../modules/prices');
+const config = require('../modules/config').config;
+
+describe('prices', () => {
+    const csv = 'date,KSM,DOT\n2022-08-01,50.5,8.25\n2022-08-10,48.75,\n';
+    let filePath;
+
+    beforeEach(() => {
+        filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'prices-')), 'prices.csv');
+        fs.writeFileSync(filePath, csv);
+        sinon.stub(config, 'priceFilePath').value(filePath);
+    });
+
+    it('parses the CSV and JSON price files', () => {
+        const prices = { KSM: { '2022-08-01': 50.5, '2022-08-10': 48.75 }, DOT: { '2022-08-01': 8.25 } };
+        assert.deepStrictEqual(Prices.parsePriceFile(csv, false), prices);
+        assert.deepStrictEqual(Prices.parsePriceFile(JSON.stringify(prices), true), prices);
+        assert.throws(() => Prices.parsePriceFile('day,KSM\n2022-08-01,1', false), /"date"/);
+        assert.throws(() => Prices.parsePriceFile('date,KSM\n2022-08-01,abc', false), /Invalid KSM price/);
+    });
+
+    it('takes the price of the latest day up to a week back', () => {
+        const getPrice = Prices.getPriceSource('ksm');
+        assert.strictEqual(getPrice(Date.parse('2022-08-10T23:00:00Z')), 48.75);
+        assert.strictEqual(getPrice(Date.parse('2022-08-08T00:00:00Z')), 50.5);
+        assert.strictEqual(getPrice(Date.parse('2022-08-09T00:00:00Z')), null);
+        assert.strictEqual(getPrice(Date.parse('2022-07-31T00:00:00Z')), null);
+        assert.strictEqual(Prices.getPriceSource('DOT')(Date.parse('2022-08-10T00:00:00Z')), null);
+    });
+
+    it('has no price source without a readable price file', () => {
+        sinon.stub(config, 'priceFilePath').value(undefined);
+        assert.strictEqual(Prices.isConfigured(), false);
+        assert.strictEqual(Prices.getPriceSource('KSM'), null);
+        sinon.restore();
+        sinon.stub(config, 'priceFilePath').value(path.join(os.tmpdir(), 'missing-prices.csv'));
+        assert.strictEqual(Prices.getPriceSource('KSM'), null);
+    });
+});
@@ -0,0 +1,134 @@
+const assert = require('assert');
+
+const RewardsReport = require('../modules/rewards-report');
+const getNetwork = require('../modules/config').getNetwork;
+
+describe('rewards-report', () => {
+    const kusama = getNetwork('kusama');
+    const polkadot = getNetwork('polkadot');
+    const Granularity = RewardsReport.Granularity;
+
+    const createReward = (date, amount, era) => {
+        return { timestamp: Date.parse(date), amount: amount, era: era };
+    };
+    const getLabels = report => report.groups.map(group => group.label);
+
+    describe('parseArgs', () => {
+        it('separates the options from the address or validator name', () => {
+            const parsed = RewardsReport.parseArgs('My Validator 2022-01-01..2022-06-30 Weekly fiat utc table');
+            assert.strictEqual(parsed.target, 'My Validator');
+            assert.deepStrictEqual(parsed.options, {
+                range: { from: '2022-01-01', to: '2022-06-30' },
+                granularity: Granularity.WEEKLY,
+                useUTC: true,
+                showFiat: true,
+                asTable: true
+            });
+            assert.deepStrictEqual(RewardsReport.parseArgs(''), {
+                target: '',
+                options: RewardsReport.getDefaultOptions()
+            });
+        });
+
+        it('parses the open and relative ranges', () => {
+            assert.deepStrictEqual(RewardsReport.parseArgs('2022-01-01..').options.range, { from: '2022-01-01', to: null });
+            assert.deepStrictEqual(RewardsReport.parseArgs('..2022-06-30').options.range, { from: null, to: '2022-06-30' });
+            assert.deepStrictEqual(RewardsReport.parseArgs('30d era').options.range, { last: 30, unit: 'd' });
+            assert.strictEqual(RewardsReport.parseArgs('6m').options.range.unit, 'm');
+        });
+
+        it('rejects invalid ranges', () => {
+            assert.strictEqual(RewardsReport.parseArgs('2022-02-30..').error, '2022-02-30 is not a valid date.');
+            assert.strictEqual(
+                RewardsReport.parseArgs('2022-06-30..2022-01-01').error,
+                'The start of the range is after its end.'
+            );
+            assert.ok(RewardsReport.parseArgs('0d').error);
+        });
+    });
+
+    describe('getPeriod', () => {
+        const now = Date.parse('2022-08-10T12:00:00Z');
+
+        it('includes the last day of the range in the timezone', () => {
+            assert.deepStrictEqual(
+                RewardsReport.getPeriod({ from: '2022-01-01', to: '2022-06-30' }, 'Europe/Istanbul', now),
+                { from: Date.parse('2021-12-31T21:00:00Z'), to: Date.parse('2022-06-30T21:00:00Z') }
+            );
+            assert.deepStrictEqual(
+                RewardsReport.getPeriod({ from: null, to: '2022-06-30' }, 'UTC', now),
+                { from: null, to: Date.parse('2022-07-01T00:00:00Z') }
+            );
+            assert.deepStrictEqual(RewardsReport.getPeriod(null, 'UTC', now), { from: null, to: null });
+        });
+
+        it('counts the relative ranges back from now', () => {
+            assert.deepStrictEqual(
+                RewardsReport.getPeriod({ last: 2, unit: 'w' }, 'UTC', now),
+                { from: Date.parse('2022-07-27T12:00:00Z'), to: null }
+            );
+            assert.strictEqual(RewardsReport.getRangeText({ last: 1, unit: 'm' }), 'last 1 month');
+            assert.strictEqual(RewardsReport.getRangeText({ from: '2022-01-01', to: null }), 'since 2022-01-01');
+        });
+    });
+
+    describe('groupRewards', () => {
+        it('sums the rewards of each month in tokens', () => {
+            const rewards = [
+                createReward('2022-01-03T10:00:00Z', '1500000000000'),
+                createReward('2022-01-31T23:59:59Z', '500000000000'),
+                createReward('2022-02-01T00:00:00Z', '250000000000'),
+                createReward('2023-01-15T00:00:00Z', '1000000000000')
+            ];
+            const report = RewardsReport.groupRewards(rewards, kusama, Granularity.MONTHLY, 'UTC');
+            assert.deepStrictEqual(report.groups, [
+                { label: 'Jan 22', amount: 2, fiatAmount: null },
+                { label: 'Feb 22', amount: 0.25, fiatAmount: null },
+                { label: 'Jan 23', amount: 1, fiatAmount: null }
+            ]);
+            assert.strictEqual(report.total, 3.25);
+            assert.strictEqual(report.fiatTotal, null);
+        });
+
+        it('uses the token decimals of the network', () => {
+            const rewards = [createReward('2022-05-10T00:00:00Z', '25000000000')];
+            assert.strictEqual(RewardsReport.groupRewards(rewards, polkadot, Granularity.MONTHLY, 'UTC').total, 2.5);
+        });
+
+        it('groups by the periods of the timezone', () => {
+            const rewards = [createReward('2022-01-31T22:30:00Z', '1000000000000')];
+            const group = (granularity, timezone) => getLabels(RewardsReport.groupRewards(rewards, kusama, granularity, timezone));
+            assert.deepStrictEqual(group(Granularity.MONTHLY, 'Europe/Istanbul'), ['Feb 22']);
+            assert.deepStrictEqual(group(Granularity.MONTHLY, 'UTC'), ['Jan 22']);
+            assert.deepStrictEqual(group(Granularity.DAILY, 'Europe/Istanbul'), ['2022-02-01']);
+            // Monday of the week
+            assert.deepStrictEqual(group(Granularity.WEEKLY, 'UTC'), ['2022-01-31']);
+            assert.deepStrictEqual(group(Granularity.YEARLY, 'UTC'), ['2022']);
+        });
+
+        it('groups by era, the rewards without one together', () => {
+            const rewards = [
+                createReward('2022-01-01T00:00:00Z', '1000000000000', null),
+                createReward('2022-01-02T00:00:00Z', '1000000000000', 3001),
+                createReward('2022-01-02T00:01:00Z', '1000000000000', 3001),
+                createReward('2022-01-02T06:00:00Z', '1000000000000', 3002)
+            ];
+            const report = RewardsReport.groupRewards(rewards, kusama, Granularity.ERA, 'UTC');
+            assert.deepStrictEqual(getLabels(report), ['Unknown era', 'Era 3001', 'Era 3002']);
+            assert.strictEqual(report.groups[1].amount, 2);
+        });
+
+        it('values the rewards at the price of their time, counting the ones without a price', () => {
+            const rewards = [
+                createReward('2022-01-03T10:00:00Z', '1000000000000'),
+                createReward('2022-01-04T10:00:00Z', '2000000000000'),
+                createReward('2022-02-01T00:00:00Z', '1000000000000')
+            ];
+            const getPrice = timestamp => timestamp < Date.parse('2022-02-01T00:00:00Z') ? 10 : null;
+            const report = RewardsReport.groupRewards(rewards, kusama, Granularity.MONTHLY, 'UTC', getPrice);
+            assert.deepStrictEqual(report.groups.map(group => group.fiatAmount), [30, 0]);
+            assert.strictEqual(report.fiatTotal, 30);
+            assert.strictEqual(report.unpricedCount, 1);
+        });
+    });
+});
@@ -0,0 +1,719 @@
+/**
+ * In-memory stand-in for the MongoDB driver client, so that the data layer can be
+ * tested without a database server. It implements the part of the driver 3.x API
+ * that the bot uses, with the same result objects (e.g. `result.result.ok` and `n`).
+ * Like the driver, it returns `Long` values as numbers.
+ */
+const { Long, ObjectID } = require('mongodb');
+
+// database name -> collection name -> collection
+let databases = {};
+
+function isPlainObject(value) {
+    return value !== null
+        && typeof value === 'object'
+        && !Array.isArray(value)
+        && !(value instanceof Date)
+        && !(value instanceof ObjectID)
+        && !(value instanceof RegExp);
+}
+
+/**
+ * Deep copies a value as it would be stored and read back.
+ */
+function copy(value) {
+    if (value instanceof Long) {
+        return value.toNumber();
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (value instanceof ObjectID || value instanceof RegExp) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(copy);
+    }
+    if (isPlainObject(value)) {
+        const result = {};
+        for (let key of Object.keys(value)) {
+            if (typeof value[key] !== 'undefined') {
+                result[key] = copy(value[key]);
+            }
+        }
+        return result;
+    }
+    return value;
+}
+
+function normalize(value) {
+    if (value instanceof Long) {
+        return value.toNumber();
+    }
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    if (value instanceof ObjectID) {
+        return value.toHexString();
+    }
+    return value;
+}
+
+function isEqual(a, b) {
+    a = normalize(a);
+    b = normalize(b);
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length == b.length && a.every((item, index) => isEqual(item, b[index]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length == Object.keys(b).length
+            && keys.every(key => isEqual(a[key], b[key]));
+    }
+    return a === b;
+}
+
+/**
+ * Null in a query also matches missing fields.
+ */
+function isEqualOrMissing(value, operand) {
+    if (operand === null && (value === undefined || value === null)) {
+        return true;
+    }
+    return isEqual(value, operand);
+}
+
+function compare(a, b) {
+    a = normalize(a);
+    b = normalize(b);
+    if (a === b) {
+        return 0;
+    }
+    if (a === undefined || a === null) {
+        return -1;
+    }
+    if (b === undefined || b === null) {
+        return 1;
+    }
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Values at the dotted path, arrays on the way are traversed like MongoDB does.
+ */
+function getValues(document, path) {
+    let values = [document];
+    for (let key of path.split('.')) {
+        const next = [];
+        for (let value of values) {
+            if (Array.isArray(value) && !/^\d+$/.test(key)) {
+                for (let item of value) {
+                    if (isPlainObject(item) && key in item) {
+                        next.push(item[key]);
+                    }
+                }
+            } else if (value !== null && typeof value === 'object' && key in value) {
+                next.push(value[key]);
+            }
+        }
+        values = next;
+    }
+    return values;
+}
+
+function isOperatorObject(value) {
+    return isPlainObject(value)
+        && Object.keys(value).length > 0
+        && Object.keys(value).every(key => key.startsWith('$'));
+}
+
+/**
+ * Whether the value itself or, for arrays, any of its items satisfies the check.
+ */
+function anyValue(value, check) {
+    if (check(value)) {
+        return true;
+    }
+    return Array.isArray(value) && value.some(item => check(item));
+}
+
+function matchesOperator(values, operator, operand, condition) {
+    const exists = values.length > 0;
+    const candidates = exists ? values : [undefined];
+    switch (operator) {
+        case '$eq':
+            return candidates.some(value => anyValue(value, item => isEqualOrMissing(item, operand)));
+        case '$ne':
+            return !candidates.some(value => anyValue(value, item => isEqualOrMissing(item, operand)));
+        case '$gt':
+            return values.some(value => anyValue(value, item => item !== undefined && item !== null && compare(item, operand) > 0));
+        case '$gte':
+            return values.some(value => anyValue(value, item => item !== undefined && item !== null && compare(item, operand) >= 0));
+        case '$lt':
+            return values.some(value => anyValue(value, item => item !== undefined && item !== null && compare(item, operand) < 0));
+        case '$lte':
+            return values.some(value => anyValue(value, item => item !== undefined && item !== null && compare(item, operand) <= 0));
+        case '$in':
+            return candidates.some(value => operand.some(
+                other => anyValue(value, item => isEqual(item, other))
+            ));
+        case '$nin':
+            return !candidates.some(value => operand.some(
+                other => anyValue(value, item => isEqual(item, other))
+            ));
+        case '$exists':
+            return exists == Boolean(operand);
+        case '$regex': {
+            const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+            return values.some(value => anyValue(value, item => typeof item === 'string' && regex.test(item)));
+        }
+        case '$options':
+            return true;
+        case '$size':
+            return values.some(value => Array.isArray(value) && value.length == operand);
+        case '$elemMatch':
+            return values.some(value => Array.isArray(value) && value.some(item => {
+                if (isOperatorObject(operand)) {
+                    return matchesCondition([item], operand);
+                }
+                return isPlainObject(item) && matches(item, operand);
+            }));
+        case '$not':
+            return !matchesCondition(values, operand);
+        default:
+            throw new Error(`Unsupported query operator ${operator}.`);
+    }
+}
+
+function matchesCondition(values, condition) {
+    if (condition instanceof RegExp) {
+        return matchesOperator(values, '$regex', condition, {});
+    }
+    if (isOperatorObject(condition)) {
+        return Object.keys(condition).every(
+            operator => matchesOperator(values, operator, condition[operator], condition)
+        );
+    }
+    return matchesOperator(values, '$eq', condition, {});
+}
+
+function matchesText(collection, document, text) {
+    if (collection.textFields.length == 0) {
+        throw new Error('text index required for $text query');
+    }
+    let search = text.$search;
+    const isPhrase = /^".*"$/.test(search);
+    search = isPhrase ? search.slice(1, -1).replace(/\\"/g, '"') : search;
+    const caseSensitive = Boolean(text.$caseSensitive);
+    const normalizeText = value => caseSensitive ? value : value.toLowerCase();
+    const terms = isPhrase ? [search] : search.split(/\s+/).filter(term => term.length > 0);
+    return collection.textFields.some(field => getValues(document, field).some(value => {
+        return typeof value === 'string'
+            && terms.some(term => normalizeText(value).includes(normalizeText(term)));
+    }));
+}
+
+function matches(document, query, collection) {
+    for (let key of Object.keys(query || {})) {
+        const condition = query[key];
+        if (key == '$and') {
+            if (!condition.every(subQuery => matches(document, subQuery, collection))) {
+                return false;
+            }
+        } else if (key == '$or') {
+            if (!condition.some(subQuery => matches(document, subQuery, collection))) {
+                return false;
+            }
+        } else if (key == '$nor') {
+            if (condition.some(subQuery => matches(document, subQuery, collection))) {
+                return false;
+            }
+        } else if (key == '$text') {
+            if (!matchesText(collection, document, condition)) {
+                return false;
+            }
+        } else if (!matchesCondition(getValues(document, key), condition)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function setValue(document, path, value) {
+    const keys = path.split('.');
+    let target = document;
+    for (let key of keys.slice(0, -1)) {
+        if (target[key] === null || typeof target[key] !== 'object') {
+            target[key] = {};
+        }
+        target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+}
+
+function unsetValue(document, path) {
+    const keys = path.split('.');
+    let target = document;
+    for (let key of keys.slice(0, -1)) {
+        if (target[key] === null || typeof target[key] !== 'object') {
+            return;
+        }
+        target = target[key];
+    }
+    delete target[keys[keys.length - 1]];
+}
+
+function getValue(document, path) {
+    return path.split('.').reduce(
+        (value, key) => (value !== null && typeof value === 'object') ? value[key] : undefined,
+        document
+    );
+}
+
+function applyUpdate(document, update, isInsert) {
+    const hasOperators = Object.keys(update).some(key => key.startsWith('$'));
+    if (!hasOperators) {
+        const replacement = copy(update);
+        replacement._id = document._id;
+        return replacement;
+    }
+    for (let operator of Object.keys(update)) {
+        const fields = update[operator];
+        for (let path of Object.keys(fields)) {
+            const operand = fields[path];
+            switch (operator) {
+                case '$set':
+                    setValue(document, path, copy(operand));
+                    break;
+                case '$setOnInsert':
+                    if (isInsert) {
+                        setValue(document, path, copy(operand));
+                    }
+                    break;
+                case '$unset':
+                    unsetValue(document, path);
+                    break;
+                case '$inc':
+                    setValue(document, path, (getValue(document, path) || 0) + operand);
+                    break;
+                case '$max': {
+                    const current = getValue(document, path);
+                    if (current === undefined || compare(operand, current) > 0) {
+                        setValue(document, path, copy(operand));
+                    }
+                    break;
+                }
+                case '$min': {
+                    const current = getValue(document, path);
+                    if (current === undefined || compare(operand, current) < 0) {
+                        setValue(document, path, copy(operand));
+                    }
+                    break;
+                }
+                case '$push':
+                case '$addToSet': {
+                    const array = getValue(document, path) || [];
+                    const items = (isPlainObject(operand) && operand.$each) ? operand.$each : [operand];
+                    for (let item of items) {
+                        if (operator == '$push' || !array.some(other => isEqual(other, item))) {
+                            array.push(copy(item));
+                        }
+                    }
+                    if (isPlainObject(operand) && typeof operand.$slice === 'number') {
+                        array.splice(0, Math.max(0, array.length + Math.min(operand.$slice, 0)));
+                        if (operand.$slice > 0) {
+                            array.splice(operand.$slice);
+                        }
+                    }
+                    setValue(document, path, array);
+                    break;
+                }
+                case '$pull': {
+                    const array = getValue(document, path);
+                    if (Array.isArray(array)) {
+                        setValue(document, path, array.filter(item => {
+                            if (isOperatorObject(operand)) {
+                                return !matchesCondition([item], operand);
+                            }
+                            if (isPlainObject(operand) && isPlainObject(item)) {
+                                return !matches(item, operand);
+                            }
+                            return !isEqual(item, operand);
+                        }));
+                    }
+                    break;
+                }
+                default:
+                    throw new Error(`Unsupported update operator ${operator}.`);
+            }
+        }
+    }
+    return document;
+}
+
+/**
+ * Fields of an equality query, the base of an upserted document.
+ */
+function getEqualityFields(query) {
+    const document = {};
+    for (let key of Object.keys(query || {})) {
+        if (!key.startsWith('$') && !isOperatorObject(query[key])) {
+            setValue(document, key, copy(query[key]));
+        }
+    }
+    return document;
+}
+
+function sortDocuments(documents, sort) {
+    const keys = Object.keys(sort || {});
+    if (keys.length == 0) {
+        return documents;
+    }
+    return documents.slice().sort((a, b) => {
+        for (let key of keys) {
+            const result = compare(getValue(a, key), getValue(b, key));
+            if (result != 0) {
+                return result * sort[key];
+            }
+        }
+        return 0;
+    });
+}
+
+function project(document, projection) {
+    const keys = Object.keys(projection || {}).filter(key => key != '_id');
+    if (keys.length == 0) {
+        if (projection && projection._id === 0) {
+            const result = copy(document);
+            delete result._id;
+            return result;
+        }
+        return copy(document);
+    }
+    const isInclusion = keys.some(key => projection[key]);
+    let result;
+    if (isInclusion) {
+        result = {};
+        for (let key of keys) {
+            const value = getValue(document, key);
+            if (typeof value !== 'undefined') {
+                setValue(result, key, copy(value));
+            }
+        }
+        if (projection._id !== 0) {
+            result._id = document._id;
+        }
+    } else {
+        result = copy(document);
+        for (let key of keys) {
+            unsetValue(result, key);
+        }
+        if (projection._id === 0) {
+            delete result._id;
+        }
+    }
+    return result;
+}
+
+class InMemoryCursor {
+    constructor(getDocuments, options) {
+        options = options || {};
+        this.getDocuments = getDocuments;
+        this.sortSpec = options.sort;
+        this.skipCount = options.skip || 0;
+        this.limitCount = options.limit || 0;
+        this.projection = options.projection;
+    }
+
+    sort(sort) {
+        this.sortSpec = sort;
+        return this;
+    }
+
+    skip(count) {
+        this.skipCount = count;
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    project(projection) {
+        this.projection = projection;
+        return this;
+    }
+
+    async toArray() {
+        let documents = sortDocuments(this.getDocuments(), this.sortSpec).slice(this.skipCount);
+        if (this.limitCount > 0) {
+            documents = documents.slice(0, this.limitCount);
+        }
+        return documents.map(document => project(document, this.projection));
+    }
+
+    async count() {
+        return this.getDocuments().length;
+    }
+
+    async forEach(iterator) {
+        for (let document of await this.toArray()) {
+            iterator(document);
+        }
+    }
+}
+
+class InMemoryCollection {
+    constructor(name) {
+        this.collectionName = name;
+        this.documents = [];
+        this.textFields = [];
+        this.indexes = [];
+    }
+
+    filter(query) {
+        return this.documents.filter(document => matches(document, query, this));
+    }
+
+    find(query, options) {
+        return new InMemoryCursor(() => this.filter(query), options);
+    }
+
+    async findOne(query, options) {
+        const documents = await this.find(query, options).limit(1).toArray();
+        return documents.length > 0 ? documents[0] : null;
+    }
+
+    async countDocuments(query) {
+        return this.filter(query).length;
+    }
+
+    async count(query) {
+        return this.countDocuments(query);
+    }
+
+    async distinct(key, query) {
+        const values = [];
+        for (let document of this.filter(query)) {
+            for (let value of getValues(document, key)) {
+                for (let item of (Array.isArray(value) ? value : [value])) {
+                    if (!values.some(other => isEqual(other, item))) {
+                        values.push(item);
+                    }
+                }
+            }
+        }
+        return values;
+    }
+
+    insert(document) {
+        const stored = copy(document);
+        if (typeof stored._id === 'undefined') {
+            stored._id = new ObjectID();
+        }
+        // the driver sets the id on the given document
+        document._id = stored._id;
+        this.checkUniqueIndexes(stored);
+        this.documents.push(stored);
+        return stored;
+    }
+
+    checkUniqueIndexes(document, ignored) {
+        for (let index of this.indexes.filter(index => index.unique)) {
+            const keys = Object.keys(index.keys);
+            const duplicate = this.documents.find(other => {
+                return other !== ignored && keys.every(
+                    key => isEqual(getValue(other, key), getValue(document, key))
+                );
+            });
+            if (duplicate) {
+                const error = new Error(`E11000 duplicate key error collection: ${this.collectionName}`);
+                error.code = 11000;
+                throw error;
+            }
+        }
+    }
+
+    async insertOne(document) {
+        const stored = this.insert(document);
+        return {
+            result: { ok: 1, n: 1 },
+            insertedCount: 1,
+            insertedId: stored._id,
+            ops: [copy(stored)]
+        };
+    }
+
+    async insertMany(documents) {
+        const stored = documents.map(document => this.insert(document));
+        const insertedIds = {};
+        stored.forEach((document, index) => { insertedIds[index] = document._id; });
+        return {
+            result: { ok: 1, n: stored.length },
+            insertedCount: stored.length,
+            insertedIds: insertedIds,
+            ops: stored.map(copy)
+        };
+    }
+
+    update(query, update, options, isMulti) {
+        options = options || {};
+        let documents = this.filter(query);
+        if (!isMulti) {
+            documents = documents.slice(0, 1);
+        }
+        let modifiedCount = 0;
+        for (let document of documents) {
+            const before = copy(document);
+            const updated = applyUpdate(copy(document), update, false);
+            this.checkUniqueIndexes(updated, document);
+            if (!isEqual(before, updated)) {
+                modifiedCount++;
+            }
+            this.documents[this.documents.indexOf(document)] = updated;
+        }
+        if (documents.length == 0 && options.upsert) {
+            const inserted = this.insert(applyUpdate(getEqualityFields(query), update, true));
+            return {
+                result: { ok: 1, n: 1, nModified: 0, upserted: [{ index: 0, _id: inserted._id }] },
+                matchedCount: 0,
+                modifiedCount: 0,
+                upsertedCount: 1,
+                upsertedId: { index: 0, _id: inserted._id }
+            };
+        }
+        return {
+            result: { ok: 1, n: documents.length, nModified: modifiedCount },
+            matchedCount: documents.length,
+            modifiedCount: modifiedCount,
+            upsertedCount: 0,
+            upsertedId: null
+        };
+    }
+
+    async updateOne(query, update, options) {
+        return this.update(query, update, options, false);
+    }
+
+    async updateMany(query, update, options) {
+        return this.update(query, update, options, true);
+    }
+
+    async replaceOne(query, replacement, options) {
+        return this.update(query, replacement, options, false);
+    }
+
+    async findOneAndUpdate(query, update, options) {
+        options = options || {};
+        const before = await this.findOne(query, { sort: options.sort });
+        const target = before
+            ? { _id: before._id }
+            : query;
+        const result = this.update(target, update, options, false);
+        let value = before;
+        if (options.returnOriginal === false || options.returnDocument == 'after') {
+            const id = before ? before._id : (result.upsertedId ? result.upsertedId._id : null);
+            value = id ? await this.findOne({ _id: id }) : null;
+        }
+        return { ok: 1, value: value };
+    }
+
+    delete(query, isMulti) {
+        let documents = this.filter(query);
+        if (!isMulti) {
+            documents = documents.slice(0, 1);
+        }
+        this.documents = this.documents.filter(document => !documents.includes(document));
+        return {
+            result: { ok: 1, n: documents.length },
+            deletedCount: documents.length
+        };
+    }
+
+    async deleteOne(query) {
+        return this.delete(query, false);
+    }
+
+    async deleteMany(query) {
+        return this.delete(query, true);
+    }
+
+    async findOneAndDelete(query, options) {
+        const document = await this.findOne(query, options);
+        if (document) {
+            this.delete({ _id: document._id }, false);
+        }
+        return { ok: 1, value: document };
+    }
+
+    async createIndex(keys, options) {
+        options = options || {};
+        for (let key of Object.keys(keys)) {
+            if (keys[key] == 'text' && !this.textFields.includes(key)) {
+                this.textFields.push(key);
+            }
+        }
+        const name = options.name || Object.keys(keys).map(key => `${key}_${keys[key]}`).join('_');
+        if (!this.indexes.find(index => index.name == name)) {
+            this.indexes.push({ name: name, keys: keys, unique: Boolean(options.unique) });
+        }
+        return name;
+    }
+
+    async drop() {
+        this.documents = [];
+        this.textFields = [];
+        this.indexes = [];
+        return true;
+    }
+}
+
+class InMemoryDb {
+    constructor(name) {
+        this.databaseName = name;
+        databases[name] = databases[name] || {};
+    }
+
+    collection(name) {
+        const collections = databases[this.databaseName] = databases[this.databaseName] || {};
+        if (!collections[name]) {
+            collections[name] = new InMemoryCollection(name);
+        }
+        return collections[name];
+    }
+
+    async dropDatabase() {
+        delete databases[this.databaseName];
+        return true;
+    }
+}
+
+class InMemoryMongoClient {
+    constructor(url, options) {
+        this.url = url;
+        this.options = options;
+    }
+
+    async connect() {
+        return this;
+    }
+
+    db(name) {
+        return new InMemoryDb(name);
+    }
+
+    async close() {
+    }
+
+    /**
+     * Drops all databases, e.g. between tests.
+     */
+    static reset() {
+        databases = {};
+    }
+}
+
+module.exports = {
+    InMemoryMongoClient: InMemoryMongoClient
+};
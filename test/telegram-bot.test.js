@@ -0,0 +1,1437 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const cron = require('node-cron');
+
+const TelegramBot = require('../modules/telegram-bot');
+const Messaging = require('../modules/messaging');
+const MessageQueue = require('../modules/message-queue');
+const TelegramWebhook = require('../modules/telegram-webhook');
+const Chart = require('../modules/chart');
+const Data = require('../modules/data');
+const MongoDB = require('../modules/mongodb');
+const Polkadot = require('../modules/polkadot');
+const config = require('../modules/config').config;
+const getNetwork = require('../modules/config').getNetwork;
+const { createCandidatesAPIServer } = require('../mock/candidates-api');
+const telegram = require('./hooks').telegram;
+
+const kusamaStash = 'GC8fuEZG4E5epGf5KGXtcDfvrc6HXE7GJ5YnbiqSpqdQYLg';
+
+// notifications go through the outbound queue, which isn't started in these tests
+async function getQueuedMessages() {
+    const outboundMessageCollection = await MongoDB.getOutboundMessageCollection();
+    return await outboundMessageCollection.find({}).sort({ createdAt: 1, _id: 1 }).toArray();
+}
+
+async function getLastQueuedText(chatId) {
+    const messages = (await getQueuedMessages()).filter(message => message.chatId == chatId);
+    return messages.length > 0 ? messages[messages.length - 1].payload.text : null;
+}
+
+function sendText(text, chatId) {
+    return TelegramBot.processTelegramUpdate({
+        update_id: 1,
+        message: { message_id: 10, chat: { id: chatId || 1001 }, text: text }
+    });
+}
+
+async function clearQueue() {
+    const outboundMessageCollection = await MongoDB.getOutboundMessageCollection();
+    await outboundMessageCollection.deleteMany({});
+}
+
+describe('telegram-bot', () => {
+    const kusama = getNetwork('kusama');
+
+    describe('updateValidator', () => {
+        let candidatesAPI;
+        let validator;
+
+        before(async () => {
+            candidatesAPI = createCandidatesAPIServer();
+            await candidatesAPI.start();
+        });
+
+        beforeEach(async () => {
+            candidatesAPI.reset();
+            sinon.replace(kusama, 'w3fBaseURL', candidatesAPI.getBaseURL());
+            sinon.stub(Polkadot, 'getIsActiveInSet').resolves(true);
+            sinon.stub(Polkadot, 'getCommission').resolves('3.00%');
+            sinon.stub(Polkadot, 'getSessionKeys').resolves('0x1234567890abcdef1234');
+            sinon.stub(Polkadot, 'getControllerAddress').resolves(kusamaStash);
+            sinon.stub(Polkadot, 'getCurrentEra').resolves(3000);
+            sinon.stub(Polkadot, 'getActiveStakesForEra').resolves({ totalStake: 12.5, stakes: [] });
+            await Data.createChat(1001);
+            await Data.createChat(1002);
+            const fetchResult = await Data.fetchValidator(kusama, kusamaStash);
+            validator = await Data.persistValidator(kusama, fetchResult.validator, 1001);
+            await Data.updateValidatorChatIds(validator, [1001, 1002]);
+            validator = await Data.getValidatorByStashAddress(kusama, kusamaStash);
+            await Data.saveRankChange(kusama, kusamaStash, validator.rank);
+        });
+
+        after(async () => {
+            await candidatesAPI.stop();
+        });
+
+        async function update() {
+            await TelegramBot.updateValidator(kusama, validator);
+            return await Data.getValidatorByStashAddress(kusama, kusamaStash);
+        }
+
+        it('sends nothing when nothing has changed', async () => {
+            const updated = await update();
+            assert.deepStrictEqual(await getQueuedMessages(), []);
+            assert.ok(updated.lastUpdated >= validator.lastUpdated);
+        });
+
+        it('notifies every chat of a rank change and records it', async () => {
+            candidatesAPI.updateCandidate(kusamaStash, { rank: 45 });
+            const updated = await update();
+            assert.strictEqual(updated.rank, 45);
+            const messages = await getQueuedMessages();
+            assert.deepStrictEqual(messages.map(message => message.chatId), [1001, 1002]);
+            assert.ok(messages[0].payload.text.includes('📈 rank has increased from 42 to 45'));
+            assert.strictEqual(await Data.getRankHistoryCount(kusama, kusamaStash), 2);
+
+            candidatesAPI.updateCandidate(kusamaStash, { rank: 40 });
+            validator = updated;
+            await clearQueue();
+            await update();
+            assert.ok((await getLastQueuedText(1001)).includes('📉 rank has decreased from 45 to 40'));
+            assert.strictEqual(await Data.getRankHistoryCount(kusama, kusamaStash), 3);
+        });
+
+        it('saves the changes of a type with a digest period for the digest', async () => {
+            await Data.setChatNotificationSetting(1001, 'rankChangeNotificationPeriod', Data.NotificationPeriod.HALF_ERA);
+            candidatesAPI.updateCandidate(kusamaStash, { rank: 47 });
+            await update();
+            assert.strictEqual(await getLastQueuedText(1001), null);
+            assert.ok((await getLastQueuedText(1002)).includes('rank has increased'));
+            const notifications = await Data.getPendingNotificationsForChat(kusama, 1001);
+            assert.deepStrictEqual(
+                notifications.map(notification => [notification.type, notification.data]),
+                [['rankChange', { oldRank: 42, newRank: 47 }]]
+            );
+        });
+
+        it('leaves out the changes under the thresholds of the chat rules', async () => {
+            await Data.setNotificationRule(1001, 'rank-drop', 5, null);
+            await Data.setNotificationRule(1001, 'commission-change', 2, 'kusama');
+            candidatesAPI.updateCandidate(kusamaStash, { rank: 40 });
+            Polkadot.getCommission.resolves('4.00%');
+            await update();
+            const messages = await getQueuedMessages();
+            assert.deepStrictEqual(messages.map(message => message.chatId), [1002]);
+            assert.ok(messages[0].payload.text.includes('📉 rank has decreased from 42 to 40'));
+            assert.ok(messages[0].payload.text.includes('💵 new commission rate is 4.00%'));
+
+            candidatesAPI.updateCandidate(kusamaStash, { rank: 30, location: 'Berlin' });
+            validator = await Data.getValidatorByStashAddress(kusama, kusamaStash);
+            await clearQueue();
+            await update();
+            const text = await getLastQueuedText(1001);
+            assert.ok(text.includes('📉 rank has decreased from 40 to 30'));
+            assert.ok(text.includes('🌏 is now located in Berlin'));
+        });
+
+        it('alerts the chats with an active stake rule when the active stake is under the threshold', async () => {
+            await Data.setNotificationRule(1001, 'active-stake', 20, null);
+            await Data.setNotificationRule(1002, 'active-stake', 10, 'kusama');
+            await Data.setNotificationRule(1002, 'active-stake', 50, 'polkadot');
+            await TelegramBot.checkActiveStakeRules(kusama);
+            const messages = await getQueuedMessages();
+            assert.deepStrictEqual(messages.map(message => message.chatId), [1001]);
+            assert.ok(messages[0].payload.text.includes('active stake of *12.5000 KSM* this era, under the *20.0000 KSM*'));
+            assert.strictEqual(Polkadot.getActiveStakesForEra.callCount, 1);
+        });
+
+        it('lists the reasons when the validator becomes invalid', async () => {
+            candidatesAPI.setValidity(kusamaStash, 'IDENTITY', false, 'Has no identity');
+            candidatesAPI.setValidity(kusamaStash, 'COMMISION', false, 'Commission is too high');
+            const updated = await update();
+            assert.strictEqual(updated.isValid, false);
+            assert.strictEqual(updated.invalidityReasons, 'Has no identity, Commission is too high');
+            const text = (await getLastQueuedText(1001));
+            assert.ok(text.includes('❌ has become an invalid 1KV validator:'));
+            assert.ok(text.includes('\n- Has no identity\n- Commission is too high'));
+
+            candidatesAPI.setValidity(kusamaStash, 'IDENTITY', true);
+            candidatesAPI.setValidity(kusamaStash, 'COMMISION', true);
+            validator = updated;
+            await clearQueue();
+            assert.strictEqual((await update()).isValid, true);
+            assert.ok((await getLastQueuedText(1001)).includes('✅ is now a valid 1KV validator'));
+            const validityHistory = await Data.getValidityHistory(kusama, kusamaStash);
+            assert.deepStrictEqual(validityHistory.map(change => change.isValid), [false, true]);
+        });
+
+        it('updates the invalidity reasons of an invalid validator silently', async () => {
+            candidatesAPI.setValidity(kusamaStash, 'IDENTITY', false, 'Has no identity');
+            validator = await update();
+            await clearQueue();
+            candidatesAPI.setValidity(kusamaStash, 'COMMISION', false, 'Commission is too high');
+            const updated = await update();
+            assert.strictEqual(updated.invalidityReasons, 'Has no identity, Commission is too high');
+            assert.deepStrictEqual(await getQueuedMessages(), []);
+        });
+
+        it('notifies when the validator goes offline and comes back online', async () => {
+            candidatesAPI.updateCandidate(kusamaStash, { offlineSince: Date.parse('2022-08-10T12:00:00Z') });
+            validator = await update();
+            assert.ok(validator.offlineSince > 0);
+            assert.ok((await getLastQueuedText(1001)).includes('🔴 went offline on August 10th 2022, 12:00:00'));
+            const incident = (await Data.getOpenOfflineIncidentsForChat(1001))[0];
+            const offlineMessage = (await getQueuedMessages())[0];
+            assert.deepStrictEqual(
+                offlineMessage.payload.reply_markup.inline_keyboard[0][0].callback_data,
+                `{"ackIncident": "${incident._id}"}`
+            );
+
+            candidatesAPI.updateCandidate(kusamaStash, {
+                offlineSince: 0,
+                onlineSince: Date.parse('2022-08-10T13:30:00Z')
+            });
+            await clearQueue();
+            validator = await update();
+            assert.strictEqual(validator.offlineSince, 0);
+            assert.ok((await getLastQueuedText(1001)).includes(
+                '🟢 came back online on August 10th 2022, 13:30:00 after 1 hour 30 minutes offline'
+            ));
+            assert.deepStrictEqual(await Data.getOpenOfflineIncidentsForChat(1001), []);
+            const history = await Data.getAvailabilityHistory(kusama, kusamaStash, new Date(0));
+            assert.deepStrictEqual(history.map(change => [change.isOnline, change.date.toISOString()]), [
+                [false, '2022-08-10T12:00:00.000Z'],
+                [true, '2022-08-10T13:30:00.000Z']
+            ]);
+        });
+
+        it('records the availability of a validator without a record', async () => {
+            await update();
+            const history = await Data.getAvailabilityHistory(kusama, kusamaStash, new Date(0));
+            assert.deepStrictEqual(history.map(change => [change.isOnline, change.date.getTime()]), [[true, 1660000000000]]);
+        });
+
+        it('sends only the critical changes during the quiet hours, dated in the chat timezone', async () => {
+            sinon.useFakeTimers({ now: Date.parse('2022-08-10T23:00:00Z'), toFake: ['Date'] });
+            await Data.setChatTimezone(1001, 'Europe/Istanbul');
+            await Data.setChatQuietHours(1001, { startMins: 0, endMins: 8 * 60 });
+            candidatesAPI.updateCandidate(kusamaStash, { rank: 45 });
+            validator = await update();
+            assert.deepStrictEqual((await getQueuedMessages()).map(message => message.chatId), [1002]);
+            assert.strictEqual((await Data.getHeldNotificationsForChat(1001)).length, 1);
+
+            candidatesAPI.updateCandidate(kusamaStash, { offlineSince: Date.parse('2022-08-10T22:50:00Z') });
+            await clearQueue();
+            await update();
+            assert.ok((await getLastQueuedText(1001)).includes('🔴 went offline on August 11th 2022, 01:50:00'));
+            assert.ok((await getLastQueuedText(1002)).includes('🔴 went offline on August 10th 2022, 22:50:00'));
+        });
+
+        it('notifies when the validator enters the active set', async () => {
+            await Data.updateValidator(validator, { isActiveInSet: false });
+            validator = await Data.getValidatorByStashAddress(kusama, kusamaStash);
+            const updated = await update();
+            assert.strictEqual(updated.isActiveInSet, true);
+            const text = (await getLastQueuedText(1001));
+            assert.ok(text.includes('🚀 is now an active validator'));
+            assert.ok(text.includes('Total active stake *12.5000 KSM*'));
+        });
+
+        it('does not notify of a version change', async () => {
+            candidatesAPI.updateCandidate(kusamaStash, { version: '0.9.27' });
+            const updated = await update();
+            assert.strictEqual(updated.version, '0.9.27');
+            assert.deepStrictEqual(await getQueuedMessages(), []);
+        });
+
+        it('leaves the validator as is when the W3F request fails', async () => {
+            candidatesAPI.setStatus(kusamaStash, 500);
+            const updated = await update();
+            assert.deepStrictEqual(updated.lastUpdated, validator.lastUpdated);
+            assert.deepStrictEqual(await getQueuedMessages(), []);
+        });
+    });
+
+    describe('onFinalizedBlock', () => {
+        const nominator = 'HqRcfhH8VXMhuCk5JXe28WMgDDuW9MVDVNofe1nnTcefVZn';
+        let getBlockSummary;
+        // block summary fields by block number, and block numbers to fail once
+        let blocks;
+        let failingBlockNumbers;
+
+        beforeEach(async () => {
+            sinon.replace(config, 'blockProcessingConcurrency', 4);
+            blocks = {};
+            failingBlockNumbers = [];
+            getBlockSummary = sinon.stub(Polkadot, 'getBlockSummary').callsFake(async (network, blockNumber) => {
+                const index = failingBlockNumbers.indexOf(blockNumber);
+                if (index >= 0) {
+                    failingBlockNumbers.splice(index, 1);
+                    throw new Error('RPC error');
+                }
+                return Object.assign({
+                    blockNumber: blockNumber,
+                    author: nominator,
+                    timestamp: 1660132800000 + blockNumber * 6000,
+                    nominations: [],
+                    chillings: [],
+                    offlineEvents: [],
+                    offences: [],
+                    validatorChanges: [],
+                    rewards: []
+                }, blocks[blockNumber]);
+            });
+            await Data.createChat(1001);
+            await Data.setChatBlockNotificationPeriod(1001, Data.NotificationPeriod.IMMEDIATE);
+            await Data.persistValidator(kusama, {
+                name: 'Test Validator',
+                stash: kusamaStash,
+                controllerAddress: kusamaStash,
+                rank: 42,
+                isValid: true
+            }, 1001);
+        });
+
+        function getProcessedBlockNumbers() {
+            return getBlockSummary.getCalls().map(call => call.args[1]).sort((a, b) => a - b);
+        }
+
+        function getNomination(blockNumber) {
+            return {
+                nominator: nominator,
+                activeStake: 10,
+                validatorAddresses: [kusamaStash],
+                blockNumber: blockNumber,
+                extrinsicIndex: 2
+            };
+        }
+
+        function getReward(blockNumber) {
+            return {
+                blockNumber: blockNumber,
+                timestamp: 1660132800000 + blockNumber * 6000,
+                targetStashAddress: kusamaStash,
+                amount: '1000000000000'
+            };
+        }
+
+        it('starts from the current block on the first run', async () => {
+            await TelegramBot.onFinalizedBlock(kusama, 1000);
+            assert.deepStrictEqual(getProcessedBlockNumbers(), [1000]);
+            assert.strictEqual(await Data.getLastProcessedBlock(kusama), 1000);
+        });
+
+        it('catches up with the blocks finalized while down', async () => {
+            await Data.setLastProcessedBlock(kusama, 1000);
+            blocks[1003] = { author: kusamaStash };
+            await TelegramBot.onFinalizedBlock(kusama, 1010);
+            assert.deepStrictEqual(getProcessedBlockNumbers(), [1001, 1002, 1003, 1004, 1005, 1006, 1007, 1008, 1009, 1010]);
+            assert.strictEqual(await Data.getLastProcessedBlock(kusama), 1010);
+            const messages = await Data.getOutboundMessagesForChat(1001);
+            assert.strictEqual(messages.length, 1);
+            assert.ok(messages[0].payload.text.includes('has authored block [1003]'));
+        });
+
+        it('skips the blocks older than the catch-up limit', async () => {
+            sinon.replace(config, 'maxBlockCatchUpCount', 5);
+            await Data.setLastProcessedBlock(kusama, 1000);
+            await TelegramBot.onFinalizedBlock(kusama, 1100);
+            assert.deepStrictEqual(getProcessedBlockNumbers(), [1095, 1096, 1097, 1098, 1099, 1100]);
+            assert.strictEqual(await Data.getLastProcessedBlock(kusama), 1100);
+        });
+
+        it('retries a failed batch without sending duplicate notifications', async () => {
+            await Data.setLastProcessedBlock(kusama, 1000);
+            blocks[1006] = { nominations: [getNomination(1006)] };
+            failingBlockNumbers.push(1007);
+            await TelegramBot.onFinalizedBlock(kusama, 1010);
+            assert.strictEqual(await Data.getLastProcessedBlock(kusama), 1004);
+            assert.strictEqual((await Data.getOutboundMessagesForChat(1001)).length, 1);
+
+            await TelegramBot.onFinalizedBlock(kusama, 1011);
+            assert.strictEqual(await Data.getLastProcessedBlock(kusama), 1011);
+            const messages = await Data.getOutboundMessagesForChat(1001);
+            assert.strictEqual(messages.length, 1);
+            assert.ok(messages[0].payload.text.includes('received a nomination'));
+        });
+
+        it('skips a block that keeps failing', async () => {
+            sinon.replace(config, 'maxBlockAttemptCount', 3);
+            await Data.setLastProcessedBlock(kusama, 1000);
+            blocks[1004] = { nominations: [getNomination(1004)] };
+            failingBlockNumbers.push(1002, 1002, 1002);
+            await TelegramBot.onFinalizedBlock(kusama, 1004);
+            await TelegramBot.onFinalizedBlock(kusama, 1005);
+            assert.strictEqual(await Data.getLastProcessedBlock(kusama), 1000);
+
+            await TelegramBot.onFinalizedBlock(kusama, 1006);
+            assert.strictEqual(await Data.getLastProcessedBlock(kusama), 1006);
+            assert.strictEqual((await Data.getOutboundMessagesForChat(1001)).length, 1);
+        });
+
+        it('notifies an event again when its first send attempt fails', async () => {
+            const sendNewNomination = sinon.stub(Messaging, 'sendNewNomination');
+            sendNewNomination.onFirstCall().rejects(new Error('Queue error'));
+            sendNewNomination.callThrough();
+            await Data.setLastProcessedBlock(kusama, 1000);
+            blocks[1001] = { nominations: [getNomination(1001)] };
+            await TelegramBot.onFinalizedBlock(kusama, 1001);
+            assert.strictEqual(await Data.getLastProcessedBlock(kusama), 1000);
+            assert.deepStrictEqual(await Data.getOutboundMessagesForChat(1001), []);
+
+            await TelegramBot.onFinalizedBlock(kusama, 1002);
+            assert.strictEqual(await Data.getLastProcessedBlock(kusama), 1002);
+            const messages = await Data.getOutboundMessagesForChat(1001);
+            assert.strictEqual(messages.length, 1);
+            assert.ok(messages[0].payload.text.includes('received a nomination'));
+            assert.strictEqual(sendNewNomination.callCount, 2);
+        });
+
+        it('notifies an event again only to the chats whose send attempt failed', async () => {
+            await Data.createChat(1002);
+            await Data.updateValidatorChatIds(await Data.getValidatorByStashAddress(kusama, kusamaStash), [1001, 1002]);
+            const sendNewNomination = sinon.stub(Messaging, 'sendNewNomination');
+            sendNewNomination.withArgs(1002).onFirstCall().rejects(new Error('Queue error'));
+            sendNewNomination.callThrough();
+            await Data.setLastProcessedBlock(kusama, 1000);
+            blocks[1001] = { nominations: [getNomination(1001)] };
+            await TelegramBot.onFinalizedBlock(kusama, 1001);
+            assert.strictEqual(await Data.getLastProcessedBlock(kusama), 1000);
+            assert.strictEqual((await Data.getOutboundMessagesForChat(1001)).length, 1);
+            assert.deepStrictEqual(await Data.getOutboundMessagesForChat(1002), []);
+
+            await TelegramBot.onFinalizedBlock(kusama, 1002);
+            assert.strictEqual(await Data.getLastProcessedBlock(kusama), 1002);
+            assert.strictEqual((await Data.getOutboundMessagesForChat(1001)).length, 1);
+            assert.strictEqual((await Data.getOutboundMessagesForChat(1002)).length, 1);
+        });
+
+        it('notifies only the nominations above the stake of the chat rule', async () => {
+            await Data.setLastProcessedBlock(kusama, 1000);
+            await Data.setNotificationRule(1001, 'nomination-stake', 100, null);
+            blocks[1001] = { nominations: [getNomination(1001)] };
+            blocks[1002] = { nominations: [Object.assign(getNomination(1002), { activeStake: 250 })] };
+            await TelegramBot.onFinalizedBlock(kusama, 1002);
+            const messages = await Data.getOutboundMessagesForChat(1001);
+            assert.strictEqual(messages.length, 1);
+            assert.ok(messages[0].payload.text.includes('*Stake:* 250.0000 KSM'));
+        });
+
+        it('sends the notifications of a period in one digest grouped by validator', async () => {
+            await Data.setLastProcessedBlock(kusama, 1000);
+            await Data.setChatBlockNotificationPeriod(1001, Data.NotificationPeriod.HOURLY);
+            await Data.setChatNotificationSetting(1001, 'nominationNotificationPeriod', Data.NotificationPeriod.HOURLY);
+            blocks[1001] = { author: kusamaStash };
+            blocks[1002] = { nominations: [getNomination(1002)] };
+            await TelegramBot.onFinalizedBlock(kusama, 1002);
+            assert.deepStrictEqual(await Data.getOutboundMessagesForChat(1001), []);
+
+            await TelegramBot.sendPendingNotifications(kusama, Data.NotificationPeriod.HOURLY);
+            const messages = await Data.getOutboundMessagesForChat(1001);
+            assert.strictEqual(messages.length, 1);
+            const lines = messages[0].payload.text.split('\n');
+            assert.deepStrictEqual(lines.slice(0, 4), [
+                '📋 *Kusama Digest*',
+                '',
+                '*Test Validator*',
+                '🧱 authored block [1001](https://kusama.subscan.io/block/1001)'
+            ]);
+            assert.ok(lines[4].startsWith('⭐️ nomination of *10.0000 KSM* by [HqRcfh..cefVZn]'));
+            assert.deepStrictEqual(await Data.getPendingNotificationsForChat(kusama, 1001), []);
+        });
+
+        it('fetches each block once for all the checks', async () => {
+            await Data.setLastProcessedBlock(kusama, 1000);
+            blocks[1001] = {
+                nominations: [getNomination(1001)],
+                chillings: [{ controllerAddress: kusamaStash, blockNumber: 1001, extrinsicIndex: 3 }],
+                offlineEvents: [{ validatorAddresses: [kusamaStash], blockNumber: 1001, eventIndex: 12 }]
+            };
+            await TelegramBot.onFinalizedBlock(kusama, 1001);
+            assert.strictEqual(getBlockSummary.callCount, 1);
+            const texts = (await Data.getOutboundMessagesForChat(1001)).map(message => message.payload.text);
+            assert.strictEqual(texts.length, 3);
+            assert.ok(texts[0].includes('received a nomination'));
+            assert.ok(texts[1].includes('got chilled'));
+            assert.ok(texts[2].includes('offline'));
+        });
+
+        it('notifies every offline event of the block', async () => {
+            await Data.setLastProcessedBlock(kusama, 1000);
+            blocks[1001] = {
+                offlineEvents: [
+                    { validatorAddresses: [nominator], blockNumber: 1001, eventIndex: 11 },
+                    { validatorAddresses: [kusamaStash], blockNumber: 1001, eventIndex: 12 }
+                ]
+            };
+            await TelegramBot.onFinalizedBlock(kusama, 1001);
+            const texts = (await Data.getOutboundMessagesForChat(1001)).map(message => message.payload.text);
+            assert.strictEqual(texts.length, 1);
+            assert.ok(texts[0].includes('[link](https://kusama.subscan.io/event/1001-12)'));
+        });
+
+        it('notifies the offences and slashes of the validator and the slashes of its nominators', async () => {
+            await Data.setLastProcessedBlock(kusama, 1000);
+            await Data.saveNominatorSnapshot(kusama, kusamaStash, [{ address: nominator, bonded: '1000000000000' }]);
+            const offence = (type, fields) => Object.assign({
+                type: type,
+                kind: null,
+                session: 25000,
+                era: null,
+                slashPercent: null,
+                amount: null,
+                stashAddresses: [kusamaStash],
+                blockNumber: 1001
+            }, fields);
+            blocks[1001] = {
+                offences: [
+                    offence(Polkadot.OffenceEventType.OFFENCE, { kind: 'GRANDPA equivocation', eventIndex: 4 }),
+                    offence(Polkadot.OffenceEventType.SLASH_REPORTED, { era: 4100, slashPercent: 0.01, eventIndex: 5 }),
+                    offence(Polkadot.OffenceEventType.SLASHED, { amount: 0.5, stashAddresses: [nominator], eventIndex: 6 }),
+                    offence(Polkadot.OffenceEventType.SLASHED, { amount: 2, stashAddresses: ['someone else'], eventIndex: 7 })
+                ]
+            };
+            await TelegramBot.onFinalizedBlock(kusama, 1001);
+            const texts = (await Data.getOutboundMessagesForChat(1001)).map(message => message.payload.text);
+            assert.strictEqual(texts.length, 3);
+            assert.ok(texts[0].startsWith('🚨 Test Validator was reported for an offence!\n*Offence:* GRANDPA equivocation\n*Session:* 25000'));
+            assert.ok(texts[1].startsWith('🚨 A slash of 0.01% was reported for Test Validator!\n*Era:* 4100'));
+            assert.ok(texts[2].startsWith('🔪 A nominator of Test Validator was slashed!'));
+            assert.ok(texts[2].includes('*Amount:* 0.5000 KSM'));
+        });
+
+        it('sends no offence notifications when turned off', async () => {
+            await Data.setLastProcessedBlock(kusama, 1000);
+            await Data.setChatNotificationSetting(1001, 'sendOffenceNotifications', false);
+            blocks[1001] = {
+                offences: [{
+                    type: Polkadot.OffenceEventType.SLASHED,
+                    session: 25000,
+                    amount: 1,
+                    stashAddresses: [kusamaStash],
+                    blockNumber: 1001,
+                    eventIndex: 6
+                }]
+            };
+            await TelegramBot.onFinalizedBlock(kusama, 1001);
+            assert.deepStrictEqual(await Data.getOutboundMessagesForChat(1001), []);
+        });
+
+        it('notifies the on-chain changes of the validator with the old and new values', async () => {
+            const getSelfStakeAt = sinon.stub(Polkadot, 'getSelfStakeAt').resolves(9);
+            await Data.setLastProcessedBlock(kusama, 1000);
+            const ChangeType = Polkadot.ValidatorChangeType;
+            const newController = 'GLbg3D9EmF3RWjWSwoMXJsm5mPMofXWJFUNLBWMdEWfMCpU';
+            const change = (type, address, value, fields) => Object.assign({
+                type: type,
+                address: address,
+                value: value,
+                blockNumber: 1001,
+                extrinsicIndex: null,
+                eventIndex: null
+            }, fields);
+            blocks[1001] = {
+                blockHash: '0x1001',
+                validatorChanges: [
+                    change(ChangeType.SESSION_KEYS, kusamaStash, '0x1234567890abcdef', { extrinsicIndex: 2 }),
+                    change(ChangeType.CONTROLLER, kusamaStash, newController, { extrinsicIndex: 3 }),
+                    change(ChangeType.COMMISSION, newController, '5.00%', { extrinsicIndex: 4 }),
+                    change(ChangeType.COMMISSION, kusamaStash, '5.00%', { eventIndex: 5 }),
+                    change(ChangeType.UNBOND, kusamaStash, 2, { eventIndex: 6 }),
+                    change(ChangeType.BOND, nominator, 1, { eventIndex: 7 }),
+                    change(ChangeType.BOND, kusamaStash, 1, { eventIndex: 8 })
+                ]
+            };
+            await TelegramBot.onFinalizedBlock(kusama, 1001);
+            const texts = (await Data.getOutboundMessagesForChat(1001)).map(message => message.payload.text);
+            assert.strictEqual(texts.length, 5);
+            assert.ok(texts[0].startsWith('🔑 Test Validator has new session keys.\n*Old Keys:* -\n*New Keys:* `0x123456..90abcdef`'));
+            assert.ok(texts[0].includes('[link](https://kusama.subscan.io/extrinsic/1001-2)'));
+            assert.ok(texts[1].startsWith('⚓️ Test Validator has a new controller.'));
+            assert.ok(texts[1].includes('*New Controller:* [GLbg3D..WfMCpU]'));
+            assert.ok(texts[2].startsWith('💵 Test Validator changed its commission rate.'));
+            assert.ok(texts[2].includes('*New Commission:* 5.00%'));
+            assert.ok(texts[3].startsWith('🔓 Test Validator unbonded.\n*Unbonded:* 2.0000 KSM\n*Self Stake:* 10.0000 KSM -> 8.0000 KSM'));
+            assert.ok(texts[3].includes('[link](https://kusama.subscan.io/event/1001-6)'));
+            assert.ok(texts[4].startsWith('🔒 Test Validator bonded more.\n*Bonded:* 1.0000 KSM\n*Self Stake:* 8.0000 KSM -> 9.0000 KSM'));
+            assert.ok(getSelfStakeAt.alwaysCalledWith(kusama, '0x1001', kusamaStash));
+            const validator = await Data.getValidatorByStashAddress(kusama, kusamaStash);
+            assert.strictEqual(validator.sessionKeys, '0x1234567890abcdef');
+            assert.strictEqual(validator.controllerAddress, newController);
+            assert.strictEqual(validator.commission, '5.00%');
+        });
+
+        it('sends no session key, controller or bond notifications when turned off', async () => {
+            await Data.setLastProcessedBlock(kusama, 1000);
+            await Data.setChatNotificationSetting(1001, 'sendValidatorChangeNotifications', false);
+            blocks[1001] = {
+                validatorChanges: [{
+                    type: Polkadot.ValidatorChangeType.SESSION_KEYS,
+                    address: kusamaStash,
+                    value: '0x1234567890abcdef',
+                    blockNumber: 1001,
+                    extrinsicIndex: 2,
+                    eventIndex: null
+                }]
+            };
+            await TelegramBot.onFinalizedBlock(kusama, 1001);
+            assert.deepStrictEqual(await Data.getOutboundMessagesForChat(1001), []);
+            const validator = await Data.getValidatorByStashAddress(kusama, kusamaStash);
+            assert.strictEqual(validator.sessionKeys, '0x1234567890abcdef');
+        });
+
+        it('saves the rewards in the blocks when the reward history is up to date', async () => {
+            const getRewardsInBlock = sinon.stub(Polkadot, 'getRewardsInBlock').resolves([]);
+            await Data.setLastProcessedBlock(kusama, 1000);
+            await Data.getLastFetchedRewardBlock(kusama);
+            await Data.setLastFetchedRewardBlock(kusama, 1000);
+            blocks[1002] = { rewards: [getReward(1002)] };
+            await TelegramBot.onFinalizedBlock(kusama, 1003);
+            assert.strictEqual(await Data.getLastFetchedRewardBlock(kusama), 1003);
+            const rewards = await Data.getRewards(kusama, kusamaStash);
+            assert.deepStrictEqual(rewards.map(reward => reward.blockNumber), [1002]);
+            assert.strictEqual(getRewardsInBlock.callCount, 0);
+        });
+
+        it('fetches the missing reward history up to the processed blocks', async () => {
+            const getRewardsInBlock = sinon.stub(Polkadot, 'getRewardsInBlock').callsFake(
+                async (network, blockNumber) => (blockNumber == 998) ? [getReward(998)] : []
+            );
+            await Data.setLastProcessedBlock(kusama, 1000);
+            await Data.getLastFetchedRewardBlock(kusama);
+            await Data.setLastFetchedRewardBlock(kusama, 995);
+            await TelegramBot.onFinalizedBlock(kusama, 1001);
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.deepStrictEqual(getRewardsInBlock.getCalls().map(call => call.args[1]), [996, 997, 998, 999, 1000]);
+            assert.strictEqual(await Data.getLastFetchedRewardBlock(kusama), 1000);
+            assert.strictEqual((await Data.getRewards(kusama, kusamaStash)).length, 1);
+        });
+    });
+
+    describe('checkNominators', () => {
+        const leaving = 'HqRcfhH8VXMhuCk5JXe28WMgDDuW9MVDVNofe1nnTcefVZn';
+        const reducing = 'FPupwtS3D3j9fR5yrA1jBzyfXtpHQbvKgLmH6P6ZYYcVYVN';
+        let getNominations;
+        let validator;
+
+        function nominations(nominators, nominatorAddresses) {
+            return {
+                nominations: { [kusamaStash]: nominators },
+                nominatorAddresses: new Set(nominatorAddresses || nominators.map(nominator => nominator.address))
+            };
+        }
+
+        beforeEach(async () => {
+            getNominations = sinon.stub(Polkadot, 'getNominations').resolves(nominations([
+                { address: leaving, bonded: '5000000000000' },
+                { address: reducing, bonded: '3000000000000' }
+            ]));
+            await Data.createChat(1001);
+            validator = await Data.persistValidator(kusama, {
+                name: 'Test Validator',
+                stash: kusamaStash,
+                controllerAddress: kusamaStash,
+                rank: 42,
+                isValid: true
+            }, 1001);
+        });
+
+        it('notifies the nominators that have left or reduced their stake since the last check', async () => {
+            await TelegramBot.checkNominators(kusama);
+            assert.deepStrictEqual(await getQueuedMessages(), []);
+            getNominations.resolves(nominations([{ address: reducing, bonded: '2500000000000' }]));
+            await TelegramBot.checkNominators(kusama);
+            const texts = (await getQueuedMessages()).map(message => message.payload.text);
+            assert.strictEqual(texts.length, 2);
+            assert.ok(texts[0].startsWith('👋 A nominator left Test Validator.'));
+            assert.ok(texts[0].includes('*Stake:* 5.0000 KSM'));
+            assert.ok(texts[0].includes('*Reason:* Stopped nominating'));
+            assert.ok(texts[0].includes('*Total Nominated:* 2.5000 KSM'));
+            assert.ok(texts[1].startsWith('🔻 A nominator reduced their stake on Test Validator.'));
+            assert.ok(texts[1].includes('*Stake:* 3.0000 KSM -> 2.5000 KSM'));
+            assert.ok(texts[1].includes('*Reduced By:* 0.5000 KSM'));
+            // nothing has changed since
+            await clearQueue();
+            await TelegramBot.checkNominators(kusama);
+            assert.deepStrictEqual(await getQueuedMessages(), []);
+        });
+
+        it('notifies the changes at the next check when they fail to be queued', async () => {
+            await TelegramBot.checkNominators(kusama);
+            const sendNominatorChange = sinon.stub(Messaging, 'sendNominatorChange');
+            sendNominatorChange.onFirstCall().rejects(new Error('Queue error'));
+            sendNominatorChange.callThrough();
+            getNominations.resolves(nominations([{ address: reducing, bonded: '2500000000000' }]));
+            await assert.rejects(TelegramBot.checkNominators(kusama), /Queue error/);
+            assert.deepStrictEqual(await getQueuedMessages(), []);
+
+            await TelegramBot.checkNominators(kusama);
+            assert.strictEqual((await getQueuedMessages()).length, 2);
+        });
+
+        it('saves the changes for the digest, or skips them when turned off', async () => {
+            await TelegramBot.checkNominators(kusama);
+            await Data.setValidatorNotificationSetting(
+                1001, validator, 'nominatorChangeNotificationPeriod', Data.NotificationPeriod.HOURLY
+            );
+            getNominations.resolves(nominations([{ address: reducing, bonded: '3000000000000' }], [leaving, reducing]));
+            await TelegramBot.checkNominators(kusama);
+            assert.deepStrictEqual(await getQueuedMessages(), []);
+            const pending = await Data.getPendingNotificationsForChat(kusama, 1001);
+            assert.deepStrictEqual(pending.map(notification => notification.data), [{
+                type: 'left',
+                nominator: leaving,
+                oldBonded: 5,
+                newBonded: null,
+                totalBonded: 3,
+                isNominating: true
+            }]);
+
+            await Data.setValidatorNotificationSetting(1001, validator, 'sendNominatorChangeNotifications', false);
+            getNominations.resolves(nominations([]));
+            await TelegramBot.checkNominators(kusama);
+            assert.strictEqual((await Data.getPendingNotificationsForChat(kusama, 1001)).length, 1);
+        });
+    });
+
+    describe('checkHeartbeats', () => {
+        const otherStash = 'HqRcfhH8VXMhuCk5JXe28WMgDDuW9MVDVNofe1nnTcefVZn';
+        let statuses;
+
+        beforeEach(async () => {
+            statuses = {
+                [kusamaStash]: { isActive: true, hasHeartbeat: false, authoredBlockCount: 0 },
+                [otherStash]: { isActive: false, hasHeartbeat: false, authoredBlockCount: 0 }
+            };
+            sinon.stub(Polkadot, 'getHeartbeatStatuses').callsFake(async () => statuses);
+            await Data.createChat(1001);
+            await Data.createChat(1002);
+            await Data.persistValidator(kusama, { name: 'Test Validator', stash: kusamaStash, rank: 42, isValid: true }, 1001);
+            await Data.persistValidator(kusama, { name: 'Waiting Validator', stash: otherStash, rank: 12, isValid: true }, 1002);
+        });
+
+        it('alerts the chats of the active validators without a heartbeat or an authored block', async () => {
+            await TelegramBot.checkHeartbeats(kusama, 25000);
+            const messages = await getQueuedMessages();
+            assert.deepStrictEqual(messages.map(message => message.chatId), [1001]);
+            assert.ok(messages[0].payload.text.startsWith(
+                '⚠️ Test Validator has no heartbeat yet in session 25000, at risk of an offline offence!'
+            ));
+        });
+
+        it('does not alert a validator with a heartbeat or an authored block', async () => {
+            statuses[kusamaStash].authoredBlockCount = 1;
+            await TelegramBot.checkHeartbeats(kusama, 25000);
+            statuses[kusamaStash] = { isActive: true, hasHeartbeat: true, authoredBlockCount: 0 };
+            await TelegramBot.checkHeartbeats(kusama, 25001);
+            assert.deepStrictEqual(await getQueuedMessages(), []);
+        });
+    });
+
+    describe('/rpcstatus', () => {
+        beforeEach(() => {
+            sinon.replace(config, 'adminChatIds', [1001]);
+            sinon.stub(Polkadot, 'getRPCStatus').callsFake(network => ({
+                activeURL: `wss://${network.key}-1.example.com`,
+                endpoints: [
+                    {
+                        url: `wss://${network.key}-1.example.com`,
+                        isActive: true,
+                        lastFinalizedBlockNumber: 1000,
+                        lastError: null,
+                        score: 95,
+                        errorCount: 0,
+                        lagMillis: 12000,
+                        isHealthy: true
+                    },
+                    {
+                        url: `wss://${network.key}-2.example.com`,
+                        isActive: false,
+                        lastFinalizedBlockNumber: null,
+                        lastError: 'Connection timed out.',
+                        score: 90,
+                        errorCount: 1,
+                        lagMillis: 0,
+                        isHealthy: true
+                    }
+                ]
+            }));
+        });
+
+        it('reports the RPC endpoints of every network to an admin chat', async () => {
+            await sendText('/rpcstatus');
+            const text = telegram.getLastMessage(1001).text;
+            assert.ok(text.includes('*Kusama*\n🟢 `wss://kusama-1.example.com` (active)\nFinalized #1000, 12 seconds ago.'));
+            assert.ok(text.includes('⚪️ `wss://kusama-2.example.com`\nHealth 90, 1 errors recently.'));
+            assert.ok(text.includes('*Polkadot*\n🟢 `wss://polkadot-1.example.com` (active)'));
+        });
+
+        it('is an unknown command for the other chats', async () => {
+            await sendText('/rpcstatus', 1002);
+            assert.ok(telegram.getLastMessage(1002).text.startsWith('Sorry, I don\'t understand that command.'));
+            assert.strictEqual(Polkadot.getRPCStatus.callCount, 0);
+        });
+    });
+
+    describe('/rules', () => {
+        beforeEach(async () => {
+            await Data.createChat(1001);
+        });
+
+        it('lists the rules and how to set them', async () => {
+            await sendText('/rules');
+            const text = telegram.getLastMessage(1001).text;
+            assert.ok(text.startsWith('There are no notification rules in this chat.'));
+            assert.ok(text.includes('`rank-drop` - notify the rank drops only'));
+        });
+
+        it('sets and removes a rule', async () => {
+            await sendText('/rules set nomination-stake 1000');
+            await sendText('/rules set commission-change 2.5 Kusama');
+            let text = telegram.getLastMessage(1001).text;
+            assert.ok(text.startsWith('*Notification Rules*\n`nomination-stake` 1000 tokens\n`commission-change` 2.5% (Kusama)'));
+            await sendText('/rules remove nomination-stake');
+            assert.deepStrictEqual(
+                (await Data.getNotificationRules(1001)).map(rule => [rule.type, rule.threshold, rule.networkKey]),
+                [['commission-change', 2.5, 'kusama']]
+            );
+        });
+
+        it('rejects an invalid rule', async () => {
+            await sendText('/rules set rank-drop many');
+            assert.ok(telegram.getLastMessage(1001).text.startsWith('Please enter a number as the value of the rule'));
+            await sendText('/rules set everything 1');
+            assert.ok(telegram.getLastMessage(1001).text.startsWith('There\'s no rule called everything.'));
+            await sendText('/rules set rank-drop 1 westend');
+            assert.ok(telegram.getLastMessage(1001).text.startsWith('There\'s no network called westend.'));
+            await sendText('/rules remove rank-drop');
+            assert.ok(telegram.getLastMessage(1001).text.startsWith('There\'s no rank-drop rule to remove.'));
+            assert.deepStrictEqual(await Data.getNotificationRules(1001), []);
+        });
+    });
+
+    describe('quiet hours', () => {
+        beforeEach(async () => {
+            await Data.createChat(1001);
+        });
+
+        it('sets the timezone of the chat', async () => {
+            await sendText('/timezone');
+            assert.ok(telegram.getLastMessage(1001).text.startsWith('Your timezone is *UTC*.'));
+            await sendText('/timezone america/new_york');
+            assert.ok(telegram.getLastMessage(1001).text.startsWith('Your timezone is *America/New York*.'));
+            assert.strictEqual((await Data.getChatById(1001)).timezone, 'America/New_York');
+            await sendText('/timezone Mars/Olympus');
+            assert.ok(telegram.getLastMessage(1001).text.startsWith('There\'s no timezone called `Mars/Olympus`.'));
+            assert.strictEqual((await Data.getChatById(1001)).timezone, 'America/New_York');
+        });
+
+        it('sets and turns off the quiet hours', async () => {
+            await sendText('/quiethours 23:00-07:00');
+            assert.ok(telegram.getLastMessage(1001).text.startsWith('Your quiet hours are *23:00-07:00* (UTC).'));
+            assert.deepStrictEqual((await Data.getChatById(1001)).quietHours, { startMins: 1380, endMins: 420 });
+            await sendText('/quiethours 23:00');
+            assert.ok(telegram.getLastMessage(1001).text.startsWith('Please enter the quiet hours in the'));
+            await sendText('/quiethours off');
+            assert.ok(telegram.getLastMessage(1001).text.startsWith('Quiet hours are off.'));
+            assert.strictEqual((await Data.getChatById(1001)).quietHours, null);
+        });
+
+        it('sends the held notifications when the quiet hours are over', async () => {
+            const clock = sinon.useFakeTimers({ now: Date.parse('2022-08-10T23:30:00Z'), toFake: ['Date'] });
+            await Data.setChatQuietHours(1001, { startMins: 23 * 60, endMins: 7 * 60 });
+            await Data.saveHeldNotification(1001, 'Rank has increased');
+            await Data.saveHeldNotification(1002, 'Rank has decreased');
+            await TelegramBot.sendHeldNotifications();
+            assert.deepStrictEqual(await getQueuedMessages(), []);
+
+            clock.setSystemTime(Date.parse('2022-08-11T07:00:00Z'));
+            await TelegramBot.sendHeldNotifications();
+            const messages = await getQueuedMessages();
+            assert.deepStrictEqual(messages.map(message => message.chatId), [1001]);
+            assert.ok(messages[0].payload.text.includes('_23:30_ Rank has increased'));
+            assert.deepStrictEqual(await Data.getHeldNotificationChatIds(), []);
+        });
+    });
+
+    describe('/rewards', () => {
+        const tokens = amount => (BigInt(amount * 1000) * BigInt(Math.pow(10, 9))).toString();
+        const createReward = (date, amount, era) => {
+            return {
+                blockNumber: era,
+                timestamp: Date.parse(date),
+                era: era,
+                targetStashAddress: kusamaStash,
+                amount: tokens(amount)
+            };
+        };
+
+        beforeEach(async () => {
+            sinon.useFakeTimers({ now: Date.parse('2022-10-01T00:00:00Z'), toFake: ['Date'] });
+            await Data.createChat(1001);
+            await Data.persistValidator(kusama, {
+                name: 'Test Validator',
+                stash: kusamaStash,
+                controllerAddress: kusamaStash,
+                rank: 42,
+                isValid: true
+            }, 1001);
+            await Data.saveRewards(kusama, [
+                createReward('2022-08-01T10:00:00Z', 1, 3001),
+                createReward('2022-08-03T10:00:00Z', 2, 3009),
+                createReward('2022-08-09T10:00:00Z', 0.5, 3033),
+                createReward('2022-09-05T10:00:00Z', 1, 3140)
+            ]);
+        });
+
+        it('keeps the options until the validator is selected, and sends a table', async () => {
+            await sendText('/rewards 2022-08-01..2022-08-31 weekly table');
+            const selection = telegram.getLastMessage(1001).reply_markup.keyboard[0][0].text;
+            assert.strictEqual(selection, 'Test Validator (Kusama)');
+            await sendText(selection);
+            assert.strictEqual(telegram.getLastMessage(1001).text, [
+                '*Weekly Staking Rewards for GC8f..QYLg, 2022-08-01..2022-08-31*',
+                'Kusama, dates in UTC',
+                '```',
+                'Period         KSM',
+                '2022-08-01  3.0000',
+                '2022-08-08  0.5000',
+                'Total       3.5000',
+                '```'
+            ].join('\n'));
+        });
+
+        it('adds the fiat values from the price file', async () => {
+            const priceFilePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'prices-')), 'prices.csv');
+            fs.writeFileSync(priceFilePath, 'date,KSM\n2022-08-01,50\n');
+            sinon.stub(config, 'priceFilePath').value(priceFilePath);
+            await sendText(`/rewards ${kusamaStash} ..2022-08-31 era fiat table`);
+            const messages = telegram.getCalls('sendMessage').map(call => call.params.text);
+            assert.ok(messages[0].endsWith([
+                'Period       KSM     USD',
+                'Era 3001  1.0000   50.00',
+                'Era 3009  2.0000  100.00',
+                'Era 3033  0.5000    0.00',
+                'Total     3.5000  150.00',
+                '```'
+            ].join('\n')));
+            assert.strictEqual(
+                messages[1],
+                '1 of the rewards have no price in the price file, and are left out of the fiat values.'
+            );
+        });
+
+        it('sends the chart of the rewards, or the usage for invalid options', async () => {
+            const renderPNG = sinon.stub(Chart, 'renderPNG').resolves(Buffer.from('png image'));
+            await sendText(`/rewards ${kusamaStash} 30d`);
+            assert.strictEqual(renderPNG.firstCall.args[0].title, 'Monthly Staking Rewards for GC8f..QYLg, last 30 days');
+            assert.deepStrictEqual(renderPNG.firstCall.args[0].series[0].points.map(point => point.x), ['Sep 22']);
+            assert.strictEqual(telegram.getCalls('sendPhoto').length, 1);
+
+            await sendText('/rewards 2022-13-01..');
+            assert.ok(telegram.getLastMessage(1001).text.startsWith('2022-13-01 is not a valid date.'));
+        });
+    });
+
+    describe('/uptime', () => {
+        const day = 24 * 60 * 60 * 1000;
+        const now = Date.parse('2022-11-10T00:00:00Z');
+        let sendUptimeTimeline;
+
+        beforeEach(async () => {
+            sinon.useFakeTimers({ now: now, toFake: ['Date'] });
+            sendUptimeTimeline = sinon.stub(Messaging, 'sendUptimeTimeline').resolves();
+            await Data.createChat(1001);
+            await Data.persistValidator(kusama, {
+                name: 'Test Validator',
+                stash: kusamaStash,
+                controllerAddress: kusamaStash,
+                rank: 42,
+                isValid: true
+            }, 1001);
+        });
+
+        it('reports the availability and the outages with a timeline', async () => {
+            await Data.saveAvailabilityChange(kusama, kusamaStash, true, new Date(now - 60 * day));
+            await Data.saveAvailabilityChange(kusama, kusamaStash, false, new Date(now - 40 * day));
+            await Data.saveAvailabilityChange(kusama, kusamaStash, true, new Date(now - 40 * day + 6 * 60 * 60 * 1000));
+            await Data.saveAvailabilityChange(kusama, kusamaStash, false, new Date(now - 7 * 60 * 60 * 1000));
+            await sendText('/uptime');
+            assert.strictEqual(telegram.getLastMessage(1001).text, [
+                '⏱ *Test Validator* (Kusama) uptime',
+                'Last 7 days: *95.83%*',
+                'Last 30 days: *99.02%*',
+                'Last 90 days: *99.09%* (recorded since September 11th 2022, 00:00:00)',
+                '',
+                '*Outages in the last 90 days*',
+                '🔴 November 9th 2022, 17:00:00, for 7 hours (ongoing)',
+                '🔴 October 1st 2022, 00:00:00, for 6 hours'
+            ].join('\n'));
+            assert.strictEqual(sendUptimeTimeline.callCount, 1);
+            assert.strictEqual(sendUptimeTimeline.firstCall.args[3], now - 30 * day);
+        });
+
+        it('reports a validator without outages or a record', async () => {
+            await sendText('/uptime');
+            assert.ok(telegram.getLastMessage(1001).text.startsWith(
+                '⏱ *Test Validator* (Kusama) uptime\nLast 7 days: no record yet'
+            ));
+            await Data.saveAvailabilityChange(kusama, kusamaStash, true, new Date(now - 100 * day));
+            await sendText('/uptime');
+            assert.ok(telegram.getLastMessage(1001).text.endsWith(
+                'Last 90 days: *100.00%*\n\nNo outages in the last 90 days.'
+            ));
+            assert.strictEqual(sendUptimeTimeline.callCount, 0);
+        });
+    });
+
+    describe('/rankhistory', () => {
+        const day = 24 * 60 * 60 * 1000;
+        const now = Date.parse('2022-11-10T00:00:00Z');
+        let clock;
+        let sendRankHistoryChart;
+
+        beforeEach(async () => {
+            clock = sinon.useFakeTimers({ now: now - 20 * day, toFake: ['Date'] });
+            sendRankHistoryChart = sinon.stub(Messaging, 'sendRankHistoryChart').resolves();
+            await Data.createChat(1001);
+            await Data.persistValidator(kusama, {
+                name: 'Test Validator',
+                stash: kusamaStash,
+                controllerAddress: kusamaStash,
+                rank: 42,
+                isValid: true
+            }, 1001);
+        });
+
+        it('draws the rank history, with the validity periods when asked', async () => {
+            await Data.saveRankChange(kusama, kusamaStash, 42);
+            await Data.saveValidityChange(kusama, kusamaStash, true);
+            clock.tick(5 * day);
+            await Data.saveRankChange(kusama, kusamaStash, 30);
+            await Data.saveValidityChange(kusama, kusamaStash, false);
+            clock.tick(15 * day);
+            await sendText('/rankhistory');
+            assert.strictEqual(sendRankHistoryChart.callCount, 1);
+            let args = sendRankHistoryChart.firstCall.args;
+            assert.strictEqual(args[1].stashAddress, kusamaStash);
+            assert.deepStrictEqual(args[2].map(change => change.rank), [42, 30]);
+            assert.strictEqual(args[3], null);
+
+            await sendText('/rankhistory validity');
+            args = sendRankHistoryChart.secondCall.args;
+            assert.deepStrictEqual(args[3].map(change => change.isValid), [true, false]);
+        });
+
+        it('replies without a chart when there is no rank history or the option is unknown', async () => {
+            await sendText('/rankhistory');
+            assert.strictEqual(
+                telegram.getLastMessage(1001).text,
+                'There\'s no rank history for *Test Validator* yet.'
+            );
+            await sendText('/rankhistory everything');
+            assert.ok(telegram.getLastMessage(1001).text.startsWith('Please use `/rankhistory`'));
+            assert.strictEqual(sendRankHistoryChart.callCount, 0);
+        });
+    });
+
+    describe('era points', () => {
+        const peers = ['peer-1', 'peer-2', 'peer-3', 'peer-4'];
+        let individual;
+
+        beforeEach(async () => {
+            individual = { [kusamaStash]: 1000, 'peer-1': 3000, 'peer-2': 3200, 'peer-3': 2800, 'peer-4': 3100 };
+            sinon.stub(Polkadot, 'getEraRewardPoints').callsFake(async () => ({ total: 0, individual: individual }));
+            sinon.stub(Polkadot, 'getEraValidators').resolves([kusamaStash, ...peers]);
+            sinon.stub(Polkadot, 'getActiveEra').resolves(4102);
+            await Data.createChat(1001);
+            await Data.persistValidator(kusama, {
+                name: 'Test Validator',
+                stash: kusamaStash,
+                controllerAddress: kusamaStash,
+                rank: 42,
+                isValid: true
+            }, 1001);
+        });
+
+        it('records the era points and alerts once when far below the median of the active set', async () => {
+            await TelegramBot.recordEraPoints(kusama, 4100);
+            await TelegramBot.recordEraPoints(kusama, 4100);
+            const messages = await getQueuedMessages();
+            assert.strictEqual(messages.length, 1);
+            assert.ok(messages[0].payload.text.startsWith(
+                '🐢 Test Validator earned *1,000* points in era 4100, far below the median of *3,000* of the active set.'
+            ));
+            individual[kusamaStash] = 2900;
+            await TelegramBot.recordEraPoints(kusama, 4101);
+            assert.strictEqual((await getQueuedMessages()).length, 1);
+            const records = await Data.getEraPoints(kusama, kusamaStash, 10);
+            assert.deepStrictEqual(records.map(record => [record.era, record.points, record.medianPoints]), [
+                [4101, 2900, 3000],
+                [4100, 1000, 3000]
+            ]);
+        });
+
+        it('lists the running total of the current era and the last eras', async () => {
+            await TelegramBot.recordEraPoints(kusama, 4100);
+            individual[kusamaStash] = 2900;
+            await TelegramBot.recordEraPoints(kusama, 4101);
+            individual[kusamaStash] = 640;
+            await sendText('/points');
+            assert.strictEqual(telegram.getLastMessage(1001).text, [
+                '🎯 *Test Validator* era points',
+                'Era 4102 so far: *640*',
+                '',
+                'Last 2 eras, and the median of the active set:',
+                'Era 4101: *2,900* / 3,000',
+                'Era 4100: *1,000* / 3,000 ⚠️'
+            ].join('\n'));
+            await sendText('/points 1');
+            assert.ok(telegram.getLastMessage(1001).text.endsWith('Last era, and the median of the active set:\nEra 4101: *2,900* / 3,000'));
+            await sendText('/points 100');
+            assert.ok(telegram.getLastMessage(1001).text.startsWith('Please use `/points`'));
+        });
+    });
+
+    describe('offline incidents', () => {
+        let validator;
+
+        beforeEach(async () => {
+            await Data.createChat(1001);
+            await Data.createChat(1002);
+            validator = await Data.persistValidator(kusama, {
+                name: 'Test Validator',
+                stash: kusamaStash,
+                controllerAddress: kusamaStash,
+                rank: 42,
+                isValid: true
+            }, 1001);
+            await Data.updateValidatorChatIds(validator, [1001, 1002]);
+            validator = await Data.getValidatorByStashAddress(kusama, kusamaStash);
+        });
+
+        it('alerts again by the repeat period of the chat until acknowledged', async () => {
+            const clock = sinon.useFakeTimers({ now: Date.parse('2022-08-10T12:00:00Z'), toFake: ['Date'] });
+            await Data.setChatNotificationSetting(1002, 'offlineAlertRepeatPeriod', Data.OfflineAlertRepeatPeriod.OFF);
+            const incident = await Data.openOfflineIncident(1001, validator, Date.parse('2022-08-10T12:00:00Z'));
+            await Data.openOfflineIncident(1002, validator, Date.parse('2022-08-10T12:00:00Z'));
+            clock.setSystemTime(Date.parse('2022-08-10T12:59:00Z'));
+            await TelegramBot.sendOfflineAlertReminders();
+            assert.deepStrictEqual(await getQueuedMessages(), []);
+
+            clock.setSystemTime(Date.parse('2022-08-10T13:00:00Z'));
+            await TelegramBot.sendOfflineAlertReminders();
+            await TelegramBot.sendOfflineAlertReminders();
+            const messages = await getQueuedMessages();
+            assert.deepStrictEqual(messages.map(message => message.chatId), [1001]);
+            assert.strictEqual(
+                messages[0].payload.text,
+                '🔴 Test Validator is still offline, for 1 hour since August 10th 2022, 12:00:00.'
+            );
+
+            await TelegramBot.processCallbackQuery({
+                id: 'ack',
+                message: { message_id: 42, chat: { id: 1001 } },
+                data: `{"ackIncident": "${incident._id}"}`
+            });
+            const answer = await telegram.waitForCall('answerCallbackQuery', call => call.params.callback_query_id == 'ack', 1000);
+            assert.strictEqual(answer.params.text, 'Acknowledged, there will be no more alerts for this incident.');
+            assert.strictEqual(telegram.getCalls('editMessageReplyMarkup')[0].params.message_id, 42);
+            await clearQueue();
+            clock.setSystemTime(Date.parse('2022-08-10T15:00:00Z'));
+            await TelegramBot.sendOfflineAlertReminders();
+            assert.deepStrictEqual(await getQueuedMessages(), []);
+        });
+
+        it('resolves the incidents of a validator the chat does not follow anymore', async () => {
+            await Data.openOfflineIncident(1001, validator, Date.now() - 2 * 60 * 60 * 1000);
+            await Data.updateValidatorChatIds(validator, [1002]);
+            await TelegramBot.sendOfflineAlertReminders();
+            assert.deepStrictEqual(await getQueuedMessages(), []);
+            assert.deepStrictEqual(await Data.getOpenOfflineIncidentsForChat(1001), []);
+        });
+
+        it('lists the open incidents of the chat', async () => {
+            await sendText('/incidents');
+            assert.strictEqual(telegram.getLastMessage(1001).text, 'There are no open incidents, all your validators are online.');
+            sinon.useFakeTimers({ now: Date.parse('2022-08-10T14:05:00Z'), toFake: ['Date'] });
+            await Data.openOfflineIncident(1001, validator, Date.parse('2022-08-10T12:00:00Z'));
+            await sendText('/incidents');
+            assert.strictEqual(
+                telegram.getLastMessage(1001).text,
+                '*Open Incidents*\n🔴 *Test Validator* (Kusama) offline for 2 hours 5 minutes since August 10th 2022, 12:00:00, 1 alert sent.'
+            );
+        });
+    });
+
+    describe('processCallbackQuery', () => {
+        const settingsMessageId = 5;
+        let queryCount = 0;
+
+        beforeEach(async () => {
+            await Data.createChat(1001);
+            await Data.setChatLastSettingsMessageId(1001, settingsMessageId);
+        });
+
+        function createQuery(data, messageId) {
+            queryCount++;
+            return {
+                id: `${queryCount}`,
+                message: {
+                    message_id: messageId || settingsMessageId,
+                    chat: { id: 1001 }
+                },
+                data: data
+            };
+        }
+
+        async function getAnswer(query) {
+            const call = await telegram.waitForCall(
+                'answerCallbackQuery',
+                call => call.params.callback_query_id == query.id,
+                1000
+            );
+            return call.params.text;
+        }
+
+        it('rejects a query without a message or data', async () => {
+            const query = createQuery('{}');
+            delete query.message;
+            await TelegramBot.processCallbackQuery(query);
+            assert.strictEqual(await getAnswer(query), 'Invalid query.');
+
+            const emptyQuery = createQuery(undefined);
+            await TelegramBot.processCallbackQuery(emptyQuery);
+            assert.strictEqual(await getAnswer(emptyQuery), 'Invalid query.');
+        });
+
+        it('ignores a button without JSON data', async () => {
+            const query = createQuery('no_op');
+            await TelegramBot.processCallbackQuery(query);
+            assert.strictEqual(await getAnswer(query), undefined);
+            assert.deepStrictEqual(telegram.getCalls('editMessageText'), []);
+        });
+
+        it('rejects a query of an unknown chat', async () => {
+            const query = createQuery('{"blockNotificationPeriod": 0}');
+            query.message.chat.id = 1002;
+            await TelegramBot.processCallbackQuery(query);
+            assert.strictEqual(await getAnswer(query), 'Invalid query.');
+        });
+
+        it('rejects a query from an old settings message', async () => {
+            const query = createQuery('{"blockNotificationPeriod": 0}', settingsMessageId - 1);
+            await TelegramBot.processCallbackQuery(query);
+            assert.strictEqual(await getAnswer(query), 'Invalid query.');
+            const chat = await Data.getChatById(1001);
+            assert.strictEqual(chat.blockNotificationPeriod, Data.NotificationPeriod.HOURLY);
+        });
+
+        it('rejects an invalid block notification period', async () => {
+            const query = createQuery('{"blockNotificationPeriod": 45}');
+            await TelegramBot.processCallbackQuery(query);
+            assert.strictEqual(await getAnswer(query), 'Invalid data.');
+            const chat = await Data.getChatById(1001);
+            assert.strictEqual(chat.blockNotificationPeriod, Data.NotificationPeriod.HOURLY);
+        });
+
+        it('sets an era-relative block notification period', async () => {
+            const query = createQuery(`{"blockNotificationPeriod": ${Data.NotificationPeriod.HALF_ERA}}`);
+            await TelegramBot.processCallbackQuery(query);
+            assert.strictEqual(await getAnswer(query), undefined);
+            const chat = await Data.getChatById(1001);
+            assert.strictEqual(chat.blockNotificationPeriod, Data.NotificationPeriod.HALF_ERA);
+            const edit = telegram.getCalls('editMessageText')[0];
+            assert.strictEqual(edit.params.message_id, settingsMessageId);
+        });
+
+        it('drops the pending block notifications when turned off', async () => {
+            const chat = await Data.getChatById(1001);
+            await Data.setChatNotificationSetting(1001, 'rankChangeNotificationPeriod', Data.NotificationPeriod.HOURLY);
+            const validator = { networkKey: 'kusama', stashAddress: kusamaStash };
+            await Data.savePendingNotification(chat, validator, Data.NotificationType.BLOCK_AUTHORSHIP, { blockNumber: 1 });
+            await Data.savePendingNotification(chat, validator, Data.NotificationType.RANK_CHANGE, { oldRank: 2, newRank: 1 });
+            const query = createQuery(`{"blockNotificationPeriod": ${Data.NotificationPeriod.OFF}}`);
+            await TelegramBot.processCallbackQuery(query);
+            await getAnswer(query);
+            await new Promise(resolve => setImmediate(resolve));
+            const notifications = await Data.getPendingNotificationsForChat(kusama, 1001);
+            assert.deepStrictEqual(notifications.map(notification => notification.type), ['rankChange']);
+        });
+
+        it('cycles the digest period of a notification type', async () => {
+            const subMenuQuery = createQuery('{"goToSubMenu": "digestSettings"}');
+            await TelegramBot.processCallbackQuery(subMenuQuery);
+            await getAnswer(subMenuQuery);
+            let keyboard = telegram.getCalls('editMessageText')[0].params.reply_markup.inline_keyboard;
+            assert.strictEqual(keyboard[3][0].text, 'Rank Changes: Immediately');
+            assert.strictEqual(keyboard[3][0].callback_data, '{"cycleNotificationPeriod": "rankChange"}');
+            for (let i = 0; i < 3; i++) {
+                const query = createQuery('{"cycleNotificationPeriod": "rankChange"}');
+                await TelegramBot.processCallbackQuery(query);
+                assert.strictEqual(await getAnswer(query), undefined);
+            }
+            assert.strictEqual((await Data.getChatById(1001)).rankChangeNotificationPeriod, Data.NotificationPeriod.ERA_END);
+            const edits = telegram.getCalls('editMessageText');
+            keyboard = edits[edits.length - 1].params.reply_markup.inline_keyboard;
+            assert.strictEqual(keyboard[3][0].text, 'Rank Changes: Every era');
+
+            const invalidQuery = createQuery('{"cycleNotificationPeriod": "blockAuthorship"}');
+            await TelegramBot.processCallbackQuery(invalidQuery);
+            assert.strictEqual(await getAnswer(invalidQuery), 'Invalid data.');
+        });
+
+        it('validates the unclaimed payout notification period', async () => {
+            const invalidQuery = createQuery('{"unclaimedPayoutNotificationPeriod": 3}');
+            await TelegramBot.processCallbackQuery(invalidQuery);
+            assert.strictEqual(await getAnswer(invalidQuery), 'Invalid data.');
+
+            const query = createQuery('{"unclaimedPayoutNotificationPeriod": 4}');
+            await TelegramBot.processCallbackQuery(query);
+            assert.strictEqual(await getAnswer(query), undefined);
+            const chat = await Data.getChatById(1001);
+            assert.strictEqual(
+                chat.unclaimedPayoutNotificationPeriod,
+                Data.UnclaimedPayoutNotificationPeriod.FOUR_ERAS
+            );
+        });
+
+        describe('per validator', () => {
+            let validator;
+
+            beforeEach(async () => {
+                validator = await Data.persistValidator(kusama, {
+                    name: 'Test Validator',
+                    stash: kusamaStash,
+                    controllerAddress: kusamaStash,
+                    rank: 42,
+                    isValid: true
+                }, 1001);
+            });
+
+            async function selectValidator(index) {
+                const query = createQuery(`{"selectValidator": ${index}}`);
+                await TelegramBot.processCallbackQuery(query);
+                return await getAnswer(query);
+            }
+
+            function getLastKeyboardTexts() {
+                const edits = telegram.getCalls('editMessageText');
+                return edits[edits.length - 1].params.reply_markup.inline_keyboard.map(row => row[0].text);
+            }
+
+            it('lists the validators of the chat to configure', async () => {
+                await sendText('/settings');
+                const keyboard = telegram.getLastMessage(1001).reply_markup.inline_keyboard;
+                assert.deepStrictEqual(keyboard.map(row => row[0].text), [
+                    '- NOTIFICATION SETTINGS -',
+                    'All Validators (Chat Defaults) ->',
+                    'Test Validator ->',
+                    '-> Close <-'
+                ]);
+                assert.strictEqual(keyboard[2][0].callback_data, '{"selectValidator": 0}');
+            });
+
+            it('overrides a setting for the selected validator only', async () => {
+                assert.strictEqual(await selectValidator(0), undefined);
+                assert.ok(getLastKeyboardTexts().includes('🟢 New Nominations *'));
+
+                const query = createQuery('{"sendNewNominationNotifications": false}');
+                await TelegramBot.processCallbackQuery(query);
+                await getAnswer(query);
+                const chat = await Data.getChatById(1001);
+                assert.strictEqual(chat.sendNewNominationNotifications, true);
+                const settings = await Data.getNotificationSettings(chat, validator);
+                assert.strictEqual(settings.sendNewNominationNotifications, false);
+                const texts = getLastKeyboardTexts();
+                assert.ok(texts.includes('⚪ New Nominations'));
+                assert.ok(texts.includes('🟢 Chilling Events *'));
+                assert.ok(texts.includes('Reset to Chat Defaults'));
+            });
+
+            it('resets the validator to the chat defaults', async () => {
+                await selectValidator(0);
+                await Data.setValidatorNotificationSetting(1001, validator, 'sendOfflineEventNotifications', false);
+                const query = createQuery('{"resetValidatorSettings": true}');
+                await TelegramBot.processCallbackQuery(query);
+                await getAnswer(query);
+                assert.strictEqual(await Data.getValidatorNotificationSettings(1001, validator), null);
+                assert.ok(!getLastKeyboardTexts().includes('Reset to Chat Defaults'));
+            });
+
+            it('sends the pending block notifications when the validator is set to immediate', async () => {
+                const chat = await Data.getChatById(1001);
+                await Data.savePendingNotification(chat, validator, Data.NotificationType.BLOCK_AUTHORSHIP, { blockNumber: 100 });
+                await selectValidator(0);
+                const query = createQuery(`{"blockNotificationPeriod": ${Data.NotificationPeriod.IMMEDIATE}}`);
+                await TelegramBot.processCallbackQuery(query);
+                await getAnswer(query);
+                assert.strictEqual((await Data.getChatById(1001)).blockNotificationPeriod, Data.NotificationPeriod.HOURLY);
+                assert.deepStrictEqual(await Data.getPendingNotificationsForChat(kusama, 1001), []);
+                const messages = await Data.getOutboundMessagesForChat(1001);
+                assert.ok(messages[0].payload.text.includes('*Test Validator*\n🧱 authored block [100]'));
+            });
+
+            it('configures the chat defaults after going back to the validator selection', async () => {
+                await selectValidator(0);
+                const backQuery = createQuery('{"backToValidatorSelection": true}');
+                await TelegramBot.processCallbackQuery(backQuery);
+                await getAnswer(backQuery);
+                assert.ok(getLastKeyboardTexts().includes('Test Validator ->'));
+                await selectValidator(-1);
+                const query = createQuery('{"sendOfflineEventNotifications": false}');
+                await TelegramBot.processCallbackQuery(query);
+                await getAnswer(query);
+                assert.strictEqual((await Data.getChatById(1001)).sendOfflineEventNotifications, false);
+                assert.strictEqual(await Data.getValidatorNotificationSettings(1001, validator), null);
+            });
+
+            it('rejects an invalid validator selection', async () => {
+                assert.strictEqual(await selectValidator(1), 'Invalid data.');
+            });
+
+            it('deletes the settings menu when a validator is removed', async () => {
+                await sendText('/remove');
+                await sendText('Test Validator');
+                assert.ok(telegram.getCalls('deleteMessage').some(call => call.params.message_id == settingsMessageId));
+                assert.strictEqual(await selectValidator(0), 'Invalid query.');
+            });
+        });
+
+        it('toggles a notification type', async () => {
+            const query = createQuery('{"sendChillingEventNotifications": false}');
+            await TelegramBot.processCallbackQuery(query);
+            await getAnswer(query);
+            const chat = await Data.getChatById(1001);
+            assert.strictEqual(chat.sendChillingEventNotifications, false);
+            const keyboard = telegram.getCalls('editMessageText')[0].params.reply_markup.inline_keyboard;
+            assert.ok(keyboard.some(row => row[0].text == '⚪ Chilling Events'));
+        });
+    });
+
+    describe('start', () => {
+        it('schedules the 1KV update of each network', async () => {
+            sinon.stub(Data, 'start').resolves();
+            sinon.stub(MessageQueue, 'start').resolves();
+            sinon.replace(config, 'telegramUpdateMode', 'webhook');
+            sinon.stub(TelegramWebhook, 'startWebhookServer').resolves();
+            sinon.stub(Messaging, 'setWebhook').resolves(true);
+            const schedule = sinon.stub(cron, 'schedule');
+            const getAllValidators = sinon.spy(Data, 'getAllValidators');
+            await TelegramBot.start();
+            for (let network of config.networks) {
+                const call = schedule.getCalls().find(
+                    call => call.args[0] == `*/${network.oneKVUpdatePeriodMins} * * * *`
+                );
+                assert.ok(call, `no 1KV update job for ${network.name}`);
+                getAllValidators.resetHistory();
+                call.args[1]();
+                assert.ok(getAllValidators.calledWith(network));
+            }
+        });
+    });
+});
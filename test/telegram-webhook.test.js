@@ -0,0 +1,89 @@
+const assert = require('assert');
+const fetch = require('node-fetch');
+const sinon = require('sinon');
+
+const TelegramWebhook = require('../modules/telegram-webhook');
+const config = require('../modules/config').config;
+const logger = require('../modules/logging');
+
+const secretToken = 'test_secret-token';
+
+describe('telegram-webhook', () => {
+    const originalConfig = {};
+    let updates;
+    let onUpdate;
+    let webhookURL;
+
+    before(async () => {
+        for (let key of ['telegramWebhookSecretToken', 'telegramWebhookPort', 'telegramWebhookPath']) {
+            originalConfig[key] = config[key];
+        }
+        config.telegramWebhookSecretToken = secretToken;
+        config.telegramWebhookPort = 0;
+        config.telegramWebhookPath = '/telegram/webhook';
+        const address = await TelegramWebhook.startWebhookServer(update => onUpdate(update));
+        webhookURL = `http://127.0.0.1:${address.port}/telegram/webhook`;
+    });
+
+    beforeEach(() => {
+        updates = [];
+        onUpdate = update => updates.push(update);
+    });
+
+    after(async () => {
+        await TelegramWebhook.stopWebhookServer();
+        Object.assign(config, originalConfig);
+    });
+
+    function post(body, headers, url) {
+        return fetch(url || webhookURL, {
+            method: 'post',
+            body: typeof body === 'string' ? body : JSON.stringify(body),
+            headers: Object.assign({ 'Content-Type': 'application/json' }, headers)
+        });
+    }
+
+    it('passes on an update with the secret token', async () => {
+        const update = { update_id: 10, message: { message_id: 1, chat: { id: 1001 }, text: '/help' } };
+        const response = await post(update, { 'X-Telegram-Bot-Api-Secret-Token': secretToken });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(updates, [update]);
+    });
+
+    it('logs an update that fails to be processed', async () => {
+        const errorStub = sinon.stub(logger, 'error');
+        onUpdate = async () => {
+            throw new Error('Processing failed.');
+        };
+        const update = { update_id: 13, message: { message_id: 1, chat: { id: 1001 }, text: '/help' } };
+        const response = await post(update, { 'X-Telegram-Bot-Api-Secret-Token': secretToken });
+        assert.strictEqual(response.status, 200);
+        assert.ok(errorStub.calledWithMatch('Telegram update 13: Error: Processing failed.'));
+    });
+
+    it('rejects a missing or wrong secret token', async () => {
+        const update = { update_id: 11 };
+        assert.strictEqual((await post(update)).status, 401);
+        assert.strictEqual((await post(update, { 'X-Telegram-Bot-Api-Secret-Token': 'wrong' })).status, 401);
+        assert.strictEqual(
+            (await post(update, { 'X-Telegram-Bot-Api-Secret-Token': secretToken + 'x' })).status,
+            401
+        );
+        assert.deepStrictEqual(updates, []);
+    });
+
+    it('rejects a body that is not an update', async () => {
+        const headers = { 'X-Telegram-Bot-Api-Secret-Token': secretToken };
+        assert.strictEqual((await post('{"update_id": ', headers)).status, 400);
+        assert.strictEqual((await post({ message: {} }, headers)).status, 400);
+        assert.deepStrictEqual(updates, []);
+    });
+
+    it('only serves POST requests at the webhook path', async () => {
+        const headers = { 'X-Telegram-Bot-Api-Secret-Token': secretToken };
+        assert.strictEqual((await fetch(webhookURL, { headers: headers })).status, 405);
+        const otherURL = webhookURL.replace('/telegram/webhook', '/other');
+        assert.strictEqual((await post({ update_id: 12 }, headers, otherURL)).status, 404);
+        assert.deepStrictEqual(updates, []);
+    });
+});